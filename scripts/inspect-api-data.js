@@ -15,6 +15,9 @@ import path from 'path';
 
 const OUTPUT_DIR = 'data-samples';
 
+// Clients whose field mapping drift is reported once every system has been inspected
+const driftSources = [];
+
 async function ensureOutputDir() {
   await fs.mkdir(OUTPUT_DIR, { recursive: true });
 }
@@ -23,6 +26,7 @@ async function inspectShopify() {
   console.log('\n📦 Inspecting Shopify API...');
   try {
     const client = new ShopifyClient();
+    driftSources.push(client);
     const yesterday = subDays(new Date(), 1);
 
     // Get sample orders
@@ -90,6 +94,7 @@ async function inspectOrderwise() {
   console.log('\n📊 Inspecting Orderwise API...');
   try {
     const client = new OrderwiseClient();
+    driftSources.push(client);
     await client.authenticate();
 
     const stockLevels = await client.getStockLevels();
@@ -132,6 +137,7 @@ async function inspectKlaviyo() {
   console.log('\n📧 Inspecting Klaviyo API...');
   try {
     const client = new KlaviyoClient();
+    driftSources.push(client);
     const weekAgo = subDays(new Date(), 7);
 
     const campaigns = await client.getCampaignMetrics(weekAgo, new Date());
@@ -166,6 +172,7 @@ async function inspectAptean() {
   console.log('\n🏭 Inspecting Aptean SI...');
   try {
     const client = new ApteanClient();
+    driftSources.push(client);
     const weekAgo = subDays(new Date(), 7);
 
     const yields = await client.getYieldData(weekAgo, new Date());
@@ -196,6 +203,32 @@ async function inspectAptean() {
   }
 }
 
+/**
+ * Print fields that no longer match the first path in config/field-mappings.json
+ * @returns {Promise<number>} Number of drifted fields
+ */
+async function reportSchemaDrift() {
+  const drift = driftSources.flatMap(client => client.getSchemaDrift());
+
+  await fs.writeFile(
+    path.join(OUTPUT_DIR, 'schema-drift.json'),
+    JSON.stringify(drift, null, 2)
+  );
+
+  console.log('\n🧭 Schema Drift:\n');
+  if (drift.length === 0) {
+    console.log('   ✅ Every field matched its primary mapping\n');
+    return 0;
+  }
+
+  drift.forEach(entry => {
+    const detail = entry.status === 'fallback' ? `read from "${entry.path}"` : 'missing';
+    console.log(`   ⚠️  ${entry.system} ${entry.type}.${entry.field} ${detail} (${entry.records}/${entry.of} records)`);
+  });
+  console.log(`\n   Saved to ${path.join(OUTPUT_DIR, 'schema-drift.json')}\n`);
+  return drift.length;
+}
+
 async function main() {
   console.log('🔍 API Data Inspector');
   console.log('This will fetch sample data from each connected API\n');
@@ -222,13 +255,15 @@ async function main() {
   const successCount = Object.values(results).filter(r => r).length;
   console.log(`\n${successCount}/4 systems inspected successfully\n`);
 
+  const driftCount = await reportSchemaDrift();
+
   if (successCount > 0) {
     console.log('📁 Sample data saved to:');
     console.log(`   ${path.resolve(OUTPUT_DIR)}\n`);
     console.log('Next steps:');
     console.log('1. Review the JSON files to see actual data structures');
     console.log('2. Compare with expected schemas in config/schemas/');
-    console.log('3. Update field mappings in config/field-mappings.json');
+    console.log(`3. Update field mappings in config/field-mappings.json${driftCount > 0 ? ` (${driftCount} drifted fields above)` : ''}`);
     console.log('4. Test with: npm run generate-daily\n');
   }
 }
@@ -7,7 +7,8 @@
 import FinanceAgent from './finance-agent.js';
 import OperationsAgent from './operations-agent.js';
 import MarketingAgent from './marketing-agent.js';
-import { format } from 'date-fns';
+import { format, parseISO } from 'date-fns';
+import { weekRange, formatReportDate, lastCompleteWeek } from '../utils/reporting-calendar.js';
 
 class ExecutiveAgent {
   constructor() {
@@ -29,6 +30,9 @@ class ExecutiveAgent {
       this.marketingAgent.generateDailySnapshot(date),
     ]);
 
+    // Drafts are written first so the reorder action only links to a file that exists
+    await this.operationsAgent.saveDraftPurchaseOrders(operationsReport);
+
     // Aggregate all alerts
     const allAlerts = [
       ...(financeReport.alerts || []),
@@ -43,7 +47,7 @@ class ExecutiveAgent {
     const actions = this.generateActionItems(financeReport, operationsReport);
 
     const digest = {
-      date: date.toISOString().split('T')[0],
+      date: formatReportDate(date),
       type: 'daily',
       summary: {
         sales: {
@@ -54,9 +58,11 @@ class ExecutiveAgent {
         stock: {
           value: operationsReport.stock.total_value,
           items_to_reorder: operationsReport.stock.items_below_reorder,
+          value_drivers: operationsReport.stock.value_drivers,
         },
         production: {
           yield_percentage: operationsReport.production.average_yield_percentage,
+          yield_target_percentage: operationsReport.production.yield_target_percentage,
           batches: operationsReport.production.total_batches,
         },
         marketing: {
@@ -81,17 +87,21 @@ class ExecutiveAgent {
 
   /**
    * Generate weekly executive summary
-   * @param {Date} endDate - End date of week
+   * @param {Date} endDate - Any date in the reporting week (Monday to Sunday)
    * @returns {Promise<Object>} Weekly executive summary
    */
-  async generateWeeklySummary(endDate = new Date()) {
+  async generateWeeklySummary(endDate = lastCompleteWeek().end) {
     // Fetch all reports in parallel
-    const [financeReport, operationsReport, marketingReport] = await Promise.all([
+    const [financeReport, operationsReport, marketingReport, customerReport, supplierScorecard] = await Promise.all([
       this.financeAgent.generateWeeklyReport(endDate),
       this.operationsAgent.generateDailyReport(endDate), // Operations is still daily
       this.marketingAgent.generateWeeklyReport(endDate),
+      this.financeAgent.generateCustomerReport(endDate),
+      this.operationsAgent.generateSupplierScorecard(endDate),
     ]);
 
+    await this.operationsAgent.saveDraftPurchaseOrders(operationsReport);
+
     const allAlerts = [
       ...(financeReport.alerts || []),
       ...(operationsReport.alerts || []),
@@ -104,7 +114,7 @@ class ExecutiveAgent {
     const actions = this.generateActionItems(financeReport, operationsReport, marketingReport);
 
     const summary = {
-      date: endDate.toISOString().split('T')[0],
+      date: formatReportDate(weekRange(endDate).end),
       type: 'weekly',
       summary: {
         sales: {
@@ -116,11 +126,27 @@ class ExecutiveAgent {
         stock: {
           value: operationsReport.stock.total_value,
           items_to_reorder: operationsReport.stock.items_below_reorder,
+          value_drivers: operationsReport.stock.value_drivers,
         },
         production: {
           yield_percentage: operationsReport.production.average_yield_percentage,
+          yield_target_percentage: operationsReport.production.yield_target_percentage,
           waste_percentage: operationsReport.production.waste_percentage,
         },
+        customers: {
+          new_customers: customerReport.this_period.new.customers,
+          returning_order_percentage: customerReport.this_period.returning.share_of_orders_percentage,
+          repeat_rate: customerReport.overall.repeat_rate,
+          median_days_to_second_order: customerReport.overall.median_days_to_second_order,
+          average_lifetime_value: customerReport.overall.average_lifetime_value,
+        },
+        suppliers: {
+          purchase_orders_received: supplierScorecard.suppliers.reduce((sum, supplier) => sum + supplier.purchase_orders, 0),
+          below_on_time_target: supplierScorecard.suppliers
+            .filter(supplier => supplier.on_time_rate < supplierScorecard.on_time_warning_percentage)
+            .map(supplier => supplier.supplier),
+          overdue_purchase_orders: operationsReport.purchase_order_status.overdue,
+        },
         marketing: {
           campaigns: marketingReport.campaigns.total_campaigns,
           open_rate: marketingReport.campaigns.average_open_rate,
@@ -137,6 +163,8 @@ class ExecutiveAgent {
         finance: financeReport,
         operations: operationsReport,
         marketing: marketingReport,
+        customers: customerReport,
+        suppliers: supplierScorecard,
       },
     };
 
@@ -153,25 +181,51 @@ class ExecutiveAgent {
   generateActionItems(financeReport, operationsReport, marketingReport = null) {
     const actions = [];
 
-    // Stock reorder actions
-    if (operationsReport.stock.items_below_reorder > 0) {
-      const urgentItems = operationsReport.stock.reorder_alerts.slice(0, 3);
-      if (urgentItems.length > 0) {
-        actions.push({
-          priority: 'high',
-          department: 'operations',
-          action: `Reorder ${urgentItems.length} critical items: ${urgentItems.map(i => i.product).join(', ')}`,
-        });
-      }
+    // Stock reorder actions, with the planner's suggested quantities
+    const reorderPlan = operationsReport.reorder_plan;
+    const suggested = new Map(reorderPlan.draft_purchase_orders
+      .flatMap(draft => draft.lines)
+      .map(line => [line.product_code, line]));
+    const urgentItems = operationsReport.stock.cover_alerts.slice(0, 3);
+    if (urgentItems.length > 0) {
+      const describe = item => {
+        const line = suggested.get(item.product_code);
+        return line
+          ? `${item.product} - order ${line.suggested_quantity} from ${line.supplier} (${item.days_of_cover.toFixed(0)}d cover)`
+          : `${item.product} (${item.days_of_cover.toFixed(0)}d cover, enough on order)`;
+      };
+      const link = reorderPlan.files?.csv ?? null;
+      actions.push({
+        priority: 'high',
+        department: 'operations',
+        action: `Reorder ${urgentItems.length} critical items: ${urgentItems.map(describe).join(', ')}${link ? `. Draft POs: ${link}` : ''}`,
+        link,
+      });
     }
 
-    // Purchase order approval actions
-    if (operationsReport.purchase_orders.length > 0) {
-      const pendingPOs = operationsReport.purchase_orders.slice(0, 2);
+    // Short-dated stock to clear
+    const toPromote = operationsReport.expiry.promote.slice(0, 3);
+    if (toPromote.length > 0) {
+      const hasChilledRisk = operationsReport.expiry.sell_through_risks.some(risk => risk.severity === 'critical');
       actions.push({
-        priority: 'medium',
-        department: 'finance',
-        action: `Approve pending POs: ${pendingPOs.map(po => po.po_number).join(', ')}`,
+        priority: hasChilledRisk ? 'high' : 'medium',
+        department: 'marketing',
+        action: `Push short-dated stock: ${toPromote.map(item => `${item.product} (${Math.ceil(item.quantity_to_clear)} units by ${item.earliest_expiry})`).join(', ')}`,
+      });
+    }
+
+    // Chase overdue purchase orders, most urgent first
+    const lateCritical = operationsReport.purchase_order_status.late_critical_supplies;
+    const overduePOs = operationsReport.purchase_orders.filter(po => po.status === 'overdue');
+    if (overduePOs.length > 0) {
+      const criticalNumbers = new Set(lateCritical.map(po => po.po_number));
+      const toChase = [...overduePOs]
+        .sort((a, b) => criticalNumbers.has(b.po_number) - criticalNumbers.has(a.po_number))
+        .slice(0, 3);
+      actions.push({
+        priority: lateCritical.length > 0 ? 'high' : 'medium',
+        department: 'operations',
+        action: `Chase overdue POs: ${toChase.map(po => `${po.po_number} (${po.supplier}, ${po.days_overdue}d late)`).join(', ')}`,
       });
     }
 
@@ -184,12 +238,15 @@ class ExecutiveAgent {
       });
     }
 
-    // Yield actions
-    if (operationsReport.production.average_yield_percentage < 80) {
+    // Yield actions: product types below their own yield target
+    const lowYield = Object.entries(operationsReport.production.yield_by_product)
+      .filter(([, data]) => data.yield_status !== 'ok')
+      .sort(([, a], [, b]) => a.yield_variance - b.yield_variance);
+    if (lowYield.length > 0) {
       actions.push({
         priority: 'high',
         department: 'operations',
-        action: `Investigate low yield (${operationsReport.production.average_yield_percentage.toFixed(1)}%) - check production processes`,
+        action: `Investigate low yield - check production processes: ${lowYield.map(([type, data]) => `${type} ${data.yield_percentage.toFixed(1)}% vs ${data.yield_target}% target`).join(', ')}`,
       });
     }
 
@@ -211,7 +268,7 @@ class ExecutiveAgent {
    * @returns {string} Slack formatted message
    */
   formatAsSlackMessage(digest) {
-    const dateStr = format(new Date(digest.date), 'EEEE, MMMM d, yyyy');
+    const dateStr = format(parseISO(digest.date), 'EEEE, MMMM d, yyyy');
     const title = digest.type === 'daily' ? '🌅 Daily Report' : '📊 Weekly Summary';
 
     let message = `*Piper's Farm ${title}* – ${dateStr}\n\n`;
@@ -224,16 +281,30 @@ class ExecutiveAgent {
     message += `• Sales: £${digest.summary.sales.revenue.toLocaleString('en-GB', { minimumFractionDigits: 0, maximumFractionDigits: 0 })} `;
     message += `(${revenueSign}${digest.summary.sales.change_percentage.toFixed(1)}%) ${revenueEmoji}\n`;
     message += `• Stock: £${(digest.summary.stock.value / 1000).toFixed(0)}k`;
+    const stockDrivers = digest.summary.stock.value_drivers || [];
+    if (stockDrivers.length > 0) {
+      message += ` (below target: ${stockDrivers.slice(0, 2).map(driver => driver.label).join(', ')})`;
+    }
     if (digest.summary.stock.items_to_reorder > 0) {
       message += ` ⚠️ ${digest.summary.stock.items_to_reorder} items to reorder`;
     }
     message += `\n`;
     message += `• Yield: ${digest.summary.production.yield_percentage.toFixed(1)}%`;
-    if (digest.summary.production.yield_percentage < 80) {
+    if (digest.summary.production.yield_target_percentage !== null
+      && digest.summary.production.yield_percentage < digest.summary.production.yield_target_percentage) {
       message += ` 🔴`;
     }
     message += `\n`;
 
+    if (digest.type === 'weekly' && digest.summary.customers) {
+      message += `• New customers: ${digest.summary.customers.new_customers}`;
+      message += ` (repeat rate ${digest.summary.customers.repeat_rate.toFixed(1)}%)\n`;
+    }
+
+    if (digest.type === 'weekly' && digest.summary.suppliers?.below_on_time_target.length > 0) {
+      message += `• Suppliers below on-time target: ${digest.summary.suppliers.below_on_time_target.slice(0, 3).join(', ')}\n`;
+    }
+
     if (digest.type === 'weekly' && digest.summary.marketing) {
       message += `• Campaign CTR: ${digest.summary.marketing.click_rate.toFixed(1)}%`;
       if (digest.summary.marketing.click_rate > 2.5) {
@@ -267,7 +338,7 @@ class ExecutiveAgent {
    * @returns {string} Markdown formatted report
    */
   formatAsMarkdown(digest) {
-    const dateStr = format(new Date(digest.date), 'EEEE, MMMM d, yyyy');
+    const dateStr = format(parseISO(digest.date), 'EEEE, MMMM d, yyyy');
     const title = digest.type === 'daily' ? 'Daily Executive Digest' : 'Weekly Executive Summary';
 
     let markdown = `# Piper's Farm ${title}\n`;
@@ -285,6 +356,20 @@ class ExecutiveAgent {
     markdown += this.operationsAgent.formatAsMarkdown(digest.reports.operations);
     markdown += `\n---\n\n`;
 
+    // Customer summary (if weekly)
+    if (digest.type === 'weekly' && digest.reports.customers) {
+      markdown += `### 👥 Customers\n`;
+      markdown += this.financeAgent.formatCustomerReportAsMarkdown(digest.reports.customers);
+      markdown += `\n---\n\n`;
+    }
+
+    // Supplier scorecard (if weekly)
+    if (digest.type === 'weekly' && digest.reports.suppliers) {
+      markdown += `### 🚚 Suppliers\n`;
+      markdown += this.operationsAgent.formatSupplierScorecardAsMarkdown(digest.reports.suppliers);
+      markdown += `\n---\n\n`;
+    }
+
     // Marketing summary (if weekly)
     if (digest.type === 'weekly' && digest.reports.marketing) {
       markdown += `### 📧 Marketing\n`;
@@ -4,14 +4,48 @@
  * Generates daily revenue, margin %, and top products report
  */
 
-import ShopifyClient from '../integrations/shopify/client.js';
-import { subDays, startOfDay, endOfDay } from 'date-fns';
+import ShopifyClient, { isSaleOrder } from '../integrations/shopify/client.js';
+import OrderwiseClient from '../integrations/orderwise/client.js';
+import UnitCostResolver from '../utils/unit-cost-resolver.js';
+import EventLog from '../utils/event-log.js';
+import CustomerHistoryCache from '../utils/customer-history-cache.js';
+import {
+  customerKey,
+  summarizeOrder,
+  indexOrderSummaries,
+  splitNewReturning,
+  buildCohortAnalysis,
+} from '../utils/customer-analytics.js';
+import { buildPromotionReport } from '../utils/promotion-analytics.js';
+import { subMonths, subDays } from 'date-fns';
+import {
+  REPORTING_TIMEZONE,
+  dayRange,
+  weekRange,
+  startOfReportDay,
+  formatReportDate,
+  reportYesterday,
+  lastCompleteWeek,
+  londonParts,
+  isReportWeekend,
+} from '../utils/reporting-calendar.js';
 import fs from 'fs/promises';
 import path from 'path';
 
+// How far back order history is read to tell new customers from returning ones
+const CUSTOMER_HISTORY_MONTHS = parseInt(process.env.CUSTOMER_HISTORY_MONTHS || '24', 10);
+// Cached orders this recent are re-read, as they may since have been edited, voided or refunded
+const CUSTOMER_HISTORY_REFRESH_DAYS = 7;
+
 class FinanceAgent {
   constructor() {
     this.shopify = new ShopifyClient();
+    this.orderwise = new OrderwiseClient();
+    this.unitCosts = new UnitCostResolver({ shopify: this.shopify, orderwise: this.orderwise });
+    this.eventLog = new EventLog();
+    this.customerCache = new CustomerHistoryCache();
+    this.customerHistory = new Map();
+    this.customerHistoryQueue = Promise.resolve();
     this.thresholds = null;
   }
 
@@ -26,21 +60,25 @@ class FinanceAgent {
    * @param {Date} date - Date to generate report for (defaults to yesterday)
    * @returns {Promise<Object>} Finance report
    */
-  async generateDailyReport(date = subDays(new Date(), 1)) {
+  async generateDailyReport(date = reportYesterday()) {
     await this.loadThresholds();
 
-    const startDate = startOfDay(date);
-    const endDate = endOfDay(date);
+    const { start: startDate, end: endDate } = dayRange(date);
 
     // Get previous day for comparison
-    const prevStartDate = startOfDay(subDays(date, 1));
-    const prevEndDate = endOfDay(subDays(date, 1));
+    const { start: prevStartDate, end: prevEndDate } = dayRange(date, -1);
+
+    // Resolve unit costs once for both periods
+    await this.unitCosts.load();
 
-    // Fetch current and previous day metrics
-    const [currentMetrics, previousMetrics] = await Promise.all([
-      this.shopify.getSalesMetrics(startDate, endDate),
-      this.shopify.getSalesMetrics(prevStartDate, prevEndDate),
+    // Fetch current and previous day sales
+    const [current, previous, customerIndex] = await Promise.all([
+      this.loadPeriodSales(startDate, endDate),
+      this.loadPeriodSales(prevStartDate, prevEndDate),
+      this.loadCustomerHistory(endDate),
     ]);
+    const { metrics: currentMetrics } = current;
+    const { metrics: previousMetrics } = previous;
 
     // Calculate changes
     const revenueChange = currentMetrics.total_revenue - previousMetrics.total_revenue;
@@ -55,7 +93,7 @@ class FinanceAgent {
 
     // Build report
     const report = {
-      date: date.toISOString().split('T')[0],
+      date: formatReportDate(date),
       period: 'daily',
       sales: {
         total_revenue: currentMetrics.total_revenue,
@@ -66,11 +104,15 @@ class FinanceAgent {
         revenue_change_percentage: revenueChangePercentage,
         aov_change_percentage: aovChangePercentage,
       },
+      revenue_breakdown: this.buildRevenueBreakdown(currentMetrics),
+      breakdowns: this.compareBreakdowns(currentMetrics.breakdowns, previousMetrics.breakdowns),
       margins: {
         total_cost: currentMetrics.total_cost,
         gross_margin: currentMetrics.total_margin,
         margin_percentage: currentMetrics.margin_percentage,
+        cost_sources: this.summarizeCostSources(currentMetrics),
       },
+      customers: this.buildCustomerSplit(current.orders, customerIndex),
       top_products: Object.entries(currentMetrics.top_products).map(([name, data]) => ({
         name,
         quantity_sold: data.quantity,
@@ -87,23 +129,26 @@ class FinanceAgent {
 
   /**
    * Generate weekly finance report
-   * @param {Date} endDate - End date of week
+   * @param {Date} endDate - Any date in the reporting week (Monday to Sunday)
    * @returns {Promise<Object>} Weekly finance report
    */
-  async generateWeeklyReport(endDate = new Date()) {
+  async generateWeeklyReport(endDate = lastCompleteWeek().end) {
     await this.loadThresholds();
 
-    const startDate = startOfDay(subDays(endDate, 6)); // Last 7 days
-    const end = endOfDay(endDate);
+    const { start: startDate, end } = weekRange(endDate);
 
     // Get previous week for comparison
-    const prevStartDate = startOfDay(subDays(startDate, 7));
-    const prevEndDate = endOfDay(subDays(endDate, 7));
+    const { start: prevStartDate, end: prevEndDate } = weekRange(endDate, -1);
 
-    const [currentMetrics, previousMetrics] = await Promise.all([
-      this.shopify.getSalesMetrics(startDate, end),
-      this.shopify.getSalesMetrics(prevStartDate, prevEndDate),
+    await this.unitCosts.load();
+
+    const [current, previous, customerIndex] = await Promise.all([
+      this.loadPeriodSales(startDate, end),
+      this.loadPeriodSales(prevStartDate, prevEndDate),
+      this.loadCustomerHistory(end),
     ]);
+    const { metrics: currentMetrics } = current;
+    const { metrics: previousMetrics } = previous;
 
     const revenueChange = currentMetrics.total_revenue - previousMetrics.total_revenue;
     const revenueChangePercentage = previousMetrics.total_revenue > 0
@@ -111,7 +156,7 @@ class FinanceAgent {
       : 0;
 
     const report = {
-      date: endDate.toISOString().split('T')[0],
+      date: formatReportDate(end),
       period: 'weekly',
       sales: {
         total_revenue: currentMetrics.total_revenue,
@@ -121,11 +166,19 @@ class FinanceAgent {
         revenue_change: revenueChange,
         revenue_change_percentage: revenueChangePercentage,
       },
+      revenue_breakdown: this.buildRevenueBreakdown(currentMetrics),
+      breakdowns: this.compareBreakdowns(currentMetrics.breakdowns, previousMetrics.breakdowns),
       margins: {
         total_cost: currentMetrics.total_cost,
         gross_margin: currentMetrics.total_margin,
         margin_percentage: currentMetrics.margin_percentage,
+        cost_sources: this.summarizeCostSources(currentMetrics),
       },
+      customers: this.buildCustomerSplit(current.orders, customerIndex),
+      promotions: buildPromotionReport(current.orders, {
+        costResolver: this.unitCosts,
+        customerIndex,
+      }),
       top_products: Object.entries(currentMetrics.top_products).map(([name, data]) => ({
         name,
         quantity_sold: data.quantity,
@@ -139,6 +192,302 @@ class FinanceAgent {
     return report;
   }
 
+  /**
+   * Generate intraday "sales so far today" snapshot from webhook events
+   * @param {Date} now - Point in time to report up to
+   * @returns {Promise<Object>} Intraday snapshot
+   */
+  async generateIntradaySnapshot(now = new Date()) {
+    await this.loadThresholds();
+
+    const startDate = startOfReportDay(now);
+    const events = await this.eventLog.readDay(now);
+
+    // Keep the latest version of each order placed today
+    const orders = new Map();
+    const refunds = [];
+    const taxesIncludedByOrder = new Map();
+    events.forEach(event => {
+      if (event.topic === 'refunds/create') {
+        refunds.push(event.payload);
+        return;
+      }
+
+      // Refunded orders placed on earlier days still arrive as orders/updated
+      const order = event.payload;
+      taxesIncludedByOrder.set(order.id, Boolean(order.taxes_included));
+      const createdAt = new Date(order.created_at);
+      if (createdAt < startDate || createdAt > now) return;
+
+      const existing = orders.get(order.id);
+      if (!existing || new Date(order.updated_at) >= new Date(existing.updated_at)) {
+        orders.set(order.id, order);
+      }
+    });
+
+    const todaysRefunds = refunds.filter(refund => {
+      const refundDate = new Date(refund.created_at);
+      return refundDate >= startDate && refundDate <= now;
+    });
+
+    // Refund payloads don't carry the order's tax setting; fall back to the shop's
+    const shopTaxesIncluded = todaysRefunds.some(refund => !taxesIncludedByOrder.has(refund.order_id))
+      ? await this.shopify.getTaxesIncluded()
+      : null;
+    todaysRefunds.forEach(refund => {
+      refund.taxes_included = taxesIncludedByOrder.get(refund.order_id) ?? shopTaxesIncluded;
+    });
+
+    const metrics = this.shopify.calculateSalesMetrics([...orders.values()], todaysRefunds);
+    const orderTimes = [...orders.values()].map(order => new Date(order.created_at));
+
+    const snapshot = {
+      date: formatReportDate(now),
+      as_of: now.toISOString(),
+      period: 'intraday',
+      sales: {
+        total_revenue: metrics.total_revenue,
+        total_orders: metrics.total_orders,
+        average_order_value: metrics.average_order_value,
+        refunds: metrics.refunds,
+        last_order_at: orderTimes.length > 0
+          ? new Date(Math.max(...orderTimes)).toISOString()
+          : null,
+      },
+      events_received: events.length,
+      alerts: [],
+    };
+
+    this.generateIntradayAlerts(snapshot, now);
+
+    return snapshot;
+  }
+
+  /**
+   * Generate same-day alerts for an intraday snapshot
+   * @param {Object} snapshot - Intraday snapshot
+   * @param {Date} now - Snapshot time
+   */
+  generateIntradayAlerts(snapshot, now) {
+    const cutoffHour = this.thresholds.intraday_no_orders_cutoff_hour;
+
+    // Zero orders by the cutoff on a weekday usually means checkout or webhooks are broken
+    if (!isReportWeekend(now) && londonParts(now).hour >= cutoffHour && snapshot.sales.total_orders === 0) {
+      snapshot.alerts.push({
+        type: 'no_orders_today',
+        message: `No orders received by ${String(cutoffHour).padStart(2, '0')}:00 today - check checkout and webhook delivery`,
+        severity: 'critical',
+      });
+    }
+  }
+
+  /**
+   * Generate customer report: acquisition cohorts, repeat rates and lifetime value
+   * @param {Date} endDate - Any date in the reporting week (Monday to Sunday)
+   * @returns {Promise<Object>} Customer report
+   */
+  async generateCustomerReport(endDate = lastCompleteWeek().end) {
+    const { start: startDate, end } = weekRange(endDate);
+
+    const [orders, customerIndex] = await Promise.all([
+      this.shopify.getOrders(startDate, end),
+      this.loadCustomerHistory(end),
+    ]);
+    const cohortAnalysis = buildCohortAnalysis(customerIndex, end);
+
+    return {
+      date: formatReportDate(end),
+      period: 'weekly',
+      history_months: CUSTOMER_HISTORY_MONTHS,
+      this_period: this.buildCustomerSplit(orders, customerIndex),
+      overall: cohortAnalysis.overall,
+      cohorts: cohortAnalysis.cohorts,
+    };
+  }
+
+  /**
+   * Orders placed in a period and their sales metrics
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<{orders: Array, metrics: Object}>} metrics as ShopifyClient.getSalesMetrics
+   */
+  async loadPeriodSales(startDate, endDate) {
+    const [orders, refunds] = await Promise.all([
+      this.shopify.getOrders(startDate, endDate),
+      this.shopify.getRefunds(startDate, endDate),
+    ]);
+
+    return { orders, metrics: this.shopify.calculateSalesMetrics(orders, refunds, this.unitCosts) };
+  }
+
+  /**
+   * Load order history up to endDate and index it by customer
+   * Memoised per end date so parallel reports share one fetch, and run one at
+   * a time so a second report tops up the cache the first one wrote
+   * @param {Date} endDate
+   * @returns {Promise<Map<string, Object>>} Customer index (see indexOrderSummaries)
+   */
+  loadCustomerHistory(endDate) {
+    const key = endDate.toISOString();
+
+    if (!this.customerHistory.has(key)) {
+      const request = this.customerHistoryQueue.then(() => this._loadCustomerHistory(endDate));
+      this.customerHistoryQueue = request.catch(() => {});
+      this.customerHistory.set(key, request.catch(error => {
+        this.customerHistory.delete(key);
+        throw error;
+      }));
+    }
+
+    return this.customerHistory.get(key);
+  }
+
+  /**
+   * Bring the cached order history up to endDate and index it
+   * Only orders placed since the cache was last written (less the refresh
+   * window) are fetched; the whole history is fetched when there is no cache
+   * or it doesn't reach back CUSTOMER_HISTORY_MONTHS from endDate
+   * @private
+   * @param {Date} endDate
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async _loadCustomerHistory(endDate) {
+    const windowStart = subMonths(endDate, CUSTOMER_HISTORY_MONTHS);
+    const cached = await this.customerCache.read();
+    const covered = cached && new Date(cached.from) <= windowStart && new Date(cached.to) >= windowStart;
+
+    let history = cached;
+    if (!covered) {
+      const orders = await this.shopify.getOrders(windowStart, endDate);
+      history = {
+        from: windowStart.toISOString(),
+        to: endDate.toISOString(),
+        orders: orders.map(summarizeOrder).filter(Boolean),
+      };
+      await this.customerCache.write(history);
+    } else {
+      const refreshFrom = new Date(Math.max(windowStart, subDays(new Date(cached.to), CUSTOMER_HISTORY_REFRESH_DAYS)));
+      if (endDate > refreshFrom) {
+        const orders = await this.shopify.getOrders(refreshFrom, endDate);
+        const kept = cached.orders.filter(order => {
+          const createdAt = new Date(order.created_at);
+          return createdAt >= windowStart && (createdAt < refreshFrom || createdAt > endDate);
+        });
+        history = {
+          from: windowStart.toISOString(),
+          to: new Date(Math.max(new Date(cached.to), endDate)).toISOString(),
+          orders: [...kept, ...orders.map(summarizeOrder).filter(Boolean)],
+        };
+        await this.customerCache.write(history);
+      }
+    }
+
+    return indexOrderSummaries(history.orders.filter(order => {
+      const createdAt = new Date(order.created_at);
+      return createdAt >= windowStart && createdAt <= endDate;
+    }));
+  }
+
+  /**
+   * Split a period's orders into new and returning customers
+   * Orders with no customer or email can't be judged and are reported separately
+   * @param {Array} orders - Orders placed in the period
+   * @param {Map<string, Object>} customerIndex - From loadCustomerHistory
+   * @returns {Object} Customers, orders, net sales and AOV for each group
+   */
+  buildCustomerSplit(orders, customerIndex) {
+    const split = splitNewReturning(orders, customerIndex);
+    const metrics = {
+      new: this.shopify.calculateSalesMetrics(split.new),
+      returning: this.shopify.calculateSalesMetrics(split.returning),
+      unattributed: this.shopify.calculateSalesMetrics(split.unattributed),
+    };
+    const totalOrders = Object.values(metrics).reduce((sum, data) => sum + data.total_orders, 0);
+
+    const countCustomers = groupOrders => new Set(
+      groupOrders.filter(order => isSaleOrder(order) && !order.cancelled_at).map(customerKey)
+    ).size;
+
+    return Object.entries(metrics).reduce((acc, [group, data]) => {
+      acc[group] = {
+        customers: group === 'unattributed' ? null : countCustomers(split[group]),
+        orders: data.total_orders,
+        net_sales: data.net_sales,
+        average_order_value: data.average_order_value,
+        share_of_orders_percentage: totalOrders > 0 ? (data.total_orders / totalOrders) * 100 : 0,
+      };
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Build the gross-to-net revenue breakdown
+   * @param {Object} metrics - Sales metrics from ShopifyClient
+   * @returns {Object} Revenue breakdown in GBP
+   */
+  buildRevenueBreakdown(metrics) {
+    return {
+      gross_sales: metrics.gross_sales,
+      discounts: metrics.discounts,
+      refunds: metrics.refunds,
+      net_sales: metrics.net_sales,
+      shipping: metrics.shipping,
+      vat: metrics.vat,
+      total_collected: metrics.net_sales + metrics.shipping + metrics.vat,
+    };
+  }
+
+  /**
+   * Compare channel, postcode area and delivery day breakdowns against the previous period
+   * @param {Object} current - Breakdowns from the current period's metrics
+   * @param {Object} previous - Breakdowns from the previous period's metrics
+   * @returns {Object} Per dimension, rows sorted by net sales (largest first)
+   */
+  compareBreakdowns(current, previous) {
+    return Object.entries(current).reduce((acc, [dimension, buckets]) => {
+      const previousBuckets = previous[dimension] || {};
+      const names = new Set([...Object.keys(buckets), ...Object.keys(previousBuckets)]);
+      const total = Object.values(buckets).reduce((sum, bucket) => sum + bucket.net_sales, 0);
+
+      acc[dimension] = [...names]
+        .map(name => {
+          const netSales = buckets[name]?.net_sales || 0;
+          const previousNetSales = previousBuckets[name]?.net_sales || 0;
+          return {
+            name,
+            orders: buckets[name]?.orders || 0,
+            net_sales: netSales,
+            share_percentage: total > 0 ? (netSales / total) * 100 : 0,
+            previous_net_sales: previousNetSales,
+            change_percentage: previousNetSales > 0
+              ? ((netSales - previousNetSales) / previousNetSales) * 100
+              : null,
+          };
+        })
+        .sort((a, b) => b.net_sales - a.net_sales);
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Summarise how much of the cost figure came from each cost source
+   * @param {Object} metrics - Sales metrics from ShopifyClient
+   * @returns {Object} Cost, revenue and share per source
+   */
+  summarizeCostSources(metrics) {
+    const lineRevenue = Object.values(metrics.cost_sources).reduce((sum, data) => sum + data.revenue, 0);
+
+    return Object.entries(metrics.cost_sources).reduce((acc, [source, data]) => {
+      acc[source] = {
+        line_items: data.line_items,
+        cost: data.cost,
+        cost_share_percentage: metrics.total_cost > 0 ? (data.cost / metrics.total_cost) * 100 : 0,
+        revenue_share_percentage: lineRevenue > 0 ? (data.revenue / lineRevenue) * 100 : 0,
+      };
+      return acc;
+    }, {});
+  }
+
   /**
    * Generate alerts based on thresholds
    * @param {Object} report - Finance report
@@ -168,6 +517,25 @@ class FinanceAgent {
       });
     }
 
+    // Uncosted revenue makes the margin look better than it is
+    const uncosted = report.margins.cost_sources?.missing;
+    if (uncosted && uncosted.revenue_share_percentage > this.thresholds.uncosted_revenue_warning_percentage) {
+      report.alerts.push({
+        type: 'cost_data_missing',
+        message: `${uncosted.revenue_share_percentage.toFixed(1)}% of revenue has no unit cost - margin is overstated`,
+        severity: 'warning',
+      });
+    }
+
+    // Promotions that lose money once the discount is taken off
+    report.promotions?.filter(promotion => promotion.margin_after_discount < 0).forEach(promotion => {
+      report.alerts.push({
+        type: 'promotion_negative_margin',
+        message: `Discount "${promotion.code}" is losing money: £${promotion.margin_after_discount.toFixed(2)} margin on ${promotion.orders} orders`,
+        severity: 'warning',
+      });
+    });
+
     // AOV drop alert
     if (report.sales.aov_change_percentage && report.sales.aov_change_percentage < -this.thresholds.aov_drop_alert_percentage) {
       report.alerts.push({
@@ -178,6 +546,69 @@ class FinanceAgent {
     }
   }
 
+  /**
+   * Format customer report as markdown
+   * @param {Object} report - Customer report
+   * @returns {string} Markdown formatted report
+   */
+  formatCustomerReportAsMarkdown(report) {
+    const pct = value => (value === null ? '–' : `${value.toFixed(0)}%`);
+    const { overall } = report;
+
+    let markdown = `# Customer Report - ${report.date}\n\n`;
+    markdown += `## This Week\n`;
+    markdown += `- **New Customers**: ${report.this_period.new.customers}\n`;
+    markdown += `- **Returning Customer Orders**: ${report.this_period.returning.orders} (${report.this_period.returning.share_of_orders_percentage.toFixed(1)}% of orders)\n`;
+    if (report.this_period.unattributed.orders > 0) {
+      markdown += `- **Orders Without a Customer**: ${report.this_period.unattributed.orders} (not counted as new or returning)\n`;
+    }
+    markdown += `\n`;
+
+    markdown += `## Repeat Purchase (last ${report.history_months} months)\n`;
+    markdown += `- **Customers**: ${overall.customers.toLocaleString('en-GB')}\n`;
+    markdown += `- **Repeat Rate**: ${overall.repeat_rate.toFixed(1)}%\n`;
+    markdown += `- **Median Time to 2nd Order**: ${overall.median_days_to_second_order === null ? '–' : `${overall.median_days_to_second_order} days`}\n`;
+    markdown += `- **Average Lifetime Value**: £${overall.average_lifetime_value.toFixed(2)}\n\n`;
+
+    if (report.cohorts.length > 0) {
+      markdown += `## Acquisition Cohorts\n`;
+      markdown += `| Cohort | Customers | 1m | 3m | 6m | 12m | Days to 2nd | LTV |\n`;
+      markdown += `|---|---|---|---|---|---|---|---|\n`;
+      report.cohorts.forEach(cohort => {
+        const curve = cohort.repeat_rate_curve;
+        markdown += `| ${cohort.cohort} | ${cohort.customers} | ${pct(curve.month_1)} | ${pct(curve.month_3)} | ${pct(curve.month_6)} | ${pct(curve.month_12)} `;
+        markdown += `| ${cohort.median_days_to_second_order ?? '–'} | £${cohort.lifetime_value.toFixed(2)} |\n`;
+      });
+    }
+
+    return markdown;
+  }
+
+  /**
+   * Format intraday snapshot as a short Slack message
+   * @param {Object} snapshot - Intraday snapshot
+   * @returns {string} Slack formatted message
+   */
+  formatIntradayAsSlackMessage(snapshot) {
+    const asOf = new Date(snapshot.as_of).toLocaleTimeString('en-GB', {
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: REPORTING_TIMEZONE,
+    });
+
+    let message = `*Sales so far today* (as of ${asOf})\n`;
+    message += `• Net Sales: £${snapshot.sales.total_revenue.toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
+    message += `• Orders: ${snapshot.sales.total_orders}\n`;
+    message += `• AOV: £${snapshot.sales.average_order_value.toFixed(2)}\n`;
+
+    snapshot.alerts.forEach(alert => {
+      const emoji = alert.severity === 'critical' ? '🚨' : alert.severity === 'warning' ? '⚠️' : 'ℹ️';
+      message += `${emoji} ${alert.message}\n`;
+    });
+
+    return message;
+  }
+
   /**
    * Format report as markdown
    * @param {Object} report - Finance report
@@ -189,14 +620,73 @@ class FinanceAgent {
 
     let markdown = `# Finance Report - ${report.date}\n\n`;
     markdown += `## Sales Summary\n`;
-    markdown += `- **Total Revenue**: £${report.sales.total_revenue.toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
+    markdown += `- **Net Sales**: £${report.sales.total_revenue.toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
     markdown += `- **Change**: ${changeColor} ${changeSymbol} ${Math.abs(report.sales.revenue_change_percentage).toFixed(1)}% vs previous ${report.period}\n`;
     markdown += `- **Total Orders**: ${report.sales.total_orders}\n`;
     markdown += `- **Average Order Value**: £${report.sales.average_order_value.toFixed(2)}\n\n`;
 
+    if (report.revenue_breakdown) {
+      const gbp = value => `£${value.toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+      const breakdown = report.revenue_breakdown;
+      markdown += `## Revenue Breakdown\n`;
+      markdown += `- **Gross Sales**: ${gbp(breakdown.gross_sales)}\n`;
+      markdown += `- **Discounts**: -${gbp(breakdown.discounts)}\n`;
+      markdown += `- **Refunds**: -${gbp(breakdown.refunds)}\n`;
+      markdown += `- **Net Sales**: ${gbp(breakdown.net_sales)}\n`;
+      markdown += `- **Shipping**: ${gbp(breakdown.shipping)}\n`;
+      markdown += `- **VAT**: ${gbp(breakdown.vat)}\n`;
+      markdown += `- **Total Collected**: ${gbp(breakdown.total_collected)}\n\n`;
+    }
+
     markdown += `## Margins\n`;
     markdown += `- **Gross Margin**: £${report.margins.gross_margin.toLocaleString('en-GB', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}\n`;
-    markdown += `- **Margin %**: ${report.margins.margin_percentage.toFixed(1)}%\n\n`;
+    markdown += `- **Margin %** (of net sales): ${report.margins.margin_percentage.toFixed(1)}%\n`;
+    if (report.margins.cost_sources) {
+      const { shopify, orderwise, override, missing } = report.margins.cost_sources;
+      markdown += `- **Cost Basis**: ${shopify.cost_share_percentage.toFixed(0)}% Shopify, `;
+      markdown += `${orderwise.cost_share_percentage.toFixed(0)}% Orderwise, `;
+      markdown += `${override.cost_share_percentage.toFixed(0)}% override`;
+      markdown += ` (${missing.revenue_share_percentage.toFixed(1)}% of revenue uncosted)\n`;
+    }
+    markdown += `\n`;
+
+    if (report.customers) {
+      const { new: newCustomers, returning, unattributed } = report.customers;
+      markdown += `## New vs Returning\n`;
+      markdown += `- **New Customers**: ${newCustomers.customers} customers (${newCustomers.orders} orders, ${newCustomers.share_of_orders_percentage.toFixed(1)}%), £${newCustomers.net_sales.toFixed(2)}, AOV £${newCustomers.average_order_value.toFixed(2)}\n`;
+      markdown += `- **Returning Customers**: ${returning.customers} customers (${returning.orders} orders, ${returning.share_of_orders_percentage.toFixed(1)}%), £${returning.net_sales.toFixed(2)}, AOV £${returning.average_order_value.toFixed(2)}\n`;
+      if (unattributed.orders > 0) {
+        markdown += `- **No Customer Record**: ${unattributed.orders} orders (${unattributed.share_of_orders_percentage.toFixed(1)}%), £${unattributed.net_sales.toFixed(2)}\n`;
+      }
+      markdown += `\n`;
+    }
+
+    if (report.promotions?.length > 0) {
+      markdown += `## Top Discount Codes\n`;
+      report.promotions.slice(0, 5).forEach((promotion, index) => {
+        markdown += `${index + 1}. **${promotion.code}** - ${promotion.orders} orders, £${promotion.gross_revenue.toFixed(2)} gross, `;
+        markdown += `£${promotion.discount_given.toFixed(2)} discount, £${promotion.margin_after_discount.toFixed(2)} margin `;
+        markdown += `(${promotion.margin_percentage.toFixed(1)}%), ${promotion.first_time_customer_percentage.toFixed(0)}% first-time\n`;
+      });
+      markdown += `\n`;
+    }
+
+    if (report.breakdowns) {
+      const formatRow = row => {
+        const change = row.change_percentage === null
+          ? 'new'
+          : `${row.change_percentage >= 0 ? '↑' : '↓'} ${Math.abs(row.change_percentage).toFixed(1)}%`;
+        return `- **${row.name}**: £${row.net_sales.toFixed(2)} (${row.share_percentage.toFixed(1)}%, ${row.orders} orders) ${change}\n`;
+      };
+
+      markdown += `## Sales by Channel\n`;
+      report.breakdowns.channel.forEach(row => { markdown += formatRow(row); });
+      markdown += `\n## Top Delivery Areas\n`;
+      report.breakdowns.postcode_area.slice(0, 10).forEach(row => { markdown += formatRow(row); });
+      markdown += `\n## Sales by Delivery Day\n`;
+      report.breakdowns.delivery_day.forEach(row => { markdown += formatRow(row); });
+      markdown += `\n`;
+    }
 
     markdown += `## Top Products\n`;
     report.top_products.slice(0, 5).forEach((product, index) => {
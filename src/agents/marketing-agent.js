@@ -5,7 +5,7 @@
  */
 
 import KlaviyoClient from '../integrations/klaviyo/client.js';
-import { subDays, startOfDay, endOfDay } from 'date-fns';
+import { dayRange, weekRange, formatReportDate, lastCompleteWeek } from '../utils/reporting-calendar.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -23,18 +23,16 @@ class MarketingAgent {
 
   /**
    * Generate weekly marketing report
-   * @param {Date} endDate - End date of reporting period
+   * @param {Date} endDate - Any date in the reporting week (Monday to Sunday)
    * @returns {Promise<Object>} Marketing report
    */
-  async generateWeeklyReport(endDate = new Date()) {
+  async generateWeeklyReport(endDate = lastCompleteWeek().end) {
     await this.loadThresholds();
 
-    const startDate = startOfDay(subDays(endDate, 6)); // Last 7 days
-    const end = endOfDay(endDate);
+    const { start: startDate, end } = weekRange(endDate);
 
     // Get previous week for comparison
-    const prevStartDate = startOfDay(subDays(startDate, 7));
-    const prevEndDate = endOfDay(subDays(endDate, 7));
+    const { start: prevStartDate, end: prevEndDate } = weekRange(endDate, -1);
 
     const [currentSummary, previousSummary] = await Promise.all([
       this.klaviyo.getPerformanceSummary(startDate, end),
@@ -57,7 +55,7 @@ class MarketingAgent {
 
     // Build report
     const report = {
-      date: endDate.toISOString().split('T')[0],
+      date: formatReportDate(end),
       period: 'weekly',
       campaigns: {
         total_campaigns: currentSummary.total_campaigns,
@@ -95,13 +93,12 @@ class MarketingAgent {
   async generateDailySnapshot(date = new Date()) {
     await this.loadThresholds();
 
-    const startDate = startOfDay(subDays(date, 1)); // Yesterday
-    const endDate = endOfDay(subDays(date, 1));
+    const { start: startDate, end: endDate } = dayRange(date, -1); // Yesterday
 
     const summary = await this.klaviyo.getPerformanceSummary(startDate, endDate);
 
     return {
-      date: date.toISOString().split('T')[0],
+      date: formatReportDate(date),
       period: 'daily',
       campaigns_sent: summary.total_campaigns,
       average_open_rate: summary.average_open_rate,
@@ -6,14 +6,65 @@
 
 import OrderwiseClient from '../integrations/orderwise/client.js';
 import ApteanClient from '../integrations/aptean/client.js';
-import { subDays, startOfDay, endOfDay } from 'date-fns';
+import ShopifyClient from '../integrations/shopify/client.js';
+import { calculateSalesVelocity, findStockOutRisks } from '../utils/stock-cover.js';
+import { trackOpenPurchaseOrders, findLateCriticalSupplies, buildSupplierScorecard } from '../utils/supplier-performance.js';
+import { planReorders, groupDraftPurchaseOrders, draftPurchaseOrderPaths, draftPurchaseOrdersToCsv } from '../utils/reorder-planner.js';
+import { reconcileInventory } from '../utils/inventory-reconciliation.js';
+import { carcassBalance, pricesPerKgBySku } from '../utils/carcass-balance.js';
+import { analyzeYieldSpc, renderControlChartSvg, controlChartPath } from '../utils/yield-spc.js';
+import { WASTE_REASONS, wasteCost } from '../utils/waste-cost.js';
+import { targetsFor } from '../utils/yield-targets.js';
+import { matchBatches, lotNumbersFor, shopifyOrderName, buildRecallReport, buildOrderTrace } from '../utils/traceability.js';
+import { analyzeDispatches, checkCutoffCapacity } from '../utils/dispatch-sla.js';
+import { EXPIRY_WINDOWS, summarizeExpiringStock, findSellThroughRisks, suggestPromotions } from '../utils/stock-expiry.js';
+import { REPORTING_TIMEZONE, dayRange, weekRange, startOfReportDay, formatReportDate } from '../utils/reporting-calendar.js';
 import fs from 'fs/promises';
 import path from 'path';
 
+const CATEGORY_LABELS = {
+  chilled: 'Chilled',
+  frozen: 'Frozen',
+  dry_goods: 'Dry goods',
+  packaging: 'Packaging',
+  other: 'Other',
+};
+
+const categoryLabel = key => CATEGORY_LABELS[key] || key;
+
+/**
+ * Short description of a stock value driver, e.g. "Chilled £12,400 under target"
+ * Segments with only a critical limit have no target to measure a shortfall from
+ * @param {Object} driver - From findStockValueDrivers
+ * @returns {string}
+ */
+function formatDriver(driver) {
+  const where = driver.dimension === 'location' ? `${driver.label} site` : driver.label;
+  if (driver.shortfall === null) return `${where} below its critical limit`;
+  return `${where} £${Math.round(driver.shortfall).toLocaleString('en-GB')} under target`;
+}
+
+/**
+ * Waste reasons in report order: the standard ones, any other codes, then "unspecified"
+ * @param {Object} byReason - Reason → { weight, cost }
+ * @returns {Array<string>}
+ */
+function orderedReasons(byReason) {
+  const reasons = Object.keys(byReason);
+  return [
+    ...WASTE_REASONS.filter(reason => reasons.includes(reason)),
+    ...reasons.filter(reason => !WASTE_REASONS.includes(reason) && reason !== 'unspecified').sort(),
+    ...reasons.filter(reason => reason === 'unspecified'),
+  ];
+}
+
+const reasonLabel = reason => reason.charAt(0).toUpperCase() + reason.slice(1).replace(/_/g, ' ');
+
 class OperationsAgent {
   constructor() {
     this.orderwise = new OrderwiseClient();
     this.aptean = new ApteanClient();
+    this.shopify = new ShopifyClient();
     this.thresholds = null;
   }
 
@@ -31,56 +82,136 @@ class OperationsAgent {
   async generateDailyReport(date = new Date()) {
     await this.loadThresholds();
 
-    const startDate = startOfDay(date);
-    const endDate = endOfDay(date);
+    const { start: startDate, end: endDate } = dayRange(date);
+
+    const velocityWindow = this.thresholds.sales_velocity_window_days;
+    const spcSettings = this.thresholds.yield_spc;
+    const yieldStart = startOfReportDay(date, -6); // Last 7 days for yield
+
+    // Sources that only feed one section: if one fails, the rest of the report still goes out.
+    // The error is logged and kept in unavailable[key], and the section is built from the fallback
+    const unavailable = {};
+    const optional = (key, label, request, fallback = []) => request.catch(error => {
+      console.warn(`⚠️  ${label} unavailable:`, error.message);
+      unavailable[key] = error.message;
+      return fallback;
+    });
 
     // Fetch data from all sources
-    const [stockSummary, yieldSummary, dispatchMetrics, openPOs] = await Promise.all([
-      this.orderwise.getStockSummary(),
-      this.aptean.getYieldSummary(subDays(date, 6), date), // Last 7 days for yield
-      this.orderwise.getDispatchMetrics(date),
+    const [
+      stockLevels,
+      stockLots,
+      yieldHistory,
+      batchOutputs,
+      shopifyProducts,
+      dispatchDays,
+      openPOs,
+      supplierProducts,
+      recentOrders,
+    ] = await Promise.all([
+      this.orderwise.getStockLevels(),
+      optional('stock_lots', 'Orderwise stock lots', this.orderwise.getStockLots()),
+      this.aptean.getYieldData(startOfReportDay(date, -(spcSettings.history_days - 1)), endDate), // Control chart baseline
+      optional('batch_outputs', 'Aptean batch outputs', this.aptean.getBatchOutputs(yieldStart, endDate)),
+      this.shopify.getInventoryLevels(),
+      optional('dispatches', 'Orderwise dispatches', Promise.all([
+        this.orderwise.getDispatches(date),
+        this.orderwise.getDispatches(startOfReportDay(date, -1)),
+        this.orderwise.getDispatches(startOfReportDay(date, -7)),
+      ]), null),
       this.orderwise.getOpenPurchaseOrders(),
+      optional('supplier_products', 'Orderwise supplier products', this.orderwise.getSupplierProducts(), null),
+      this.shopify.getOrders(startOfReportDay(date, -velocityWindow), startDate),
     ]);
 
+    const stockSummary = await this.orderwise.getStockSummary(stockLevels);
+    const yields = yieldHistory.filter(record => new Date(record.production_date) >= yieldStart);
+    const yieldSummary = this.aptean.summarizeYields(yields, this.thresholds.yield_targets);
+    const velocity = calculateSalesVelocity(recentOrders, velocityWindow);
+    const coverAlerts = findStockOutRisks(stockLevels, velocity, openPOs, date, this.thresholds);
+    const expiryRisks = findSellThroughRisks(stockLots, velocity, date);
+    const trackedPOs = trackOpenPurchaseOrders(openPOs, date);
+    // Without supplier terms there are no draft POs, only the days-of-cover list
+    const reorderLines = supplierProducts ? planReorders(stockLevels, velocity, supplierProducts, this.thresholds.reorder_planning) : [];
+
     // Build report
     const report = {
-      date: date.toISOString().split('T')[0],
+      date: formatReportDate(date),
       stock: {
         total_value: stockSummary.total_stock_value,
         total_items: stockSummary.total_items,
         items_below_reorder: stockSummary.items_below_reorder,
-        reorder_alerts: stockSummary.alerts.slice(0, 10), // Top 10 alerts
+        by_category: this.assessStockSegments(stockSummary.stock_by_category, this.thresholds.stock_categories),
+        by_location: this.assessStockSegments(stockSummary.stock_by_location, this.thresholds.stock_locations),
+        velocity_window_days: velocityWindow,
+        cover_alerts: coverAlerts,
+      },
+      expiry: {
+        ...summarizeExpiringStock(stockLots, date),
+        sell_through_risks: expiryRisks,
+        promote: suggestPromotions(expiryRisks),
+        lots_error: unavailable.stock_lots ?? null,
       },
       production: {
         total_batches: yieldSummary.total_batches,
         average_yield_percentage: yieldSummary.average_yield_percentage,
         waste_percentage: yieldSummary.waste_percentage,
+        yield_target_percentage: yieldSummary.yield_target_percentage,
+        waste_target_percentage: yieldSummary.waste_target_percentage,
         yield_by_product: Object.entries(yieldSummary.by_product_type).reduce((acc, [type, data]) => {
           acc[type] = {
             batches: data.batches,
             yield_percentage: data.yield_pct,
+            yield_target: data.yield_target,
+            yield_variance: data.yield_variance,
+            waste_percentage: data.waste_pct,
+            waste_target: data.waste_target,
+            waste_variance: data.waste_variance,
+            yield_status: data.yield_status,
+            waste_status: data.waste_status,
           };
           return acc;
         }, {}),
+        batches_off_target: yieldSummary.alerts.length,
         yield_alerts: yieldSummary.alerts.slice(0, 5), // Top 5 yield alerts
+        spc: this.buildYieldSpc(yieldHistory, date),
       },
-      warehouse: {
-        total_dispatches: dispatchMetrics.total_dispatches,
-        completed: dispatchMetrics.completed,
-        pending: dispatchMetrics.pending,
-        completion_rate: dispatchMetrics.total_dispatches > 0
-          ? (dispatchMetrics.completed / dispatchMetrics.total_dispatches) * 100
-          : 0,
+      waste_cost: wasteCost(yields, stockLevels, this.thresholds.waste_costs, batchOutputs),
+      carcass_balance: {
+        ...carcassBalance(yields, batchOutputs, pricesPerKgBySku(shopifyProducts), this.thresholds.carcass_balance),
+        outputs_error: unavailable.batch_outputs ?? null,
       },
-      purchase_orders: openPOs.slice(0, 10).map(po => ({
+      warehouse: dispatchDays ? this.analyzeDispatchTrend(dispatchDays, date) : { dispatches_error: unavailable.dispatches },
+      purchase_orders: trackedPOs.map(po => ({
         po_number: po.po_number,
         supplier: po.supplier,
         value: po.total_value,
         expected_date: po.expected_date,
+        status: po.status,
+        days_overdue: po.days_overdue,
       })),
+      purchase_order_status: {
+        open: trackedPOs.length,
+        overdue: trackedPOs.filter(po => po.status === 'overdue').length,
+        overdue_value: trackedPOs
+          .filter(po => po.status === 'overdue')
+          .reduce((sum, po) => sum + (po.total_value || 0), 0),
+        due_this_week: trackedPOs.filter(po => po.status === 'due_this_week').length,
+        invalid_date: trackedPOs.filter(po => po.status === 'invalid_date').length,
+        late_critical_supplies: findLateCriticalSupplies(trackedPOs, coverAlerts),
+      },
+      reorder_plan: {
+        lines: reorderLines.length,
+        total_value: reorderLines.reduce((sum, line) => sum + line.line_value, 0),
+        draft_purchase_orders: groupDraftPurchaseOrders(reorderLines),
+        files: null, // Set by saveDraftPurchaseOrders once the drafts are written
+        supplier_products_error: unavailable.supplier_products ?? null,
+      },
       alerts: [],
     };
 
+    report.stock.value_drivers = this.findStockValueDrivers(report.stock);
+
     // Generate alerts
     this.generateAlerts(report);
 
@@ -88,26 +219,505 @@ class OperationsAgent {
   }
 
   /**
-   * Generate alerts based on thresholds
+   * Save the report's draft purchase orders as JSON and CSV for a buyer to review
+   * Drafts are only written to outputs/ - nothing is posted to Orderwise
+   * Sets reorder_plan.files to the paths written, relative to the working directory
    * @param {Object} report - Operations report
+   * @returns {Promise<Object>} Paths written ({ json, csv }), or null if nothing to order
    */
-  generateAlerts(report) {
-    // Stock value alerts
+  async saveDraftPurchaseOrders(report) {
+    const plan = report.reorder_plan;
+    if (plan.draft_purchase_orders.length === 0) return null;
+
+    const files = draftPurchaseOrderPaths(report.date);
+    const jsonPath = path.join(process.cwd(), files.json);
+    const csvPath = path.join(process.cwd(), files.csv);
+    await fs.mkdir(path.dirname(jsonPath), { recursive: true });
+
+    await fs.writeFile(jsonPath, JSON.stringify({
+      date: report.date,
+      status: 'draft',
+      total_value: plan.total_value,
+      purchase_orders: plan.draft_purchase_orders,
+    }, null, 2));
+    await fs.writeFile(csvPath, draftPurchaseOrdersToCsv(plan.draft_purchase_orders));
+    plan.files = files;
+
+    return { json: jsonPath, csv: csvPath };
+  }
+
+  /**
+   * Recall simulation: trace a batch or lot forward to the customers who received it
+   * @param {string} reference - Aptean batch_id or lot number
+   * @param {Date} [asOf] - Batches produced in the traceability.lookback_days before this are searched
+   * @returns {Promise<Object>} Recall report
+   */
+  async traceBatch(reference, asOf = new Date()) {
+    await this.loadThresholds();
+
+    const lookbackDays = this.thresholds.traceability.lookback_days;
+    const batches = matchBatches(await this.aptean.getProductionBatches(startOfReportDay(asOf, -lookbackDays), asOf), reference);
+    // A lot Aptean doesn't know (e.g. bought-in stock) can still be traced through Orderwise
+    const lotNumbers = batches.length > 0 ? lotNumbersFor(batches) : [reference];
+
+    const [stockLots, dispatchLines] = await Promise.all([
+      this.orderwise.getStockLots(),
+      this.orderwise.getDispatchLines({ lotNumbers }),
+    ]);
+    const orders = await this.shopify.getOrdersByName(dispatchLines.map(line => shopifyOrderName(line.channel_order_ref || line.order_number)));
+
+    const report = {
+      generated_at: asOf.toISOString(),
+      lookback_days: lookbackDays,
+      ...buildRecallReport({ reference, batches, lotNumbers, stockLots, dispatchLines, orders }),
+      alerts: [],
+    };
+
+    if (batches.length === 0) {
+      report.alerts.push({
+        type: 'trace_batch_not_found',
+        message: `${reference} is not an Aptean batch or lot from the last ${lookbackDays} days - traced as an Orderwise lot only`,
+        severity: 'warning',
+      });
+    }
+
+    if (report.orders_not_found_in_shopify.length > 0) {
+      report.alerts.push({
+        type: 'trace_order_not_found',
+        message: `${report.orders_not_found_in_shopify.length} dispatched orders have no matching Shopify order, so no customer details: ${report.orders_not_found_in_shopify.slice(0, 5).join(', ')}`,
+        severity: 'warning',
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * Trace an order back to the production batches its items came from
+   * @param {string} reference - Orderwise order number or Shopify order name
+   * @param {Date} [asOf] - Batches produced in the traceability.lookback_days before this are searched
+   * @returns {Promise<Object>} Order trace
+   */
+  async traceOrder(reference, asOf = new Date()) {
+    await this.loadThresholds();
+
+    const lookbackDays = this.thresholds.traceability.lookback_days;
+    const [dispatchLines, batches] = await Promise.all([
+      this.orderwise.getDispatchLines({ orderReference: reference }),
+      this.aptean.getProductionBatches(startOfReportDay(asOf, -lookbackDays), asOf),
+    ]);
+    const [order = null] = await this.shopify.getOrdersByName([shopifyOrderName(dispatchLines[0]?.channel_order_ref || reference)]);
+
+    const trace = {
+      generated_at: asOf.toISOString(),
+      lookback_days: lookbackDays,
+      ...buildOrderTrace({ reference, dispatchLines, batches, order }),
+      alerts: [],
+    };
+
+    if (dispatchLines.length === 0) {
+      trace.alerts.push({
+        type: 'trace_order_not_dispatched',
+        message: `No dispatched lines found in Orderwise for order ${reference}`,
+        severity: 'warning',
+      });
+    } else if (trace.lots_without_batch.length > 0) {
+      trace.alerts.push({
+        type: 'trace_batch_not_found',
+        message: `Lots with no Aptean batch in the last ${lookbackDays} days: ${trace.lots_without_batch.join(', ')}`,
+        severity: 'warning',
+      });
+    }
+
+    return trace;
+  }
+
+  /**
+   * Waste cost report: Aptean waste priced at raw material cost, by reason,
+   * product type and week, over thresholds.operations.waste_costs.report_weeks
+   * @param {Date} date - Last day of the report (its week may be part-way through)
+   * @returns {Promise<Object>} Waste cost report
+   */
+  async generateWasteReport(date = new Date()) {
+    await this.loadThresholds();
+
+    const settings = this.thresholds.waste_costs;
+    const { start } = weekRange(date, -(settings.report_weeks - 1));
+    const { end } = dayRange(date);
+
+    const [yields, stockLevels, batchOutputs] = await Promise.all([
+      this.aptean.getYieldData(start, end),
+      this.orderwise.getStockLevels(),
+      // Without output lines, waste is grouped by the yield records' own reasons
+      this.aptean.getBatchOutputs(start, end).catch(error => {
+        console.warn('⚠️  Aptean batch outputs unavailable, using yield record waste reasons:', error.message);
+        return [];
+      }),
+    ]);
+
+    const report = {
+      date: formatReportDate(date),
+      period: { start: formatReportDate(start), end: formatReportDate(date) },
+      weeks: settings.report_weeks,
+      ...wasteCost(yields, stockLevels, settings, batchOutputs),
+      alerts: [],
+    };
+
+    const weekStart = formatReportDate(weekRange(date).start);
+    const thisWeek = report.by_week.find(week => week.week_start === weekStart);
+    if (thisWeek) {
+      report.alerts.push(...this.wasteCostAlerts(thisWeek.by_product_type, `in the week of ${weekStart}`));
+    }
+
+    return report;
+  }
+
+  /**
+   * Alerts for product types whose waste cost is over their £ per week limits
+   * (waste_cost_warning_per_week / waste_cost_critical_per_week in yield_targets)
+   * @param {Object} byProductType - Product type → { cost, by_reason? }
+   * @param {string} period - e.g. "over the last 7 days"
+   * @returns {Array} Alerts
+   */
+  wasteCostAlerts(byProductType, period) {
+    const money = value => `£${Math.round(value).toLocaleString('en-GB')}`;
+
+    return Object.entries(byProductType).flatMap(([type, data]) => {
+      const limits = targetsFor(type, this.thresholds.yield_targets);
+      const severity = data.cost > limits.waste_cost_critical_per_week ? 'critical'
+        : data.cost > limits.waste_cost_warning_per_week ? 'warning' : null;
+      if (!severity) return [];
+
+      const [reason, biggest] = Object.entries(data.by_reason || {}).sort(([, a], [, b]) => b.cost - a.cost)[0] || [];
+      const mostly = reason && reason !== 'unspecified' ? `, biggest reason ${reason.replace(/_/g, ' ')} ${money(biggest.cost)}` : '';
+      const limit = severity === 'critical' ? limits.waste_cost_critical_per_week : limits.waste_cost_warning_per_week;
+
+      return [{
+        type: 'waste_cost_high',
+        message: `${type} waste cost ${money(data.cost)} ${period} (${data.weight.toFixed(0)}kg, limit ${money(limit)} a week${mostly})`,
+        severity,
+      }];
+    });
+  }
+
+  /**
+   * Control charts of batch yield per product type, over thresholds.operations.yield_spc.history_days
+   * Signals are only kept for batches in the report's 7-day yield window
+   * @param {Array} yieldHistory - Yield records for the whole history
+   * @param {Date} date - Report date
+   * @returns {Object} { history_days, signals, by_product_type } with chart paths
+   */
+  buildYieldSpc(yieldHistory, date) {
+    const settings = this.thresholds.yield_spc;
+    const reportDate = formatReportDate(date);
+    const byProductType = analyzeYieldSpc(yieldHistory, formatReportDate(startOfReportDay(date, -6)), settings);
+
+    Object.entries(byProductType).forEach(([type, data]) => {
+      data.chart = controlChartPath(reportDate, type);
+    });
+
+    return {
+      history_days: settings.history_days,
+      signals: Object.values(byProductType).reduce((sum, data) => sum + data.signals.length, 0),
+      by_product_type: byProductType,
+    };
+  }
+
+  /**
+   * Save a yield control chart per product type as an SVG image
+   * @param {Object} report - Operations report
+   * @returns {Promise<Array<string>>} Paths written
+   */
+  async saveControlCharts(report) {
+    const written = [];
+
+    for (const [type, data] of Object.entries(report.production.spc.by_product_type)) {
+      const chartPath = path.join(process.cwd(), data.chart);
+      await fs.mkdir(path.dirname(chartPath), { recursive: true });
+      await fs.writeFile(chartPath, renderControlChartSvg(`${type} yield % - ${data.batches} batches to ${report.date}`, data.points));
+      written.push(chartPath);
+    }
+
+    return written;
+  }
+
+  /**
+   * Intraday check of pending dispatches against picking capacity left before each courier cut-off
+   * @param {Date} now
+   * @returns {Promise<Object>} Dispatch cut-off check
+   */
+  async generateDispatchCheck(now = new Date()) {
+    await this.loadThresholds();
+
+    const dispatches = await this.orderwise.getDispatches(now);
+    const cutoffs = checkCutoffCapacity(dispatches, now, {
+      cutoffs: this.thresholds.courier_cutoffs,
+      pickingCapacityPerHour: this.thresholds.picking_capacity_per_hour,
+    });
+
+    const check = {
+      date: formatReportDate(now),
+      as_of: now.toISOString(),
+      period: 'intraday',
+      picking_capacity_per_hour: this.thresholds.picking_capacity_per_hour,
+      outstanding: dispatches.filter(dispatch => dispatch.status !== 'completed').length,
+      cutoffs,
+      alerts: [],
+    };
+
+    cutoffs
+      .filter(cutoff => cutoff.shortfall > 0)
+      .forEach(cutoff => {
+        check.alerts.push({
+          type: 'cutoff_at_risk',
+          message: `${cutoff.pending_including_earlier} orders to pick by the ${cutoff.cutoff} cut-off (${cutoff.couriers.join(', ')}) but only capacity for ${cutoff.capacity_remaining} - ${cutoff.shortfall} will miss collection`,
+          severity: cutoff.minutes_remaining <= 60 ? 'critical' : 'warning',
+        });
+      });
+
+    return check;
+  }
+
+  /**
+   * Dispatch SLA metrics for one day using the configured courier cut-offs
+   * @param {Array} dispatches - From OrderwiseClient.getDispatches
+   * @param {Date} date
+   * @returns {Object}
+   */
+  analyzeDispatchDay(dispatches, date) {
+    return analyzeDispatches(dispatches, date, { cutoffs: this.thresholds.courier_cutoffs });
+  }
+
+  /**
+   * Headline dispatch figures kept for trend comparison
+   * @param {Object} metrics - From analyzeDispatchDay
+   * @returns {Object}
+   */
+  dispatchTrend(metrics) {
+    return {
+      total_dispatches: metrics.total_dispatches,
+      completion_rate: metrics.completion_rate,
+      missed_cutoff_percentage: metrics.missed_cutoff_percentage,
+      average_lead_time_hours: metrics.average_lead_time_hours,
+    };
+  }
+
+  /**
+   * Dispatch SLA for the report day, with the previous day and the same day last week for comparison
+   * @param {Array} dispatchDays - Dispatches for the report day, the day before and a week before
+   * @param {Date} date - Report day
+   * @returns {Object} Warehouse section of the daily report
+   */
+  analyzeDispatchTrend([dispatches, previousDayDispatches, lastWeekDispatches], date) {
+    return {
+      ...this.analyzeDispatchDay(dispatches, date),
+      trend: {
+        previous_day: this.dispatchTrend(this.analyzeDispatchDay(previousDayDispatches, startOfReportDay(date, -1))),
+        same_day_last_week: this.dispatchTrend(this.analyzeDispatchDay(lastWeekDispatches, startOfReportDay(date, -7))),
+      },
+    };
+  }
+
+  /**
+   * Generate weekly supplier scorecard from received purchase orders
+   * @param {Date} endDate - Any date in the reporting week (Monday to Sunday)
+   * @returns {Promise<Object>} Supplier scorecard
+   */
+  async generateSupplierScorecard(endDate) {
+    await this.loadThresholds();
+
+    const weeks = this.thresholds.supplier_scorecard_weeks;
+    const { start: weekStart, end } = weekRange(endDate);
+    const historyStart = weekRange(endDate, 1 - weeks).start;
+
+    const history = await this.orderwise.getPurchaseOrderHistory(historyStart, end);
+    const thisWeek = history.filter(po => po.received_date && new Date(po.received_date) >= weekStart);
+
+    return {
+      date: formatReportDate(end),
+      period: 'weekly',
+      history_weeks: weeks,
+      on_time_warning_percentage: this.thresholds.supplier_on_time_warning_percentage,
+      this_week: buildSupplierScorecard(thisWeek),
+      suppliers: buildSupplierScorecard(history),
+    };
+  }
+
+  /**
+   * Reconcile Shopify website stock against Orderwise warehouse stock
+   * @param {Date} date - When the stock snapshot is taken
+   * @returns {Promise<Object>} Inventory reconciliation with alerts
+   */
+  async generateInventoryReconciliation(date = new Date()) {
+    await this.loadThresholds();
+
+    const settings = this.thresholds.inventory_reconciliation;
+    const velocityWindow = this.thresholds.sales_velocity_window_days;
+
+    const [shopifyProducts, stockLevels, recentOrders] = await Promise.all([
+      this.shopify.getInventoryLevels(),
+      this.orderwise.getStockLevels(),
+      this.shopify.getOrders(startOfReportDay(date, -velocityWindow), startOfReportDay(date)),
+    ]);
+
+    const reconciliation = {
+      date: formatReportDate(date),
+      as_of: date.toISOString(),
+      tolerance: {
+        units: settings.tolerance_units,
+        percentage: settings.tolerance_percentage,
+      },
+      oversell_risk_days: settings.oversell_risk_days,
+      ...reconcileInventory(shopifyProducts, stockLevels, calculateSalesVelocity(recentOrders, velocityWindow), settings),
+      alerts: [],
+    };
+
+    const large = reconciliation.mismatches.filter(mismatch => mismatch.large);
+    if (large.length > 0) {
+      reconciliation.alerts.push({
+        type: 'inventory_mismatch',
+        message: `${large.length} SKUs differ by ${settings.large_mismatch_units}+ units between Shopify and Orderwise: ${large.slice(0, 3).map(mismatch => `${mismatch.product} (website ${mismatch.shopify_quantity}, warehouse ${mismatch.orderwise_quantity})`).join(', ')}`,
+        severity: 'warning',
+      });
+    }
+
+    if (reconciliation.oversell_risks.length > 0) {
+      reconciliation.alerts.push({
+        type: 'oversell_risk',
+        message: `${reconciliation.oversell_risks.length} SKUs show in stock on the website but none in the warehouse (~£${Math.round(reconciliation.revenue_at_risk).toLocaleString('en-GB')} of orders at risk over ${settings.oversell_risk_days} days): ${reconciliation.oversell_risks.slice(0, 3).map(risk => risk.product).join(', ')}`,
+        severity: reconciliation.revenue_at_risk >= settings.revenue_at_risk_critical ? 'critical' : 'warning',
+      });
+    }
+
+    return reconciliation;
+  }
+
+  /**
+   * Check each location or category against its own thresholds
+   * Segments without a threshold entry use "default" if configured
+   * @param {Object} segments - Key → { stock_value, items, items_below_reorder }
+   * @param {Object} [thresholds] - Key → { stock_value_warning, stock_value_critical, below_reorder_warning }
+   * @returns {Object} Key → segment totals plus targets and status
+   */
+  assessStockSegments(segments, thresholds = {}) {
+    return Object.entries(segments)
+      .sort(([, a], [, b]) => b.stock_value - a.stock_value)
+      .reduce((acc, [key, segment]) => {
+        const limits = thresholds[key] || thresholds.default || {};
+        let status = 'ok';
+        if (segment.stock_value < limits.stock_value_critical) {
+          status = 'critical';
+        } else if (segment.stock_value < limits.stock_value_warning) {
+          status = 'warning';
+        }
+
+        acc[key] = {
+          ...segment,
+          stock_value_target: limits.stock_value_warning ?? null,
+          below_reorder_warning: limits.below_reorder_warning ?? null,
+          status,
+        };
+        return acc;
+      }, {});
+  }
+
+  /**
+   * Locations and categories below their stock value target, biggest shortfall first
+   * @param {Object} stock - Report stock section with by_category and by_location
+   * @returns {Array} Drivers of a low total stock value
+   */
+  findStockValueDrivers(stock) {
+    return [
+      ...Object.entries(stock.by_category).map(([key, segment]) => ({ dimension: 'category', key, label: categoryLabel(key), ...segment })),
+      ...Object.entries(stock.by_location).map(([key, segment]) => ({ dimension: 'location', key, label: key, ...segment })),
+    ]
+      .filter(segment => segment.status !== 'ok')
+      .map(segment => ({
+        dimension: segment.dimension,
+        key: segment.key,
+        label: segment.label,
+        stock_value: segment.stock_value,
+        target: segment.stock_value_target,
+        shortfall: segment.stock_value_target === null ? null : segment.stock_value_target - segment.stock_value,
+        severity: segment.status,
+      }))
+      .sort((a, b) => (b.shortfall ?? 0) - (a.shortfall ?? 0));
+  }
+
+  /**
+   * Stock value alerts, naming the locations/categories furthest below their own targets
+   * @param {Object} report - Operations report
+   */
+  generateStockValueAlerts(report) {
+    const drivers = report.stock.value_drivers;
+    const driverText = drivers.length > 0
+      ? ` - driven by ${drivers.slice(0, 2).map(formatDriver).join(', ')}`
+      : '';
+
     if (report.stock.total_value < this.thresholds.stock_value_critical) {
       report.alerts.push({
         type: 'stock_value_low',
-        message: `Stock value critically low at £${report.stock.total_value.toLocaleString()}`,
+        message: `Stock value critically low at £${report.stock.total_value.toLocaleString()}${driverText}`,
         severity: 'critical',
+        drivers: drivers.slice(0, 2),
       });
     } else if (report.stock.total_value < this.thresholds.stock_value_warning) {
       report.alerts.push({
         type: 'stock_value_low',
-        message: `Stock value below target at £${report.stock.total_value.toLocaleString()}`,
+        message: `Stock value below target at £${report.stock.total_value.toLocaleString()}${driverText}`,
+        severity: 'warning',
+        drivers: drivers.slice(0, 2),
+      });
+    }
+
+    // A single site or category can be critically low even when the total looks fine
+    drivers
+      .filter(driver => driver.severity === 'critical')
+      .forEach(driver => {
+        const targetText = driver.target !== null ? ` (target £${driver.target.toLocaleString()})` : '';
+        report.alerts.push({
+          type: 'stock_value_low',
+          message: `${driver.label} stock critically low at £${driver.stock_value.toLocaleString()}${targetText}`,
+          severity: 'critical',
+        });
+      });
+  }
+
+  /**
+   * Generate alerts based on thresholds
+   * @param {Object} report - Operations report
+   */
+  generateAlerts(report) {
+    this.generateStockValueAlerts(report);
+
+    // Days-of-cover alerts
+    const criticalCover = report.stock.cover_alerts.filter(item => item.severity === 'critical');
+    if (criticalCover.length > 0) {
+      report.alerts.push({
+        type: 'stock_out_risk',
+        message: `${criticalCover.length} SKUs have under ${this.thresholds.days_of_cover_critical} days of cover: ${criticalCover.slice(0, 3).map(item => item.product).join(', ')}`,
+        severity: 'critical',
+      });
+    }
+
+    const lateDeliveries = report.stock.cover_alerts.filter(item => item.next_po && !item.next_po.overdue && item.severity !== 'critical');
+    if (lateDeliveries.length > 0) {
+      report.alerts.push({
+        type: 'stock_out_risk',
+        message: `${lateDeliveries.length} SKUs will run out before their open PO arrives`,
         severity: 'warning',
       });
     }
 
     // Reorder alerts
+    if (report.reorder_plan.supplier_products_error) {
+      report.alerts.push({
+        type: 'data_unavailable',
+        message: `Orderwise supplier products could not be read (${report.reorder_plan.supplier_products_error}) - no draft purchase orders were suggested`,
+        severity: 'warning',
+      });
+    }
+
     if (report.stock.items_below_reorder > 0) {
       report.alerts.push({
         type: 'reorder_required',
@@ -116,46 +726,451 @@ class OperationsAgent {
       });
     }
 
-    // Yield alerts
-    if (report.production.average_yield_percentage < this.thresholds.yield_critical_percentage) {
+    [
+      ...Object.entries(report.stock.by_category).map(([key, segment]) => [categoryLabel(key), segment]),
+      ...Object.entries(report.stock.by_location),
+    ].forEach(([label, segment]) => {
+      if (segment.below_reorder_warning === null || segment.items_below_reorder < segment.below_reorder_warning) return;
       report.alerts.push({
-        type: 'yield_low',
-        message: `Average yield critically low at ${report.production.average_yield_percentage.toFixed(1)}%`,
+        type: 'reorder_required',
+        message: `${label}: ${segment.items_below_reorder} items below reorder level (limit ${segment.below_reorder_warning})`,
+        severity: 'warning',
+      });
+    });
+
+    // Purchase order alerts: a late supplier matters most when the SKU is already running short
+    report.purchase_order_status.late_critical_supplies.forEach(po => {
+      report.alerts.push({
+        type: 'critical_supply_late',
+        message: `${po.supplier} is ${po.days_overdue} days late with ${po.po_number}, carrying ${po.products.map(item => `${item.product} (${item.days_of_cover.toFixed(1)}d cover)`).join(', ')}`,
         severity: 'critical',
       });
-    } else if (report.production.average_yield_percentage < this.thresholds.yield_warning_percentage) {
+    });
+
+    if (report.purchase_order_status.overdue > 0) {
       report.alerts.push({
-        type: 'yield_low',
-        message: `Average yield below target at ${report.production.average_yield_percentage.toFixed(1)}%`,
+        type: 'po_overdue',
+        message: `${report.purchase_order_status.overdue} purchase orders overdue (£${report.purchase_order_status.overdue_value.toLocaleString()})`,
         severity: 'warning',
       });
     }
 
-    // Waste alerts
-    if (report.production.waste_percentage > this.thresholds.waste_critical_percentage) {
+    // Expiry alerts: chilled stock that won't sell before its use-by is critical
+    if (report.expiry.lots_error) {
       report.alerts.push({
-        type: 'waste_high',
-        message: `Waste percentage critically high at ${report.production.waste_percentage.toFixed(1)}%`,
+        type: 'data_unavailable',
+        message: `Orderwise stock lots could not be read (${report.expiry.lots_error}) - use-by and best-before dates were not checked`,
+        severity: 'warning',
+      });
+    }
+
+    const chilledRisks = report.expiry.sell_through_risks.filter(risk => risk.severity === 'critical');
+    const otherRisks = report.expiry.sell_through_risks.filter(risk => risk.severity !== 'critical');
+    const valueOf = risks => risks.reduce((sum, risk) => sum + risk.value_at_risk, 0);
+
+    if (chilledRisks.length > 0) {
+      report.alerts.push({
+        type: 'expiry_risk',
+        message: `${chilledRisks.length} chilled lots will pass their date before selling through (£${Math.round(valueOf(chilledRisks)).toLocaleString()} at risk): ${chilledRisks.slice(0, 3).map(risk => `${risk.product} (${risk.expiry_date})`).join(', ')}`,
         severity: 'critical',
       });
-    } else if (report.production.waste_percentage > this.thresholds.waste_warning_percentage) {
+    }
+
+    if (otherRisks.length > 0) {
+      report.alerts.push({
+        type: 'expiry_risk',
+        message: `${otherRisks.length} lots will pass their date before selling through (£${Math.round(valueOf(otherRisks)).toLocaleString()} at risk)`,
+        severity: 'warning',
+      });
+    }
+
+    if (report.expiry.expired.quantity > 0) {
       report.alerts.push({
-        type: 'waste_high',
-        message: `Waste percentage above target at ${report.production.waste_percentage.toFixed(1)}%`,
+        type: 'expired_stock',
+        message: `${report.expiry.expired.lots} lots past their date still in stock (£${Math.round(report.expiry.expired.value).toLocaleString()})`,
         severity: 'warning',
       });
     }
 
+    // Yield and waste alerts, each product type against its own targets
+    Object.entries(report.production.yield_by_product).forEach(([type, data]) => {
+      if (data.yield_status !== 'ok') {
+        report.alerts.push({
+          type: 'yield_low',
+          message: `${type} yield ${data.yield_status === 'critical' ? 'critically low' : 'below target'} at ${data.yield_percentage.toFixed(1)}% (target ${data.yield_target}%, ${data.yield_variance.toFixed(1)} pts over ${data.batches} batches)`,
+          severity: data.yield_status,
+        });
+      }
+
+      if (data.waste_status !== 'ok') {
+        report.alerts.push({
+          type: 'waste_high',
+          message: `${type} waste ${data.waste_status === 'critical' ? 'critically high' : 'above target'} at ${data.waste_percentage.toFixed(1)}% (target ${data.waste_target}%, +${data.waste_variance.toFixed(1)} pts)`,
+          severity: data.waste_status,
+        });
+      }
+    });
+
+    // Individual batches off target, even when their product type is on target overall
+    const offTargetBatches = report.production.yield_alerts;
+    if (offTargetBatches.length > 0) {
+      const critical = offTargetBatches.some(batch => batch.severity === 'critical');
+      report.alerts.push({
+        type: 'batch_off_target',
+        message: `${report.production.batches_off_target} batches missed their yield or waste target: ${offTargetBatches.slice(0, 3).map(batch => `${batch.batch_id} ${batch.product_type} ${batch.yield_percentage.toFixed(1)}% yield / ${batch.waste_percentage.toFixed(1)}% waste`).join(', ')}`,
+        severity: critical ? 'critical' : 'warning',
+      });
+    }
+
+    // Waste cost: the report covers 7 days, so it's judged against the £ per week limits
+    report.alerts.push(...this.wasteCostAlerts(report.waste_cost.by_product_type, 'over the last 7 days'));
+
+    // Control chart signals: the latest batch breaking each rule, per product type
+    Object.entries(report.production.spc.by_product_type).forEach(([type, data]) => {
+      const latestByRule = new Map();
+      data.signals.forEach(signal => latestByRule.set(signal.rule, signal));
+
+      latestByRule.forEach(signal => {
+        const batches = signal.batches.length > 1
+          ? `${signal.batches[0]} to ${signal.batch_id}`
+          : `${signal.batch_id} ${signal.value.toFixed(1)}%`;
+        report.alerts.push({
+          type: 'yield_spc',
+          rule: signal.rule,
+          message: `${type} yield ${signal.direction} its centre line of ${signal.centre.toFixed(1)}% (${batches}, ${signal.date}): ${signal.explanation}`,
+          severity: signal.rule === 'beyond_3_sigma' && signal.direction === 'below' ? 'critical' : 'warning',
+        });
+      });
+    });
+
+    // Carcass balance: trim and waste beyond spec, and cuts produced below spec
+    if (report.carcass_balance.outputs_error) {
+      report.alerts.push({
+        type: 'data_unavailable',
+        message: `Aptean batch outputs could not be read (${report.carcass_balance.outputs_error}) - carcass balance has no output lines`,
+        severity: 'warning',
+      });
+    }
+
+    const carcassSettings = this.thresholds.carcass_balance;
+    Object.entries(report.carcass_balance.by_species).forEach(([species, data]) => {
+      if (data.excess_loss_value !== null && data.excess_loss_value >= carcassSettings.excess_loss_warning_value) {
+        report.alerts.push({
+          type: 'carcass_value_lost',
+          message: `${species}: trim and waste ${data.loss_percentage.toFixed(1)}% of input vs ${data.expected_loss_percentage.toFixed(1)}% expected, £${Math.round(data.excess_loss_value).toLocaleString('en-GB')} of cuts lost`,
+          severity: 'warning',
+        });
+      }
+
+      const underSpec = data.cuts.filter(cut => cut.mix_variance !== null && cut.mix_variance <= -carcassSettings.mix_variance_warning_points);
+      if (underSpec.length > 0) {
+        const describe = cut => `${cut.cut} ${cut.actual_percentage.toFixed(1)}% vs ${cut.expected_percentage}%${cut.value_variance !== null ? ` (-£${Math.round(-cut.value_variance).toLocaleString('en-GB')})` : ''}`;
+        report.alerts.push({
+          type: 'cut_mix_variance',
+          message: `${species} cut mix below spec: ${underSpec.map(describe).join(', ')}`,
+          severity: 'warning',
+        });
+      }
+    });
+
     // Dispatch completion alerts
-    if (report.warehouse.completion_rate < this.thresholds.dispatch_completion_warning) {
+    if (report.warehouse.dispatches_error) {
       report.alerts.push({
-        type: 'dispatch_delayed',
-        message: `Dispatch completion rate at ${report.warehouse.completion_rate.toFixed(1)}%`,
+        type: 'data_unavailable',
+        message: `Orderwise dispatches could not be read (${report.warehouse.dispatches_error}) - dispatch SLA was not checked`,
         severity: 'warning',
       });
+    } else {
+      if (report.warehouse.completion_rate < this.thresholds.dispatch_completion_warning) {
+        report.alerts.push({
+          type: 'dispatch_delayed',
+          message: `Dispatch completion rate at ${report.warehouse.completion_rate.toFixed(1)}%`,
+          severity: 'warning',
+        });
+      }
+
+      if (report.warehouse.missed_cutoff_percentage > this.thresholds.dispatch_missed_cutoff_warning_percentage) {
+        const worst = report.warehouse.by_courier.filter(group => group.missed_cutoff > 0).sort((a, b) => b.missed_cutoff - a.missed_cutoff)[0];
+        report.alerts.push({
+          type: 'dispatch_missed_cutoff',
+          message: `${report.warehouse.missed_cutoff} orders missed the courier cut-off (${report.warehouse.missed_cutoff_percentage.toFixed(1)}%), most on ${worst.courier} ${worst.service}`,
+          severity: 'warning',
+        });
+      }
+
+      if (report.warehouse.average_lead_time_hours > this.thresholds.dispatch_lead_time_warning_hours) {
+        report.alerts.push({
+          type: 'dispatch_slow',
+          message: `Average order-to-dispatch time ${report.warehouse.average_lead_time_hours.toFixed(1)}h (target ${this.thresholds.dispatch_lead_time_warning_hours}h)`,
+          severity: 'warning',
+        });
+      }
     }
   }
 
+  /**
+   * Format supplier scorecard as markdown
+   * @param {Object} scorecard - From generateSupplierScorecard
+   * @returns {string} Markdown formatted scorecard
+   */
+  formatSupplierScorecardAsMarkdown(scorecard) {
+    let markdown = `## Supplier Scorecard (last ${scorecard.history_weeks} weeks)\n`;
+
+    if (scorecard.suppliers.length === 0) {
+      return markdown + `No purchase orders received in this period.\n\n`;
+    }
+
+    const thisWeek = new Map(scorecard.this_week.map(supplier => [supplier.supplier, supplier]));
+
+    markdown += `| Supplier | POs | On Time | Avg Days Late | Received vs Ordered | This Week |\n`;
+    markdown += `|---|---|---|---|---|---|\n`;
+    scorecard.suppliers.forEach(supplier => {
+      const flag = supplier.on_time_rate < scorecard.on_time_warning_percentage ? ' ⚠️' : '';
+      const fillRate = supplier.fill_rate !== null ? `${supplier.fill_rate.toFixed(1)}%` : '-';
+      const week = thisWeek.get(supplier.supplier);
+      const weekText = week ? `${week.purchase_orders} POs, ${week.on_time_rate.toFixed(0)}% on time` : '-';
+      markdown += `| ${supplier.supplier}${flag} | ${supplier.purchase_orders} | ${supplier.on_time_rate.toFixed(0)}% | ${supplier.average_days_late.toFixed(1)} | ${fillRate} | ${weekText} |\n`;
+    });
+    markdown += `\n`;
+
+    return markdown;
+  }
+
+  /**
+   * Format inventory reconciliation as markdown
+   * @param {Object} reconciliation - From generateInventoryReconciliation
+   * @returns {string} Markdown formatted report
+   */
+  formatReconciliationAsMarkdown(reconciliation) {
+    let markdown = `# Inventory Reconciliation - ${reconciliation.date}\n\n`;
+
+    markdown += `## Summary\n`;
+    markdown += `- **SKUs matched**: ${reconciliation.matched} (Shopify ${reconciliation.shopify_skus}, Orderwise ${reconciliation.orderwise_skus})\n`;
+    markdown += `- **Mismatches**: ${reconciliation.mismatches.length} beyond ${reconciliation.tolerance.units} units / ${reconciliation.tolerance.percentage}% (${reconciliation.large_mismatches} large)\n`;
+    markdown += `- **In stock online, none in warehouse**: ${reconciliation.oversell_risks.length} SKUs, ~£${Math.round(reconciliation.revenue_at_risk).toLocaleString('en-GB')} at risk over ${reconciliation.oversell_risk_days} days\n`;
+    markdown += `- **Only on Shopify**: ${reconciliation.shopify_only.length} | **Only in Orderwise**: ${reconciliation.orderwise_only.length}`;
+    markdown += reconciliation.variants_without_sku > 0 ? ` | **Shopify variants without a SKU**: ${reconciliation.variants_without_sku}\n\n` : `\n\n`;
+
+    if (reconciliation.oversell_risks.length > 0) {
+      markdown += `## 🚨 Oversell Risk\n`;
+      markdown += `| SKU | Product | Website | Warehouse | Sales/Day | Revenue at Risk |\n`;
+      markdown += `|---|---|---|---|---|---|\n`;
+      reconciliation.oversell_risks.forEach(risk => {
+        markdown += `| ${risk.sku} | ${risk.product} | ${risk.shopify_quantity} | ${risk.orderwise_quantity} | ${risk.daily_velocity.toFixed(1)} | £${Math.round(risk.revenue_at_risk).toLocaleString('en-GB')} |\n`;
+      });
+      markdown += `\n`;
+    }
+
+    if (reconciliation.mismatches.length > 0) {
+      markdown += `## Quantity Mismatches\n`;
+      markdown += `| SKU | Product | Website | Warehouse | Difference |\n`;
+      markdown += `|---|---|---|---|---|\n`;
+      reconciliation.mismatches.forEach(mismatch => {
+        const sign = mismatch.difference > 0 ? '+' : '';
+        markdown += `| ${mismatch.sku} | ${mismatch.product}${mismatch.large ? ' ⚠️' : ''} | ${mismatch.shopify_quantity} | ${mismatch.orderwise_quantity} | ${sign}${mismatch.difference} |\n`;
+      });
+      markdown += `\n`;
+    }
+
+    [
+      ['Only on Shopify', reconciliation.shopify_only, item => `${item.shopify_quantity} on website`],
+      ['Only in Orderwise (in stock, not on the website)', reconciliation.orderwise_only, item => `${item.orderwise_quantity} in warehouse`],
+    ].forEach(([heading, items, describe]) => {
+      if (items.length === 0) return;
+      markdown += `## ${heading}\n`;
+      items.forEach(item => {
+        markdown += `- **${item.sku}** ${item.product}: ${describe(item)}\n`;
+      });
+      markdown += `\n`;
+    });
+
+    if (reconciliation.alerts.length > 0) {
+      markdown += `## ⚠️ Alerts\n`;
+      reconciliation.alerts.forEach(alert => {
+        const emoji = alert.severity === 'critical' ? '🚨' : '⚠️';
+        markdown += `${emoji} ${alert.message}\n`;
+      });
+    }
+
+    return markdown;
+  }
+
+  /**
+   * Format recall report as markdown
+   * @param {Object} report - From traceBatch
+   * @returns {string} Markdown formatted report
+   */
+  formatRecallReportAsMarkdown(report) {
+    const { totals } = report;
+    let markdown = `# Recall Report - ${report.reference}\n\n`;
+    markdown += `_Generated ${report.generated_at}_\n\n`;
+
+    markdown += `## Summary\n`;
+    markdown += `- **Batches**: ${report.batches.length > 0 ? report.batches.map(batch => `${batch.batch_id} (${batch.product_type}, ${batch.production_date})`).join(', ') : 'none found in Aptean'}\n`;
+    markdown += `- **Lots**: ${report.lot_numbers.join(', ')}\n`;
+    markdown += `- **Customers Affected**: ${totals.customers} (${totals.orders} orders, ${totals.dispatched_quantity} units)\n`;
+    if (totals.first_delivery) {
+      markdown += `- **Deliveries**: ${totals.first_delivery} to ${totals.last_delivery}\n`;
+    }
+    markdown += `- **Still in Stock**: ${totals.on_hand_quantity} units\n\n`;
+
+    if (report.affected_orders.length > 0) {
+      markdown += `## Affected Customers\n`;
+      markdown += `| Order | Customer | Email | Postcode | Delivered | Items | Qty |\n`;
+      markdown += `|---|---|---|---|---|---|---|\n`;
+      report.affected_orders.forEach(order => {
+        const items = order.items.map(item => `${item.product_name || item.product_code} (${item.lot_number})`).join(', ');
+        markdown += `| ${order.shopify_order || order.order_number} | ${order.customer || '-'} | ${order.email || '-'} | ${order.postcode || '-'} | ${order.delivery_date || '-'} | ${items} | ${order.quantity} |\n`;
+      });
+      markdown += `\n`;
+    }
+
+    if (report.stock_on_hand.length > 0) {
+      markdown += `## Stock on Hand (quarantine)\n`;
+      markdown += `| Lot | SKU | Product | Location | Qty | Expiry |\n`;
+      markdown += `|---|---|---|---|---|---|\n`;
+      report.stock_on_hand.forEach(lot => {
+        markdown += `| ${lot.lot_number} | ${lot.product_code} | ${lot.product_name} | ${lot.location} | ${lot.quantity} | ${lot.expiry_date || '-'} |\n`;
+      });
+      markdown += `\n`;
+    }
+
+    if (report.alerts.length > 0) {
+      markdown += `## ⚠️ Alerts\n`;
+      report.alerts.forEach(alert => {
+        markdown += `⚠️ ${alert.message}\n`;
+      });
+    }
+
+    return markdown;
+  }
+
+  /**
+   * Format order trace as markdown
+   * @param {Object} trace - From traceOrder
+   * @returns {string} Markdown formatted report
+   */
+  formatOrderTraceAsMarkdown(trace) {
+    let markdown = `# Order Trace - ${trace.shopify_order || trace.order_number}\n\n`;
+    markdown += `_Generated ${trace.generated_at}_\n\n`;
+
+    markdown += `## Summary\n`;
+    markdown += `- **Orderwise Order**: ${trace.order_number}\n`;
+    markdown += `- **Customer**: ${[trace.customer, trace.email].filter(Boolean).join(', ') || 'not found in Shopify'}\n`;
+    markdown += `- **Source Batches**: ${trace.source_batches.length > 0 ? trace.source_batches.join(', ') : 'none found'}\n\n`;
+
+    if (trace.items.length > 0) {
+      markdown += `## Items\n`;
+      markdown += `| SKU | Product | Qty | Lot | Batch | Product Type | Produced |\n`;
+      markdown += `|---|---|---|---|---|---|---|\n`;
+      trace.items.forEach(item => {
+        markdown += `| ${item.product_code} | ${item.product_name || '-'} | ${item.quantity} | ${item.lot_number} | ${item.batch_id || '-'} | ${item.product_type || '-'} | ${item.production_date || '-'} |\n`;
+      });
+      markdown += `\n`;
+    }
+
+    if (trace.alerts.length > 0) {
+      markdown += `## ⚠️ Alerts\n`;
+      trace.alerts.forEach(alert => {
+        markdown += `⚠️ ${alert.message}\n`;
+      });
+    }
+
+    return markdown;
+  }
+
+  /**
+   * Format waste cost report as markdown
+   * @param {Object} report - From generateWasteReport
+   * @returns {string} Markdown formatted report
+   */
+  formatWasteReportAsMarkdown(report) {
+    const money = value => `£${Math.round(value).toLocaleString('en-GB')}`;
+    const kg = value => `${value.toFixed(1)}kg`;
+    const share = value => (report.total_cost > 0 ? `${((value / report.total_cost) * 100).toFixed(1)}%` : '-');
+    const reasons = orderedReasons(report.by_reason);
+
+    let markdown = `# Waste Cost Report - ${report.date}\n\n`;
+
+    markdown += `## Summary\n`;
+    markdown += `- **Period**: ${report.period.start} to ${report.period.end} (${report.weeks} weeks)\n`;
+    markdown += `- **Waste Cost** (at raw material cost): ${money(report.total_cost)}\n`;
+    markdown += `- **Waste Weight**: ${kg(report.total_weight)}\n\n`;
+
+    if (reasons.length > 0) {
+      markdown += `## By Reason\n`;
+      markdown += `| Reason | Weight | Cost | Share |\n`;
+      markdown += `|---|---|---|---|\n`;
+      reasons.forEach(reason => {
+        const data = report.by_reason[reason];
+        markdown += `| ${reasonLabel(reason)} | ${kg(data.weight)} | ${money(data.cost)} | ${share(data.cost)} |\n`;
+      });
+      markdown += `\n`;
+
+      markdown += `## By Product Type\n`;
+      markdown += `| Product Type | Batches | Weight | £/kg | Cost From | Cost | Biggest Reason |\n`;
+      markdown += `|---|---|---|---|---|---|---|\n`;
+      Object.entries(report.by_product_type)
+        .sort(([, a], [, b]) => b.cost - a.cost)
+        .forEach(([type, data]) => {
+          const price = data.cost_per_kg === null ? '-' : `£${data.cost_per_kg.toFixed(2)}`;
+          const source = data.cost_source === 'orderwise' ? `Orderwise ${data.raw_material_sku}` : data.cost_source === 'configured' ? 'thresholds.json' : '-';
+          const [biggest] = Object.entries(data.by_reason).sort(([, a], [, b]) => b.cost - a.cost);
+          markdown += `| ${type} | ${data.batches} | ${kg(data.weight)} | ${price} | ${source} | ${money(data.cost)} | ${biggest ? reasonLabel(biggest[0]) : '-'} |\n`;
+        });
+      markdown += `\n`;
+
+      markdown += `## By Week\n`;
+      markdown += `| Week Starting | Weight | Cost | ${reasons.map(reasonLabel).join(' | ')} |\n`;
+      markdown += `|---|---|---|${reasons.map(() => '---|').join('')}\n`;
+      report.by_week.forEach(week => {
+        markdown += `| ${week.week_start} | ${kg(week.weight)} | ${money(week.cost)} | ${reasons.map(reason => (week.by_reason[reason] ? money(week.by_reason[reason].cost) : '-')).join(' | ')} |\n`;
+      });
+      markdown += `\n`;
+    }
+
+    if (report.unpriced_product_types.length > 0) {
+      markdown += `_No raw material cost for: ${report.unpriced_product_types.join(', ')} - add \`waste_costs.cost_per_kg\` in thresholds.json_\n\n`;
+    }
+
+    if (report.alerts.length > 0) {
+      markdown += `## ⚠️ Alerts\n`;
+      report.alerts.forEach(alert => {
+        const emoji = alert.severity === 'critical' ? '🚨' : '⚠️';
+        markdown += `${emoji} ${alert.message}\n`;
+      });
+    }
+
+    return markdown;
+  }
+
+  /**
+   * Format intraday dispatch check as a short Slack message
+   * @param {Object} check - From generateDispatchCheck
+   * @returns {string} Slack formatted message
+   */
+  formatDispatchCheckAsSlackMessage(check) {
+    const asOf = new Date(check.as_of).toLocaleTimeString('en-GB', {
+      hour: '2-digit',
+      minute: '2-digit',
+      timeZone: REPORTING_TIMEZONE,
+    });
+
+    let message = `*Dispatch cut-off check* (as of ${asOf})\n`;
+    message += `• Outstanding orders: ${check.outstanding}\n`;
+
+    if (check.cutoffs.length === 0) {
+      return message + `• No cut-offs left today\n`;
+    }
+
+    check.cutoffs.forEach(cutoff => {
+      const status = cutoff.shortfall > 0 ? `⚠️ ${cutoff.shortfall} short` : '✅';
+      message += `• ${cutoff.cutoff} (${cutoff.couriers.join(', ')}): ${cutoff.pending_including_earlier} to pick, capacity ${cutoff.capacity_remaining} ${status}\n`;
+    });
+
+    return message;
+  }
+
   /**
    * Format report as markdown
    * @param {Object} report - Operations report
@@ -169,41 +1184,258 @@ class OperationsAgent {
     markdown += `- **Total Items**: ${report.stock.total_items}\n`;
     markdown += `- **Items Below Reorder**: ${report.stock.items_below_reorder}\n\n`;
 
-    if (report.stock.reorder_alerts.length > 0) {
-      markdown += `### 🔔 Reorder Alerts (Top 10)\n`;
-      report.stock.reorder_alerts.forEach(alert => {
-        markdown += `- **${alert.product}**: ${alert.current} units (reorder at ${alert.reorder_level}, ${alert.on_order} on order)\n`;
+    [
+      ['Stock by Category', 'Category', report.stock.by_category, categoryLabel],
+      ['Stock by Location', 'Location', report.stock.by_location, key => key],
+    ].forEach(([heading, column, segments, label]) => {
+      if (Object.keys(segments).length === 0) return;
+
+      markdown += `### ${heading}\n`;
+      markdown += `| ${column} | Stock Value | Target | Items | Below Reorder |\n`;
+      markdown += `|---|---|---|---|---|\n`;
+      Object.entries(segments).forEach(([key, segment]) => {
+        const emoji = segment.status === 'critical' ? ' 🚨' : segment.status === 'warning' ? ' ⚠️' : '';
+        const target = segment.stock_value_target !== null ? `£${segment.stock_value_target.toLocaleString('en-GB')}` : '-';
+        markdown += `| ${label(key)}${emoji} | £${segment.stock_value.toLocaleString('en-GB', { maximumFractionDigits: 0 })} | ${target} | ${segment.items} | ${segment.items_below_reorder} |\n`;
+      });
+      markdown += `\n`;
+    });
+
+    if (report.stock.cover_alerts.length > 0) {
+      markdown += `### 🔔 Stock-Out Risk (${report.stock.velocity_window_days}-day sales velocity)\n`;
+      report.stock.cover_alerts.slice(0, 10).forEach(alert => {
+        const emoji = alert.severity === 'critical' ? '🚨' : '⚠️';
+        markdown += `- ${emoji} **${alert.product}**: ${alert.current} units, ${alert.days_of_cover.toFixed(1)} days of cover (out ${alert.stock_out_date})`;
+        if (alert.next_po?.overdue) {
+          markdown += ` - ${alert.next_po.po_number} overdue since ${alert.next_po.expected_date}\n`;
+        } else {
+          markdown += alert.next_po
+            ? ` - ${alert.next_po.po_number} due ${alert.next_po.expected_date}, ${alert.days_short} days short\n`
+            : ` - no open PO\n`;
+        }
+      });
+      markdown += `\n`;
+    }
+
+    markdown += `### ⏳ Expiring Stock\n`;
+    if (report.expiry.lots_error) {
+      markdown += `_Expiry data unavailable - Orderwise stock lots could not be read_\n\n`;
+    } else {
+      EXPIRY_WINDOWS.forEach(days => {
+        const window = report.expiry.windows[`next_${days}_days`];
+        const label = days === 1 ? 'Today' : `Next ${days} days`;
+        markdown += `- **${label}**: ${window.quantity} units, £${Math.round(window.value).toLocaleString('en-GB')} (${window.lots} lots)\n`;
       });
+      if (report.expiry.expired.lots > 0) {
+        markdown += `- **Past date, still in stock**: ${report.expiry.expired.quantity} units, £${Math.round(report.expiry.expired.value).toLocaleString('en-GB')}\n`;
+      }
+      if (report.expiry.unreadable_date.lots > 0) {
+        markdown += `- **Unreadable date, not checked**: ${report.expiry.unreadable_date.lots} lots, ${report.expiry.unreadable_date.quantity} units\n`;
+      }
       markdown += `\n`;
+
+      if (report.expiry.sell_through_risks.length > 0) {
+        markdown += `**Won't sell through before expiry:**\n`;
+        report.expiry.sell_through_risks.slice(0, 10).forEach(risk => {
+          const emoji = risk.severity === 'critical' ? '🚨' : '⚠️';
+          const dateType = risk.expiry_type === 'best_before' ? 'best before' : 'use by';
+          markdown += `- ${emoji} **${risk.product}** lot ${risk.lot_number}: ${dateType} ${risk.expiry_date}, ~${Math.ceil(risk.projected_unsold)} of ${risk.quantity} unsold (£${Math.round(risk.value_at_risk).toLocaleString('en-GB')})\n`;
+        });
+        markdown += `\n`;
+      }
+
+      if (report.expiry.promote.length > 0) {
+        markdown += `**Push in marketing:** ${report.expiry.promote.map(item => `${item.product} (${Math.ceil(item.quantity_to_clear)} units by ${item.earliest_expiry})`).join(', ')}\n\n`;
+      }
     }
 
     markdown += `## Production & Yields\n`;
     markdown += `- **Total Batches** (last 7 days): ${report.production.total_batches}\n`;
-    markdown += `- **Average Yield**: ${report.production.average_yield_percentage.toFixed(1)}%\n`;
-    markdown += `- **Waste**: ${report.production.waste_percentage.toFixed(1)}%\n\n`;
+    const mixTarget = value => value === null ? '' : ` (target ${value.toFixed(1)}% for this product mix)`;
+    markdown += `- **Average Yield**: ${report.production.average_yield_percentage.toFixed(1)}%${mixTarget(report.production.yield_target_percentage)}\n`;
+    markdown += `- **Waste**: ${report.production.waste_percentage.toFixed(1)}%${mixTarget(report.production.waste_target_percentage)}\n`;
+    markdown += `- **Batches Off Target**: ${report.production.batches_off_target}\n\n`;
+
+    const statusEmoji = status => (status === 'critical' ? ' 🚨' : status === 'warning' ? ' ⚠️' : '');
+    const points = value => value === null ? '-' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+    const percent = value => value === null ? '-' : `${value}%`;
 
     if (Object.keys(report.production.yield_by_product).length > 0) {
       markdown += `### Yield by Product Type\n`;
+      markdown += `| Product Type | Batches | Yield | Target | Variance | Waste | Target | Variance |\n`;
+      markdown += `|---|---|---|---|---|---|---|---|\n`;
       Object.entries(report.production.yield_by_product).forEach(([type, data]) => {
-        markdown += `- **${type}**: ${data.yield_percentage.toFixed(1)}% (${data.batches} batches)\n`;
+        markdown += `| ${type} | ${data.batches} | ${data.yield_percentage.toFixed(1)}%${statusEmoji(data.yield_status)} | ${percent(data.yield_target)} | ${points(data.yield_variance)} | ${data.waste_percentage.toFixed(1)}%${statusEmoji(data.waste_status)} | ${percent(data.waste_target)} | ${points(data.waste_variance)} |\n`;
+      });
+      markdown += `\n`;
+    }
+
+    if (report.production.yield_alerts.length > 0) {
+      markdown += `### Batches Off Target\n`;
+      report.production.yield_alerts.forEach(batch => {
+        const emoji = batch.severity === 'critical' ? '🚨' : '⚠️';
+        markdown += `- ${emoji} **${batch.batch_id}** ${batch.product_type} (${batch.date}): yield ${batch.yield_percentage.toFixed(1)}% vs ${percent(batch.yield_target)}, waste ${batch.waste_percentage.toFixed(1)}% vs ${percent(batch.waste_target)}\n`;
+      });
+      markdown += `\n`;
+    }
+
+    const spc = report.production.spc;
+    if (Object.keys(spc.by_product_type).length > 0) {
+      const limit = value => value === null ? '-' : `${value.toFixed(1)}%`;
+
+      markdown += `### Yield Control Charts (last ${spc.history_days} days)\n`;
+      markdown += `| Product Type | Batches | Centre | Lower Limit | Upper Limit | Latest | Signals (7 days) |\n`;
+      markdown += `|---|---|---|---|---|---|---|\n`;
+      Object.entries(spc.by_product_type).forEach(([type, data]) => {
+        markdown += `| ${type} | ${data.batches} | ${limit(data.centre)} | ${limit(data.lcl)} | ${limit(data.ucl)} | ${data.latest.toFixed(1)}% | ${data.signals.length > 0 ? `${data.signals.length} ⚠️` : '0'} |\n`;
+      });
+      markdown += `\n`;
+
+      // A run or trend breaks its rule again with every batch it continues for, so list the latest of each
+      Object.entries(spc.by_product_type).forEach(([type, data]) => {
+        const latestByRule = new Map(data.signals.map(signal => [signal.rule, signal]));
+        latestByRule.forEach(signal => {
+          markdown += `- **${type}** ${signal.batch_id} (${signal.date}, ${signal.value.toFixed(1)}%): ${signal.explanation}\n`;
+        });
       });
+      if (spc.signals > 0) markdown += `\n`;
+
+      markdown += `Charts: ${Object.entries(spc.by_product_type).map(([type, data]) => `[${type}](../spc/${path.basename(data.chart)})`).join(', ')}\n\n`;
+    }
+
+    const waste = report.waste_cost;
+    if (waste.total_weight > 0) {
+      const money = value => `£${Math.round(value).toLocaleString('en-GB')}`;
+
+      markdown += `## Cost of Waste\n`;
+      markdown += `- **Waste Cost** (last 7 days, at raw material cost): ${money(waste.total_cost)} (${waste.total_weight.toFixed(1)}kg)\n`;
+      markdown += `- **By Reason**: ${orderedReasons(waste.by_reason).map(reason => `${reasonLabel(reason)} ${money(waste.by_reason[reason].cost)}`).join(', ')}\n\n`;
+      markdown += `| Product Type | Waste | £/kg | Cost |\n`;
+      markdown += `|---|---|---|---|\n`;
+      Object.entries(waste.by_product_type)
+        .sort(([, a], [, b]) => b.cost - a.cost)
+        .forEach(([type, data]) => {
+          markdown += `| ${type} | ${data.weight.toFixed(1)}kg | ${data.cost_per_kg === null ? '-' : `£${data.cost_per_kg.toFixed(2)}`} | ${money(data.cost)} |\n`;
+        });
       markdown += `\n`;
+
+      if (waste.unpriced_product_types.length > 0) {
+        markdown += `_No raw material cost for: ${waste.unpriced_product_types.join(', ')} - add \`waste_costs.cost_per_kg\` in thresholds.json_\n\n`;
+      }
+    }
+
+    const balance = report.carcass_balance;
+    if (balance.outputs_error) {
+      markdown += `## Carcass Balance\n`;
+      markdown += `_No output lines - Aptean batch outputs could not be read_\n\n`;
+    } else if (Object.keys(balance.by_species).length > 0) {
+      const money = value => value === null ? '-' : `£${Math.round(value).toLocaleString('en-GB')}`;
+      const kg = value => `${value.toFixed(1)}kg`;
+
+      markdown += `## Carcass Balance\n`;
+      markdown += `- **Cut Value** (last 7 days, at current selling prices): ${money(balance.saleable_value)}\n`;
+      markdown += `- **Value Lost to Trim & Waste**: ${money(balance.value_lost)}\n\n`;
+
+      if (balance.leaks.length > 0) {
+        markdown += `### Where Value Is Leaking\n`;
+        balance.leaks.slice(0, 5).forEach(leak => {
+          const source = leak.source === 'cut_mix' ? `${leak.cut} below spec` : 'trim and waste beyond spec';
+          markdown += `- **${leak.species}** ${source}: ${money(leak.value)}\n`;
+        });
+        markdown += `\n`;
+      }
+
+      Object.entries(balance.by_species).forEach(([species, data]) => {
+        markdown += `### ${species} (${data.batches} batches, ${kg(data.input_weight)} in)\n`;
+        markdown += `- **Cuts**: ${kg(data.cut_weight)} (${data.cut_yield_percentage.toFixed(1)}%), **Trim**: ${kg(data.trim_weight)}, **Waste**: ${kg(data.waste_weight)}, **Unaccounted**: ${kg(data.unaccounted_weight)}\n`;
+        const expectedLoss = data.expected_loss_percentage === null ? '' : ` vs ${data.expected_loss_percentage.toFixed(1)}% expected`;
+        markdown += `- **Trim, Waste & Loss**: ${data.loss_percentage.toFixed(1)}% of input${expectedLoss}\n`;
+        markdown += `- **Value Lost**: ${money(data.value_lost)} (${data.value_lost_percentage.toFixed(1)}%), **Beyond Spec**: ${money(data.excess_loss_value)}, **Below-Spec Cuts**: ${money(data.value_lost_to_mix)}\n\n`;
+        markdown += `| Cut | Expected | Actual | Variance | £/kg | Value | vs Spec |\n`;
+        markdown += `|---|---|---|---|---|---|---|\n`;
+        data.cuts.forEach(cut => {
+          const expected = cut.expected_percentage === null ? '-' : `${cut.expected_percentage}%`;
+          const variance = cut.mix_variance === null ? '-' : `${cut.mix_variance >= 0 ? '+' : ''}${cut.mix_variance.toFixed(1)}`;
+          const price = cut.price_per_kg === null ? '-' : `£${cut.price_per_kg.toFixed(2)}`;
+          const vsSpec = cut.value_variance === null ? '-' : `${cut.value_variance < 0 ? '-' : '+'}${money(Math.abs(cut.value_variance))}`;
+          markdown += `| ${cut.cut} | ${expected} | ${cut.actual_percentage.toFixed(1)}% | ${variance} | ${price} | ${money(cut.value)} | ${vsSpec} |\n`;
+        });
+        markdown += `\n`;
+      });
+
+      if (balance.unpriced_cuts.length > 0) {
+        markdown += `_No selling price for: ${balance.unpriced_cuts.join(', ')} - add a Shopify variant weight or \`prices_per_kg\` in thresholds.json_\n\n`;
+      }
     }
 
     markdown += `## Warehouse Dispatch\n`;
-    markdown += `- **Total Dispatches**: ${report.warehouse.total_dispatches}\n`;
-    markdown += `- **Completed**: ${report.warehouse.completed}\n`;
-    markdown += `- **Pending**: ${report.warehouse.pending}\n`;
-    markdown += `- **Completion Rate**: ${report.warehouse.completion_rate.toFixed(1)}%\n\n`;
+    if (report.warehouse.dispatches_error) {
+      markdown += `_Dispatch data unavailable - Orderwise dispatches could not be read_\n\n`;
+    } else {
+      const { trend } = report.warehouse;
+      const hours = value => value === null ? '-' : `${value.toFixed(1)}h`;
+      markdown += `- **Total Dispatches**: ${report.warehouse.total_dispatches}\n`;
+      markdown += `- **Completed**: ${report.warehouse.completed}\n`;
+      markdown += `- **Pending**: ${report.warehouse.pending}\n`;
+      markdown += `- **Completion Rate**: ${report.warehouse.completion_rate.toFixed(1)}%\n`;
+      markdown += `- **Missed Courier Cut-off**: ${report.warehouse.missed_cutoff} (${report.warehouse.missed_cutoff_percentage.toFixed(1)}%)\n`;
+      markdown += `- **Order to Dispatch**: ${hours(report.warehouse.average_lead_time_hours)} average, ${hours(report.warehouse.p90_lead_time_hours)} for 90% of orders\n\n`;
+
+      markdown += `| | Report Day | Previous Day | Same Day Last Week |\n`;
+      markdown += `|---|---|---|---|\n`;
+      markdown += `| Dispatches | ${report.warehouse.total_dispatches} | ${trend.previous_day.total_dispatches} | ${trend.same_day_last_week.total_dispatches} |\n`;
+      markdown += `| Completion | ${report.warehouse.completion_rate.toFixed(1)}% | ${trend.previous_day.completion_rate.toFixed(1)}% | ${trend.same_day_last_week.completion_rate.toFixed(1)}% |\n`;
+      markdown += `| Missed cut-off | ${report.warehouse.missed_cutoff_percentage.toFixed(1)}% | ${trend.previous_day.missed_cutoff_percentage.toFixed(1)}% | ${trend.same_day_last_week.missed_cutoff_percentage.toFixed(1)}% |\n`;
+      markdown += `| Avg lead time | ${hours(report.warehouse.average_lead_time_hours)} | ${hours(trend.previous_day.average_lead_time_hours)} | ${hours(trend.same_day_last_week.average_lead_time_hours)} |\n\n`;
+
+      if (report.warehouse.by_courier.length > 0) {
+        markdown += `### By Courier\n`;
+        report.warehouse.by_courier.forEach(group => {
+          const missed = group.missed_cutoff > 0 ? `, ${group.missed_cutoff} missed cut-off` : '';
+          markdown += `- **${group.courier} ${group.service}**: ${group.completed}/${group.total} dispatched${missed}, ${hours(group.average_lead_time_hours)} avg lead time\n`;
+        });
+        markdown += `\n`;
+      }
+    }
 
     if (report.purchase_orders.length > 0) {
+      const status = report.purchase_order_status;
       markdown += `## Open Purchase Orders\n`;
-      report.purchase_orders.slice(0, 5).forEach(po => {
-        markdown += `- **${po.po_number}** - ${po.supplier} - £${po.value.toLocaleString()} (Expected: ${po.expected_date})\n`;
-      });
+      markdown += `- **Open**: ${status.open} | **Overdue**: ${status.overdue} | **Due this week**: ${status.due_this_week}\n`;
+      if (status.invalid_date > 0) {
+        const unreadable = report.purchase_orders.filter(po => po.status === 'invalid_date');
+        markdown += `- **Unreadable expected date**: ${unreadable.map(po => `${po.po_number} (${po.expected_date})`).join(', ')}\n`;
+      }
+      report.purchase_orders
+        .filter(po => po.status === 'overdue' || po.status === 'due_this_week')
+        .slice(0, 10)
+        .forEach(po => {
+          const when = po.status === 'overdue'
+            ? `🔴 ${po.days_overdue} days overdue (expected ${po.expected_date})`
+            : `due ${po.expected_date}`;
+          markdown += `- **${po.po_number}** - ${po.supplier} - £${po.value.toLocaleString()} - ${when}\n`;
+        });
       markdown += `\n`;
     }
 
+    if (report.reorder_plan.supplier_products_error) {
+      markdown += `## Suggested Reorders\n`;
+      markdown += `_Draft POs unavailable - Orderwise supplier products could not be read_\n\n`;
+    } else if (report.reorder_plan.draft_purchase_orders.length > 0) {
+      const saved = report.reorder_plan.files ? ` - drafts for review in \`${report.reorder_plan.files.csv}\`` : '';
+      markdown += `## Suggested Reorders\n`;
+      markdown += `${report.reorder_plan.lines} lines, £${Math.round(report.reorder_plan.total_value).toLocaleString('en-GB')}${saved} (not sent to Orderwise)\n\n`;
+      report.reorder_plan.draft_purchase_orders.forEach(draft => {
+        markdown += `### ${draft.supplier} - £${Math.round(draft.total_value).toLocaleString('en-GB')}\n`;
+        markdown += `| Product | Order | Packs | Free Stock | On Order | Lead Time |\n`;
+        markdown += `|---|---|---|---|---|---|\n`;
+        draft.lines.forEach(line => {
+          markdown += `| ${line.product} | ${line.suggested_quantity} | ${line.packs} x ${line.pack_size} | ${line.available} | ${line.on_order} | ${line.lead_time_days}d |\n`;
+        });
+        markdown += `\n`;
+      });
+    }
+
     if (report.alerts.length > 0) {
       markdown += `## ⚠️ Alerts\n`;
       report.alerts.forEach(alert => {
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * CLI script to check outstanding dispatches against the picking capacity
+ * left before each courier cut-off
+ * Usage: node src/cli/check-dispatch-cutoff.js
+ */
+
+import OperationsAgent from '../agents/operations-agent.js';
+import NotificationService from '../utils/notification-service.js';
+
+async function main() {
+  try {
+    console.log('🚀 Checking dispatch cut-offs...\n');
+
+    const operationsAgent = new OperationsAgent();
+    const check = await operationsAgent.generateDispatchCheck(new Date());
+
+    const slackMessage = operationsAgent.formatDispatchCheckAsSlackMessage(check);
+
+    if (process.env.SLACK_WEBHOOK_URL) {
+      const notificationService = new NotificationService();
+
+      console.log('📨 Sending Slack notification...');
+      await notificationService.sendDepartmentReport('ops', slackMessage);
+
+      for (const alert of check.alerts) {
+        await notificationService.sendAlert(alert);
+      }
+      console.log('✅ Slack notification sent');
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(slackMessage);
+    console.log('='.repeat(60));
+
+    console.log('\n✨ Dispatch check complete!\n');
+  } catch (error) {
+    console.error('❌ Error checking dispatch cut-offs:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
@@ -6,7 +6,7 @@
 
 import ExecutiveAgent from '../agents/executive-agent.js';
 import NotificationService from '../utils/notification-service.js';
-import { subDays } from 'date-fns';
+import { parseReportDate, formatReportDate, reportYesterday } from '../utils/reporting-calendar.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -14,11 +14,11 @@ async function main() {
   try {
     console.log('🚀 Generating daily executive digest...\n');
 
-    // Parse date argument or use yesterday
+    // Parse date argument (YYYY-MM-DD, Europe/London) or use yesterday
     const dateArg = process.argv[2];
-    const reportDate = dateArg ? new Date(dateArg) : subDays(new Date(), 1);
+    const reportDate = dateArg ? parseReportDate(dateArg) : reportYesterday();
 
-    console.log(`📅 Report date: ${reportDate.toISOString().split('T')[0]}`);
+    console.log(`📅 Report date: ${formatReportDate(reportDate)}`);
 
     // Initialize agent
     const executiveAgent = new ExecutiveAgent();
@@ -50,6 +50,18 @@ async function main() {
     await fs.writeFile(slackPath, slackMessage);
     console.log(`✅ Saved Slack message: ${slackPath}`);
 
+    // Suggested reorder quantities were saved as draft purchase orders with the digest
+    const draftFiles = digest.reports.operations.reorder_plan.files;
+    if (draftFiles) {
+      console.log(`✅ Saved draft purchase orders: ${draftFiles.csv}`);
+    }
+
+    // Save yield control charts
+    const chartPaths = await executiveAgent.operationsAgent.saveControlCharts(digest.reports.operations);
+    if (chartPaths.length > 0) {
+      console.log(`✅ Saved ${chartPaths.length} yield control charts: ${path.dirname(chartPaths[0])}`);
+    }
+
     // Send notifications
     const notificationService = new NotificationService();
 
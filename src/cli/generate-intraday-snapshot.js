@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * CLI script to generate the intraday "sales so far today" snapshot
+ * Reads orders and refunds recorded by the webhook receiver
+ * Usage: node src/cli/generate-intraday-snapshot.js
+ */
+
+import FinanceAgent from '../agents/finance-agent.js';
+import NotificationService from '../utils/notification-service.js';
+
+async function main() {
+  try {
+    console.log('🚀 Generating intraday sales snapshot...\n');
+
+    const financeAgent = new FinanceAgent();
+    const snapshot = await financeAgent.generateIntradaySnapshot(new Date());
+
+    const slackMessage = financeAgent.formatIntradayAsSlackMessage(snapshot);
+
+    if (process.env.SLACK_WEBHOOK_URL) {
+      const notificationService = new NotificationService();
+
+      console.log('📨 Sending Slack notification...');
+      await notificationService.sendDepartmentReport('finance', slackMessage);
+
+      for (const alert of snapshot.alerts) {
+        await notificationService.sendAlert(alert);
+      }
+      console.log('✅ Slack notification sent');
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(slackMessage);
+    console.log('='.repeat(60));
+
+    if (snapshot.events_received === 0) {
+      console.log('\nℹ️  No webhook events recorded today - is the webhook receiver running?');
+    }
+
+    console.log('\n✨ Intraday snapshot complete!\n');
+  } catch (error) {
+    console.error('❌ Error generating intraday snapshot:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
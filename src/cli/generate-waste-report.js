@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * CLI script to generate the waste cost report
+ * Usage: node src/cli/generate-waste-report.js [date]
+ */
+
+import OperationsAgent from '../agents/operations-agent.js';
+import NotificationService from '../utils/notification-service.js';
+import { parseReportDate, formatReportDate, reportYesterday } from '../utils/reporting-calendar.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+async function main() {
+  try {
+    console.log('🚀 Generating waste cost report...\n');
+
+    // Parse date argument (YYYY-MM-DD, Europe/London) or use yesterday
+    const dateArg = process.argv[2];
+    const reportDate = dateArg ? parseReportDate(dateArg) : reportYesterday();
+
+    console.log(`📅 Report date: ${formatReportDate(reportDate)}`);
+
+    const operationsAgent = new OperationsAgent();
+    const report = await operationsAgent.generateWasteReport(reportDate);
+
+    // Save reports to files
+    const outputDir = path.join(process.cwd(), 'outputs', 'waste');
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const jsonPath = path.join(outputDir, `${report.date}_waste.json`);
+    const markdownPath = path.join(outputDir, `${report.date}_waste.md`);
+
+    await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+    console.log(`✅ Saved JSON report: ${jsonPath}`);
+
+    const markdownReport = operationsAgent.formatWasteReportAsMarkdown(report);
+    await fs.writeFile(markdownPath, markdownReport);
+    console.log(`✅ Saved Markdown report: ${markdownPath}`);
+
+    if (process.env.SLACK_WEBHOOK_URL && report.alerts.length > 0) {
+      const notificationService = new NotificationService();
+
+      console.log('\n📨 Sending alerts to operations...');
+      for (const alert of report.alerts) {
+        await notificationService.sendAlert(alert, 'ops');
+      }
+      console.log('✅ Alerts sent');
+    }
+
+    console.log(`\n🗑️  Waste cost ${report.period.start} to ${report.period.end}: £${Math.round(report.total_cost).toLocaleString('en-GB')} (${report.total_weight.toFixed(0)}kg)`);
+    if (report.unpriced_product_types.length > 0) {
+      console.log(`   No raw material cost for: ${report.unpriced_product_types.join(', ')}`);
+    }
+
+    console.log('\n✨ Waste cost report complete!\n');
+  } catch (error) {
+    console.error('❌ Error generating waste cost report:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
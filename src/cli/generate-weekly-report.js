@@ -6,6 +6,7 @@
 
 import ExecutiveAgent from '../agents/executive-agent.js';
 import NotificationService from '../utils/notification-service.js';
+import { parseReportDate, formatReportDate, lastCompleteWeek, weekRange } from '../utils/reporting-calendar.js';
 import fs from 'fs/promises';
 import path from 'path';
 
@@ -13,11 +14,12 @@ async function main() {
   try {
     console.log('🚀 Generating weekly executive summary...\n');
 
-    // Parse date argument or use today
+    // Parse date argument (any day in the week, YYYY-MM-DD) or use the last complete Monday-Sunday week
     const dateArg = process.argv[2];
-    const endDate = dateArg ? new Date(dateArg) : new Date();
+    const endDate = dateArg ? parseReportDate(dateArg) : lastCompleteWeek().end;
+    const week = weekRange(endDate);
 
-    console.log(`📅 Week ending: ${endDate.toISOString().split('T')[0]}`);
+    console.log(`📅 Week: ${formatReportDate(week.start)} to ${formatReportDate(week.end)}`);
 
     // Initialize agent
     const executiveAgent = new ExecutiveAgent();
@@ -49,6 +51,18 @@ async function main() {
     await fs.writeFile(slackPath, slackMessage);
     console.log(`✅ Saved Slack message: ${slackPath}`);
 
+    // Suggested reorder quantities were saved as draft purchase orders with the summary
+    const draftFiles = summary.reports.operations.reorder_plan.files;
+    if (draftFiles) {
+      console.log(`✅ Saved draft purchase orders: ${draftFiles.csv}`);
+    }
+
+    // Save yield control charts
+    const chartPaths = await executiveAgent.operationsAgent.saveControlCharts(summary.reports.operations);
+    if (chartPaths.length > 0) {
+      console.log(`✅ Saved ${chartPaths.length} yield control charts: ${path.dirname(chartPaths[0])}`);
+    }
+
     // Send notifications
     const notificationService = new NotificationService();
 
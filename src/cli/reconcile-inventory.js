@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * CLI script to reconcile Shopify website stock against Orderwise warehouse stock
+ * Usage: node src/cli/reconcile-inventory.js
+ */
+
+import OperationsAgent from '../agents/operations-agent.js';
+import NotificationService from '../utils/notification-service.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+async function main() {
+  try {
+    console.log('🚀 Reconciling Shopify and Orderwise inventory...\n');
+
+    const operationsAgent = new OperationsAgent();
+    const reconciliation = await operationsAgent.generateInventoryReconciliation(new Date());
+
+    // Save reports to files
+    const outputDir = path.join(process.cwd(), 'outputs', 'reconciliation');
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const jsonPath = path.join(outputDir, `${reconciliation.date}_inventory.json`);
+    const markdownPath = path.join(outputDir, `${reconciliation.date}_inventory.md`);
+
+    await fs.writeFile(jsonPath, JSON.stringify(reconciliation, null, 2));
+    console.log(`✅ Saved JSON report: ${jsonPath}`);
+
+    const markdownReport = operationsAgent.formatReconciliationAsMarkdown(reconciliation);
+    await fs.writeFile(markdownPath, markdownReport);
+    console.log(`✅ Saved Markdown report: ${markdownPath}`);
+
+    if (process.env.SLACK_WEBHOOK_URL && reconciliation.alerts.length > 0) {
+      const notificationService = new NotificationService();
+
+      console.log('\n📨 Sending alerts to operations...');
+      for (const alert of reconciliation.alerts) {
+        await notificationService.sendAlert(alert, 'ops');
+      }
+      console.log('✅ Alerts sent');
+    }
+
+    console.log(`\n📦 ${reconciliation.matched} SKUs matched, ${reconciliation.mismatches.length} mismatched`);
+    console.log(`   In stock online, none in warehouse: ${reconciliation.oversell_risks.length} (~£${Math.round(reconciliation.revenue_at_risk).toLocaleString('en-GB')} at risk)`);
+    console.log(`   Only on Shopify: ${reconciliation.shopify_only.length}, only in Orderwise: ${reconciliation.orderwise_only.length}`);
+
+    console.log('\n✨ Inventory reconciliation complete!\n');
+  } catch (error) {
+    console.error('❌ Error reconciling inventory:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
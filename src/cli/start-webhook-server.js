@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+/**
+ * CLI script to run the Shopify webhook receiver
+ * Usage: node src/cli/start-webhook-server.js [port]
+ */
+
+import ShopifyWebhookServer, { WEBHOOK_PATH, WEBHOOK_TOPICS } from '../integrations/shopify/webhooks.js';
+
+async function main() {
+  try {
+    const port = parseInt(process.argv[2] || process.env.WEBHOOK_PORT || '3000', 10);
+
+    const webhookServer = new ShopifyWebhookServer();
+    await webhookServer.listen(port);
+
+    console.log(`🪝 Shopify webhook receiver listening on port ${port}`);
+    console.log(`   Endpoint: POST ${WEBHOOK_PATH}`);
+    console.log(`   Topics: ${WEBHOOK_TOPICS.join(', ')}`);
+    console.log(`   Event log: ${webhookServer.eventLog.directory}\n`);
+
+    const shutdown = async () => {
+      console.log('\n👋 Shutting down webhook receiver...');
+      await webhookServer.close();
+      process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  } catch (error) {
+    console.error('❌ Error starting webhook receiver:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * CLI script to trace a production batch to customers (recall simulation), or an order back to its batches
+ * Usage: node src/cli/trace-batch.js <batch_id|lot_number>
+ *        node src/cli/trace-batch.js --order <order_number>
+ */
+
+import OperationsAgent from '../agents/operations-agent.js';
+import { formatReportDate } from '../utils/reporting-calendar.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+const slug = value => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+async function main() {
+  try {
+    const args = process.argv.slice(2);
+    const byOrder = args[0] === '--order';
+    const reference = byOrder ? args[1] : args[0];
+
+    if (!reference) {
+      console.error('Usage: node src/cli/trace-batch.js <batch_id|lot_number>');
+      console.error('       node src/cli/trace-batch.js --order <order_number>');
+      process.exit(1);
+    }
+
+    console.log(byOrder
+      ? `🔎 Tracing order ${reference} back to its batches...\n`
+      : `🔎 Tracing ${reference} forward to customers...\n`);
+
+    const now = new Date();
+    const operationsAgent = new OperationsAgent();
+    const result = byOrder
+      ? await operationsAgent.traceOrder(reference, now)
+      : await operationsAgent.traceBatch(reference, now);
+
+    // Save reports to files
+    const outputDir = path.join(process.cwd(), 'outputs', 'traceability');
+    await fs.mkdir(outputDir, { recursive: true });
+
+    const baseName = `${formatReportDate(now)}_${byOrder ? `order-${slug(reference)}_trace` : `${slug(reference)}_recall`}`;
+    const jsonPath = path.join(outputDir, `${baseName}.json`);
+    const markdownPath = path.join(outputDir, `${baseName}.md`);
+
+    await fs.writeFile(jsonPath, JSON.stringify(result, null, 2));
+    console.log(`✅ Saved JSON report: ${jsonPath}`);
+
+    const markdownReport = byOrder
+      ? operationsAgent.formatOrderTraceAsMarkdown(result)
+      : operationsAgent.formatRecallReportAsMarkdown(result);
+    await fs.writeFile(markdownPath, markdownReport);
+    console.log(`✅ Saved Markdown report: ${markdownPath}`);
+
+    if (byOrder) {
+      console.log(`\n📦 ${result.items.length} items from batches: ${result.source_batches.join(', ') || 'none found'}`);
+    } else {
+      console.log(`\n📦 ${result.totals.customers} customers received ${result.totals.dispatched_quantity} units across ${result.totals.orders} orders`);
+      console.log(`   Still in stock: ${result.totals.on_hand_quantity} units`);
+    }
+    result.alerts.forEach(alert => console.log(`⚠️  ${alert.message}`));
+
+    console.log('\n✨ Trace complete!\n');
+  } catch (error) {
+    console.error('❌ Error tracing batch:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+/**
+ * CLI script to watch the Aptean export folder and ingest new exports
+ * Usage: node src/cli/watch-aptean-exports.js [--once]
+ */
+
+import ApteanExportWatcher from '../integrations/aptean/export-watcher.js';
+import NotificationService from '../utils/notification-service.js';
+import fs from 'fs/promises';
+import path from 'path';
+
+async function main() {
+  try {
+    const once = process.argv.includes('--once');
+
+    const thresholdsPath = path.join(process.cwd(), 'config', 'thresholds.json');
+    const thresholds = JSON.parse(await fs.readFile(thresholdsPath, 'utf-8'));
+
+    const notificationService = process.env.SLACK_WEBHOOK_URL ? new NotificationService() : null;
+    const watcher = new ApteanExportWatcher({
+      settings: thresholds.operations.aptean_exports,
+      onAlert: async alert => {
+        if (!notificationService) return;
+        try {
+          await notificationService.sendAlert(alert, 'ops');
+        } catch (error) {
+          // Keep watching; the alert is already in the log
+          console.error('Error sending Aptean export alert:', error.message);
+        }
+      },
+    });
+
+    console.log(`👀 Watching Aptean exports in ${watcher.directory}`);
+    console.log(`   Expected daily: ${watcher.settings.expected.join(', ')} by ${watcher.settings.due_by}`);
+    console.log(`   Records: ${watcher.store.directory}`);
+    console.log(`   Quarantine: ${watcher.quarantineDirectory}\n`);
+
+    if (once) {
+      const result = await watcher.poll();
+      console.log(`\n✨ ${result.ingested.length} ingested, ${result.quarantined.length} quarantined, ${result.alerts.length} alerts\n`);
+      return;
+    }
+
+    await watcher.start();
+
+    const shutdown = async () => {
+      console.log('\n👋 Stopping Aptean export watcher...');
+      await watcher.stop();
+      process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  } catch (error) {
+    console.error('❌ Error watching Aptean exports:', error.message);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+main();
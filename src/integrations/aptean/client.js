@@ -8,6 +8,11 @@ import axios from 'axios';
 import fs from 'fs/promises';
 import { parse } from 'csv-parse/sync';
 import dotenv from 'dotenv';
+import { formatReportDate, dayRange } from '../../utils/reporting-calendar.js';
+import FieldMapper from '../../utils/field-mapper.js';
+import ApteanExportStore from '../../utils/aptean-export-store.js';
+import { EXPORT_PREFIXES, LINES_PER_BATCH, findExportFiles, latestByBatch, productionDay, exportFingerprint } from '../../utils/aptean-exports.js';
+import { targetsFor, assessAgainstTargets, mixWeightedTarget } from '../../utils/yield-targets.js';
 
 dotenv.config();
 
@@ -16,9 +21,41 @@ const APTEAN_API_URL = process.env.APTEAN_API_URL;
 const APTEAN_API_KEY = process.env.APTEAN_API_KEY;
 const APTEAN_CSV_EXPORT_PATH = process.env.APTEAN_CSV_EXPORT_PATH;
 
+/**
+ * Add yield % to a mapped yield record; waste defaults to 0 when not recorded
+ * Yield is null when no input weight was recorded
+ * @param {Object} record - Canonical yield record
+ * @returns {Object}
+ */
+const withYieldPercentage = record => ({
+  ...record,
+  waste_weight: record.waste_weight ?? 0,
+  yield_percentage: record.input_weight > 0 ? (record.output_weight / record.input_weight) * 100 : null,
+});
+
+/**
+ * Line numbers for a skipped-rows warning
+ * @param {Array<number>} lines
+ * @returns {string}
+ */
+const lineList = lines => `${lines.slice(0, 10).join(', ')}${lines.length > 10 ? ', ...' : ''}`;
+
+/**
+ * Normalise Aptean's output line type to cut, trim or waste
+ * @param {string|null} value
+ * @returns {string}
+ */
+const outputType = value => {
+  const type = String(value ?? '').trim().toLowerCase();
+  if (['trim', 'fat', 'bone'].includes(type)) return 'trim';
+  if (['waste', 'scrap', 'condemned'].includes(type)) return 'waste';
+  return 'cut';
+};
+
 class ApteanClient {
   constructor() {
     this.method = APTEAN_INTEGRATION_METHOD;
+    this.fields = new FieldMapper('aptean');
 
     if (this.method === 'API') {
       this.baseURL = APTEAN_API_URL;
@@ -29,6 +66,9 @@ class ApteanClient {
           'Content-Type': 'application/json',
         },
       });
+    } else {
+      // Exports the watcher has already ingested (see export-watcher.js)
+      this.store = new ApteanExportStore();
     }
   }
 
@@ -52,22 +92,15 @@ class ApteanClient {
    */
   async _getYieldDataAPI(startDate, endDate) {
     try {
+      await this.fields.load();
       const response = await this.client.get('/production/yields', {
         params: {
-          start_date: startDate.toISOString().split('T')[0],
-          end_date: endDate.toISOString().split('T')[0],
+          start_date: formatReportDate(startDate),
+          end_date: formatReportDate(endDate),
         }
       });
 
-      return response.data.map(item => ({
-        batch_id: item.batch_id,
-        product_type: item.product_type,
-        input_weight: item.input_weight_kg,
-        output_weight: item.output_weight_kg,
-        yield_percentage: (item.output_weight_kg / item.input_weight_kg) * 100,
-        waste_weight: item.waste_weight_kg,
-        production_date: item.production_date,
-      }));
+      return this.fields.mapAll(response.data, 'yield').map(withYieldPercentage);
     } catch (error) {
       console.error('Error fetching Aptean yield data (API):', error.message);
       throw error;
@@ -75,50 +108,175 @@ class ApteanClient {
   }
 
   /**
-   * Get yield data from CSV export
+   * Get yield data from the dated CSV exports
    * @private
    */
   async _getYieldDataCSV(startDate, endDate) {
     try {
-      // Construct expected CSV filename (adjust based on Aptean export naming)
-      const filename = `${APTEAN_CSV_EXPORT_PATH}/yields_export.csv`;
+      const records = await this._readCSVExports('yield', startDate, endDate);
+      return records.map(withYieldPercentage);
+    } catch (error) {
+      console.error('Error fetching Aptean yield data (CSV):', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Read every export of a record type covering a date range
+   * Files that can't be read are skipped with the reason logged; batches in
+   * more than one export come from the latest one
+   * @private
+   * @param {string} type - Record type in config/field-mappings.json (yield, batch)
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<Array>} Canonical records produced within the range
+   */
+  async _readCSVExports(type, startDate, endDate) {
+    if (!APTEAN_CSV_EXPORT_PATH) {
+      throw new Error('APTEAN_CSV_EXPORT_PATH is not set (required when APTEAN_INTEGRATION_METHOD=CSV)');
+    }
+
+    await this.fields.load();
+    const prefix = EXPORT_PREFIXES[type];
+    const firstDay = formatReportDate(startDate);
+    const lastDay = formatReportDate(endDate);
+
+    const { files, missingDays } = await findExportFiles(APTEAN_CSV_EXPORT_PATH, prefix, firstDay, lastDay);
+    if (files.length === 0) {
+      throw new Error(`No Aptean ${prefix} exports for ${firstDay} to ${lastDay} in ${APTEAN_CSV_EXPORT_PATH} (expected ${prefix}_YYYY-MM-DD.csv)`);
+    }
+    if (missingDays.length > 0) {
+      const days = missingDays.length > 5
+        ? `${missingDays.slice(0, 5).join(', ')} and ${missingDays.length - 5} more days`
+        : missingDays.join(', ');
+      console.warn(`⚠️  No Aptean ${prefix} export for ${days} in ${APTEAN_CSV_EXPORT_PATH}`);
+    }
 
-      const fileContent = await fs.readFile(filename, 'utf-8');
-      const records = parse(fileContent, {
-        columns: true,
+    const exports = [];
+    for (const file of files) {
+      try {
+        exports.push(await this._readExport(file, type));
+      } catch (error) {
+        console.error(`Skipping Aptean export ${file.name}: ${error.message}`);
+      }
+    }
+
+    if (exports.length === 0) {
+      throw new Error(`None of the ${files.length} Aptean ${prefix} exports for ${firstDay} to ${lastDay} could be read`);
+    }
+
+    // Production dates were read as Europe/London yyyy-MM-dd by readCSVExport
+    return latestByBatch(exports, { linesPerBatch: LINES_PER_BATCH.has(type) }).records
+      .filter(record => record.production_date >= firstDay && record.production_date <= lastDay);
+  }
+
+  /**
+   * Records of one export: the watcher's stored copy if it ingested this
+   * version of the file, otherwise the CSV itself
+   * @private
+   * @param {Object} file - From findExportFiles
+   * @param {string} type - Record type in config/field-mappings.json
+   * @returns {Promise<Array>} Canonical records
+   */
+  async _readExport(file, type) {
+    const entry = await this.store.entryFor(file.name);
+    if (entry?.status === 'ingested' && entry.fingerprint === exportFingerprint(await fs.stat(file.path))) {
+      try {
+        const records = await this.store.readExport(file.name);
+        if (records.length === entry.rows) return records;
+        console.warn(`⚠️  Stored copy of ${file.name} has ${records.length} of ${entry.rows} rows, reading the export instead`);
+      } catch (error) {
+        console.warn(`⚠️  Stored copy of ${file.name} can't be read (${error.message}), reading the export instead`);
+      }
+    }
+
+    return this.readCSVExport(file.path, type);
+  }
+
+  /**
+   * Read one export file, checking its header and dropping incomplete rows
+   * Thrown error messages say why the file can't be used (they are shown to
+   * whoever fixes the export, so they don't repeat the file name)
+   * @param {string} filePath
+   * @param {string} type - Record type in config/field-mappings.json
+   * @returns {Promise<Array>} Canonical records
+   */
+  async readCSVExport(filePath, type) {
+    await this.fields.load();
+    const fileContent = await fs.readFile(filePath, 'utf-8');
+
+    let columns = [];
+    let rows;
+    try {
+      rows = parse(fileContent, {
+        columns: header => (columns = header.map(column => column.trim())),
         skip_empty_lines: true,
+        bom: true,
       });
+    } catch (error) {
+      throw new Error(`not a valid CSV file (${error.message})`);
+    }
 
-      // Filter by date range
-      const filtered = records.filter(record => {
-        const recordDate = new Date(record.production_date);
-        return recordDate >= startDate && recordDate <= endDate;
-      });
+    if (columns.length === 0) {
+      throw new Error('file is empty');
+    }
 
-      return filtered.map(record => ({
-        batch_id: record.batch_id,
-        product_type: record.product_type,
-        input_weight: parseFloat(record.input_weight_kg),
-        output_weight: parseFloat(record.output_weight_kg),
-        yield_percentage: (parseFloat(record.output_weight_kg) / parseFloat(record.input_weight_kg)) * 100,
-        waste_weight: parseFloat(record.waste_weight_kg || 0),
-        production_date: record.production_date,
-      }));
-    } catch (error) {
-      console.error('Error fetching Aptean yield data (CSV):', error.message);
-      throw error;
+    const missing = this.fields.missingColumns(columns, type);
+    if (missing.length > 0) {
+      throw new Error(`no column for ${missing.join(', ')} (found: ${columns.join(', ')})`);
+    }
+
+    const required = this.fields.requiredFields(type);
+    const records = this.fields.mapAll(rows, type);
+    const incompleteLines = [];
+    const undated = [];
+    const complete = [];
+    records.forEach((record, index) => {
+      // Line 1 is the header
+      const line = index + 2;
+      if (!required.every(field => record[field] !== null)) {
+        incompleteLines.push(line);
+        return;
+      }
+
+      const day = productionDay(record.production_date);
+      if (!day) {
+        undated.push({ line, value: record.production_date });
+        return;
+      }
+      complete.push({ ...record, production_date: day });
+    });
+
+    if (incompleteLines.length > 0) {
+      console.warn(`⚠️  ${filePath}: skipped ${incompleteLines.length} incomplete rows (lines ${lineList(incompleteLines)})`);
+    }
+    if (undated.length > 0) {
+      console.warn(`⚠️  ${filePath}: skipped ${undated.length} rows with an unreadable production date such as "${undated[0].value}" (lines ${lineList(undated.map(row => row.line))})`);
     }
+
+    return complete;
   }
 
   /**
    * Get yield summary metrics
+   * Batches and product types are judged against their own yield and waste targets
    * @param {Date} startDate
    * @param {Date} endDate
+   * @param {Object} [targets] - thresholds.operations.yield_targets (product type → limits, plus "default")
    * @returns {Promise<Object>} Yield summary
    */
-  async getYieldSummary(startDate, endDate) {
+  async getYieldSummary(startDate, endDate, targets = {}) {
     const yields = await this.getYieldData(startDate, endDate);
+    return this.summarizeYields(yields, targets);
+  }
 
+  /**
+   * Calculate yield summary metrics from yield data already fetched
+   * @param {Array} yields - From getYieldData
+   * @param {Object} [targets] - thresholds.operations.yield_targets
+   * @returns {Object} Yield summary (see getYieldSummary)
+   */
+  summarizeYields(yields, targets = {}) {
     const summary = {
       total_batches: yields.length,
       total_input_weight: 0,
@@ -126,6 +284,8 @@ class ApteanClient {
       total_waste_weight: 0,
       average_yield_percentage: 0,
       waste_percentage: 0,
+      yield_target_percentage: null,
+      waste_target_percentage: null,
       by_product_type: {},
       alerts: [],
     };
@@ -143,6 +303,7 @@ class ApteanClient {
           output: 0,
           waste: 0,
           yield_pct: 0,
+          waste_pct: 0,
         };
       }
 
@@ -152,12 +313,25 @@ class ApteanClient {
       typeData.output += item.output_weight;
       typeData.waste += item.waste_weight;
 
-      // Check for low yield alerts (< 80%)
-      if (item.yield_percentage < 80) {
+      // Check the batch against its product type's targets
+      const limits = targetsFor(item.product_type, targets);
+      const wastePercentage = item.input_weight > 0 ? (item.waste_weight / item.input_weight) * 100 : 0;
+      const assessment = assessAgainstTargets(item.yield_percentage, wastePercentage, limits);
+      if (item.yield_percentage !== null && assessment.status !== 'ok') {
         summary.alerts.push({
           batch_id: item.batch_id,
           product_type: item.product_type,
           yield_percentage: item.yield_percentage,
+          yield_target: limits.yield_warning_percentage ?? null,
+          yield_variance: assessment.yield_variance,
+          waste_percentage: wastePercentage,
+          waste_target: limits.waste_warning_percentage ?? null,
+          waste_variance: assessment.waste_variance,
+          issues: [
+            ...(assessment.yield_status !== 'ok' ? ['yield'] : []),
+            ...(assessment.waste_status !== 'ok' ? ['waste'] : []),
+          ],
+          severity: assessment.status,
           date: item.production_date,
         });
       }
@@ -169,39 +343,96 @@ class ApteanClient {
       summary.waste_percentage = (summary.total_waste_weight / summary.total_input_weight) * 100;
     }
 
-    // Calculate yield percentage by product type
+    // Calculate yield percentage by product type and compare with its targets
     Object.keys(summary.by_product_type).forEach(type => {
       const typeData = summary.by_product_type[type];
+      const limits = targetsFor(type, targets);
       typeData.yield_pct = (typeData.output / typeData.input) * 100;
+      typeData.waste_pct = (typeData.waste / typeData.input) * 100;
+      typeData.yield_target = limits.yield_warning_percentage ?? null;
+      typeData.yield_critical = limits.yield_critical_percentage ?? null;
+      typeData.waste_target = limits.waste_warning_percentage ?? null;
+      typeData.waste_critical = limits.waste_critical_percentage ?? null;
+
+      const { yield_variance, waste_variance, yield_status, waste_status, status } =
+        assessAgainstTargets(typeData.yield_pct, typeData.waste_pct, limits);
+      Object.assign(typeData, { yield_variance, waste_variance, yield_status, waste_status, status });
     });
 
+    summary.yield_target_percentage = mixWeightedTarget(summary.by_product_type, 'yield_target');
+    summary.waste_target_percentage = mixWeightedTarget(summary.by_product_type, 'waste_target');
+
+    // Critical batches first, then furthest below yield target
+    const rank = alert => (alert.severity === 'critical' ? 0 : 1);
+    summary.alerts.sort((a, b) => rank(a) - rank(b) || (a.yield_variance ?? 0) - (b.yield_variance ?? 0));
+
     return summary;
   }
 
   /**
-   * Get production batches
+   * Get batch output lines by cut (primal and retail cuts, trim and waste)
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<Array>} Output lines; output_type is "cut" unless Aptean marks the line as trim or waste
+   */
+  async getBatchOutputs(startDate, endDate) {
+    try {
+      await this.fields.load();
+
+      let lines;
+      if (this.method === 'API') {
+        const response = await this.client.get('/production/outputs', {
+          params: {
+            start_date: formatReportDate(startDate),
+            end_date: formatReportDate(endDate),
+          }
+        });
+        lines = this.fields.mapAll(response.data, 'batch_output');
+      } else {
+        lines = await this._readCSVExports('batch_output', startDate, endDate);
+      }
+
+      return lines.map(line => ({ ...line, output_type: outputType(line.output_type) }));
+    } catch (error) {
+      console.error('Error fetching Aptean batch outputs:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get production batches for a day, or a range of days
    * @param {Date} date
+   * @param {Date} [endDate] - Last day of the range (defaults to date)
    * @returns {Promise<Array>} Production batches
    */
-  async getProductionBatches(date) {
-    if (this.method === 'API') {
-      try {
+  async getProductionBatches(date, endDate = null) {
+    try {
+      await this.fields.load();
+
+      if (this.method === 'API') {
         const response = await this.client.get('/production/batches', {
-          params: {
-            date: date.toISOString().split('T')[0],
-          }
+          params: endDate
+            ? { start_date: formatReportDate(date), end_date: formatReportDate(endDate) }
+            : { date: formatReportDate(date) },
         });
 
-        return response.data;
-      } catch (error) {
-        console.error('Error fetching production batches:', error.message);
-        throw error;
+        return this.fields.mapAll(response.data, 'batch');
       }
-    } else {
-      // CSV method would require similar logic to yield data
-      return [];
+
+      return await this._readCSVExports('batch', dayRange(date).start, dayRange(endDate || date).end);
+    } catch (error) {
+      console.error('Error fetching production batches:', error.message);
+      throw error;
     }
   }
+
+  /**
+   * Fields Aptean returned under a fallback name, or not at all, since this client was created
+   * @returns {Array} Drift entries (see FieldMapper.getDrift)
+   */
+  getSchemaDrift() {
+    return this.fields.getDrift();
+  }
 }
 
 export default ApteanClient;
@@ -0,0 +1,258 @@
+/**
+ * Aptean Export Watcher
+ * Polls APTEAN_CSV_EXPORT_PATH for new Aptean CSV exports, checks each against
+ * the columns in config/field-mappings.json and stores its rows locally for
+ * ApteanClient to read.
+ * Files that can't be read are moved to a quarantine folder with the reason
+ * alongside, and an alert is raised when a day's export is late.
+ *
+ * The folder is polled rather than watched with fs.watch, which misses
+ * changes on the network shares Aptean writes to.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import ApteanClient from './client.js';
+import ApteanExportStore from '../../utils/aptean-export-store.js';
+import { exportFileType, exportFingerprint } from '../../utils/aptean-exports.js';
+import { londonParts, fromLondonTime, formatReportDate, startOfReportDay } from '../../utils/reporting-calendar.js';
+
+dotenv.config();
+
+const APTEAN_CSV_EXPORT_PATH = process.env.APTEAN_CSV_EXPORT_PATH;
+const APTEAN_QUARANTINE_PATH = process.env.APTEAN_QUARANTINE_PATH;
+
+/**
+ * Used for any setting missing from thresholds.operations.aptean_exports
+ */
+export const DEFAULT_WATCH_SETTINGS = {
+  expected: ['yields', 'batches', 'outputs'],
+  due_by: '06:00',
+  production_weekdays: [1, 2, 3, 4, 5, 6],
+  poll_interval_seconds: 60,
+  settle_seconds: 30,
+};
+
+class ApteanExportWatcher {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Folder Aptean writes exports to
+   * @param {string} [options.quarantineDirectory] - Where unreadable exports are moved (default <directory>/quarantine)
+   * @param {ApteanExportStore} [options.store] - Where ingested records are stored
+   * @param {Object} [options.settings] - thresholds.operations.aptean_exports
+   * @param {Function} [options.onAlert] - Called with each alert raised
+   */
+  constructor(options = {}) {
+    this.directory = options.directory || APTEAN_CSV_EXPORT_PATH;
+    this.quarantineDirectory = options.quarantineDirectory || APTEAN_QUARANTINE_PATH
+      || (this.directory && path.join(this.directory, 'quarantine'));
+    this.store = options.store || new ApteanExportStore();
+    this.settings = { ...DEFAULT_WATCH_SETTINGS, ...options.settings };
+    this.onAlert = options.onAlert || (() => {});
+    this.client = new ApteanClient();
+    this.timer = null;
+    this.running = null;
+    this.unknownFiles = new Set();
+  }
+
+  /**
+   * Poll now and then every poll_interval_seconds
+   * A failed poll is logged and polling carries on, so a share that is briefly
+   * unavailable (or not yet mounted) is picked up once it's back
+   * @returns {Promise<Object|null>} Result of the first poll, or null if it failed
+   */
+  async start() {
+    if (!this.directory) {
+      throw new Error('APTEAN_CSV_EXPORT_PATH is not set');
+    }
+
+    const pollLogged = () => this.poll().catch(error => {
+      console.error('Error polling Aptean exports:', error.message);
+      return null;
+    });
+
+    const first = await pollLogged();
+    this.timer = setInterval(() => {
+      // A slow share can make a poll outlast the interval; skip rather than overlap
+      if (this.running) {
+        console.warn(`⚠️  Previous Aptean export poll still running after ${this.settings.poll_interval_seconds}s, skipping this one`);
+        return;
+      }
+      pollLogged();
+    }, this.settings.poll_interval_seconds * 1000);
+    return first;
+  }
+
+  /**
+   * Stop polling, waiting for a poll in progress to finish
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.running) await this.running.catch(() => {});
+  }
+
+  /**
+   * Ingest new exports and check for late ones
+   * A poll already in progress is returned rather than starting another
+   * @param {Date} [now]
+   * @returns {Promise<{ingested: Array, quarantined: Array, alerts: Array}>}
+   */
+  poll(now = new Date()) {
+    if (this.running) return this.running;
+
+    this.running = this._poll(now).finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  /**
+   * @private
+   */
+  async _poll(now) {
+    const result = { ingested: [], quarantined: [], alerts: [] };
+
+    for (const file of await this.newFiles(now)) {
+      try {
+        const records = await this.client.readCSVExport(file.path, file.type);
+        await this.store.saveExport(file, records, now);
+        result.ingested.push({ name: file.name, rows: records.length });
+        console.log(`📥 Ingested ${file.name} (${records.length} rows)`);
+      } catch (error) {
+        await this.quarantine(file, error.message, now);
+        result.quarantined.push({ name: file.name, reason: error.message });
+        result.alerts.push({
+          type: 'aptean_export_quarantined',
+          file: file.name,
+          message: `Aptean export ${file.name} was quarantined: ${error.message}`,
+          severity: 'warning',
+        });
+      }
+    }
+
+    result.alerts.push(...await this.lateExportAlerts(now));
+
+    for (const alert of result.alerts) {
+      console.warn(`⚠️  ${alert.message}`);
+      await this.onAlert(alert);
+    }
+
+    return result;
+  }
+
+  /**
+   * Exports not yet processed, or changed since they were
+   * Files modified in the last settle_seconds may still be being written and are left for the next poll
+   * @param {Date} now
+   * @returns {Promise<Array>} { name, path, type, date, fingerprint }
+   */
+  async newFiles(now) {
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Aptean export folder not found: ${this.directory} (check APTEAN_CSV_EXPORT_PATH)`);
+      }
+      throw error;
+    }
+
+    const settledBefore = now.getTime() - this.settings.settle_seconds * 1000;
+    const files = [];
+
+    for (const name of names.sort()) {
+      if (!name.toLowerCase().endsWith('.csv')) continue;
+
+      const kind = exportFileType(name);
+      if (!kind) {
+        if (!this.unknownFiles.has(name)) {
+          this.unknownFiles.add(name);
+          console.warn(`⚠️  Ignoring ${name}: not an Aptean export name (expected e.g. yields_YYYY-MM-DD.csv)`);
+        }
+        continue;
+      }
+
+      const filePath = path.join(this.directory, name);
+      const stats = await fs.stat(filePath);
+      if (!stats.isFile() || stats.mtimeMs > settledBefore) continue;
+
+      const fingerprint = exportFingerprint(stats);
+      const entry = await this.store.entryFor(name);
+      if (entry?.fingerprint === fingerprint) continue;
+
+      files.push({ name, path: filePath, ...kind, fingerprint });
+    }
+
+    return files;
+  }
+
+  /**
+   * Move an export out of the watched folder, with a note of why next to it
+   * @param {Object} file - From newFiles
+   * @param {string} reason
+   * @param {Date} now
+   * @returns {Promise<void>}
+   */
+  async quarantine(file, reason, now) {
+    await fs.mkdir(this.quarantineDirectory, { recursive: true });
+    const target = path.join(this.quarantineDirectory, file.name);
+
+    try {
+      await fs.rename(file.path, target);
+    } catch (error) {
+      // The quarantine folder may be on another volume
+      if (error.code !== 'EXDEV') throw error;
+      await fs.copyFile(file.path, target);
+      await fs.unlink(file.path);
+    }
+
+    await fs.writeFile(`${target}.reason.txt`, `${now.toISOString()} ${reason}\n`);
+    await this.store.recordQuarantine(file, reason, now);
+  }
+
+  /**
+   * Alerts for expected exports that haven't arrived by due_by
+   * The export for a production day is due by due_by the next morning; each
+   * late export is alerted on once. A quarantined export doesn't count as
+   * arrived until a readable one replaces it.
+   * @param {Date} now
+   * @returns {Promise<Array>} Alerts
+   */
+  async lateExportAlerts(now) {
+    const { year, month, day } = londonParts(now);
+    const [hour, minute] = this.settings.due_by.split(':').map(Number);
+    if (now < fromLondonTime(year, month, day, hour, minute)) return [];
+
+    const productionDay = startOfReportDay(now, -1);
+    if (!this.settings.production_weekdays.includes(londonParts(productionDay).weekday)) return [];
+
+    const exportDay = formatReportDate(productionDay);
+    const { files } = await this.store.load();
+    const entries = Object.values(files).filter(entry => entry.date === exportDay);
+    const arrived = new Set(entries.filter(entry => entry.status === 'ingested').map(entry => entry.type));
+    const quarantined = new Set(entries.filter(entry => entry.status === 'quarantined').map(entry => entry.type));
+
+    const alerts = [];
+    for (const prefix of this.settings.expected) {
+      const kind = exportFileType(`${prefix}_${exportDay}.csv`);
+      const key = `missing:${prefix}:${exportDay}`;
+      if (!kind || arrived.has(kind.type) || await this.store.alertSent(key)) continue;
+
+      await this.store.recordAlert(key, now);
+      alerts.push({
+        type: 'aptean_export_missing',
+        file: `${prefix}_${exportDay}.csv`,
+        message: quarantined.has(kind.type)
+          ? `Aptean ${prefix} export for ${exportDay} was quarantined and no readable one has arrived (due by ${this.settings.due_by})`
+          : `Aptean ${prefix} export for ${exportDay} hasn't arrived (due by ${this.settings.due_by})`,
+        severity: 'warning',
+      });
+    }
+    return alerts;
+  }
+}
+
+export default ApteanExportWatcher;
@@ -5,6 +5,7 @@
 
 import axios from 'axios';
 import dotenv from 'dotenv';
+import FieldMapper from '../../utils/field-mapper.js';
 
 dotenv.config();
 
@@ -12,6 +13,7 @@ const KLAVIYO_PRIVATE_KEY = process.env.KLAVIYO_PRIVATE_KEY;
 
 class KlaviyoClient {
   constructor() {
+    this.fields = new FieldMapper('klaviyo');
     this.baseURL = 'https://a.klaviyo.com/api';
     this.client = axios.create({
       baseURL: this.baseURL,
@@ -31,20 +33,19 @@ class KlaviyoClient {
    */
   async getCampaignMetrics(startDate, endDate) {
     try {
+      await this.fields.load();
       const campaignsResponse = await this.client.get('/campaigns', {
         params: {
           'filter': `greater-than(send_time,${startDate.toISOString()}),less-than(send_time,${endDate.toISOString()})`,
         }
       });
 
-      const campaigns = campaignsResponse.data.data;
+      const campaigns = this.fields.mapAll(campaignsResponse.data.data, 'campaign');
       const metricsPromises = campaigns.map(campaign => this.getCampaignStats(campaign.id));
       const allMetrics = await Promise.all(metricsPromises);
 
       return campaigns.map((campaign, index) => ({
-        id: campaign.id,
-        name: campaign.attributes.name,
-        send_time: campaign.attributes.send_time,
+        ...campaign,
         metrics: allMetrics[index],
       }));
     } catch (error) {
@@ -60,19 +61,12 @@ class KlaviyoClient {
    */
   async getCampaignStats(campaignId) {
     try {
+      await this.fields.load();
       const response = await this.client.get(`/campaign-recipient-estimations/${campaignId}`);
-      const data = response.data.data.attributes;
+      const [stats] = this.fields.mapAll([response.data.data.attributes], 'campaign_stats');
 
-      return {
-        recipients: data.estimated_recipient_count || 0,
-        opens: data.total_opens || 0,
-        unique_opens: data.unique_opens || 0,
-        clicks: data.total_clicks || 0,
-        unique_clicks: data.unique_clicks || 0,
-        open_rate: data.open_rate || 0,
-        click_rate: data.click_rate || 0,
-        revenue: data.attributed_revenue || 0,
-      };
+      // Klaviyo leaves counts out rather than sending 0
+      return Object.fromEntries(Object.entries(stats).map(([field, value]) => [field, value ?? 0]));
     } catch (error) {
       console.error(`Error fetching stats for campaign ${campaignId}:`, error.message);
       return {
@@ -141,21 +135,24 @@ class KlaviyoClient {
    */
   async getFlowMetrics() {
     try {
+      await this.fields.load();
       const response = await this.client.get('/flows');
-      const flows = response.data.data;
-
-      return flows.map(flow => ({
-        id: flow.id,
-        name: flow.attributes.name,
-        status: flow.attributes.status,
-        created: flow.attributes.created,
-        // Note: Flow-specific metrics require additional API calls
-      }));
+
+      // Note: Flow-specific metrics require additional API calls
+      return this.fields.mapAll(response.data.data, 'flow');
     } catch (error) {
       console.error('Error fetching Klaviyo flows:', error.message);
       throw error;
     }
   }
+
+  /**
+   * Fields Klaviyo returned under a fallback name, or not at all, since this client was created
+   * @returns {Array} Drift entries (see FieldMapper.getDrift)
+   */
+  getSchemaDrift() {
+    return this.fields.getDrift();
+  }
 }
 
 export default KlaviyoClient;
@@ -5,6 +5,8 @@
 
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { formatReportDate } from '../../utils/reporting-calendar.js';
+import FieldMapper from '../../utils/field-mapper.js';
 
 dotenv.config();
 
@@ -13,16 +15,100 @@ const ORDERWISE_API_KEY = process.env.ORDERWISE_API_KEY;
 const ORDERWISE_USERNAME = process.env.ORDERWISE_USERNAME;
 const ORDERWISE_PASSWORD = process.env.ORDERWISE_PASSWORD;
 
+export const STOCK_CATEGORIES = ['chilled', 'frozen', 'dry_goods', 'packaging'];
+
+// Keywords in Orderwise product groups that identify each stock category
+const CATEGORY_KEYWORDS = [
+  ['frozen', /frozen|freezer/i],
+  ['chilled', /chill|fresh|butcher/i],
+  ['packaging', /packag|consumable|sundries/i],
+  ['dry_goods', /dry|ambient|grocer|larder/i],
+];
+
+/**
+ * Stock category for an Orderwise product group
+ * @param {string} productGroup - Category / product group as recorded in Orderwise
+ * @returns {string} One of STOCK_CATEGORIES, or "other"
+ */
+export function stockCategory(productGroup) {
+  if (!productGroup) return 'other';
+  const match = CATEGORY_KEYWORDS.find(([, pattern]) => pattern.test(productGroup));
+  return match ? match[0] : 'other';
+}
+
+/**
+ * Empty stock totals for one location or category
+ * @returns {Object}
+ */
+const emptySegment = () => ({ stock_value: 0, items: 0, items_below_reorder: 0 });
+
+// Fallback lifetime when the token response doesn't include expires_in
+const DEFAULT_TOKEN_LIFETIME_SECONDS = 3600;
+// Log in again this long before the current token lapses
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
 class OrderwiseClient {
-  constructor() {
-    this.baseURL = ORDERWISE_API_URL;
+  /**
+   * @param {Object} [options] - Overrides for the environment configuration (used by tests)
+   * @param {string} [options.baseURL]
+   * @param {string} [options.apiKey]
+   * @param {string} [options.username]
+   * @param {string} [options.password]
+   */
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || ORDERWISE_API_URL;
+    this.apiKey = options.apiKey ?? ORDERWISE_API_KEY;
+    this.username = options.username ?? ORDERWISE_USERNAME;
+    this.password = options.password ?? ORDERWISE_PASSWORD;
+
+    this.fields = new FieldMapper('orderwise');
+
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+    this.tokenRequest = null;
+
+    // Separate instance for logins so token requests skip the auth interceptors
+    this.authClient = axios.create({
+      baseURL: this.baseURL,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+      },
+    });
     this.client = axios.create({
       baseURL: this.baseURL,
       headers: {
         'Content-Type': 'application/json',
-        'Authorization': `Bearer ${ORDERWISE_API_KEY}`,
       },
     });
+
+    this.client.interceptors.request.use(async config => {
+      config._accessToken = await this.getAccessToken();
+      config.headers['Authorization'] = `Bearer ${config._accessToken}`;
+      return config;
+    });
+
+    // A 401 means the token was revoked or expired early: log in again and retry once
+    this.client.interceptors.response.use(null, async error => {
+      const config = error.config;
+      if (error.response?.status !== 401 || !config || config._authRetried || !this.hasCredentials()) {
+        throw error;
+      }
+
+      // Parallel requests can all fail on the same token; only the first one discards it
+      config._authRetried = true;
+      if (this.accessToken === config._accessToken) this.invalidateToken();
+      return this.client.request(config);
+    });
+  }
+
+  /**
+   * Whether username/password login is configured
+   * Without it requests fall back to the static ORDERWISE_API_KEY
+   * @returns {boolean}
+   */
+  hasCredentials() {
+    return Boolean(this.username && this.password);
   }
 
   /**
@@ -31,36 +117,64 @@ class OrderwiseClient {
    */
   async authenticate() {
     try {
-      const response = await this.client.post('/auth/token', {
-        username: ORDERWISE_USERNAME,
-        password: ORDERWISE_PASSWORD,
+      const response = await this.authClient.post('/auth/token', {
+        username: this.username,
+        password: this.password,
       });
 
-      this.client.defaults.headers['Authorization'] = `Bearer ${response.data.access_token}`;
-      return response.data.access_token;
+      const lifetimeSeconds = Number(response.data.expires_in) || DEFAULT_TOKEN_LIFETIME_SECONDS;
+      this.accessToken = response.data.access_token;
+      this.tokenExpiresAt = Date.now() + lifetimeSeconds * 1000;
+      return this.accessToken;
     } catch (error) {
       console.error('Error authenticating with Orderwise:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Current access token, logging in first if there is none or it is about to lapse
+   * Concurrent callers share a single login request
+   * @returns {Promise<string>}
+   */
+  async getAccessToken() {
+    if (!this.hasCredentials()) return this.apiKey;
+
+    if (this.accessToken && Date.now() < this.tokenExpiresAt - TOKEN_REFRESH_MARGIN_MS) {
+      return this.accessToken;
+    }
+
+    if (!this.tokenRequest) {
+      this.tokenRequest = this.authenticate().finally(() => {
+        this.tokenRequest = null;
+      });
+    }
+
+    return this.tokenRequest;
+  }
+
+  /**
+   * Forget the current token so the next request logs in again
+   */
+  invalidateToken() {
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
   /**
    * Get current stock levels
    * @returns {Promise<Array>} Stock level data
    */
   async getStockLevels() {
     try {
+      await this.fields.load();
       const response = await this.client.get('/stock/levels');
 
-      const stockData = response.data.map(item => ({
-        product_code: item.product_code,
-        product_name: item.product_name,
-        quantity_available: item.quantity_available,
-        quantity_allocated: item.quantity_allocated,
-        quantity_on_order: item.quantity_on_order,
-        reorder_level: item.reorder_level,
-        location: item.location,
-        value: item.unit_cost * item.quantity_available,
+      const stockData = this.fields.mapAll(response.data, 'stock').map(item => ({
+        ...item,
+        location: item.location || 'Unassigned',
+        category: stockCategory(item.category),
+        value: (item.unit_cost || 0) * (item.quantity_available || 0),
       }));
 
       return stockData;
@@ -70,32 +184,75 @@ class OrderwiseClient {
     }
   }
 
+  /**
+   * Get stock held per lot/batch with use-by or best-before dates
+   * @returns {Promise<Array>} Stock lots
+   */
+  async getStockLots() {
+    try {
+      await this.fields.load();
+      const response = await this.client.get('/stock/lots');
+
+      return this.fields.mapAll(response.data, 'stock_lot').map(item => ({
+        product_code: item.product_code,
+        product_name: item.product_name,
+        lot_number: item.lot_number,
+        quantity: item.quantity,
+        unit_cost: item.unit_cost,
+        value: (item.unit_cost || 0) * (item.quantity || 0),
+        location: item.location || 'Unassigned',
+        category: stockCategory(item.category),
+        expiry_date: item.use_by_date || item.best_before_date || item.expiry_date,
+        expiry_type: item.use_by_date ? 'use_by' : item.best_before_date ? 'best_before' : null,
+      }));
+    } catch (error) {
+      console.error('Error fetching Orderwise stock lots:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get stock summary metrics
+   * @param {Array} [stockLevels] - Stock levels already fetched (fetched if omitted)
    * @returns {Promise<Object>} Stock summary
    */
-  async getStockSummary() {
-    const stockLevels = await this.getStockLevels();
+  async getStockSummary(stockLevels = null) {
+    stockLevels = stockLevels || await this.getStockLevels();
 
     const summary = {
       total_stock_value: 0,
       total_items: stockLevels.length,
       items_below_reorder: 0,
       stock_by_category: {},
+      stock_by_location: {},
       alerts: [],
     };
 
     stockLevels.forEach(item => {
+      const belowReorder = item.quantity_available < item.reorder_level;
       summary.total_stock_value += item.value;
 
+      // Totals per category and warehouse location
+      [
+        [summary.stock_by_category, item.category || 'other'],
+        [summary.stock_by_location, item.location || 'Unassigned'],
+      ].forEach(([segments, key]) => {
+        segments[key] = segments[key] || emptySegment();
+        segments[key].stock_value += item.value;
+        segments[key].items++;
+        if (belowReorder) segments[key].items_below_reorder++;
+      });
+
       // Check for items below reorder level
-      if (item.quantity_available < item.reorder_level) {
+      if (belowReorder) {
         summary.items_below_reorder++;
         summary.alerts.push({
           product: item.product_name,
           current: item.quantity_available,
           reorder_level: item.reorder_level,
           on_order: item.quantity_on_order,
+          location: item.location,
+          category: item.category,
         });
       }
     });
@@ -109,16 +266,21 @@ class OrderwiseClient {
    */
   async getOpenPurchaseOrders() {
     try {
+      await this.fields.load();
       const response = await this.client.get('/purchase-orders', {
         params: { status: 'open' }
       });
 
-      return response.data.map(po => ({
+      return this._mapPurchaseOrders(response.data).map(po => ({
         po_number: po.po_number,
-        supplier: po.supplier_name,
+        supplier: po.supplier,
         total_value: po.total_value,
-        expected_date: po.expected_delivery_date,
-        items_count: po.line_items?.length || 0,
+        expected_date: po.expected_date,
+        items_count: po.line_items.length,
+        line_items: po.line_items.map(line => ({
+          product_code: line.product_code,
+          quantity: line.quantity_ordered,
+        })),
       }));
     } catch (error) {
       console.error('Error fetching purchase orders:', error.message);
@@ -127,32 +289,151 @@ class OrderwiseClient {
   }
 
   /**
-   * Get warehouse dispatch status
-   * @param {Date} date - Date to check dispatches
-   * @returns {Promise<Object>} Dispatch metrics
+   * Map raw purchase orders and their lines to canonical fields
+   * Lines from every PO are mapped as one batch so drift is reported once
+   * @private
    */
-  async getDispatchMetrics(date) {
+  _mapPurchaseOrders(records) {
+    const orders = this.fields.mapAll(records, 'purchase_order');
+    const lines = this.fields.mapAll(orders.flatMap(po => po.line_items || []), 'purchase_order_line');
+
+    let offset = 0;
+    return orders.map(po => {
+      const count = (po.line_items || []).length;
+      offset += count;
+      return { ...po, line_items: lines.slice(offset - count, offset) };
+    });
+  }
+
+  /**
+   * Get purchase orders received in a date range, for supplier performance
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<Array>} Received purchase orders
+   */
+  async getPurchaseOrderHistory(startDate, endDate) {
+    try {
+      await this.fields.load();
+      const response = await this.client.get('/purchase-orders', {
+        params: {
+          status: 'received',
+          received_from: formatReportDate(startDate),
+          received_to: formatReportDate(endDate),
+        }
+      });
+
+      return this._mapPurchaseOrders(response.data).map(po => ({
+        po_number: po.po_number,
+        supplier: po.supplier,
+        total_value: po.total_value,
+        order_date: po.order_date,
+        expected_date: po.expected_date,
+        received_date: po.received_date,
+        line_items: po.line_items.map(line => ({
+          product_code: line.product_code,
+          quantity_ordered: line.quantity_ordered,
+          quantity_received: line.quantity_received ?? 0,
+        })),
+      }));
+    } catch (error) {
+      console.error('Error fetching purchase order history:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get supplier terms per product: lead time, pack size and minimum order quantity
+   * A product can have several suppliers; one may be flagged preferred
+   * @returns {Promise<Array>} Supplier products
+   */
+  async getSupplierProducts() {
+    try {
+      await this.fields.load();
+      const response = await this.client.get('/suppliers/products');
+
+      return this.fields.mapAll(response.data, 'supplier_product').map(item => ({
+        ...item,
+        pack_size: item.pack_size ?? 1,
+        minimum_order_quantity: item.minimum_order_quantity ?? 0,
+        preferred: Boolean(item.preferred),
+      }));
+    } catch (error) {
+      console.error('Error fetching supplier products:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get warehouse dispatches scheduled for a date
+   * @param {Date} date - Dispatch day
+   * @returns {Promise<Array>} Dispatches
+   */
+  async getDispatches(date) {
     try {
+      await this.fields.load();
       const response = await this.client.get('/warehouse/dispatches', {
         params: {
-          date: date.toISOString().split('T')[0]
+          date: formatReportDate(date)
         }
       });
 
-      const dispatches = response.data;
+      return this.fields.mapAll(response.data, 'dispatch').map(d => ({
+        ...d,
+        courier: d.courier ?? 'Unknown',
+        service: d.service ?? 'Standard',
+        items_count: d.items_count ?? 0,
+      }));
+    } catch (error) {
+      console.error('Error fetching dispatches:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get dispatched lines with the lot each was picked from
+   * @param {Object} filter
+   * @param {Array<string>} [filter.lotNumbers] - Trace lots forward to the orders they shipped on
+   * @param {string} [filter.orderReference] - Trace an order back (Orderwise order number or channel reference)
+   * @returns {Promise<Array>} Dispatch lines
+   */
+  async getDispatchLines({ lotNumbers = null, orderReference = null } = {}) {
+    try {
+      await this.fields.load();
+      const response = await this.client.get('/warehouse/dispatch-lines', {
+        params: lotNumbers ? { lot_numbers: lotNumbers.join(',') } : { order_reference: orderReference },
+      });
 
-      return {
-        total_dispatches: dispatches.length,
-        completed: dispatches.filter(d => d.status === 'completed').length,
-        pending: dispatches.filter(d => d.status === 'pending').length,
-        in_progress: dispatches.filter(d => d.status === 'in_progress').length,
-        total_items_dispatched: dispatches.reduce((sum, d) => sum + d.items_count, 0),
-      };
+      return this.fields.mapAll(response.data, 'dispatch_line');
     } catch (error) {
-      console.error('Error fetching dispatch metrics:', error.message);
+      console.error('Error fetching dispatch lines:', error.message);
       throw error;
     }
   }
+
+  /**
+   * Fields Orderwise returned under a fallback name, or not at all, since this client was created
+   * @returns {Array} Drift entries (see FieldMapper.getDrift)
+   */
+  getSchemaDrift() {
+    return this.fields.getDrift();
+  }
+
+  /**
+   * Get warehouse dispatch status
+   * @param {Date} date - Date to check dispatches
+   * @returns {Promise<Object>} Dispatch metrics
+   */
+  async getDispatchMetrics(date) {
+    const dispatches = await this.getDispatches(date);
+
+    return {
+      total_dispatches: dispatches.length,
+      completed: dispatches.filter(d => d.status === 'completed').length,
+      pending: dispatches.filter(d => d.status === 'pending').length,
+      in_progress: dispatches.filter(d => d.status === 'in_progress').length,
+      total_items_dispatched: dispatches.reduce((sum, d) => sum + d.items_count, 0),
+    };
+  }
 }
 
 export default OrderwiseClient;
@@ -0,0 +1,403 @@
+/**
+ * Shopify Bulk Operations Client
+ * Runs GraphQL Admin bulk queries for large historical backfills
+ * and reshapes the JSONL results into the REST order format
+ */
+
+import axios from 'axios';
+import readline from 'readline';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const SHOPIFY_STORE_URL = process.env.SHOPIFY_STORE_URL;
+const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-01';
+
+const DEFAULT_POLL_INTERVAL_MS = 5000;
+const DEFAULT_TIMEOUT_MS = 60 * 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Convert a GraphQL global ID (gid://shopify/Order/123) to its numeric REST ID
+ * @param {string} gid
+ * @returns {number|null}
+ */
+export function legacyId(gid) {
+  if (!gid) return null;
+  const id = Number(gid.split('/').pop());
+  return isNaN(id) ? null : id;
+}
+
+const amountOf = moneyBag => moneyBag?.shopMoney?.amount ?? '0.00';
+const taxLinesOf = taxLines => (taxLines || []).map(line => ({ price: amountOf(line.priceSet) }));
+const discountAllocationsOf = allocations => (allocations || []).map(allocation => ({
+  amount: amountOf(allocation.allocatedAmountSet),
+  discount_application_index: allocation.discountApplication?.index,
+}));
+
+// REST discount_applications[].type for each GraphQL DiscountApplication type
+const DISCOUNT_APPLICATION_TYPES = {
+  DiscountCodeApplication: 'discount_code',
+  AutomaticDiscountApplication: 'automatic',
+  ManualDiscountApplication: 'manual',
+  ScriptDiscountApplication: 'script',
+};
+
+// Shopify runs one bulk query per shop at a time, so each shop's queries wait their turn
+const shopQueues = new Map();
+
+const ORDER_FIELDS = `
+  id
+  name
+  createdAt
+  cancelledAt
+  test
+  taxesIncluded
+  displayFinancialStatus
+  sourceName
+  email
+  tags
+  customAttributes { key value }
+  customer { id }
+  shippingAddress { zip countryCodeV2 }
+  discountCodes
+  totalPriceSet { shopMoney { amount } }
+  totalDiscountsSet { shopMoney { amount } }
+  totalTaxSet { shopMoney { amount } }
+  discountApplications {
+    edges {
+      node {
+        __typename
+        index
+        allocationMethod
+        targetType
+        value {
+          ... on MoneyV2 { amount }
+          ... on PricingPercentageValue { percentage }
+        }
+        ... on DiscountCodeApplication { code }
+        ... on AutomaticDiscountApplication { title }
+        ... on ManualDiscountApplication { title }
+        ... on ScriptDiscountApplication { title }
+      }
+    }
+  }
+  refunds {
+    id
+    createdAt
+    totalRefundedSet { shopMoney { amount } }
+  }
+  lineItems {
+    edges {
+      node {
+        id
+        name
+        sku
+        quantity
+        originalUnitPriceSet { shopMoney { amount } }
+        variant { id }
+        taxLines { priceSet { shopMoney { amount } } }
+        discountAllocations { allocatedAmountSet { shopMoney { amount } } discountApplication { index } }
+      }
+    }
+  }
+  shippingLines {
+    edges {
+      node {
+        id
+        originalPriceSet { shopMoney { amount } }
+        taxLines { priceSet { shopMoney { amount } } }
+        discountAllocations { allocatedAmountSet { shopMoney { amount } } discountApplication { index } }
+      }
+    }
+  }
+`;
+
+class ShopifyBulkClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseURL] - Admin API base URL (override for a local stand-in server)
+   * @param {string} [options.accessToken]
+   * @param {number} [options.pollIntervalMs] - Delay between status polls
+   * @param {number} [options.timeoutMs] - Give up waiting after this long
+   */
+  constructor(options = {}) {
+    this.baseURL = options.baseURL || `https://${SHOPIFY_STORE_URL}/admin/api/${SHOPIFY_API_VERSION}`;
+    this.pollIntervalMs = options.pollIntervalMs ?? DEFAULT_POLL_INTERVAL_MS;
+    this.timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      headers: {
+        'X-Shopify-Access-Token': options.accessToken || SHOPIFY_ACCESS_TOKEN,
+        'Content-Type': 'application/json',
+      },
+    });
+  }
+
+  /**
+   * Execute a GraphQL request, throwing on top-level errors
+   * @private
+   */
+  async _graphql(query, variables = {}) {
+    const response = await this.client.post('/graphql.json', { query, variables });
+
+    if (response.data.errors?.length) {
+      throw new Error(`Shopify GraphQL error: ${response.data.errors.map(e => e.message).join('; ')}`);
+    }
+
+    return response.data.data;
+  }
+
+  /**
+   * Start a bulk query operation
+   * @param {string} query - GraphQL query to run in bulk
+   * @returns {Promise<string>} Bulk operation ID
+   */
+  async startBulkQuery(query) {
+    const data = await this._graphql(`
+      mutation bulkOperationRunQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation { id status }
+          userErrors { field message }
+        }
+      }
+    `, { query });
+
+    const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+    if (userErrors?.length) {
+      throw new Error(`Shopify bulk query rejected: ${userErrors.map(e => e.message).join('; ')}`);
+    }
+
+    return bulkOperation.id;
+  }
+
+  /**
+   * Poll a bulk operation until it finishes
+   * @param {string} id - Bulk operation ID
+   * @returns {Promise<Object>} Completed operation (url is null when there were no results)
+   */
+  async waitForCompletion(id) {
+    const deadline = Date.now() + this.timeoutMs;
+
+    while (Date.now() < deadline) {
+      const data = await this._graphql(`
+        query bulkOperation($id: ID!) {
+          node(id: $id) {
+            ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+          }
+        }
+      `, { id });
+
+      const operation = data.node;
+      if (operation.status === 'COMPLETED') {
+        return operation;
+      }
+      if (['FAILED', 'CANCELED', 'EXPIRED'].includes(operation.status)) {
+        throw new Error(`Shopify bulk operation ${id} ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ''}`);
+      }
+
+      await sleep(this.pollIntervalMs);
+    }
+
+    throw new Error(`Timed out waiting for Shopify bulk operation ${id}`);
+  }
+
+  /**
+   * Stream JSONL results line by line
+   * @param {string} url - Result file URL from the completed operation
+   * @returns {AsyncGenerator<Object>} Parsed records
+   */
+  async *streamResults(url) {
+    const response = await axios.get(url, { responseType: 'stream' });
+    const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (line.trim()) {
+        yield JSON.parse(line);
+      }
+    }
+  }
+
+  /**
+   * Run a bulk order query once the shop's previous bulk query has finished
+   * @private
+   * @param {string} search - Shopify order search syntax
+   * @returns {Promise<Array>} Orders
+   */
+  _fetchOrders(search) {
+    const previous = shopQueues.get(this.baseURL) || Promise.resolve();
+    const run = previous.then(() => this._runOrderQuery(search));
+    shopQueues.set(this.baseURL, run.catch(() => {}));
+    return run;
+  }
+
+  /**
+   * Run a bulk order query and assemble the flattened JSONL into REST-shaped orders
+   * @private
+   * @param {string} search - Shopify order search syntax
+   * @returns {Promise<Array>} Orders
+   */
+  async _runOrderQuery(search) {
+    const id = await this.startBulkQuery(`{
+      orders(query: ${JSON.stringify(search)}) {
+        edges { node { ${ORDER_FIELDS} } }
+      }
+    }`);
+    const operation = await this.waitForCompletion(id);
+    if (!operation.url) return [];
+
+    // Child rows reference their order through __parentId
+    const orders = new Map();
+    for await (const record of this.streamResults(operation.url)) {
+      if (!record.__parentId) {
+        orders.set(record.id, this._toRestOrder(record));
+        continue;
+      }
+
+      const order = orders.get(record.__parentId);
+      if (!order) continue;
+
+      if (DISCOUNT_APPLICATION_TYPES[record.__typename]) {
+        // Allocations refer to applications by index, as in REST
+        order.discount_applications[record.index] = {
+          type: DISCOUNT_APPLICATION_TYPES[record.__typename],
+          code: record.code ?? null,
+          title: record.title ?? record.code ?? null,
+          value: record.value?.amount ?? record.value?.percentage ?? null,
+          value_type: record.value?.percentage !== undefined ? 'percentage' : 'fixed_amount',
+          allocation_method: record.allocationMethod?.toLowerCase(),
+          target_type: record.targetType?.toLowerCase(),
+        };
+      } else if (record.id.includes('/LineItem/')) {
+        order.line_items.push({
+          id: legacyId(record.id),
+          name: record.name,
+          sku: record.sku,
+          quantity: record.quantity,
+          price: amountOf(record.originalUnitPriceSet),
+          variant_id: legacyId(record.variant?.id),
+          tax_lines: taxLinesOf(record.taxLines),
+          discount_allocations: discountAllocationsOf(record.discountAllocations),
+        });
+      } else if (record.id.includes('/ShippingLine/')) {
+        order.shipping_lines.push({
+          id: legacyId(record.id),
+          price: amountOf(record.originalPriceSet),
+          tax_lines: taxLinesOf(record.taxLines),
+          discount_allocations: discountAllocationsOf(record.discountAllocations),
+        });
+      }
+    }
+
+    return [...orders.values()].map(order => this._withOrderTotals(order));
+  }
+
+  /**
+   * Fill in the REST order fields worked out from its lines once they are all read:
+   * total_line_items_price and each discount code's amount
+   * @private
+   */
+  _withOrderTotals(order) {
+    const allocated = new Map();
+    [...order.line_items, ...order.shipping_lines]
+      .flatMap(line => line.discount_allocations)
+      .forEach(allocation => {
+        const code = order.discount_applications[allocation.discount_application_index]?.code;
+        if (code) allocated.set(code, (allocated.get(code) || 0) + parseFloat(allocation.amount));
+      });
+
+    return {
+      ...order,
+      total_line_items_price: order.line_items
+        .reduce((sum, item) => sum + item.quantity * parseFloat(item.price), 0)
+        .toFixed(2),
+      discount_codes: order.discount_codes.map(discount => ({
+        ...discount,
+        amount: (allocated.get(discount.code) || 0).toFixed(2),
+      })),
+    };
+  }
+
+  /**
+   * Map a bulk order row onto the REST orders.json shape
+   * @private
+   */
+  _toRestOrder(record) {
+    const totalPrice = parseFloat(amountOf(record.totalPriceSet));
+    const totalTax = parseFloat(amountOf(record.totalTaxSet));
+    const taxRate = totalPrice > 0 ? totalTax / totalPrice : 0;
+
+    return {
+      id: legacyId(record.id),
+      name: record.name,
+      created_at: record.createdAt,
+      cancelled_at: record.cancelledAt,
+      test: record.test,
+      taxes_included: record.taxesIncluded,
+      financial_status: record.displayFinancialStatus?.toLowerCase(),
+      source_name: record.sourceName,
+      email: record.email,
+      tags: (record.tags || []).join(', '),
+      note_attributes: (record.customAttributes || []).map(({ key, value }) => ({ name: key, value })),
+      customer: record.customer ? { id: legacyId(record.customer.id) } : null,
+      shipping_address: record.shippingAddress
+        ? { zip: record.shippingAddress.zip, country_code: record.shippingAddress.countryCodeV2 }
+        : null,
+      discount_codes: (record.discountCodes || []).map(code => ({ code })),
+      total_price: amountOf(record.totalPriceSet),
+      total_discounts: amountOf(record.totalDiscountsSet),
+      total_tax: amountOf(record.totalTaxSet),
+      discount_applications: [],
+      // Bulk queries can't reach refundLineItems (a connection inside a list),
+      // so refunded VAT is apportioned at the order's overall tax rate
+      refunds: (record.refunds || []).map(refund => {
+        const refunded = parseFloat(amountOf(refund.totalRefundedSet));
+        return {
+          id: legacyId(refund.id),
+          created_at: refund.createdAt,
+          refund_line_items: [{
+            subtotal: record.taxesIncluded ? refunded : refunded * (1 - taxRate),
+            total_tax: refunded * taxRate,
+          }],
+        };
+      }),
+      line_items: [],
+      shipping_lines: [],
+    };
+  }
+
+  /**
+   * Get orders created within a date range
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<Array>} Orders in the REST orders.json shape
+   */
+  async getOrders(startDate, endDate) {
+    try {
+      return await this._fetchOrders(
+        `created_at:>='${startDate.toISOString()}' AND created_at:<='${endDate.toISOString()}'`
+      );
+    } catch (error) {
+      console.error('Error running Shopify bulk order query:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get orders updated since a date (used to find refunds issued in a period)
+   * @param {Date} startDate
+   * @returns {Promise<Array>} Orders in the REST orders.json shape
+   */
+  async getOrdersUpdatedSince(startDate) {
+    try {
+      return await this._fetchOrders(`updated_at:>='${startDate.toISOString()}'`);
+    } catch (error) {
+      console.error('Error running Shopify bulk refund query:', error.message);
+      throw error;
+    }
+  }
+}
+
+export default ShopifyBulkClient;
@@ -5,12 +5,73 @@
 
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { differenceInCalendarDays } from 'date-fns';
+import ShopifyBulkClient from './bulk-client.js';
+import { COST_SOURCES } from '../../utils/unit-cost-resolver.js';
+import { BREAKDOWN_DIMENSIONS, breakdownKey } from '../../utils/sales-breakdowns.js';
+import FieldMapper from '../../utils/field-mapper.js';
 
 dotenv.config();
 
 const SHOPIFY_STORE_URL = process.env.SHOPIFY_STORE_URL;
 const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
 const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-01';
+// Ranges longer than this go through GraphQL bulk operations instead of REST paging
+const SHOPIFY_BULK_THRESHOLD_DAYS = parseInt(process.env.SHOPIFY_BULK_THRESHOLD_DAYS || '31', 10);
+
+const PAGE_LIMIT = 250;
+const MAX_RETRIES = 5;
+const CALL_LIMIT_HEADROOM = 0.8; // Back off once 80% of the leaky bucket is used
+const BUCKET_LEAK_RATE_MS = 500; // Standard plans leak 2 calls per second
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const toAmount = value => parseFloat(value || 0);
+const sumTaxLines = taxLines => (taxLines || []).reduce((sum, line) => sum + toAmount(line.price), 0);
+
+/**
+ * Split an order's total into goods, discounts, shipping and VAT
+ * Gross sales, discounts and shipping are all ex VAT whether or not the
+ * shop's prices include tax. Shopify charges line VAT on the discounted
+ * price, so on tax-inclusive shops gross and discounts are both taken back
+ * to ex VAT at the order's effective goods rate.
+ * @param {Object} order - Shopify order
+ * @returns {{gross_sales: number, discounts: number, net_sales: number, shipping: number, vat: number}}
+ */
+export function splitOrderTotals(order) {
+  const taxesIncluded = Boolean(order.taxes_included);
+  const lineTax = (order.line_items || []).reduce((sum, item) => sum + sumTaxLines(item.tax_lines), 0);
+  const shippingLines = order.shipping_lines || [];
+  const shippingPrice = shippingLines.reduce((sum, line) => sum + toAmount(line.price), 0);
+  const shippingTax = shippingLines.reduce((sum, line) => sum + sumTaxLines(line.tax_lines), 0);
+
+  const lineItemsPrice = order.total_line_items_price !== undefined
+    ? toAmount(order.total_line_items_price)
+    : (order.line_items || []).reduce((sum, item) => sum + item.quantity * toAmount(item.price), 0);
+  const totalDiscounts = toAmount(order.total_discounts);
+
+  // Share of the tax-inclusive goods price that is ex VAT
+  const netGoods = lineItemsPrice - totalDiscounts - (taxesIncluded ? lineTax : 0);
+  const exVat = taxesIncluded && netGoods > 0 ? netGoods / (lineItemsPrice - totalDiscounts) : 1;
+  const grossSales = lineItemsPrice * exVat;
+  const discounts = totalDiscounts * exVat;
+
+  return {
+    gross_sales: grossSales,
+    discounts,
+    net_sales: grossSales - discounts,
+    shipping: shippingPrice - (taxesIncluded ? shippingTax : 0),
+    vat: toAmount(order.total_tax),
+  };
+}
+
+/**
+ * Whether an order counts towards sales (voided and test orders never took payment)
+ * @param {Object} order - Shopify order
+ * @returns {boolean}
+ */
+export function isSaleOrder(order) {
+  return order.financial_status !== 'voided' && !order.test;
+}
 
 class ShopifyClient {
   constructor() {
@@ -22,6 +83,113 @@ class ShopifyClient {
         'Content-Type': 'application/json',
       },
     });
+    this.bulk = new ShopifyBulkClient();
+    this.fields = new FieldMapper('shopify');
+    this.taxesIncludedRequest = null;
+  }
+
+  /**
+   * Overlay the canonical order and line item fields on raw orders
+   * Other Shopify fields (tax lines, discounts, refunds...) pass through untouched
+   * @private
+   */
+  async _normalizeOrders(orders) {
+    await this.fields.load();
+    const lineItems = this.fields.mapAll(orders.flatMap(order => order.line_items || []), 'line_item');
+
+    let next = 0;
+    return this.fields.mapAll(orders, 'order').map((mapped, index) => {
+      const order = orders[index];
+      return {
+        ...order,
+        ...mapped,
+        line_items: (order.line_items || []).map(item => ({ ...item, ...lineItems[next++] })),
+      };
+    });
+  }
+
+  /**
+   * Whether a date range is large enough to use a bulk operation
+   * @private
+   */
+  _useBulk(startDate, endDate) {
+    return differenceInCalendarDays(endDate, startDate) > SHOPIFY_BULK_THRESHOLD_DAYS;
+  }
+
+  /**
+   * GET a single page, retrying on 429 and pacing against the call limit
+   * @private
+   */
+  async _get(url, params) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.client.get(url, { params });
+        await this._throttle(response.headers);
+        return response;
+      } catch (error) {
+        if (error.response?.status !== 429 || attempt >= MAX_RETRIES) {
+          throw error;
+        }
+
+        const retryAfter = parseFloat(error.response.headers?.['retry-after']);
+        const waitMs = isNaN(retryAfter) ? 2 ** attempt * 1000 : retryAfter * 1000;
+        console.warn(`Shopify rate limit hit, retrying in ${waitMs}ms`);
+        await sleep(waitMs);
+      }
+    }
+  }
+
+  /**
+   * Pause when the X-Shopify-Shop-Api-Call-Limit bucket is nearly full
+   * @private
+   */
+  async _throttle(headers = {}) {
+    const callLimit = headers['x-shopify-shop-api-call-limit'];
+    if (!callLimit) return;
+
+    const [used, limit] = callLimit.split('/').map(Number);
+    if (!limit || used / limit < CALL_LIMIT_HEADROOM) return;
+
+    const excess = used - Math.floor(limit * CALL_LIMIT_HEADROOM) + 1;
+    await sleep(excess * BUCKET_LEAK_RATE_MS);
+  }
+
+  /**
+   * Extract the page_info cursor for the next page from a Link header
+   * @private
+   */
+  _nextPageInfo(linkHeader) {
+    if (!linkHeader) return null;
+
+    const next = linkHeader
+      .split(',')
+      .find(link => /rel="?next"?/.test(link));
+    const match = next?.match(/[?&]page_info=([^&>]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  /**
+   * Follow page_info cursors until every record has been fetched
+   * @private
+   * @param {string} url - Endpoint path
+   * @param {string} key - Response property holding the records
+   * @param {Object} params - Filters for the first page
+   * @returns {Promise<Array>} All records across pages
+   */
+  async _getAllPages(url, key, params = {}) {
+    const records = [];
+    let pageParams = { ...params, limit: PAGE_LIMIT };
+
+    while (pageParams) {
+      const response = await this._get(url, pageParams);
+      records.push(...response.data[key]);
+
+      // Cursor requests must not repeat the original filters
+      const pageInfo = this._nextPageInfo(response.headers?.link);
+      pageParams = pageInfo ? { limit: PAGE_LIMIT, page_info: pageInfo } : null;
+    }
+
+    return records;
   }
 
   /**
@@ -32,56 +200,162 @@ class ShopifyClient {
    */
   async getOrders(startDate, endDate) {
     try {
-      const params = {
-        status: 'any',
-        created_at_min: startDate.toISOString(),
-        created_at_max: endDate.toISOString(),
-        limit: 250,
-      };
+      const orders = this._useBulk(startDate, endDate)
+        ? await this.bulk.getOrders(startDate, endDate)
+        : await this._getAllPages('/orders.json', 'orders', {
+          status: 'any',
+          created_at_min: startDate.toISOString(),
+          created_at_max: endDate.toISOString(),
+        });
 
-      const response = await this.client.get('/orders.json', { params });
-      return response.data.orders;
+      return await this._normalizeOrders(orders);
     } catch (error) {
       console.error('Error fetching Shopify orders:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Get orders by name (e.g. "#1042"), the order number shown in Shopify admin
+   * @param {Array<string>} names
+   * @returns {Promise<Array>} Orders found; names with no order are left out
+   */
+  async getOrdersByName(names) {
+    try {
+      const orders = [];
+      for (const name of new Set(names)) {
+        const response = await this._get('/orders.json', { name, status: 'any' });
+        orders.push(...response.data.orders.filter(order => order.name === name));
+      }
+
+      return await this._normalizeOrders(orders);
+    } catch (error) {
+      console.error('Error fetching Shopify orders by name:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get refunds issued within a date range, regardless of when the order was placed
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<Array>} Refunds with the parent order's taxes_included flag
+   */
+  async getRefunds(startDate, endDate) {
+    try {
+      // A refund bumps the order's updated_at, but later edits can move it past
+      // endDate, so there is no upper bound; refunds are filtered by created_at below
+      const orders = this._useBulk(startDate, new Date())
+        ? await this.bulk.getOrdersUpdatedSince(startDate)
+        : await this._getAllPages('/orders.json', 'orders', {
+          status: 'any',
+          updated_at_min: startDate.toISOString(),
+        });
+
+      return orders
+        .filter(order => !order.test)
+        .flatMap(order => (order.refunds || []).map(refund => ({
+          ...refund,
+          order_id: order.id,
+          taxes_included: Boolean(order.taxes_included),
+        })))
+        .filter(refund => {
+          const refundDate = new Date(refund.created_at);
+          return refundDate >= startDate && refundDate <= endDate;
+        });
+    } catch (error) {
+      console.error('Error fetching Shopify refunds:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get sales metrics for a date range
    * @param {Date} startDate
    * @param {Date} endDate
+   * @param {import('../../utils/unit-cost-resolver.js').default} [costResolver] - Loaded unit cost resolver
    * @returns {Promise<Object>} Sales metrics
    */
-  async getSalesMetrics(startDate, endDate) {
-    const orders = await this.getOrders(startDate, endDate);
+  async getSalesMetrics(startDate, endDate, costResolver = null) {
+    const [orders, refunds] = await Promise.all([
+      this.getOrders(startDate, endDate),
+      this.getRefunds(startDate, endDate),
+    ]);
+
+    return this.calculateSalesMetrics(orders, refunds, costResolver);
+  }
+
+  /**
+   * Calculate sales metrics from orders and refunds already fetched
+   * @param {Array} allOrders - Orders placed in the period
+   * @param {Array} refunds - Refunds issued in the period (with taxes_included)
+   * @param {import('../../utils/unit-cost-resolver.js').default} [costResolver]
+   * @returns {Object} Sales metrics
+   */
+  calculateSalesMetrics(allOrders, refunds = [], costResolver = null) {
+    // Cancelled paid orders stay in sales and are offset by their refund,
+    // but aren't counted as orders
+    const orders = allOrders.filter(isSaleOrder);
+    const isCancelled = order => Boolean(order.cancelled_at);
 
     const metrics = {
-      total_orders: orders.length,
+      total_orders: orders.filter(order => !isCancelled(order)).length,
       total_revenue: 0,
+      gross_sales: 0,
+      discounts: 0,
+      refunds: 0,
+      net_sales: 0,
+      shipping: 0,
+      vat: 0,
       total_cost: 0,
       total_margin: 0,
       margin_percentage: 0,
       top_products: {},
       average_order_value: 0,
+      cost_sources: COST_SOURCES.reduce((acc, source) => {
+        acc[source] = { line_items: 0, revenue: 0, cost: 0 };
+        return acc;
+      }, {}),
+      // Order net sales (before refunds) by channel, postcode area and delivery day
+      breakdowns: BREAKDOWN_DIMENSIONS.reduce((acc, dimension) => {
+        acc[dimension] = {};
+        return acc;
+      }, {}),
     };
 
     orders.forEach(order => {
-      // Sum revenue
-      const revenue = parseFloat(order.total_price || 0);
-      metrics.total_revenue += revenue;
+      const totals = splitOrderTotals(order);
+      metrics.gross_sales += totals.gross_sales;
+      metrics.discounts += totals.discounts;
+      metrics.shipping += totals.shipping;
+      metrics.vat += totals.vat;
+
+      BREAKDOWN_DIMENSIONS.forEach(dimension => {
+        const key = breakdownKey(order, dimension);
+        const bucket = metrics.breakdowns[dimension][key] || { orders: 0, net_sales: 0 };
+        if (!isCancelled(order)) bucket.orders++;
+        bucket.net_sales += totals.net_sales;
+        metrics.breakdowns[dimension][key] = bucket;
+      });
 
       // Calculate cost and margin from line items
       order.line_items?.forEach(item => {
         const quantity = item.quantity;
         const price = parseFloat(item.price);
-        const cost = parseFloat(item.variant?.compare_at_price || item.price * 0.6); // Fallback if cost not available
+        const { unit_cost: cost, source } = costResolver
+          ? costResolver.resolve(item)
+          : { unit_cost: 0, source: 'missing' };
 
         const itemRevenue = quantity * price;
         const itemCost = quantity * cost;
 
         metrics.total_cost += itemCost;
 
+        // Track where the cost figure came from
+        metrics.cost_sources[source].line_items++;
+        metrics.cost_sources[source].revenue += itemRevenue;
+        metrics.cost_sources[source].cost += itemCost;
+
         // Track top products
         const productName = item.name;
         if (!metrics.top_products[productName]) {
@@ -95,7 +369,27 @@ class ShopifyClient {
       });
     });
 
-    // Calculate margin
+    // Refunds are dated by when they were issued, not when the order was placed
+    refunds.forEach(refund => {
+      refund.refund_line_items?.forEach(line => {
+        const tax = toAmount(line.total_tax);
+        metrics.refunds += toAmount(line.subtotal) - (refund.taxes_included ? tax : 0);
+        metrics.vat -= tax;
+      });
+
+      // Shipping refund adjustments are negative and exclude tax
+      refund.order_adjustments?.forEach(adjustment => {
+        if (adjustment.kind === 'shipping_refund') {
+          metrics.shipping += toAmount(adjustment.amount);
+          metrics.vat += toAmount(adjustment.tax_amount);
+        }
+      });
+    });
+
+    metrics.net_sales = metrics.gross_sales - metrics.discounts - metrics.refunds;
+    metrics.total_revenue = metrics.net_sales;
+
+    // Calculate margin on net sales
     metrics.total_margin = metrics.total_revenue - metrics.total_cost;
     metrics.margin_percentage = metrics.total_revenue > 0
       ? (metrics.total_margin / metrics.total_revenue) * 100
@@ -124,30 +418,77 @@ class ShopifyClient {
    */
   async getInventoryLevels() {
     try {
-      const response = await this.client.get('/products.json', {
-        params: { limit: 250 }
-      });
+      await this.fields.load();
+      const products = await this._getAllPages('/products.json', 'products');
+      const variants = this.fields.mapAll(products.flatMap(product => product.variants || []), 'variant');
 
-      const products = response.data.products;
-      const inventory = products.map(product => ({
-        id: product.id,
-        title: product.title,
-        variants: product.variants.map(variant => ({
-          id: variant.id,
-          title: variant.title,
-          sku: variant.sku,
-          inventory_quantity: variant.inventory_quantity,
-          price: variant.price,
-        })),
+      let next = 0;
+      return this.fields.mapAll(products, 'product').map((product, index) => ({
+        ...product,
+        variants: (products[index].variants || []).map(() => variants[next++]),
       }));
-
-      return inventory;
     } catch (error) {
       console.error('Error fetching Shopify inventory:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Get unit costs recorded on Shopify inventory items
+   * @returns {Promise<Array>} Variants with a known unit cost
+   */
+  async getVariantCosts() {
+    try {
+      const inventory = await this.getInventoryLevels();
+      const variants = inventory
+        .flatMap(product => product.variants)
+        .filter(variant => variant.inventory_item_id);
+
+      // inventory_items.json accepts at most 100 ids per request
+      const costs = new Map();
+      for (let i = 0; i < variants.length; i += 100) {
+        const ids = variants.slice(i, i + 100).map(variant => variant.inventory_item_id);
+        const response = await this._get('/inventory_items.json', { ids: ids.join(','), limit: 100 });
+
+        response.data.inventory_items.forEach(item => {
+          const cost = parseFloat(item.cost);
+          if (!isNaN(cost)) {
+            costs.set(item.id, cost);
+          }
+        });
+      }
+
+      return variants
+        .filter(variant => costs.has(variant.inventory_item_id))
+        .map(variant => ({
+          variant_id: variant.id,
+          sku: variant.sku,
+          unit_cost: costs.get(variant.inventory_item_id),
+        }));
+    } catch (error) {
+      console.error('Error fetching Shopify inventory item costs:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the shop's prices include VAT (Settings → Taxes and duties)
+   * Read once per client
+   * @returns {Promise<boolean>}
+   */
+  getTaxesIncluded() {
+    if (!this.taxesIncludedRequest) {
+      this.taxesIncludedRequest = this._get('/shop.json', { fields: 'taxes_included' })
+        .then(response => Boolean(response.data.shop.taxes_included))
+        .catch(error => {
+          this.taxesIncludedRequest = null;
+          console.error('Error fetching Shopify shop settings:', error.message);
+          throw error;
+        });
+    }
+    return this.taxesIncludedRequest;
+  }
+
   /**
    * Get customer count and metrics
    * @returns {Promise<Object>} Customer metrics
@@ -163,6 +504,14 @@ class ShopifyClient {
       throw error;
     }
   }
+
+  /**
+   * Fields Shopify returned under a fallback name, or not at all, since this client was created
+   * @returns {Array} Drift entries (see FieldMapper.getDrift)
+   */
+  getSchemaDrift() {
+    return this.fields.getDrift();
+  }
 }
 
 export default ShopifyClient;
@@ -0,0 +1,136 @@
+/**
+ * Shopify Webhook Receiver
+ * Verifies X-Shopify-Hmac-Sha256 signatures and records order and refund events
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import EventLog from '../../utils/event-log.js';
+
+dotenv.config();
+
+const SHOPIFY_WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET;
+
+export const WEBHOOK_PATH = '/webhooks/shopify';
+export const WEBHOOK_TOPICS = ['orders/create', 'orders/updated', 'refunds/create'];
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Verify a webhook body against its X-Shopify-Hmac-Sha256 header
+ * @param {Buffer|string} rawBody - Unparsed request body
+ * @param {string} hmacHeader - Base64 HMAC sent by Shopify
+ * @param {string} secret - App webhook signing secret
+ * @returns {boolean} True if the signature matches
+ */
+export function verifyWebhookSignature(rawBody, hmacHeader, secret) {
+  if (!hmacHeader || !secret) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(hmacHeader, 'base64');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+class ShopifyWebhookServer {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.secret] - Webhook signing secret
+   * @param {EventLog} [options.eventLog] - Where verified events are stored
+   */
+  constructor(options = {}) {
+    this.secret = options.secret || SHOPIFY_WEBHOOK_SECRET;
+    this.eventLog = options.eventLog || new EventLog();
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  /**
+   * Start listening
+   * @param {number} port
+   * @returns {Promise<http.Server>}
+   */
+  listen(port) {
+    if (!this.secret) {
+      throw new Error('SHOPIFY_WEBHOOK_SECRET is not configured');
+    }
+
+    return new Promise(resolve => {
+      this.server.listen(port, () => resolve(this.server));
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Handle an incoming HTTP request
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handleRequest(req, res) {
+    if (req.method !== 'POST' || req.url !== WEBHOOK_PATH) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    try {
+      const rawBody = await this.readBody(req);
+
+      if (!verifyWebhookSignature(rawBody, req.headers['x-shopify-hmac-sha256'], this.secret)) {
+        console.warn('⚠️  Rejected Shopify webhook with invalid signature');
+        res.writeHead(401).end();
+        return;
+      }
+
+      const topic = req.headers['x-shopify-topic'];
+
+      // Acknowledge topics we don't track so Shopify stops retrying them
+      if (WEBHOOK_TOPICS.includes(topic)) {
+        await this.eventLog.append({
+          id: req.headers['x-shopify-webhook-id'] || null,
+          topic,
+          shop: req.headers['x-shopify-shop-domain'] || null,
+          payload: JSON.parse(rawBody.toString('utf-8')),
+        });
+      }
+
+      res.writeHead(200).end();
+    } catch (error) {
+      console.error('Error handling Shopify webhook:', error.message);
+      res.writeHead(error.statusCode || 500).end();
+    }
+  }
+
+  /**
+   * Read the raw request body, capped at MAX_BODY_BYTES
+   * @private
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          const error = new Error('Webhook body too large');
+          error.statusCode = 413;
+          reject(error);
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+}
+
+export default ShopifyWebhookServer;
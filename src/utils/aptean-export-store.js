@@ -0,0 +1,177 @@
+/**
+ * Aptean Export Store
+ * Local copy of each ingested Aptean CSV export as JSONL (one file per
+ * export, canonical records), plus a manifest of the files already processed,
+ * quarantined or alerted on so a restarted watcher picks up where it left off.
+ * ApteanClient reads the stored records in place of any export the watcher has
+ * ingested and that hasn't changed since.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const APTEAN_STORE_DIR = process.env.APTEAN_STORE_DIR;
+
+const emptyManifest = () => ({ files: {}, alerts: {} });
+
+class ApteanExportStore {
+  /**
+   * @param {string} [directory] - Where records and the manifest are written
+   */
+  constructor(directory = APTEAN_STORE_DIR || path.join(process.cwd(), 'data', 'aptean')) {
+    this.directory = directory;
+    this.manifest = null;
+  }
+
+  /**
+   * Path of the manifest of processed files
+   * @returns {string}
+   */
+  get manifestPath() {
+    return path.join(this.directory, 'processed.json');
+  }
+
+  /**
+   * Path of the stored records for an export
+   * @param {string} filename - Export file name, e.g. yields_2026-10-18.csv
+   * @returns {string}
+   */
+  fileFor(filename) {
+    return path.join(this.directory, 'records', filename.replace(/\.csv$/i, '.jsonl'));
+  }
+
+  /**
+   * Read the manifest once; later calls use the copy in memory
+   * @returns {Promise<{files: Object, alerts: Object}>}
+   */
+  async load() {
+    if (this.manifest) return this.manifest;
+
+    try {
+      this.manifest = { ...emptyManifest(), ...JSON.parse(await fs.readFile(this.manifestPath, 'utf-8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading Aptean export manifest ${this.manifestPath}:`, error.message);
+        throw error;
+      }
+      this.manifest = emptyManifest();
+    }
+    return this.manifest;
+  }
+
+  /**
+   * Write the manifest, via a temporary file so a crash can't leave it half-written
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _saveManifest() {
+    await fs.mkdir(this.directory, { recursive: true });
+    const tempPath = `${this.manifestPath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(this.manifest, null, 2));
+    await fs.rename(tempPath, this.manifestPath);
+  }
+
+  /**
+   * Manifest entry for a file, if it has been processed or quarantined
+   * @param {string} filename
+   * @returns {Promise<Object|null>} { status: 'ingested'|'quarantined', fingerprint, ... }
+   */
+  async entryFor(filename) {
+    const manifest = await this.load();
+    return manifest.files[filename] ?? null;
+  }
+
+  /**
+   * Store an export's records, replacing any earlier copy of the same file
+   * @param {Object} file
+   * @param {string} file.name - Export file name
+   * @param {string} file.type - Record type in config/field-mappings.json
+   * @param {string|null} file.date - Export date (null for a rolling export)
+   * @param {string} file.fingerprint - Size and modified time the file was read at
+   * @param {Array} records - Canonical records
+   * @param {Date} [ingestedAt]
+   * @returns {Promise<void>}
+   */
+  async saveExport(file, records, ingestedAt = new Date()) {
+    const manifest = await this.load();
+    const recordsPath = this.fileFor(file.name);
+    await fs.mkdir(path.dirname(recordsPath), { recursive: true });
+
+    const lines = records.map(record => JSON.stringify({ ...record, source_file: file.name }));
+    await fs.writeFile(recordsPath, lines.map(line => line + '\n').join(''));
+
+    manifest.files[file.name] = {
+      status: 'ingested',
+      type: file.type,
+      date: file.date,
+      fingerprint: file.fingerprint,
+      rows: records.length,
+      processed_at: ingestedAt.toISOString(),
+    };
+    await this._saveManifest();
+  }
+
+  /**
+   * Record that an export was quarantined, and why
+   * @param {Object} file - As for saveExport
+   * @param {string} reason
+   * @param {Date} [quarantinedAt]
+   * @returns {Promise<void>}
+   */
+  async recordQuarantine(file, reason, quarantinedAt = new Date()) {
+    const manifest = await this.load();
+    manifest.files[file.name] = {
+      status: 'quarantined',
+      type: file.type,
+      date: file.date,
+      fingerprint: file.fingerprint,
+      reason,
+      processed_at: quarantinedAt.toISOString(),
+    };
+    await this._saveManifest();
+  }
+
+  /**
+   * Read the stored records for an export
+   * @param {string} filename - Export file name
+   * @returns {Promise<Array>} Records, empty if the export hasn't been ingested
+   */
+  async readExport(filename) {
+    let content;
+    try {
+      content = await fs.readFile(this.fileFor(filename), 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return content
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+
+  /**
+   * Whether an alert has already been sent
+   * @param {string} key - e.g. missing:yields:2026-10-18
+   * @returns {Promise<boolean>}
+   */
+  async alertSent(key) {
+    const manifest = await this.load();
+    return key in manifest.alerts;
+  }
+
+  /**
+   * Remember that an alert was sent, so a restart doesn't repeat it
+   * @param {string} key
+   * @param {Date} [sentAt]
+   * @returns {Promise<void>}
+   */
+  async recordAlert(key, sentAt = new Date()) {
+    const manifest = await this.load();
+    manifest.alerts[key] = sentAt.toISOString();
+    await this._saveManifest();
+  }
+}
+
+export default ApteanExportStore;
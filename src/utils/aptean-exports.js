@@ -0,0 +1,174 @@
+/**
+ * Aptean CSV export discovery
+ * Aptean writes one export per day per record type (yields_2026-10-18.csv,
+ * batches_2026-10-18.csv) into APTEAN_CSV_EXPORT_PATH. Older sites still
+ * write a single rolling yields_export.csv, which is read as the oldest export.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { format, isValid, parse } from 'date-fns';
+import { parseReportDate, startOfReportDay, formatReportDate } from './reporting-calendar.js';
+
+/**
+ * File name prefix for each record type
+ */
+export const EXPORT_PREFIXES = {
+  yield: 'yields',
+  batch: 'batches',
+  batch_output: 'outputs',
+};
+
+/**
+ * Record types with several rows per batch (one per cut)
+ */
+export const LINES_PER_BATCH = new Set(['batch_output']);
+
+// A batch finished after midnight is in the next day's export, so read one day past the range
+export const EXPORT_LAG_DAYS = 1;
+
+// Exports re-saved in Excel on a UK machine have day-first dates
+const UK_DATE_FORMATS = ['d/M/yyyy', 'd-M-yyyy', 'd.M.yyyy'];
+
+/**
+ * Europe/London production day of an export row
+ * @param {string|Date} value - production_date as exported: yyyy-MM-dd, an ISO
+ *   timestamp or dd/mm/yyyy, optionally followed by a time
+ * @returns {string|null} yyyy-MM-dd, or null if the date can't be read
+ */
+export function productionDay(value) {
+  if (value instanceof Date) return isValid(value) ? formatReportDate(value) : null;
+
+  const text = String(value ?? '').trim();
+  // A timestamp with a zone is converted to London time; without one it is already local
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return isValid(date) ? formatReportDate(date) : null;
+  }
+
+  const day = text.split(/[\sT]/)[0];
+  let formats = [];
+  if (/^\d{4}-\d{2}-\d{2}$/.test(day)) formats = ['yyyy-MM-dd'];
+  else if (/^\d{1,2}[/.-]\d{1,2}[/.-]\d{4}$/.test(day)) formats = UK_DATE_FORMATS;
+
+  const date = formats.map(pattern => parse(day, pattern, new Date())).find(isValid);
+  return date ? format(date, 'yyyy-MM-dd') : null;
+}
+
+/**
+ * Identify an export by size and modified time, so a re-exported file is read again
+ * @param {fs.Stats} stats
+ * @returns {string}
+ */
+export const exportFingerprint = stats => `${stats.size}:${Math.round(stats.mtimeMs)}`;
+
+/**
+ * Export date from a file name
+ * @param {string} filename - e.g. yields_2026-10-18.csv
+ * @param {string} prefix - e.g. yields
+ * @returns {string|null} yyyy-MM-dd, or null if the name isn't a dated export
+ */
+export function exportFileDate(filename, prefix) {
+  const match = new RegExp(`^${prefix}_(\\d{4}-\\d{2}-\\d{2})\\.csv$`, 'i').exec(filename);
+  return match ? match[1] : null;
+}
+
+/**
+ * Record type and export date of an export file
+ * @param {string} filename - e.g. batches_2026-10-18.csv or yields_export.csv
+ * @returns {{type: string, prefix: string, date: string|null}|null} date is null for a rolling export;
+ *   null if the name isn't an Aptean export
+ */
+export function exportFileType(filename) {
+  for (const [type, prefix] of Object.entries(EXPORT_PREFIXES)) {
+    const date = exportFileDate(filename, prefix);
+    if (date) return { type, prefix, date };
+    if (filename.toLowerCase() === `${prefix}_export.csv`) return { type, prefix, date: null };
+  }
+  return null;
+}
+
+/**
+ * Every Europe/London day from firstDay to lastDay
+ * @param {string} firstDay - yyyy-MM-dd
+ * @param {string} lastDay - yyyy-MM-dd
+ * @returns {Array<string>}
+ */
+export function daysBetween(firstDay, lastDay) {
+  const days = [];
+  const start = parseReportDate(firstDay);
+  for (let offset = 0; ; offset++) {
+    const day = formatReportDate(startOfReportDay(start, offset));
+    if (day > lastDay) return days;
+    days.push(day);
+  }
+}
+
+/**
+ * Find the exports covering a range of production days
+ * @param {string} directory - APTEAN_CSV_EXPORT_PATH
+ * @param {string} prefix - From EXPORT_PREFIXES
+ * @param {string} firstDay - yyyy-MM-dd
+ * @param {string} lastDay - yyyy-MM-dd
+ * @returns {Promise<{files: Array, missingDays: Array<string>}>} files oldest first as { name, path, date };
+ *   missingDays are days in the range with no dated export (none when a rolling export exists)
+ */
+export async function findExportFiles(directory, prefix, firstDay, lastDay) {
+  let names;
+  try {
+    names = await fs.readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Aptean export folder not found: ${directory} (check APTEAN_CSV_EXPORT_PATH)`);
+    }
+    throw error;
+  }
+
+  const lastExportDay = formatReportDate(startOfReportDay(parseReportDate(lastDay), EXPORT_LAG_DAYS));
+  const dated = names
+    .map(name => ({ name, path: path.join(directory, name), date: exportFileDate(name, prefix) }))
+    .filter(file => file.date && file.date >= firstDay && file.date <= lastExportDay)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  const rolling = names.find(name => name.toLowerCase() === `${prefix}_export.csv`);
+  const files = rolling ? [{ name: rolling, path: path.join(directory, rolling), date: null }, ...dated] : dated;
+
+  const exportedDays = new Set(dated.map(file => file.date));
+  const missingDays = rolling ? [] : daysBetween(firstDay, lastDay).filter(day => !exportedDays.has(day));
+
+  return { files, missingDays };
+}
+
+/**
+ * Merge records from several exports, keeping the latest copy of each batch
+ * Exports are re-run when figures are corrected, so a later export (and a
+ * later row within one export) replaces an earlier one. With linesPerBatch,
+ * the latest export that has a batch supplies all of that batch's rows.
+ * @param {Array<Array>} exports - Canonical records per export, oldest export first
+ * @param {Object} [options]
+ * @param {boolean} [options.linesPerBatch=false] - Batches have several rows (see LINES_PER_BATCH)
+ * @returns {{records: Array, duplicates: number}} duplicates counts batches replaced by a later copy
+ */
+export function latestByBatch(exports, { linesPerBatch = false } = {}) {
+  const byBatch = new Map();
+  let duplicates = 0;
+
+  exports.forEach(records => {
+    const inThisExport = new Set();
+
+    records.forEach(record => {
+      const key = record.batch_id;
+      if (linesPerBatch && inThisExport.has(key)) {
+        byBatch.get(key).push(record);
+        return;
+      }
+
+      if (byBatch.has(key)) duplicates++;
+      inThisExport.add(key);
+      byBatch.set(key, linesPerBatch ? [record] : record);
+    });
+  });
+
+  const records = [...byBatch.values()];
+  return { records: linesPerBatch ? records.flat() : records, duplicates };
+}
@@ -0,0 +1,227 @@
+/**
+ * Carcass balance and primal cut yield
+ * Breaks each Aptean batch's input weight down into the cuts, trim and waste
+ * it produced, compares the cut mix with the expected mix for the species,
+ * and values it at current selling prices to show where value is leaking
+ */
+
+/**
+ * Selling price per kg for each SKU, from Shopify variant price and weight
+ * @param {Array} shopifyProducts - From ShopifyClient.getInventoryLevels
+ * @returns {Map<string, number>} SKU → £/kg
+ */
+export function pricesPerKgBySku(shopifyProducts) {
+  const prices = new Map();
+
+  shopifyProducts.forEach(product => {
+    product.variants.forEach(variant => {
+      const sku = variant.sku?.trim();
+      if (!sku || prices.has(sku) || !(variant.grams > 0) || !(variant.price > 0)) return;
+      prices.set(sku, variant.price / (variant.grams / 1000));
+    });
+  });
+
+  return prices;
+}
+
+/**
+ * Look up a name in a config object case-insensitively
+ * @param {Object} values
+ * @param {string} name
+ * @returns {*} The value, or undefined
+ */
+function lookup(values = {}, name) {
+  const key = Object.keys(values).find(candidate => candidate.toLowerCase() === String(name).toLowerCase());
+  return key === undefined ? undefined : values[key];
+}
+
+/**
+ * £/kg for each cut of a species: the first of its lines with a priced Shopify
+ * SKU, otherwise settings.prices_per_kg
+ * @param {Array} lines - Output lines for one species
+ * @param {Map<string, number>} skuPrices - From pricesPerKgBySku
+ * @param {Object} settings - thresholds.operations.carcass_balance
+ * @returns {Map<string, number>} Cut → £/kg (unpriced cuts are left out)
+ */
+function cutPrices(lines, skuPrices, settings) {
+  const prices = new Map();
+
+  lines.forEach(line => {
+    if (line.output_type !== 'cut' || prices.has(line.cut)) return;
+    const price = skuPrices.get(line.sku) ?? lookup(settings.prices_per_kg, line.cut);
+    if (price !== undefined) prices.set(line.cut, price);
+  });
+
+  return prices;
+}
+
+/**
+ * Balance a set of output lines against their input weight
+ * @param {number} inputWeight
+ * @param {Array} lines - Output lines (cut, output_type, weight)
+ * @param {Object} expectedMix - Cut → expected % of input weight
+ * @param {Map<string, number>} prices - Cut → £/kg
+ * @param {number} trimValuePerKg - What trim recovers (e.g. sold for rendering)
+ * @returns {Object} Weights, cut mix and values
+ */
+function balance(inputWeight, lines, expectedMix, prices, trimValuePerKg) {
+  const weightOf = type => lines
+    .filter(line => line.output_type === type)
+    .reduce((sum, line) => sum + line.weight, 0);
+
+  const cutWeights = new Map();
+  lines.filter(line => line.output_type === 'cut').forEach(line => {
+    cutWeights.set(line.cut, (cutWeights.get(line.cut) || 0) + line.weight);
+  });
+
+  const cutWeight = weightOf('cut');
+  const trimWeight = weightOf('trim');
+  const wasteWeight = weightOf('waste');
+  const unaccountedWeight = Math.max(0, inputWeight - cutWeight - trimWeight - wasteWeight);
+
+  // Cuts in the spec that weren't produced count against the mix too
+  const produced = [...cutWeights.keys()].map(cut => cut.toLowerCase());
+  const cutNames = new Set([
+    ...cutWeights.keys(),
+    ...Object.keys(expectedMix).filter(cut => !produced.includes(cut.toLowerCase())),
+  ]);
+  const cuts = [...cutNames].map(cut => {
+    const weight = cutWeights.get(cut) || 0;
+    const pricePerKg = prices.get(cut) ?? null;
+    const actual = inputWeight > 0 ? (weight / inputWeight) * 100 : 0;
+    const expected = lookup(expectedMix, cut) ?? null;
+    const mixVariance = expected === null ? null : actual - expected;
+
+    return {
+      cut,
+      weight,
+      actual_percentage: actual,
+      expected_percentage: expected,
+      mix_variance: mixVariance,
+      price_per_kg: pricePerKg,
+      value: pricePerKg === null ? null : weight * pricePerKg,
+      // Value of producing more or less of this cut than the spec
+      value_variance: mixVariance === null || pricePerKg === null ? null : (mixVariance / 100) * inputWeight * pricePerKg,
+    };
+  }).sort((a, b) => b.weight - a.weight);
+
+  const priced = cuts.filter(cut => cut.value !== null && cut.weight > 0);
+  const saleableValue = priced.reduce((sum, cut) => sum + cut.value, 0);
+  const pricedWeight = priced.reduce((sum, cut) => sum + cut.weight, 0);
+  const valuePerKg = pricedWeight > 0 ? saleableValue / pricedWeight : 0;
+
+  // Trim, waste and unaccounted weight could have been sold at the batch's average cut price
+  const lostWeight = trimWeight + wasteWeight + unaccountedWeight;
+  const valueLost = Math.max(0, lostWeight * valuePerKg - trimWeight * trimValuePerKg);
+
+  // Whatever the spec's cuts don't cover is expected trim, bone and loss; only the excess is a leak
+  const specCuts = Object.values(expectedMix);
+  const expectedLoss = specCuts.length > 0 ? 100 - specCuts.reduce((sum, share) => sum + share, 0) : null;
+  const lossPercentage = inputWeight > 0 ? (lostWeight / inputWeight) * 100 : 0;
+
+  return {
+    input_weight: inputWeight,
+    cut_weight: cutWeight,
+    trim_weight: trimWeight,
+    waste_weight: wasteWeight,
+    unaccounted_weight: unaccountedWeight,
+    cut_yield_percentage: inputWeight > 0 ? (cutWeight / inputWeight) * 100 : 0,
+    saleable_value: saleableValue,
+    value_per_kg: valuePerKg,
+    value_lost: valueLost,
+    value_lost_percentage: saleableValue + valueLost > 0 ? (valueLost / (saleableValue + valueLost)) * 100 : 0,
+    loss_percentage: lossPercentage,
+    expected_loss_percentage: expectedLoss,
+    excess_loss_value: expectedLoss === null ? null : Math.max(0, ((lossPercentage - expectedLoss) / 100) * inputWeight * valuePerKg),
+    value_lost_to_mix: cuts
+      .filter(cut => cut.value_variance !== null && cut.value_variance < 0)
+      .reduce((sum, cut) => sum - cut.value_variance, 0),
+    cuts,
+  };
+}
+
+/**
+ * Carcass balance per batch and per species
+ * A batch's input weight comes from its yield record; its species from the
+ * output lines, falling back to the yield record's product type
+ * @param {Array} yields - From ApteanClient.getYieldData
+ * @param {Array} outputLines - From ApteanClient.getBatchOutputs
+ * @param {Map<string, number>} skuPrices - From pricesPerKgBySku
+ * @param {Object} settings - thresholds.operations.carcass_balance
+ * @param {Object} settings.expected_mix - Species → cut → expected % of input weight
+ * @param {Object} [settings.prices_per_kg] - Cut → £/kg for cuts not priced on Shopify
+ * @param {number} [settings.trim_value_per_kg=0]
+ * Cuts in expected_mix are saleable cuts; the rest of the carcass is expected trim, bone and loss
+ * @returns {Object} Carcass balance
+ */
+export function carcassBalance(yields, outputLines, skuPrices, settings) {
+  const trimValuePerKg = settings.trim_value_per_kg || 0;
+  const yieldsByBatch = new Map(yields.map(record => [record.batch_id, record]));
+
+  const linesByBatch = new Map();
+  outputLines.forEach(line => {
+    if (!linesByBatch.has(line.batch_id)) linesByBatch.set(line.batch_id, []);
+    linesByBatch.get(line.batch_id).push(line);
+  });
+
+  const speciesOf = (batchId, lines) => lines.find(line => line.species)?.species
+    ?? yieldsByBatch.get(batchId)?.product_type
+    ?? 'Unknown';
+
+  // Price each species' cuts once, from all of its lines
+  const linesBySpecies = new Map();
+  linesByBatch.forEach((lines, batchId) => {
+    const species = speciesOf(batchId, lines);
+    if (!linesBySpecies.has(species)) linesBySpecies.set(species, []);
+    linesBySpecies.get(species).push(...lines);
+  });
+  const pricesBySpecies = new Map([...linesBySpecies].map(([species, lines]) => [species, cutPrices(lines, skuPrices, settings)]));
+
+  const batches = [...linesByBatch].map(([batchId, lines]) => {
+    const species = speciesOf(batchId, lines);
+    const yieldRecord = yieldsByBatch.get(batchId);
+    // Without a yield record all we know is what came out
+    const inputWeight = yieldRecord?.input_weight ?? lines.reduce((sum, line) => sum + line.weight, 0);
+
+    return {
+      batch_id: batchId,
+      species,
+      production_date: yieldRecord?.production_date ?? lines[0].production_date,
+      has_input_weight: Boolean(yieldRecord),
+      ...balance(inputWeight, lines, lookup(settings.expected_mix, species) || {}, pricesBySpecies.get(species), trimValuePerKg),
+    };
+  });
+
+  const bySpecies = {};
+  linesBySpecies.forEach((lines, species) => {
+    const speciesBatches = batches.filter(batch => batch.species === species);
+    const inputWeight = speciesBatches.reduce((sum, batch) => sum + batch.input_weight, 0);
+
+    bySpecies[species] = {
+      batches: speciesBatches.length,
+      ...balance(inputWeight, lines, lookup(settings.expected_mix, species) || {}, pricesBySpecies.get(species), trimValuePerKg),
+    };
+  });
+
+  const unpricedCuts = [...new Set(Object.values(bySpecies)
+    .flatMap(species => species.cuts.filter(cut => cut.weight > 0 && cut.price_per_kg === null).map(cut => cut.cut)))];
+
+  // Where value is leaking: trim/waste beyond spec per species and cuts under spec, biggest first
+  const leaks = Object.entries(bySpecies).flatMap(([species, data]) => [
+    { species, source: 'trim_and_waste', cut: null, value: data.excess_loss_value ?? 0 },
+    ...data.cuts
+      .filter(cut => cut.value_variance !== null && cut.value_variance < 0)
+      .map(cut => ({ species, source: 'cut_mix', cut: cut.cut, value: -cut.value_variance })),
+  ])
+    .filter(leak => leak.value > 0)
+    .sort((a, b) => b.value - a.value);
+
+  return {
+    batches: batches.sort((a, b) => b.value_lost - a.value_lost),
+    by_species: bySpecies,
+    saleable_value: batches.reduce((sum, batch) => sum + batch.saleable_value, 0),
+    value_lost: batches.reduce((sum, batch) => sum + batch.value_lost, 0),
+    leaks,
+    unpriced_cuts: unpricedCuts,
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Customer analytics built from Shopify order history
+ * New vs returning splits, monthly acquisition cohorts, repeat rates and lifetime value
+ */
+
+import { addMonths, differenceInCalendarDays } from 'date-fns';
+import { splitOrderTotals, isSaleOrder } from '../integrations/shopify/client.js';
+import { formatReportMonth } from './reporting-calendar.js';
+
+export const REPEAT_RATE_OFFSETS = [1, 2, 3, 6, 12];
+
+/**
+ * Stable key for the customer who placed an order
+ * Guest checkouts fall back to email address
+ * @param {Object} order - Shopify order
+ * @returns {string|null} Customer key, or null if the order can't be attributed
+ */
+export function customerKey(order) {
+  if (order.customer?.id) return `customer:${order.customer.id}`;
+  if (order.email) return `email:${order.email.trim().toLowerCase()}`;
+  return null;
+}
+
+/**
+ * The parts of an order the customer index needs, small enough to cache
+ * @param {Object} order - Shopify order
+ * @returns {{id: number, created_at: string, customer_key: string, net_sales: number}|null}
+ *   null for voided, test and unattributable orders
+ */
+export function summarizeOrder(order) {
+  const key = customerKey(order);
+  if (!key || !isSaleOrder(order)) return null;
+
+  return {
+    id: order.id,
+    created_at: new Date(order.created_at).toISOString(),
+    customer_key: key,
+    net_sales: splitOrderTotals(order).net_sales,
+  };
+}
+
+/**
+ * Index order summaries by customer
+ * @param {Array} summaries - From summarizeOrder, in any order
+ * @returns {Map<string, Object>} Customer key → { first_order_at, first_order_id, orders: [{ id, created_at, net_sales }] }
+ */
+export function indexOrderSummaries(summaries) {
+  const index = new Map();
+
+  summaries
+    .map(summary => ({ summary, createdAt: new Date(summary.created_at) }))
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .forEach(({ summary, createdAt }) => {
+      if (!index.has(summary.customer_key)) {
+        index.set(summary.customer_key, { first_order_at: createdAt, first_order_id: summary.id, orders: [] });
+      }
+      index.get(summary.customer_key).orders.push({
+        id: summary.id,
+        created_at: createdAt,
+        net_sales: summary.net_sales,
+      });
+    });
+
+  return index;
+}
+
+/**
+ * Index order history by customer
+ * @param {Array} orders - Shopify orders (any order; voided, test and unattributable orders are skipped)
+ * @returns {Map<string, Object>} See indexOrderSummaries
+ */
+export function buildCustomerIndex(orders) {
+  return indexOrderSummaries(orders.map(summarizeOrder).filter(Boolean));
+}
+
+/**
+ * Split period orders into first orders, repeat orders and orders that can't
+ * be tied to a customer (no customer or email)
+ * @param {Array} orders - Orders placed in the reporting period
+ * @param {Map<string, Object>} index - Customer index covering the period and its lookback
+ * @returns {{new: Array, returning: Array, unattributed: Array}}
+ */
+export function splitNewReturning(orders, index) {
+  const split = { new: [], returning: [], unattributed: [] };
+
+  orders.forEach(order => {
+    const key = customerKey(order);
+    if (!key) {
+      split.unattributed.push(order);
+      return;
+    }
+
+    const customer = index.get(key);
+    const isFirstOrder = !customer || customer.first_order_id === order.id;
+    split[isFirstOrder ? 'new' : 'returning'].push(order);
+  });
+
+  return split;
+}
+
+/**
+ * Middle value of a list of numbers
+ * @param {Array<number>} values
+ * @returns {number|null}
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Build monthly acquisition cohorts with repeat-rate curves and lifetime value
+ * @param {Map<string, Object>} index - Customer index from buildCustomerIndex
+ * @param {Date} asOf - Only months that have fully elapsed by this date count towards repeat rates
+ * @param {Object} [options]
+ * @param {number} [options.months=12] - Number of most recent cohorts to return
+ * @returns {Object} Cohorts (newest first) and overall figures
+ */
+export function buildCohortAnalysis(index, asOf, { months = 12 } = {}) {
+  const cohorts = new Map();
+  const allDaysToSecond = [];
+  let repeatCustomers = 0;
+  let totalRevenue = 0;
+
+  index.forEach(customer => {
+    const month = formatReportMonth(customer.first_order_at);
+    if (!cohorts.has(month)) {
+      cohorts.set(month, {
+        cohort: month,
+        customers: 0,
+        orders: 0,
+        revenue: 0,
+        repeat_customers: 0,
+        eligible: REPEAT_RATE_OFFSETS.map(() => 0),
+        repeated: REPEAT_RATE_OFFSETS.map(() => 0),
+        days_to_second: [],
+      });
+    }
+
+    const cohort = cohorts.get(month);
+    const revenue = customer.orders.reduce((sum, order) => sum + order.net_sales, 0);
+    const secondOrder = customer.orders[1];
+
+    cohort.customers++;
+    cohort.orders += customer.orders.length;
+    cohort.revenue += revenue;
+    totalRevenue += revenue;
+
+    if (secondOrder) {
+      const days = differenceInCalendarDays(secondOrder.created_at, customer.first_order_at);
+      cohort.repeat_customers++;
+      cohort.days_to_second.push(days);
+      allDaysToSecond.push(days);
+      repeatCustomers++;
+    }
+
+    // A customer only counts towards month N once N months have passed since their first order
+    REPEAT_RATE_OFFSETS.forEach((offset, i) => {
+      const horizon = addMonths(customer.first_order_at, offset);
+      if (horizon > asOf) return;
+
+      cohort.eligible[i]++;
+      if (secondOrder && secondOrder.created_at <= horizon) {
+        cohort.repeated[i]++;
+      }
+    });
+  });
+
+  const cohortList = [...cohorts.values()]
+    .sort((a, b) => b.cohort.localeCompare(a.cohort))
+    .slice(0, months)
+    .map(cohort => ({
+      cohort: cohort.cohort,
+      customers: cohort.customers,
+      orders: cohort.orders,
+      revenue: cohort.revenue,
+      repeat_rate: cohort.customers > 0 ? (cohort.repeat_customers / cohort.customers) * 100 : 0,
+      repeat_rate_curve: REPEAT_RATE_OFFSETS.reduce((curve, offset, i) => {
+        curve[`month_${offset}`] = cohort.eligible[i] > 0
+          ? (cohort.repeated[i] / cohort.eligible[i]) * 100
+          : null;
+        return curve;
+      }, {}),
+      median_days_to_second_order: median(cohort.days_to_second),
+      lifetime_value: cohort.customers > 0 ? cohort.revenue / cohort.customers : 0,
+    }));
+
+  return {
+    cohorts: cohortList,
+    overall: {
+      customers: index.size,
+      repeat_customers: repeatCustomers,
+      repeat_rate: index.size > 0 ? (repeatCustomers / index.size) * 100 : 0,
+      median_days_to_second_order: median(allDaysToSecond),
+      average_lifetime_value: index.size > 0 ? totalRevenue / index.size : 0,
+    },
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * Customer History Cache
+ * Order summaries (see summarizeOrder) kept between runs, so each report only
+ * fetches the orders placed since the last one rather than the whole history
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const CUSTOMER_CACHE_DIR = process.env.CUSTOMER_CACHE_DIR;
+
+class CustomerHistoryCache {
+  /**
+   * @param {string} [directory] - Where the cache file is written
+   */
+  constructor(directory = CUSTOMER_CACHE_DIR || path.join(process.cwd(), 'data', 'customers')) {
+    this.directory = directory;
+  }
+
+  /**
+   * Path of the cache file
+   * @returns {string}
+   */
+  get filePath() {
+    return path.join(this.directory, 'order-history.json');
+  }
+
+  /**
+   * Read the cached history
+   * @returns {Promise<{from: string, to: string, orders: Array}|null>} from/to are the ISO range
+   *   the orders were fetched for; null if nothing is cached
+   */
+  async read() {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      // A corrupt cache is rebuilt from Shopify rather than failing the report
+      console.warn(`⚠️  Ignoring unreadable customer history cache ${this.filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Replace the cached history, via a temporary file so a crash can't leave it half-written
+   * @param {{from: string, to: string, orders: Array}} history
+   * @returns {Promise<void>}
+   */
+  async write(history) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(history));
+    await fs.rename(tempPath, this.filePath);
+  }
+}
+
+export default CustomerHistoryCache;
@@ -0,0 +1,174 @@
+/**
+ * Dispatch SLA analysis
+ * Courier cut-off compliance, order-to-dispatch lead time and remaining
+ * picking capacity, from Orderwise warehouse dispatches
+ */
+
+import { fromLondonTime, londonParts } from './reporting-calendar.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Cut-off time (HH:mm, Europe/London) for a dispatch's courier and service
+ * @param {Object} dispatch
+ * @param {Object} cutoffs - { default: "15:00", DPD: { default: "15:30", "Pre 12": "14:00" } }
+ * @returns {string}
+ */
+export function cutoffFor(dispatch, cutoffs) {
+  const courier = cutoffs[dispatch.courier];
+  if (typeof courier === 'string') return courier;
+  return courier?.[dispatch.service] || courier?.default || cutoffs.default;
+}
+
+/**
+ * Instant of a HH:mm cut-off on the London day containing date
+ * @param {Date} date
+ * @param {string} time - HH:mm
+ * @returns {Date}
+ */
+export function cutoffOn(date, time) {
+  const { year, month, day } = londonParts(date);
+  const [hour, minute] = time.split(':').map(Number);
+  return fromLondonTime(year, month, day, hour, minute);
+}
+
+/**
+ * Whether a dispatch missed its courier's collection
+ * Orders placed after the cut-off aren't due until the next collection
+ * @param {Object} dispatch
+ * @param {Date} cutoff
+ * @param {Date} asOf - Point in time to judge outstanding dispatches at
+ * @returns {boolean}
+ */
+function missedCutoff(dispatch, cutoff, asOf) {
+  if (dispatch.order_date && new Date(dispatch.order_date) > cutoff) return false;
+  if (dispatch.status === 'completed') {
+    return Boolean(dispatch.dispatched_at) && new Date(dispatch.dispatched_at) > cutoff;
+  }
+  return asOf > cutoff;
+}
+
+/**
+ * Hours from order to dispatch for completed dispatches
+ * @param {Array} dispatches
+ * @returns {Array<number>}
+ */
+function leadTimes(dispatches) {
+  return dispatches
+    .filter(dispatch => dispatch.status === 'completed' && dispatch.order_date && dispatch.dispatched_at)
+    .map(dispatch => (new Date(dispatch.dispatched_at) - new Date(dispatch.order_date)) / HOUR_MS);
+}
+
+const average = values => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+/**
+ * Value below which the given share of values fall
+ * @param {Array<number>} values
+ * @param {number} share - 0 to 1
+ * @returns {number|null}
+ */
+function percentile(values, share) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(Math.ceil(share * sorted.length) - 1, sorted.length - 1)];
+}
+
+/**
+ * Dispatch counts, cut-off compliance and lead times for one day
+ * @param {Array} dispatches - From OrderwiseClient.getDispatches
+ * @param {Date} date - Dispatch day
+ * @param {Object} options
+ * @param {Object} options.cutoffs - Courier cut-off times (see cutoffFor)
+ * @param {Date} [options.asOf] - When outstanding dispatches are judged (defaults to now)
+ * @returns {Object} Dispatch SLA metrics
+ */
+export function analyzeDispatches(dispatches, date, { cutoffs, asOf = new Date() }) {
+  const groups = new Map();
+  let missed = 0;
+
+  dispatches.forEach(dispatch => {
+    const isMissed = missedCutoff(dispatch, cutoffOn(date, cutoffFor(dispatch, cutoffs)), asOf);
+    if (isMissed) missed++;
+
+    const key = `${dispatch.courier} ${dispatch.service}`;
+    if (!groups.has(key)) {
+      groups.set(key, { courier: dispatch.courier, service: dispatch.service, dispatches: [], missed_cutoff: 0 });
+    }
+    groups.get(key).dispatches.push(dispatch);
+    if (isMissed) groups.get(key).missed_cutoff++;
+  });
+
+  const completed = dispatches.filter(dispatch => dispatch.status === 'completed').length;
+  const hours = leadTimes(dispatches);
+
+  return {
+    total_dispatches: dispatches.length,
+    completed,
+    pending: dispatches.filter(dispatch => dispatch.status === 'pending').length,
+    in_progress: dispatches.filter(dispatch => dispatch.status === 'in_progress').length,
+    total_items_dispatched: dispatches.reduce((sum, dispatch) => sum + (dispatch.items_count || 0), 0),
+    completion_rate: dispatches.length > 0 ? (completed / dispatches.length) * 100 : 0,
+    missed_cutoff: missed,
+    missed_cutoff_percentage: dispatches.length > 0 ? (missed / dispatches.length) * 100 : 0,
+    average_lead_time_hours: average(hours),
+    p90_lead_time_hours: percentile(hours, 0.9),
+    by_courier: [...groups.values()]
+      .map(group => ({
+        courier: group.courier,
+        service: group.service,
+        total: group.dispatches.length,
+        completed: group.dispatches.filter(dispatch => dispatch.status === 'completed').length,
+        missed_cutoff: group.missed_cutoff,
+        average_lead_time_hours: average(leadTimes(group.dispatches)),
+      }))
+      .sort((a, b) => b.total - a.total),
+  };
+}
+
+/**
+ * Compare outstanding dispatches with the picking capacity left before each cut-off
+ * Cut-offs share one picking team, so earlier cut-offs use capacity first
+ * @param {Array} dispatches - Today's dispatches
+ * @param {Date} now
+ * @param {Object} options
+ * @param {Object} options.cutoffs - Courier cut-off times (see cutoffFor)
+ * @param {number} options.pickingCapacityPerHour - Orders the warehouse can pick and pack per hour
+ * @returns {Array} Upcoming cut-offs, earliest first, with pending, capacity_remaining and shortfall
+ */
+export function checkCutoffCapacity(dispatches, now, { cutoffs, pickingCapacityPerHour }) {
+  const upcoming = new Map();
+
+  dispatches
+    .filter(dispatch => dispatch.status !== 'completed')
+    .forEach(dispatch => {
+      const time = cutoffFor(dispatch, cutoffs);
+      const cutoff = cutoffOn(now, time);
+      if (cutoff <= now) return;
+
+      if (!upcoming.has(time)) {
+        upcoming.set(time, { cutoff: time, cutoff_at: cutoff, couriers: new Set(), pending: 0 });
+      }
+      upcoming.get(time).pending++;
+      upcoming.get(time).couriers.add(dispatch.courier);
+    });
+
+  let pendingSoFar = 0;
+
+  return [...upcoming.values()]
+    .sort((a, b) => a.cutoff_at - b.cutoff_at)
+    .map(group => {
+      pendingSoFar += group.pending;
+      const minutesRemaining = Math.round((group.cutoff_at - now) / (60 * 1000));
+      const capacityRemaining = Math.floor((minutesRemaining / 60) * pickingCapacityPerHour);
+
+      return {
+        cutoff: group.cutoff,
+        couriers: [...group.couriers],
+        pending: group.pending,
+        pending_including_earlier: pendingSoFar,
+        minutes_remaining: minutesRemaining,
+        capacity_remaining: capacityRemaining,
+        shortfall: Math.max(pendingSoFar - capacityRemaining, 0),
+      };
+    });
+}
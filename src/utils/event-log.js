@@ -0,0 +1,74 @@
+/**
+ * Event Log
+ * Append-only JSONL store for webhook events, one file per (Europe/London) day received
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { formatReportDate } from './reporting-calendar.js';
+
+const EVENT_LOG_DIR = process.env.EVENT_LOG_DIR;
+
+class EventLog {
+  /**
+   * @param {string} [directory] - Where daily JSONL files are written
+   */
+  constructor(directory = EVENT_LOG_DIR || path.join(process.cwd(), 'data', 'events')) {
+    this.directory = directory;
+  }
+
+  /**
+   * Path of the log file for a given day
+   * @param {Date} date
+   * @returns {string}
+   */
+  fileFor(date) {
+    return path.join(this.directory, `${formatReportDate(date)}.jsonl`);
+  }
+
+  /**
+   * Append an event to the log for the day it was received
+   * @param {Object} event
+   * @param {string} event.id - Unique event ID (used to drop redelivered duplicates)
+   * @param {string} event.topic
+   * @param {Object} event.payload
+   * @param {Date} [receivedAt]
+   * @returns {Promise<void>}
+   */
+  async append(event, receivedAt = new Date()) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const entry = { ...event, received_at: receivedAt.toISOString() };
+    await fs.appendFile(this.fileFor(receivedAt), JSON.stringify(entry) + '\n');
+  }
+
+  /**
+   * Read all events received on a given day, oldest first
+   * Duplicate deliveries of the same event ID are dropped
+   * @param {Date} date
+   * @returns {Promise<Array>} Events
+   */
+  async readDay(date) {
+    let content;
+    try {
+      content = await fs.readFile(this.fileFor(date), 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const seen = new Set();
+    return content
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line))
+      .filter(event => {
+        if (!event.id) return true;
+        if (seen.has(event.id)) return false;
+        seen.add(event.id);
+        return true;
+      });
+  }
+}
+
+export default EventLog;
@@ -0,0 +1,216 @@
+/**
+ * Field Mapper
+ * Maps raw API records into the canonical shape described in
+ * config/field-mappings.json. Each canonical field lists candidate source
+ * paths, tried in order (dotted paths reach into nested objects), and can name
+ * a data-cleaners coercion. Fields found only through a fallback path, or not
+ * found at all, are counted so schema drift is visible.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { safeFloat, safeInt, normalizeDate, safeGet, isValid } from './data-cleaners.js';
+
+/**
+ * Coercions a field can name with "type"; unparseable values become null
+ */
+export const COERCIONS = {
+  float: value => safeFloat(value, null),
+  int: value => safeInt(value, null),
+  string: value => String(value).trim(),
+  date: value => normalizeDate(value),
+  boolean: value => value === true || value === 1 || /^(true|yes|y|1)$/i.test(String(value)),
+};
+
+let mappingsRequest = null;
+
+/**
+ * Read config/field-mappings.json once per process
+ * @returns {Promise<Object>}
+ */
+export function loadFieldMappings() {
+  if (!mappingsRequest) {
+    const mappingsPath = path.join(process.cwd(), 'config', 'field-mappings.json');
+    mappingsRequest = fs.readFile(mappingsPath, 'utf-8')
+      .then(content => JSON.parse(content))
+      .catch(error => {
+        mappingsRequest = null;
+        console.error('Error loading field mappings:', error.message);
+        throw error;
+      });
+  }
+  return mappingsRequest;
+}
+
+/**
+ * A field's mapping as { paths, type, optional }
+ * A plain array of candidate paths is shorthand for { paths }
+ * @param {Array|Object} spec
+ * @returns {{paths: Array<string>, type: string|null, optional: boolean}}
+ */
+function fieldSpec(spec) {
+  const { paths, type = null, optional = false } = Array.isArray(spec) ? { paths: spec } : spec;
+  return { paths, type, optional };
+}
+
+/**
+ * Resolve one field from a raw record
+ * @param {Object} record - Raw API record
+ * @param {Array|Object} spec - Candidate paths, or { paths, type, optional }
+ * @returns {{value: any, path: string|null, status: string}} status is "primary", "fallback" or "missing"
+ */
+export function resolveField(record, spec) {
+  const { paths, type } = fieldSpec(spec);
+
+  for (let i = 0; i < paths.length; i++) {
+    const raw = safeGet(record, paths[i]);
+    if (!isValid(raw)) continue;
+
+    return {
+      value: type ? COERCIONS[type](raw) : raw,
+      path: paths[i],
+      status: i === 0 ? 'primary' : 'fallback',
+    };
+  }
+
+  return { value: null, path: null, status: 'missing' };
+}
+
+/**
+ * Unpack drift counters into entries, most affected records first
+ * @param {Map} counts
+ * @returns {Array} { type, field, status, path, records }
+ */
+function driftEntries(counts) {
+  return [...counts]
+    .map(([key, records]) => {
+      const [type, field, status, sourcePath] = key.split('\u0000');
+      return { type, field, status, path: status === 'fallback' ? sourcePath : null, records };
+    })
+    .sort((a, b) => b.records - a.records);
+}
+
+class FieldMapper {
+  /**
+   * @param {string} system - Top-level key in config/field-mappings.json (shopify, orderwise, ...)
+   */
+  constructor(system) {
+    this.system = system;
+    this.mappings = null;
+    this.drift = new Map();
+    this.recordCounts = new Map();
+  }
+
+  /**
+   * Load this system's mappings
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this.mappings) return;
+
+    const mappings = await loadFieldMappings();
+    if (!mappings[this.system]) {
+      throw new Error(`No field mappings for "${this.system}" in config/field-mappings.json`);
+    }
+    this.mappings = mappings[this.system];
+  }
+
+  /**
+   * Field specs for a record type
+   * @private
+   */
+  _fields(type) {
+    const fields = this.mappings?.[type];
+    if (!fields) {
+      throw new Error(`No "${type}" field mappings for ${this.system}`);
+    }
+    return fields;
+  }
+
+  /**
+   * Canonical fields a record type must have (those not marked optional)
+   * Call load() first
+   * @param {string} type
+   * @returns {Array<string>}
+   */
+  requiredFields(type) {
+    return Object.entries(this._fields(type))
+      .filter(([, spec]) => !fieldSpec(spec).optional)
+      .map(([field]) => field);
+  }
+
+  /**
+   * Required fields that none of a file's columns map to
+   * Used to reject a CSV by its header before reading any rows
+   * @param {Array<string>} columns - Header names
+   * @param {string} type
+   * @returns {Array<string>} Canonical field names
+   */
+  missingColumns(columns, type) {
+    const fields = this._fields(type);
+    return this.requiredFields(type)
+      .filter(field => !fieldSpec(fields[field]).paths.some(sourcePath => columns.includes(sourcePath)));
+  }
+
+  /**
+   * Map one raw record to its canonical fields
+   * Call load() first
+   * @param {Object} record - Raw API record
+   * @param {string} type - Record type, e.g. "stock" or "purchase_order"
+   * @param {Map} [batchDrift] - Also count drift here (used by mapAll)
+   * @returns {Object} Canonical fields only
+   */
+  map(record, type, batchDrift = null) {
+    const fields = this._fields(type);
+
+    this.recordCounts.set(type, (this.recordCounts.get(type) || 0) + 1);
+
+    return Object.entries(fields).reduce((mapped, [field, spec]) => {
+      const { value, path: sourcePath, status } = resolveField(record, spec);
+      mapped[field] = value;
+
+      if (status === 'fallback' || (status === 'missing' && !fieldSpec(spec).optional)) {
+        const key = `${type}\u0000${field}\u0000${status}\u0000${sourcePath}`;
+        [this.drift, batchDrift].filter(Boolean).forEach(counts => {
+          counts.set(key, (counts.get(key) || 0) + 1);
+        });
+      }
+
+      return mapped;
+    }, {});
+  }
+
+  /**
+   * Map a batch of raw records and warn about any drift seen in it
+   * @param {Array} records - Raw API records
+   * @param {string} type
+   * @returns {Array} Canonical records, in the same order
+   */
+  mapAll(records, type) {
+    const batchDrift = new Map();
+    const mapped = records.map(record => this.map(record, type, batchDrift));
+
+    if (batchDrift.size > 0) {
+      const details = driftEntries(batchDrift).map(entry => entry.status === 'fallback'
+        ? `${entry.field} read from "${entry.path}" (${entry.records}/${records.length})`
+        : `${entry.field} missing (${entry.records}/${records.length})`);
+      console.warn(`⚠️  ${this.system} ${type} schema drift: ${details.join(', ')}`);
+    }
+
+    return mapped;
+  }
+
+  /**
+   * Fields resolved through a fallback or missing, across every record mapped so far
+   * @returns {Array} { system, type, field, status, path, records, of }
+   */
+  getDrift() {
+    return driftEntries(this.drift).map(entry => ({
+      system: this.system,
+      ...entry,
+      of: this.recordCounts.get(entry.type) || 0,
+    }));
+  }
+}
+
+export default FieldMapper;
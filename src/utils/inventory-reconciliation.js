@@ -0,0 +1,123 @@
+/**
+ * Shopify vs Orderwise inventory reconciliation
+ * Matches Shopify variants (sku) to Orderwise stock (product_code) and finds
+ * quantities that have drifted apart, SKUs missing from one system, and
+ * website stock the warehouse can't actually ship
+ */
+
+/**
+ * Shopify stock per SKU, summing variants that share a SKU
+ * @param {Array} products - From ShopifyClient.getInventoryLevels
+ * @returns {{bySku: Map<string, Object>, withoutSku: number}}
+ */
+function shopifyStockBySku(products) {
+  const bySku = new Map();
+  let withoutSku = 0;
+
+  products.forEach(product => {
+    product.variants.forEach(variant => {
+      const sku = variant.sku?.trim();
+      if (!sku) {
+        withoutSku++;
+        return;
+      }
+
+      const existing = bySku.get(sku);
+      if (existing) {
+        existing.quantity += variant.inventory_quantity || 0;
+        return;
+      }
+
+      bySku.set(sku, {
+        title: variant.title && variant.title !== 'Default Title' ? `${product.title} - ${variant.title}` : product.title,
+        quantity: variant.inventory_quantity || 0,
+        price: parseFloat(variant.price) || 0,
+      });
+    });
+  });
+
+  return { bySku, withoutSku };
+}
+
+/**
+ * Compare website and warehouse stock for every SKU
+ * A SKU is mismatched when the difference is more than tolerance_units and
+ * more than tolerance_percentage of warehouse stock. Revenue at risk is what
+ * the website could sell over oversell_risk_days (at current velocity) of
+ * SKUs it shows in stock that the warehouse has none of.
+ * @param {Array} shopifyProducts - From ShopifyClient.getInventoryLevels
+ * @param {Array} stockLevels - From OrderwiseClient.getStockLevels
+ * @param {Map<string, number>} velocity - From calculateSalesVelocity
+ * @param {Object} settings
+ * @param {number} settings.tolerance_units
+ * @param {number} settings.tolerance_percentage
+ * @param {number} settings.large_mismatch_units - Mismatches at least this big are flagged large
+ * @param {number} settings.oversell_risk_days
+ * @returns {Object} Reconciliation
+ */
+export function reconcileInventory(shopifyProducts, stockLevels, velocity, settings) {
+  const { bySku: shopify, withoutSku } = shopifyStockBySku(shopifyProducts);
+  const warehouse = new Map(stockLevels.map(item => [item.product_code, item]));
+
+  const mismatches = [];
+  const oversellRisks = [];
+  let matched = 0;
+
+  shopify.forEach((listing, sku) => {
+    const item = warehouse.get(sku);
+    if (!item) return;
+    matched++;
+
+    const available = item.quantity_available;
+    const difference = listing.quantity - available;
+    const allowed = Math.max(settings.tolerance_units, Math.abs(available) * (settings.tolerance_percentage / 100));
+
+    if (listing.quantity > 0 && available <= 0) {
+      const dailyVelocity = velocity.get(sku) || 0;
+      const unitsAtRisk = Math.min(listing.quantity, dailyVelocity * settings.oversell_risk_days);
+      oversellRisks.push({
+        sku,
+        product: item.product_name || listing.title,
+        shopify_quantity: listing.quantity,
+        orderwise_quantity: available,
+        daily_velocity: dailyVelocity,
+        price: listing.price,
+        revenue_at_risk: unitsAtRisk * listing.price,
+      });
+    }
+
+    if (Math.abs(difference) <= allowed) return;
+
+    mismatches.push({
+      sku,
+      product: item.product_name || listing.title,
+      shopify_quantity: listing.quantity,
+      orderwise_quantity: available,
+      difference,
+      direction: difference > 0 ? 'website_higher' : 'warehouse_higher',
+      large: Math.abs(difference) >= settings.large_mismatch_units,
+    });
+  });
+
+  const shopifyOnly = [...shopify]
+    .filter(([sku]) => !warehouse.has(sku))
+    .map(([sku, listing]) => ({ sku, product: listing.title, shopify_quantity: listing.quantity }));
+
+  // Only stock we sell online and actually hold; packaging never appears on Shopify
+  const orderwiseOnly = stockLevels
+    .filter(item => !shopify.has(item.product_code) && item.category !== 'packaging' && item.quantity_available > 0)
+    .map(item => ({ sku: item.product_code, product: item.product_name, orderwise_quantity: item.quantity_available }));
+
+  return {
+    shopify_skus: shopify.size,
+    orderwise_skus: warehouse.size,
+    matched,
+    variants_without_sku: withoutSku,
+    mismatches: mismatches.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference)),
+    large_mismatches: mismatches.filter(mismatch => mismatch.large).length,
+    oversell_risks: oversellRisks.sort((a, b) => b.revenue_at_risk - a.revenue_at_risk),
+    revenue_at_risk: oversellRisks.reduce((sum, risk) => sum + risk.revenue_at_risk, 0),
+    shopify_only: shopifyOnly,
+    orderwise_only: orderwiseOnly,
+  };
+}
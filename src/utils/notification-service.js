@@ -135,12 +135,17 @@ class NotificationService {
    * @param {string} alert.type - Alert type
    * @param {string} alert.message - Alert message
    * @param {string} alert.severity - Alert severity
+   * @param {string} [department] - Also post to this department's channel (ops, finance, marketing)
    * @returns {Promise<void>}
    */
-  async sendAlert(alert) {
+  async sendAlert(alert, department = null) {
     const emoji = alert.severity === 'critical' ? '🚨' : alert.severity === 'warning' ? '⚠️' : 'ℹ️';
     const message = `${emoji} *[${alert.severity.toUpperCase()}]* ${alert.message}`;
 
+    if (department) {
+      await this.sendDepartmentReport(department, message);
+    }
+
     // Send to executive channel for critical alerts
     if (alert.severity === 'critical') {
       await this.sendSlackMessage(message, process.env.SLACK_CHANNEL_EXECUTIVE);
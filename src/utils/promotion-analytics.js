@@ -0,0 +1,138 @@
+/**
+ * Promotion analytics
+ * Per discount code performance built from order discount_applications / discount_codes
+ */
+
+import { splitOrderTotals, isSaleOrder } from '../integrations/shopify/client.js';
+import { customerKey } from './customer-analytics.js';
+
+/**
+ * Label used to group a discount application
+ * @param {Object} application - Shopify discount application
+ * @returns {string}
+ */
+function promotionLabel(application) {
+  if (application.type === 'discount_code') return application.code;
+  if (application.type === 'manual') return 'Manual discount';
+  return `${application.title || 'Automatic discount'} (automatic)`;
+}
+
+/**
+ * Discount given per promotion on a single order
+ * Uses line and shipping discount_allocations, falling back to discount_codes amounts
+ * @param {Object} order - Shopify order
+ * @returns {Map<string, number>} Promotion label → discount amount
+ */
+export function orderDiscounts(order) {
+  const discounts = new Map();
+  const applications = order.discount_applications || [];
+
+  if (applications.length > 0) {
+    const allocations = [
+      ...(order.line_items || []).flatMap(item => item.discount_allocations || []),
+      ...(order.shipping_lines || []).flatMap(line => line.discount_allocations || []),
+    ];
+
+    allocations.forEach(allocation => {
+      const application = applications[allocation.discount_application_index];
+      if (!application) return;
+
+      const label = promotionLabel(application);
+      discounts.set(label, (discounts.get(label) || 0) + parseFloat(allocation.amount || 0));
+    });
+
+    // Codes with no allocations (e.g. free-gift codes) still count as used
+    applications.forEach(application => {
+      const label = promotionLabel(application);
+      if (!discounts.has(label)) discounts.set(label, 0);
+    });
+  } else {
+    (order.discount_codes || []).forEach(discount => {
+      discounts.set(discount.code, (discounts.get(discount.code) || 0) + parseFloat(discount.amount || 0));
+    });
+  }
+
+  return discounts;
+}
+
+/**
+ * Share of an order credited to each of its promotions
+ * In proportion to the discount each gave, or evenly if none gave any
+ * @param {Map<string, number>} discounts - From orderDiscounts
+ * @returns {Map<string, number>} Promotion label → share (the shares sum to 1)
+ */
+export function promotionShares(discounts) {
+  const total = [...discounts.values()].reduce((sum, discount) => sum + discount, 0);
+
+  return new Map([...discounts].map(([label, discount]) => [
+    label,
+    total > 0 ? discount / total : 1 / discounts.size,
+  ]));
+}
+
+/**
+ * Build per-promotion performance for a set of orders
+ * An order using several promotions counts as an order for each of them, but
+ * its revenue and cost are split between them by promotionShares
+ * @param {Array} orders - Orders placed in the period
+ * @param {Object} [options]
+ * @param {Object} [options.costResolver] - Loaded UnitCostResolver
+ * @param {Map<string, Object>} [options.customerIndex] - From buildCustomerIndex, to spot first orders;
+ *   orders whose customer isn't in it are not counted as first-time
+ * @returns {Array} Promotions sorted by discount given, largest first
+ */
+export function buildPromotionReport(orders, { costResolver = null, customerIndex = null } = {}) {
+  const promotions = new Map();
+
+  orders.filter(isSaleOrder).forEach(order => {
+    const discounts = orderDiscounts(order);
+    if (discounts.size === 0) return;
+
+    const totals = splitOrderTotals(order);
+    const cost = (order.line_items || []).reduce((sum, item) => {
+      const unitCost = costResolver ? costResolver.resolve(item).unit_cost : 0;
+      return sum + item.quantity * unitCost;
+    }, 0);
+    const customer = customerIndex?.get(customerKey(order));
+    const isFirstOrder = customer?.first_order_id === order.id;
+    const shares = promotionShares(discounts);
+
+    discounts.forEach((discount, label) => {
+      const share = shares.get(label);
+      if (!promotions.has(label)) {
+        promotions.set(label, {
+          code: label,
+          orders: 0,
+          gross_revenue: 0,
+          discount_given: 0,
+          net_revenue: 0,
+          cost: 0,
+          first_time_orders: 0,
+        });
+      }
+
+      const promotion = promotions.get(label);
+      promotion.orders++;
+      promotion.gross_revenue += totals.gross_sales * share;
+      promotion.discount_given += discount;
+      promotion.net_revenue += totals.net_sales * share;
+      promotion.cost += cost * share;
+      if (isFirstOrder) promotion.first_time_orders++;
+    });
+  });
+
+  return [...promotions.values()]
+    .map(promotion => {
+      const margin = promotion.net_revenue - promotion.cost;
+      return {
+        code: promotion.code,
+        orders: promotion.orders,
+        gross_revenue: promotion.gross_revenue,
+        discount_given: promotion.discount_given,
+        margin_after_discount: margin,
+        margin_percentage: promotion.net_revenue > 0 ? (margin / promotion.net_revenue) * 100 : 0,
+        first_time_customer_percentage: (promotion.first_time_orders / promotion.orders) * 100,
+      };
+    })
+    .sort((a, b) => b.discount_given - a.discount_given);
+}
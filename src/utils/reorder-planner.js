@@ -0,0 +1,188 @@
+/**
+ * Reorder planning
+ * Suggests order quantities from stock, quantity on order, sales velocity and
+ * supplier terms (lead time, pack size, minimum order quantity), grouped into
+ * draft purchase orders per supplier. Drafts are for a buyer to review; nothing
+ * is sent to Orderwise.
+ */
+
+import path from 'path';
+
+/**
+ * Preferred supplier terms per product
+ * Uses the supplier flagged preferred, otherwise the shortest lead time
+ * (an unknown lead time counts as the longest)
+ * @param {Array} supplierProducts - From OrderwiseClient.getSupplierProducts
+ * @returns {Map<string, Object>} product_code → supplier terms
+ */
+export function preferredSuppliers(supplierProducts) {
+  const terms = new Map();
+  const leadTime = item => item.lead_time_days ?? Infinity;
+
+  supplierProducts.forEach(item => {
+    const existing = terms.get(item.product_code);
+    const better = !existing
+      || (item.preferred && !existing.preferred)
+      || (Boolean(item.preferred) === Boolean(existing.preferred) && leadTime(item) < leadTime(existing));
+    if (better) terms.set(item.product_code, item);
+  });
+
+  return terms;
+}
+
+/**
+ * Quantity to order so stock lasts through the lead time plus the cover period
+ * Rounded up to the minimum order quantity, then to whole packs
+ * @param {Object} params
+ * @param {number} params.available - Free stock now
+ * @param {number} params.onOrder - Quantity already on open POs
+ * @param {number} params.dailyVelocity - Units sold per day
+ * @param {number} params.leadTimeDays - Days from order to delivery
+ * @param {number} params.coverDays - Days of stock wanted once the delivery lands
+ * @param {number} [params.reorderLevel=0] - Orderwise minimum stock level
+ * @param {number} [params.packSize=1]
+ * @param {number} [params.minimumOrderQuantity=0]
+ * @returns {{target_stock: number, shortfall: number, quantity: number}}
+ */
+export function suggestOrderQuantity({
+  available,
+  onOrder,
+  dailyVelocity,
+  leadTimeDays,
+  coverDays,
+  reorderLevel = 0,
+  packSize = 1,
+  minimumOrderQuantity = 0,
+}) {
+  const targetStock = Math.max(dailyVelocity * (leadTimeDays + coverDays), reorderLevel);
+  const shortfall = targetStock - Math.max(available, 0) - onOrder;
+  if (shortfall <= 0) return { target_stock: targetStock, shortfall: 0, quantity: 0 };
+
+  const pack = packSize > 0 ? packSize : 1;
+  const quantity = Math.ceil(Math.max(shortfall, minimumOrderQuantity) / pack) * pack;
+
+  return { target_stock: targetStock, shortfall, quantity };
+}
+
+/**
+ * Suggested order lines for every SKU that needs topping up
+ * @param {Array} stockLevels - From OrderwiseClient.getStockLevels
+ * @param {Map<string, number>} velocity - From calculateSalesVelocity
+ * @param {Array} supplierProducts - From OrderwiseClient.getSupplierProducts
+ * @param {Object} settings
+ * @param {number} settings.review_period_days - Days until the next reorder run
+ * @param {number} settings.safety_stock_days - Extra days of cover held as buffer
+ * @param {number} settings.default_lead_time_days - Used when a product has no supplier terms
+ * @returns {Array} Order lines, soonest stock-out first
+ */
+export function planReorders(stockLevels, velocity, supplierProducts, settings) {
+  const suppliers = preferredSuppliers(supplierProducts);
+  const coverDays = settings.review_period_days + settings.safety_stock_days;
+
+  return stockLevels
+    .map(item => {
+      const dailyVelocity = velocity.get(item.product_code) || 0;
+      const terms = suppliers.get(item.product_code);
+      const leadTimeDays = terms?.lead_time_days ?? settings.default_lead_time_days;
+      const onOrder = item.quantity_on_order || 0;
+
+      const suggestion = suggestOrderQuantity({
+        available: item.quantity_available,
+        onOrder,
+        dailyVelocity,
+        leadTimeDays,
+        coverDays,
+        reorderLevel: item.reorder_level || 0,
+        packSize: terms?.pack_size,
+        minimumOrderQuantity: terms?.minimum_order_quantity,
+      });
+      if (suggestion.quantity === 0) return null;
+
+      const unitCost = terms?.unit_cost ?? item.unit_cost ?? 0;
+      const packSize = terms?.pack_size > 0 ? terms.pack_size : 1;
+
+      return {
+        product_code: item.product_code,
+        product: item.product_name,
+        supplier: terms?.supplier || 'No supplier set',
+        supplier_product_code: terms?.supplier_product_code || null,
+        available: item.quantity_available,
+        on_order: onOrder,
+        daily_velocity: dailyVelocity,
+        days_of_cover: dailyVelocity > 0 ? Math.max(item.quantity_available, 0) / dailyVelocity : null,
+        lead_time_days: leadTimeDays,
+        target_stock: Math.ceil(suggestion.target_stock),
+        suggested_quantity: suggestion.quantity,
+        pack_size: packSize,
+        packs: suggestion.quantity / packSize,
+        minimum_order_quantity: terms?.minimum_order_quantity || 0,
+        unit_cost: unitCost,
+        line_value: suggestion.quantity * unitCost,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.days_of_cover ?? Infinity) - (b.days_of_cover ?? Infinity));
+}
+
+/**
+ * Group order lines into one draft purchase order per supplier
+ * @param {Array} lines - From planReorders
+ * @returns {Array} { supplier, lines, total_value, line_count }, largest first
+ */
+export function groupDraftPurchaseOrders(lines) {
+  const drafts = new Map();
+
+  lines.forEach(line => {
+    if (!drafts.has(line.supplier)) {
+      drafts.set(line.supplier, { supplier: line.supplier, lines: [], total_value: 0, line_count: 0 });
+    }
+    const draft = drafts.get(line.supplier);
+    draft.lines.push(line);
+    draft.total_value += line.line_value;
+    draft.line_count++;
+  });
+
+  return [...drafts.values()].sort((a, b) => b.total_value - a.total_value);
+}
+
+/**
+ * Where a day's draft purchase orders are saved, relative to the working directory
+ * @param {string} date - yyyy-MM-dd
+ * @returns {{json: string, csv: string}}
+ */
+export function draftPurchaseOrderPaths(date) {
+  const base = path.join('outputs', 'reorders', `${date}_draft_purchase_orders`);
+  return { json: `${base}.json`, csv: `${base}.csv` };
+}
+
+const CSV_COLUMNS = [
+  'supplier',
+  'product_code',
+  'supplier_product_code',
+  'product',
+  'suggested_quantity',
+  'pack_size',
+  'packs',
+  'unit_cost',
+  'line_value',
+  'available',
+  'on_order',
+  'daily_velocity',
+  'lead_time_days',
+];
+
+const csvValue = value => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(2) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Draft purchase orders as CSV, one row per order line
+ * @param {Array} drafts - From groupDraftPurchaseOrders
+ * @returns {string}
+ */
+export function draftPurchaseOrdersToCsv(drafts) {
+  const rows = drafts.flatMap(draft => draft.lines.map(line => CSV_COLUMNS.map(column => csvValue(line[column])).join(',')));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
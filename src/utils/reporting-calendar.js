@@ -0,0 +1,213 @@
+/**
+ * Reporting calendar
+ * Days, weeks (Monday start) and months as they fall in Europe/London,
+ * whatever timezone the server runs in. Handles the GMT/BST changeovers,
+ * when a reporting day is 23 or 25 hours long.
+ */
+
+export const REPORTING_TIMEZONE = 'Europe/London';
+
+const partsFormatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: REPORTING_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  weekday: 'short',
+});
+
+const WEEKDAYS = { Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6, Sun: 7 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Wall-clock fields of an instant in Europe/London
+ * @param {Date} date
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   month is 1-12, weekday is 1 (Monday) to 7 (Sunday)
+ */
+export function londonParts(date) {
+  const parts = partsFormatter.formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+}
+
+/**
+ * Offset of Europe/London from UTC at an instant, in milliseconds
+ * @param {Date} date
+ * @returns {number} 0 in GMT, 3600000 in BST
+ */
+function londonOffset(date) {
+  const parts = londonParts(date);
+  const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Instant at which a Europe/London wall-clock time occurs
+ * Out-of-range fields roll over (day 0 is the last day of the previous month)
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {number} [hour=0]
+ * @param {number} [minute=0]
+ * @returns {Date}
+ */
+export function fromLondonTime(year, month, day, hour = 0, minute = 0) {
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Re-check the offset at the candidate instant in case it sits across a changeover
+  let instant = asUTC - londonOffset(new Date(asUTC));
+  const correctedOffset = londonOffset(new Date(instant));
+  instant = asUTC - correctedOffset;
+
+  return new Date(instant);
+}
+
+/**
+ * Report date label (yyyy-MM-dd) for an instant, in Europe/London
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatReportDate(date) {
+  const { year, month, day } = londonParts(date);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Month label (yyyy-MM) for an instant, in Europe/London
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatReportMonth(date) {
+  const { year, month } = londonParts(date);
+  return `${year}-${pad(month)}`;
+}
+
+/**
+ * Parse a yyyy-MM-dd date (e.g. from the command line) as a Europe/London day
+ * @param {string} value
+ * @returns {Date} Start of that day in Europe/London
+ */
+export function parseReportDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid report date "${value}" - expected YYYY-MM-DD`);
+  }
+
+  const [, year, month, day] = match.map(Number);
+  const date = fromLondonTime(year, month, day);
+  if (formatReportDate(date) !== value.trim()) {
+    throw new Error(`Invalid report date "${value}"`);
+  }
+
+  return date;
+}
+
+/**
+ * Start of the Europe/London day containing date, optionally shifted by whole days
+ * @param {Date} date
+ * @param {number} [offsetDays=0]
+ * @returns {Date}
+ */
+export function startOfReportDay(date, offsetDays = 0) {
+  const { year, month, day } = londonParts(date);
+  return fromLondonTime(year, month, day + offsetDays);
+}
+
+/**
+ * Whole Europe/London calendar days from the day containing asOf to a date
+ * @param {string} value - yyyy-MM-dd (anything after the date part is ignored)
+ * @param {Date} asOf
+ * @returns {number} 0 for the same day, negative for dates in the past
+ */
+export function daysUntil(value, asOf) {
+  const target = parseReportDate(String(value).slice(0, 10));
+  return Math.round((target - startOfReportDay(asOf)) / DAY_MS);
+}
+
+/**
+ * Reporting day containing date
+ * @param {Date} date
+ * @param {number} [offsetDays=0] - e.g. -1 for the day before
+ * @returns {{start: Date, end: Date}} end is the last millisecond of the day
+ */
+export function dayRange(date, offsetDays = 0) {
+  const start = startOfReportDay(date, offsetDays);
+  const end = new Date(startOfReportDay(date, offsetDays + 1).getTime() - 1);
+  return { start, end };
+}
+
+/**
+ * Reporting week (Monday to Sunday) containing date
+ * @param {Date} date
+ * @param {number} [offsetWeeks=0] - e.g. -1 for the week before
+ * @returns {{start: Date, end: Date}}
+ */
+export function weekRange(date, offsetWeeks = 0) {
+  const { weekday } = londonParts(date);
+  const mondayOffset = 1 - weekday + offsetWeeks * 7;
+
+  return {
+    start: startOfReportDay(date, mondayOffset),
+    end: new Date(startOfReportDay(date, mondayOffset + 7).getTime() - 1),
+  };
+}
+
+/**
+ * Reporting month containing date
+ * @param {Date} date
+ * @param {number} [offsetMonths=0] - e.g. -1 for the month before
+ * @returns {{start: Date, end: Date}}
+ */
+export function monthRange(date, offsetMonths = 0) {
+  const { year, month } = londonParts(date);
+
+  return {
+    start: fromLondonTime(year, month + offsetMonths, 1),
+    end: new Date(fromLondonTime(year, month + offsetMonths + 1, 1).getTime() - 1),
+  };
+}
+
+/**
+ * Start of yesterday in Europe/London (the default daily report date)
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+export function reportYesterday(now = new Date()) {
+  return startOfReportDay(now, -1);
+}
+
+/**
+ * Most recent Monday-to-Sunday week that has finished (the default weekly report period)
+ * @param {Date} [now]
+ * @returns {{start: Date, end: Date}}
+ */
+export function lastCompleteWeek(now = new Date()) {
+  return weekRange(now, -1);
+}
+
+/**
+ * Whether date falls on a Saturday or Sunday in Europe/London
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isReportWeekend(date) {
+  return londonParts(date).weekday >= 6;
+}
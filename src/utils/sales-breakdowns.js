@@ -0,0 +1,104 @@
+/**
+ * Sales breakdown helpers
+ * Classify orders by sales channel, UK postcode area and requested delivery day
+ */
+
+import { format, isValid, parse } from 'date-fns';
+
+export const BREAKDOWN_DIMENSIONS = ['channel', 'postcode_area', 'delivery_day'];
+
+const CHANNEL_LABELS = {
+  web: 'Web',
+  pos: 'POS',
+  shopify_draft_order: 'Draft / Wholesale',
+  iphone: 'Mobile App',
+  android: 'Mobile App',
+};
+
+const DELIVERY_DATE_FORMATS = ['yyyy-MM-dd', 'dd/MM/yyyy', 'd/M/yyyy', 'dd-MM-yyyy', 'EEEE d MMMM yyyy', 'd MMMM yyyy'];
+
+/**
+ * Sales channel for an order, from source_name
+ * @param {Object} order - Shopify order
+ * @returns {string}
+ */
+export function salesChannel(order) {
+  const source = order.source_name;
+  if (!source) return 'Unknown';
+  return CHANNEL_LABELS[source] || source;
+}
+
+/**
+ * UK postcode area (the leading letters, e.g. "EX" for EX5 1AA)
+ * @param {Object} order - Shopify order
+ * @returns {string} Postcode area, "Non-UK" or "Unknown"
+ */
+export function postcodeArea(order) {
+  const address = order.shipping_address;
+  if (!address?.zip) return 'Unknown';
+  if (address.country_code && address.country_code !== 'GB') return 'Non-UK';
+
+  const match = address.zip.toUpperCase().replace(/\s+/g, '').match(/^([A-Z]{1,2})\d/);
+  return match ? match[1] : 'Unknown';
+}
+
+/**
+ * Parse a delivery date written in one of the formats customers and apps use
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseDeliveryDate(value) {
+  const text = String(value).trim();
+
+  for (const pattern of DELIVERY_DATE_FORMATS) {
+    const date = parse(text, pattern, new Date());
+    if (isValid(date)) return date;
+  }
+
+  return null;
+}
+
+/**
+ * Requested delivery date from note attributes, falling back to tags
+ * e.g. note attribute "Delivery Date: 2025-12-22" or tag "delivery:2025-12-22"
+ * @param {Object} order - Shopify order
+ * @returns {Date|null}
+ */
+export function requestedDeliveryDate(order) {
+  const attribute = (order.note_attributes || []).find(attr => /deliver/i.test(attr.name));
+  if (attribute) {
+    const date = parseDeliveryDate(attribute.value);
+    if (date) return date;
+  }
+
+  const tags = (order.tags || '').split(',').map(tag => tag.trim());
+  for (const tag of tags) {
+    const match = tag.match(/^deliver(?:y)?[\s:_-]+(.+)$/i);
+    const date = match && parseDeliveryDate(match[1]);
+    if (date) return date;
+  }
+
+  return null;
+}
+
+/**
+ * Day of the week the customer asked for delivery
+ * @param {Object} order - Shopify order
+ * @returns {string} Weekday name or "Not specified"
+ */
+export function deliveryDay(order) {
+  const date = requestedDeliveryDate(order);
+  return date ? format(date, 'EEEE') : 'Not specified';
+}
+
+/**
+ * Breakdown key for an order along one dimension
+ * @param {Object} order
+ * @param {string} dimension - One of BREAKDOWN_DIMENSIONS
+ * @returns {string}
+ */
+export function breakdownKey(order, dimension) {
+  if (dimension === 'channel') return salesChannel(order);
+  if (dimension === 'postcode_area') return postcodeArea(order);
+  return deliveryDay(order);
+}
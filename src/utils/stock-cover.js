@@ -0,0 +1,115 @@
+/**
+ * Days-of-cover analysis
+ * Joins Orderwise stock (product_code) to Shopify sales velocity (sku)
+ * and open purchase orders to find SKUs that will run out before stock lands
+ */
+
+import { addDays, differenceInCalendarDays } from 'date-fns';
+import { isSaleOrder } from '../integrations/shopify/client.js';
+import { formatReportDate, startOfReportDay } from './reporting-calendar.js';
+
+/**
+ * Average units sold per day for each SKU
+ * @param {Array} orders - Shopify orders from the trailing window
+ * @param {number} windowDays - Length of the trailing window
+ * @returns {Map<string, number>} SKU → units per day
+ */
+export function calculateSalesVelocity(orders, windowDays) {
+  const unitsBySku = new Map();
+
+  orders.filter(isSaleOrder).forEach(order => {
+    order.line_items?.forEach(item => {
+      if (!item.sku) return;
+      unitsBySku.set(item.sku, (unitsBySku.get(item.sku) || 0) + item.quantity);
+    });
+  });
+
+  return new Map([...unitsBySku].map(([sku, units]) => [sku, units / windowDays]));
+}
+
+/**
+ * Earliest expected delivery per product across open purchase orders
+ * @param {Array} purchaseOrders - From OrderwiseClient.getOpenPurchaseOrders
+ * @returns {Map<string, Object>} product_code → { po_number, supplier, expected_date, quantity }
+ */
+export function nextDeliveries(purchaseOrders) {
+  const deliveries = new Map();
+
+  purchaseOrders.forEach(po => {
+    if (!po.expected_date) return;
+    const expected = new Date(po.expected_date);
+
+    po.line_items?.forEach(line => {
+      const existing = deliveries.get(line.product_code);
+      if (!existing || expected < existing.expected_date) {
+        deliveries.set(line.product_code, {
+          po_number: po.po_number,
+          supplier: po.supplier,
+          expected_date: expected,
+          quantity: line.quantity,
+        });
+      }
+    });
+  });
+
+  return deliveries;
+}
+
+/**
+ * Work out days of cover for every stocked SKU and flag the ones at risk
+ * A SKU is at risk if it runs out before its next PO lands, or if it has no
+ * open PO (or only an overdue one) and less cover than the warning threshold
+ * @param {Array} stockLevels - From OrderwiseClient.getStockLevels
+ * @param {Map<string, number>} velocity - From calculateSalesVelocity
+ * @param {Array} purchaseOrders - From OrderwiseClient.getOpenPurchaseOrders
+ * @param {Date} asOf - Date stock levels were taken
+ * @param {Object} thresholds
+ * @param {number} thresholds.days_of_cover_warning
+ * @param {number} thresholds.days_of_cover_critical
+ * @returns {Array} At-risk SKUs, soonest stock-out first
+ */
+export function findStockOutRisks(stockLevels, velocity, purchaseOrders, asOf, thresholds) {
+  const deliveries = nextDeliveries(purchaseOrders);
+  const today = startOfReportDay(asOf);
+
+  return stockLevels
+    .map(item => {
+      const dailyVelocity = velocity.get(item.product_code) || 0;
+      if (dailyVelocity === 0) return null;
+
+      const available = Math.max(item.quantity_available, 0);
+      const daysOfCover = available / dailyVelocity;
+      const stockOutDate = addDays(asOf, Math.floor(daysOfCover));
+      const delivery = deliveries.get(item.product_code) || null;
+
+      // An overdue PO can't be relied on to land before stock runs out
+      const overdue = Boolean(delivery) && delivery.expected_date < today;
+      const runsOutBeforeDelivery = delivery && !overdue && stockOutDate < delivery.expected_date;
+      const lowCoverWithoutPO = (!delivery || overdue) && daysOfCover < thresholds.days_of_cover_warning;
+      if (!runsOutBeforeDelivery && !lowCoverWithoutPO) return null;
+
+      return {
+        product_code: item.product_code,
+        product: item.product_name,
+        current: item.quantity_available,
+        daily_velocity: dailyVelocity,
+        days_of_cover: daysOfCover,
+        stock_out_date: formatReportDate(stockOutDate),
+        next_po: delivery
+          ? {
+            po_number: delivery.po_number,
+            supplier: delivery.supplier,
+            expected_date: formatReportDate(delivery.expected_date),
+            quantity: delivery.quantity,
+            overdue,
+          }
+          : null,
+        days_short: delivery
+          ? differenceInCalendarDays(delivery.expected_date, stockOutDate)
+          : null,
+        severity: daysOfCover < thresholds.days_of_cover_critical ? 'critical' : 'warning',
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.days_of_cover - b.days_of_cover);
+}
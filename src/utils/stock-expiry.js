@@ -0,0 +1,158 @@
+/**
+ * Use-by / best-before analysis
+ * Works through Orderwise stock lots first-expiry-first-out against Shopify
+ * sales velocity to find stock that will expire before it sells
+ */
+
+import { daysUntil } from './reporting-calendar.js';
+
+export const EXPIRY_WINDOWS = [1, 3, 7];
+
+/**
+ * Whole days from the start of asOf's day until a lot expires
+ * 0 means it expires today, negative means it has already expired
+ * @param {string} expiryDate - yyyy-MM-dd
+ * @param {Date} asOf
+ * @returns {number|null} null if the date can't be read
+ */
+export function daysToExpiry(expiryDate, asOf) {
+  try {
+    return daysUntil(expiryDate, asOf);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Quantity and value expiring within each window
+ * The 1-day window is stock whose date is today, the 3-day window today to
+ * the day after tomorrow, and so on
+ * @param {Array} lots - From OrderwiseClient.getStockLots
+ * @param {Date} asOf
+ * @returns {{expired: Object, windows: Object, unreadable_date: Object}} windows keyed
+ *   "next_1_days", "next_3_days", ...; unreadable_date holds lots whose date can't be read
+ */
+export function summarizeExpiringStock(lots, asOf) {
+  const bucket = () => ({ quantity: 0, value: 0, lots: 0 });
+  const summary = {
+    expired: bucket(),
+    windows: EXPIRY_WINDOWS.reduce((acc, days) => ({ ...acc, [`next_${days}_days`]: bucket() }), {}),
+    unreadable_date: bucket(),
+  };
+
+  const add = (target, lot) => {
+    target.quantity += lot.quantity;
+    target.value += lot.value;
+    target.lots++;
+  };
+
+  lots.forEach(lot => {
+    if (!lot.expiry_date || lot.quantity <= 0) return;
+
+    const days = daysToExpiry(lot.expiry_date, asOf);
+    if (days === null) {
+      add(summary.unreadable_date, lot);
+      return;
+    }
+    if (days < 0) {
+      add(summary.expired, lot);
+      return;
+    }
+
+    EXPIRY_WINDOWS.forEach(window => {
+      if (days < window) add(summary.windows[`next_${window}_days`], lot);
+    });
+  });
+
+  return summary;
+}
+
+/**
+ * Lots that won't sell through before they expire at current sales velocity
+ * Lots of each product are sold oldest expiry first; whatever is left of a lot
+ * on its expiry date is at risk. Chilled stock at risk is critical. Lots whose
+ * date can't be read are skipped (see summarizeExpiringStock's unreadable_date).
+ * @param {Array} lots - From OrderwiseClient.getStockLots
+ * @param {Map<string, number>} velocity - From calculateSalesVelocity
+ * @param {Date} asOf
+ * @returns {Array} At-risk lots, soonest expiry first
+ */
+export function findSellThroughRisks(lots, velocity, asOf) {
+  const lotsByProduct = new Map();
+  lots
+    .filter(lot => lot.expiry_date && lot.quantity > 0)
+    .forEach(lot => {
+      if (!lotsByProduct.has(lot.product_code)) lotsByProduct.set(lot.product_code, []);
+      lotsByProduct.get(lot.product_code).push({ ...lot, days_to_expiry: daysToExpiry(lot.expiry_date, asOf) });
+    });
+
+  const risks = [];
+
+  lotsByProduct.forEach((productLots, productCode) => {
+    const dailyVelocity = velocity.get(productCode) || 0;
+    let soldBeforeThisLot = 0;
+    let queuedQuantity = 0;
+
+    productLots
+      .filter(lot => lot.days_to_expiry !== null && lot.days_to_expiry >= 0)
+      .sort((a, b) => a.days_to_expiry - b.days_to_expiry)
+      .forEach(lot => {
+        // Units sold up to the end of the expiry day, after earlier lots are used up
+        const sellable = Math.max(dailyVelocity * (lot.days_to_expiry + 1) - soldBeforeThisLot, 0);
+        const sold = Math.min(sellable, lot.quantity);
+        soldBeforeThisLot += sold;
+        queuedQuantity += lot.quantity;
+
+        const unsold = lot.quantity - sold;
+        if (unsold <= 0) return;
+
+        const unitValue = lot.quantity > 0 ? lot.value / lot.quantity : 0;
+        risks.push({
+          product_code: productCode,
+          product: lot.product_name,
+          lot_number: lot.lot_number,
+          category: lot.category,
+          expiry_date: lot.expiry_date,
+          expiry_type: lot.expiry_type,
+          days_to_expiry: lot.days_to_expiry,
+          quantity: lot.quantity,
+          daily_velocity: dailyVelocity,
+          projected_unsold: unsold,
+          value_at_risk: unsold * unitValue,
+          sell_through_days: dailyVelocity > 0 ? queuedQuantity / dailyVelocity : null,
+          severity: lot.category === 'chilled' ? 'critical' : 'warning',
+        });
+      });
+  });
+
+  return risks.sort((a, b) => a.days_to_expiry - b.days_to_expiry || b.value_at_risk - a.value_at_risk);
+}
+
+/**
+ * Products worth pushing in marketing to clear short-dated stock
+ * @param {Array} risks - From findSellThroughRisks
+ * @param {number} [limit=5]
+ * @returns {Array} { product_code, product, quantity_to_clear, value_at_risk, earliest_expiry }, most value first
+ */
+export function suggestPromotions(risks, limit = 5) {
+  const products = new Map();
+
+  risks.forEach(risk => {
+    const existing = products.get(risk.product_code) || {
+      product_code: risk.product_code,
+      product: risk.product,
+      quantity_to_clear: 0,
+      value_at_risk: 0,
+      earliest_expiry: risk.expiry_date,
+    };
+
+    existing.quantity_to_clear += risk.projected_unsold;
+    existing.value_at_risk += risk.value_at_risk;
+    if (risk.expiry_date < existing.earliest_expiry) existing.earliest_expiry = risk.expiry_date;
+    products.set(risk.product_code, existing);
+  });
+
+  return [...products.values()]
+    .sort((a, b) => b.value_at_risk - a.value_at_risk)
+    .slice(0, limit);
+}
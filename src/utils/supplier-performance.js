@@ -0,0 +1,156 @@
+/**
+ * Purchase order tracking and supplier scorecards
+ * Flags open POs that are overdue or due this week, and scores suppliers
+ * on delivery history from received POs
+ */
+
+import { formatReportDate, weekRange, daysUntil, parseReportDate } from './reporting-calendar.js';
+
+/**
+ * Whole days from asOf's day to a PO date, or null if the date isn't YYYY-MM-DD
+ * so one badly keyed PO doesn't fail the whole report
+ * @param {string} value
+ * @param {Date} asOf
+ * @returns {number|null}
+ */
+function poDaysUntil(value, asOf) {
+  try {
+    return daysUntil(value, asOf);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Add delivery status to open purchase orders
+ * @param {Array} purchaseOrders - From OrderwiseClient.getOpenPurchaseOrders
+ * @param {Date} asOf
+ * @returns {Array} POs with status ("overdue", "due_this_week", "later", "no_date" or
+ *   "invalid_date" for an expected date that can't be read) and days_overdue, overdue first
+ */
+export function trackOpenPurchaseOrders(purchaseOrders, asOf) {
+  const weekEnd = formatReportDate(weekRange(asOf).end);
+  const statusOrder = { overdue: 0, due_this_week: 1, later: 2, no_date: 3, invalid_date: 4 };
+
+  return purchaseOrders
+    .map(po => {
+      if (!po.expected_date) return { ...po, status: 'no_date', days_overdue: 0 };
+
+      const daysToDue = poDaysUntil(po.expected_date, asOf);
+      if (daysToDue === null) return { ...po, status: 'invalid_date', days_overdue: 0 };
+
+      let status = 'later';
+      if (daysToDue < 0) {
+        status = 'overdue';
+      } else if (String(po.expected_date).slice(0, 10) <= weekEnd) {
+        status = 'due_this_week';
+      }
+
+      return { ...po, status, days_overdue: Math.max(-daysToDue, 0) };
+    })
+    .sort((a, b) => statusOrder[a.status] - statusOrder[b.status]
+      || b.days_overdue - a.days_overdue
+      || String(a.expected_date).localeCompare(String(b.expected_date)));
+}
+
+/**
+ * Overdue POs that carry SKUs already at risk of stocking out
+ * @param {Array} trackedPOs - From trackOpenPurchaseOrders
+ * @param {Array} coverAlerts - From findStockOutRisks
+ * @returns {Array} { po_number, supplier, expected_date, days_overdue, products: [{ product_code, product, days_of_cover }] }
+ */
+export function findLateCriticalSupplies(trackedPOs, coverAlerts) {
+  const atRisk = new Map(coverAlerts.map(alert => [alert.product_code, alert]));
+
+  return trackedPOs
+    .filter(po => po.status === 'overdue')
+    .map(po => ({
+      po_number: po.po_number,
+      supplier: po.supplier,
+      expected_date: po.expected_date,
+      days_overdue: po.days_overdue,
+      products: (po.line_items || [])
+        .filter(line => atRisk.has(line.product_code))
+        .map(line => ({
+          product_code: line.product_code,
+          product: atRisk.get(line.product_code).product,
+          days_of_cover: atRisk.get(line.product_code).days_of_cover,
+        })),
+    }))
+    .filter(po => po.products.length > 0);
+}
+
+/**
+ * Days between the expected and actual delivery (0 if on time or early)
+ * @param {Object} po - Received purchase order
+ * @returns {number|null} null if either date can't be read
+ */
+function daysLate(po) {
+  try {
+    const expected = parseReportDate(String(po.expected_date).slice(0, 10));
+    return Math.max(daysUntil(po.received_date, expected), 0);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Score suppliers on their delivery history
+ * POs whose expected or received date can't be read are left out, with a warning
+ * @param {Array} receivedPOs - From OrderwiseClient.getPurchaseOrderHistory
+ * @returns {Array} Per-supplier scorecards, worst on-time rate first
+ */
+export function buildSupplierScorecard(receivedPOs) {
+  const suppliers = new Map();
+
+  receivedPOs
+    .filter(po => po.expected_date && po.received_date)
+    .forEach(po => {
+      const late = daysLate(po);
+      if (late === null) {
+        console.warn(`⚠️  Leaving ${po.po_number} out of the ${po.supplier} scorecard: unreadable date (expected ${po.expected_date}, received ${po.received_date})`);
+        return;
+      }
+
+      if (!suppliers.has(po.supplier)) {
+        suppliers.set(po.supplier, {
+          supplier: po.supplier,
+          purchase_orders: 0,
+          on_time: 0,
+          days_late: [],
+          quantity_ordered: 0,
+          quantity_received: 0,
+        });
+      }
+
+      const supplier = suppliers.get(po.supplier);
+      supplier.purchase_orders++;
+      if (late === 0) {
+        supplier.on_time++;
+      } else {
+        supplier.days_late.push(late);
+      }
+
+      (po.line_items || []).forEach(line => {
+        supplier.quantity_ordered += line.quantity_ordered || 0;
+        supplier.quantity_received += line.quantity_received || 0;
+      });
+    });
+
+  return [...suppliers.values()]
+    .map(supplier => ({
+      supplier: supplier.supplier,
+      purchase_orders: supplier.purchase_orders,
+      on_time_rate: (supplier.on_time / supplier.purchase_orders) * 100,
+      late_deliveries: supplier.days_late.length,
+      average_days_late: supplier.days_late.length > 0
+        ? supplier.days_late.reduce((sum, days) => sum + days, 0) / supplier.days_late.length
+        : 0,
+      quantity_ordered: supplier.quantity_ordered,
+      quantity_received: supplier.quantity_received,
+      fill_rate: supplier.quantity_ordered > 0
+        ? (supplier.quantity_received / supplier.quantity_ordered) * 100
+        : null,
+    }))
+    .sort((a, b) => a.on_time_rate - b.on_time_rate || b.average_days_late - a.average_days_late);
+}
@@ -0,0 +1,174 @@
+/**
+ * Batch traceability
+ * Follows an Aptean production batch forward through the Orderwise lots it
+ * became, the dispatches picked from those lots and the Shopify orders they
+ * went out on - and an order back to the batches it came from
+ */
+
+const normalise = value => String(value ?? '').trim().toLowerCase();
+
+/**
+ * Shopify order name for an order reference, e.g. "1042" → "#1042"
+ * @param {string} reference
+ * @returns {string}
+ */
+export function shopifyOrderName(reference) {
+  const name = String(reference).trim();
+  return name.startsWith('#') ? name : `#${name}`;
+}
+
+/**
+ * Aptean batches matching a batch_id or lot number
+ * @param {Array} batches - From ApteanClient.getProductionBatches
+ * @param {string} reference - batch_id or lot number
+ * @returns {Array}
+ */
+export function matchBatches(batches, reference) {
+  const wanted = normalise(reference);
+  return batches.filter(batch => normalise(batch.batch_id) === wanted || normalise(batch.lot_number) === wanted);
+}
+
+/**
+ * Orderwise lot numbers a set of batches went into stock as
+ * Batches without an output lot number are stocked under their batch_id
+ * @param {Array} batches
+ * @returns {Array<string>}
+ */
+export function lotNumbersFor(batches) {
+  return [...new Set(batches.map(batch => batch.lot_number || batch.batch_id))];
+}
+
+/**
+ * Day a dispatch line should have reached the customer
+ * @param {Object} line - Dispatch line
+ * @returns {string|null} yyyy-MM-dd; the dispatch date when no delivery date is recorded
+ */
+const deliveryDate = line => String(line.delivery_date || line.dispatched_at || '').slice(0, 10) || null;
+
+/**
+ * Recall report for a batch or lot: who received it and what is still in stock
+ * @param {Object} trace
+ * @param {string} trace.reference - What was traced (batch_id or lot number)
+ * @param {Array} trace.batches - Matching Aptean batches
+ * @param {Array<string>} trace.lotNumbers - Lots traced
+ * @param {Array} trace.stockLots - From OrderwiseClient.getStockLots
+ * @param {Array} trace.dispatchLines - From OrderwiseClient.getDispatchLines for the lots
+ * @param {Array} trace.orders - From ShopifyClient.getOrdersByName
+ * @returns {Object} Recall report
+ */
+export function buildRecallReport({ reference, batches, lotNumbers, stockLots, dispatchLines, orders }) {
+  const lots = new Set(lotNumbers.map(normalise));
+  const ordersByName = new Map(orders.map(order => [normalise(order.name), order]));
+
+  // One entry per customer order, however many lines or lots it shipped
+  const byOrder = new Map();
+  dispatchLines
+    .filter(line => lots.has(normalise(line.lot_number)))
+    .forEach(line => {
+      if (!byOrder.has(line.order_number)) {
+        const order = ordersByName.get(normalise(shopifyOrderName(line.channel_order_ref || line.order_number))) || null;
+        byOrder.set(line.order_number, {
+          order_number: line.order_number,
+          shopify_order: order?.name ?? null,
+          customer: order ? [order.first_name, order.last_name].filter(Boolean).join(' ') || null : null,
+          email: order?.email ?? null,
+          postcode: order?.shipping_postcode ?? null,
+          dispatched_at: line.dispatched_at ?? null,
+          delivery_date: deliveryDate(line),
+          tracking_number: line.tracking_number ?? null,
+          quantity: 0,
+          items: [],
+        });
+      }
+
+      const entry = byOrder.get(line.order_number);
+      entry.quantity += line.quantity;
+      entry.items.push({ product_code: line.product_code, product_name: line.product_name ?? null, lot_number: line.lot_number, quantity: line.quantity });
+      // An order split across dispatches is reported by its last delivery
+      if (deliveryDate(line) > (entry.delivery_date || '')) entry.delivery_date = deliveryDate(line);
+    });
+
+  const affected = [...byOrder.values()].sort((a, b) => String(a.delivery_date).localeCompare(String(b.delivery_date)));
+  const onHand = stockLots
+    .filter(lot => lots.has(normalise(lot.lot_number)) && lot.quantity > 0)
+    .map(lot => ({
+      lot_number: lot.lot_number,
+      product_code: lot.product_code,
+      product_name: lot.product_name,
+      quantity: lot.quantity,
+      location: lot.location,
+      expiry_date: lot.expiry_date ?? null,
+    }));
+
+  const customers = new Set(affected.map(order => normalise(order.email || order.customer || order.order_number)));
+  const dates = affected.map(order => order.delivery_date).filter(Boolean).sort();
+
+  return {
+    reference,
+    direction: 'forward',
+    batches: batches.map(batch => ({
+      batch_id: batch.batch_id,
+      lot_number: batch.lot_number ?? null,
+      product_type: batch.product_type,
+      production_date: batch.production_date,
+    })),
+    lot_numbers: lotNumbers,
+    affected_orders: affected,
+    stock_on_hand: onHand,
+    totals: {
+      customers: customers.size,
+      orders: affected.length,
+      dispatched_quantity: affected.reduce((sum, order) => sum + order.quantity, 0),
+      on_hand_quantity: onHand.reduce((sum, lot) => sum + lot.quantity, 0),
+      first_delivery: dates[0] ?? null,
+      last_delivery: dates[dates.length - 1] ?? null,
+    },
+    orders_not_found_in_shopify: affected.filter(order => order.shopify_order === null).map(order => order.order_number),
+  };
+}
+
+/**
+ * Trace an order back to the batches its items came from
+ * @param {Object} trace
+ * @param {string} trace.reference - Order number traced
+ * @param {Array} trace.dispatchLines - From OrderwiseClient.getDispatchLines for the order
+ * @param {Array} trace.batches - Aptean batches over the lookback window
+ * @param {Object|null} trace.order - The Shopify order, if found
+ * @returns {Object} Order trace
+ */
+export function buildOrderTrace({ reference, dispatchLines, batches, order }) {
+  const batchesByLot = new Map();
+  batches.forEach(batch => {
+    [batch.lot_number, batch.batch_id].filter(Boolean).forEach(key => {
+      if (!batchesByLot.has(normalise(key))) batchesByLot.set(normalise(key), batch);
+    });
+  });
+
+  const items = dispatchLines.map(line => {
+    const batch = batchesByLot.get(normalise(line.lot_number)) || null;
+    return {
+      product_code: line.product_code,
+      product_name: line.product_name ?? null,
+      lot_number: line.lot_number,
+      quantity: line.quantity,
+      dispatched_at: line.dispatched_at ?? null,
+      batch_id: batch?.batch_id ?? null,
+      product_type: batch?.product_type ?? null,
+      production_date: batch?.production_date ?? null,
+    };
+  });
+
+  const sourceBatches = [...new Set(items.map(item => item.batch_id).filter(Boolean))];
+
+  return {
+    reference,
+    direction: 'backward',
+    order_number: dispatchLines[0]?.order_number ?? reference,
+    shopify_order: order?.name ?? null,
+    customer: order ? [order.first_name, order.last_name].filter(Boolean).join(' ') || null : null,
+    email: order?.email ?? null,
+    items,
+    source_batches: sourceBatches,
+    lots_without_batch: [...new Set(items.filter(item => item.batch_id === null).map(item => item.lot_number))],
+  };
+}
@@ -0,0 +1,121 @@
+/**
+ * Unit Cost Resolver
+ * Resolves per-variant cost of goods from, in priority order:
+ * 1. Shopify InventoryItem cost
+ * 2. Orderwise unit_cost (matched by SKU / product_code)
+ * 3. Per-SKU overrides in config/sku-cost-overrides.json
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export const COST_SOURCES = ['shopify', 'orderwise', 'override', 'missing'];
+
+class UnitCostResolver {
+  /**
+   * @param {Object} sources
+   * @param {import('../integrations/shopify/client.js').default} sources.shopify
+   * @param {import('../integrations/orderwise/client.js').default} [sources.orderwise]
+   */
+  constructor({ shopify, orderwise = null } = {}) {
+    this.shopify = shopify;
+    this.orderwise = orderwise;
+    this.shopifyByVariant = new Map();
+    this.shopifyBySku = new Map();
+    this.orderwiseBySku = new Map();
+    this.overridesBySku = new Map();
+  }
+
+  /**
+   * Load costs from every source
+   * A source that fails is logged and skipped so the next one can fill in
+   * @returns {Promise<void>}
+   */
+  async load() {
+    const [shopifyCosts, orderwiseStock, overrides] = await Promise.all([
+      this.shopify
+        ? this.shopify.getVariantCosts().catch(error => {
+          console.warn('⚠️  Shopify unit costs unavailable:', error.message);
+          return [];
+        })
+        : [],
+      this.orderwise
+        ? this.orderwise.getStockLevels().catch(error => {
+          console.warn('⚠️  Orderwise unit costs unavailable:', error.message);
+          return [];
+        })
+        : [],
+      this.loadOverrides(),
+    ]);
+
+    this.shopifyByVariant.clear();
+    this.shopifyBySku.clear();
+    shopifyCosts.forEach(variant => {
+      this.shopifyByVariant.set(String(variant.variant_id), variant.unit_cost);
+      if (variant.sku) {
+        this.shopifyBySku.set(variant.sku, variant.unit_cost);
+      }
+    });
+
+    this.orderwiseBySku.clear();
+    orderwiseStock.forEach(item => {
+      const unitCost = parseFloat(item.unit_cost);
+      if (item.product_code && !isNaN(unitCost) && unitCost > 0) {
+        this.orderwiseBySku.set(item.product_code, unitCost);
+      }
+    });
+
+    this.overridesBySku = overrides;
+  }
+
+  /**
+   * Load per-SKU cost overrides
+   * @returns {Promise<Map<string, number>>}
+   */
+  async loadOverrides() {
+    const overridesPath = path.join(process.cwd(), 'config', 'sku-cost-overrides.json');
+
+    try {
+      const content = await fs.readFile(overridesPath, 'utf-8');
+      const costs = JSON.parse(content).costs || {};
+      return new Map(
+        Object.entries(costs)
+          .map(([sku, cost]) => [sku, parseFloat(cost)])
+          .filter(([, cost]) => !isNaN(cost))
+      );
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('⚠️  Could not read SKU cost overrides:', error.message);
+      }
+      return new Map();
+    }
+  }
+
+  /**
+   * Resolve the unit cost for an order line item
+   * @param {Object} item - Shopify line item
+   * @returns {{unit_cost: number, source: string}}
+   */
+  resolve(item) {
+    const variantId = item.variant_id !== null && item.variant_id !== undefined
+      ? String(item.variant_id)
+      : null;
+
+    if (variantId && this.shopifyByVariant.has(variantId)) {
+      return { unit_cost: this.shopifyByVariant.get(variantId), source: 'shopify' };
+    }
+    if (item.sku && this.shopifyBySku.has(item.sku)) {
+      return { unit_cost: this.shopifyBySku.get(item.sku), source: 'shopify' };
+    }
+    if (item.sku && this.orderwiseBySku.has(item.sku)) {
+      return { unit_cost: this.orderwiseBySku.get(item.sku), source: 'orderwise' };
+    }
+    if (item.sku && this.overridesBySku.has(item.sku)) {
+      return { unit_cost: this.overridesBySku.get(item.sku), source: 'override' };
+    }
+
+    return { unit_cost: 0, source: 'missing' };
+  }
+}
+
+export default UnitCostResolver;
@@ -0,0 +1,174 @@
+/**
+ * Cost of production waste
+ * Prices the waste weight on Aptean yield records at raw material cost per kg
+ * (the Orderwise unit cost of the product type's raw material SKU, or a
+ * configured cost) and groups it by reason, product type and week. Reasons come
+ * from the batch's waste output lines where there are any, otherwise the yield record.
+ */
+
+import { parseReportDate, weekRange, formatReportDate } from './reporting-calendar.js';
+
+/**
+ * Reason codes Aptean sites use for the same thing
+ */
+const REASON_ALIASES = {
+  trim: ['trim', 'trimming', 'trimmings', 'fat', 'tr'],
+  damage: ['damage', 'damaged', 'dmg', 'dropped', 'torn'],
+  out_of_date: ['out_of_date', 'ood', 'expired', 'date_expired', 'past_date'],
+  rework: ['rework', 're_work', 'reworked', 'rw', 'repack'],
+};
+
+/**
+ * Standard waste reasons, in report order
+ */
+export const WASTE_REASONS = Object.keys(REASON_ALIASES);
+
+/**
+ * Normalise an export's reason code
+ * @param {string} code - e.g. "Out of Date", "DMG"
+ * @returns {string} A WASTE_REASONS entry, the code itself (snake_case) if it isn't one, or "unspecified"
+ */
+export function wasteReason(code) {
+  const key = String(code ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  if (!key) return 'unspecified';
+
+  return WASTE_REASONS.find(reason => REASON_ALIASES[reason].includes(key)) || key;
+}
+
+/**
+ * Raw material cost per kg for a product type
+ * The Orderwise unit cost of settings.raw_material_skus[productType] is used
+ * when that SKU is stocked (its unit should be kg), otherwise settings.cost_per_kg
+ * @param {string} productType
+ * @param {Map<string, number>} orderwiseCosts - SKU → unit cost
+ * @param {Object} settings - thresholds.operations.waste_costs
+ * @returns {{cost_per_kg: number|null, source: string|null, sku: string|null}} source is "orderwise" or "configured"
+ */
+export function rawMaterialCost(productType, orderwiseCosts, settings) {
+  const lookup = (values = {}) => {
+    const key = Object.keys(values).find(name => name.toLowerCase() === String(productType).toLowerCase());
+    return key === undefined ? undefined : values[key];
+  };
+
+  const sku = lookup(settings.raw_material_skus) ?? null;
+  if (sku && orderwiseCosts.get(sku) > 0) {
+    return { cost_per_kg: orderwiseCosts.get(sku), source: 'orderwise', sku };
+  }
+
+  const configured = lookup(settings.cost_per_kg) ?? settings.cost_per_kg?.default;
+  return configured === undefined
+    ? { cost_per_kg: null, source: null, sku }
+    : { cost_per_kg: configured, source: 'configured', sku };
+}
+
+const addTo = (totals, key, weight, cost) => {
+  if (!totals[key]) totals[key] = { weight: 0, cost: 0, batches: 0 };
+  totals[key].weight += weight;
+  totals[key].cost += cost;
+  totals[key].batches += 1;
+};
+
+/**
+ * Split a yield record's waste weight by reason
+ * A batch's waste output lines each carry their own reason, so its waste is
+ * shared out in proportion to their weights; lines without a reason, and
+ * batches without waste lines, use the yield record's reason
+ * @param {Object} record - Aptean yield record
+ * @param {Array} [wasteLines] - The batch's output lines with output_type "waste"
+ * @returns {Array<{reason: string, weight: number}>}
+ */
+export function wasteByReason(record, wasteLines = []) {
+  const lineWeight = wasteLines.reduce((sum, line) => sum + (line.weight || 0), 0);
+  if (lineWeight <= 0) {
+    return [{ reason: wasteReason(record.waste_reason), weight: record.waste_weight }];
+  }
+
+  const weights = new Map();
+  wasteLines.forEach(line => {
+    const reason = wasteReason(line.waste_reason || record.waste_reason);
+    weights.set(reason, (weights.get(reason) || 0) + (line.weight || 0) / lineWeight * record.waste_weight);
+  });
+
+  return [...weights].map(([reason, weight]) => ({ reason, weight }));
+}
+
+/**
+ * Waste cost by reason, product type and reporting week
+ * @param {Array} yields - From ApteanClient.getYieldData (waste_weight, optional waste_reason)
+ * @param {Array} stockLevels - From OrderwiseClient.getStockLevels, for raw material unit costs
+ * @param {Object} settings - thresholds.operations.waste_costs
+ * @param {Object} [settings.raw_material_skus] - Product type → Orderwise SKU
+ * @param {Object} [settings.cost_per_kg] - Product type → £/kg, plus "default"
+ * @param {Array} [outputLines] - From ApteanClient.getBatchOutputs, for per-line waste reasons
+ * @returns {Object} { total_weight, total_cost, by_reason, by_product_type, by_week, unpriced_product_types }
+ *   weeks are keyed by their Monday (yyyy-MM-dd); unpriced waste counts towards weight but not cost
+ */
+export function wasteCost(yields, stockLevels, settings, outputLines = []) {
+  const orderwiseCosts = new Map(stockLevels.map(item => [item.product_code, item.unit_cost]));
+  const costs = new Map();
+  const costOf = productType => {
+    if (!costs.has(productType)) costs.set(productType, rawMaterialCost(productType, orderwiseCosts, settings));
+    return costs.get(productType);
+  };
+
+  const wasteLines = new Map();
+  outputLines
+    .filter(line => line.output_type === 'waste')
+    .forEach(line => {
+      if (!wasteLines.has(line.batch_id)) wasteLines.set(line.batch_id, []);
+      wasteLines.get(line.batch_id).push(line);
+    });
+
+  const byReason = {};
+  const byProductType = {};
+  const byWeek = {};
+  let totalWeight = 0;
+  let totalCost = 0;
+
+  yields
+    .filter(record => record.waste_weight > 0)
+    .forEach(record => {
+      const price = costOf(record.product_type);
+      const costFor = weight => (price.cost_per_kg === null ? 0 : weight * price.cost_per_kg);
+      const weight = record.waste_weight;
+      const cost = costFor(weight);
+      const reasons = wasteByReason(record, wasteLines.get(record.batch_id));
+      const week = formatReportDate(weekRange(parseReportDate(String(record.production_date).slice(0, 10))).start);
+
+      totalWeight += weight;
+      totalCost += cost;
+      reasons.forEach(part => addTo(byReason, part.reason, part.weight, costFor(part.weight)));
+
+      if (!byProductType[record.product_type]) {
+        byProductType[record.product_type] = {
+          weight: 0,
+          cost: 0,
+          batches: 0,
+          cost_per_kg: price.cost_per_kg,
+          cost_source: price.source,
+          raw_material_sku: price.sku,
+          by_reason: {},
+        };
+      }
+      const type = byProductType[record.product_type];
+      type.weight += weight;
+      type.cost += cost;
+      type.batches += 1;
+      reasons.forEach(part => addTo(type.by_reason, part.reason, part.weight, costFor(part.weight)));
+
+      if (!byWeek[week]) byWeek[week] = { week_start: week, weight: 0, cost: 0, by_reason: {}, by_product_type: {} };
+      byWeek[week].weight += weight;
+      byWeek[week].cost += cost;
+      reasons.forEach(part => addTo(byWeek[week].by_reason, part.reason, part.weight, costFor(part.weight)));
+      addTo(byWeek[week].by_product_type, record.product_type, weight, cost);
+    });
+
+  return {
+    total_weight: totalWeight,
+    total_cost: totalCost,
+    by_reason: byReason,
+    by_product_type: byProductType,
+    by_week: Object.values(byWeek).sort((a, b) => a.week_start.localeCompare(b.week_start)),
+    unpriced_product_types: Object.keys(byProductType).filter(type => byProductType[type].cost_per_kg === null),
+  };
+}
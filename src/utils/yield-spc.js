@@ -0,0 +1,276 @@
+/**
+ * Statistical process control for batch yields
+ * Individuals control charts per product type: each batch is judged against
+ * a centre line and limits from the batches before it, and the Western
+ * Electric rules pick out shifts and drift that a fixed threshold misses
+ */
+
+// d2 for a moving range of 2, used to estimate sigma from the average moving range
+const D2 = 1.128;
+
+/**
+ * Western Electric rules (plus a trend rule), checked at every batch
+ * points is how many consecutive batches the rule looks at, hits how many of them must match
+ */
+export const SPC_RULES = {
+  beyond_3_sigma: {
+    points: 1,
+    hits: 1,
+    explanation: 'outside the 3σ control limits - something unusual happened to this batch',
+  },
+  two_of_three_beyond_2_sigma: {
+    points: 3,
+    hits: 2,
+    explanation: '2 of the last 3 batches beyond 2σ on the same side - an early sign the process has shifted',
+  },
+  four_of_five_beyond_1_sigma: {
+    points: 5,
+    hits: 4,
+    explanation: '4 of the last 5 batches beyond 1σ on the same side - a small but real shift',
+  },
+  run_of_eight: {
+    points: 8,
+    hits: 8,
+    explanation: '8 batches in a row on the same side of the centre line - the average has moved',
+  },
+  trend_of_six: {
+    points: 6,
+    hits: 6,
+    explanation: '6 batches in a row steadily rising or falling - yield is drifting',
+  },
+};
+
+/**
+ * Centre line and 3σ limits for an individuals chart
+ * Sigma is estimated from the average moving range, so a shift in the data
+ * doesn't inflate the limits the way a plain standard deviation would
+ * @param {Array<number>} values - At least 2
+ * @returns {{centre: number, sigma: number, ucl: number, lcl: number}}
+ */
+export function controlLimits(values) {
+  const centre = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const movingRanges = values.slice(1).map((value, index) => Math.abs(value - values[index]));
+  const sigma = movingRanges.reduce((sum, range) => sum + range, 0) / movingRanges.length / D2;
+
+  return { centre, sigma, ucl: centre + 3 * sigma, lcl: centre - 3 * sigma };
+}
+
+/**
+ * Rules broken by the run of points ending at index
+ * @param {Array} points - Points with value, centre and sigma (sigma > 0)
+ * @param {number} index
+ * @returns {Array<{rule: string, direction: string}>} direction is "above" or "below"
+ */
+function rulesBrokenAt(points, index) {
+  const window = size => (index + 1 >= size ? points.slice(index + 1 - size, index + 1) : null);
+  const z = point => (point.value - point.centre) / point.sigma;
+  const side = z(points[index]) >= 0 ? 'above' : 'below';
+  const sameSide = (point, sigmas) => (side === 'above' ? z(point) > sigmas : z(point) < -sigmas);
+  const broken = [];
+
+  if (Math.abs(z(points[index])) > 3) {
+    broken.push({ rule: 'beyond_3_sigma', direction: side });
+  }
+
+  // Zone rules only count when the latest batch is itself in the zone
+  [['two_of_three_beyond_2_sigma', 2], ['four_of_five_beyond_1_sigma', 1]].forEach(([rule, sigmas]) => {
+    const run = window(SPC_RULES[rule].points);
+    if (run && sameSide(points[index], sigmas) && run.filter(point => sameSide(point, sigmas)).length >= SPC_RULES[rule].hits) {
+      broken.push({ rule, direction: side });
+    }
+  });
+
+  const run = window(SPC_RULES.run_of_eight.points);
+  if (run && run.every(point => sameSide(point, 0))) {
+    broken.push({ rule: 'run_of_eight', direction: side });
+  }
+
+  const trend = window(SPC_RULES.trend_of_six.points);
+  if (trend) {
+    const steps = trend.slice(1).map((point, i) => point.value - trend[i].value);
+    if (steps.every(step => step > 0)) broken.push({ rule: 'trend_of_six', direction: 'above' });
+    if (steps.every(step => step < 0)) broken.push({ rule: 'trend_of_six', direction: 'below' });
+  }
+
+  return broken;
+}
+
+/**
+ * Control chart for one product type's batches, in production order
+ * Each batch's limits come from up to baselineBatches batches before it
+ * @param {Array} batches - Yield records (batch_id, production_date, yield_percentage)
+ * @param {Object} settings
+ * @param {number} settings.baseline_batches - Rolling baseline size
+ * @param {number} settings.minimum_baseline_batches - Batches needed before limits are drawn
+ * @returns {{points: Array, signals: Array}} points carry centre/ucl/lcl (null until there's a baseline)
+ */
+export function controlChart(batches, settings) {
+  const ordered = [...batches].sort((a, b) =>
+    String(a.production_date).localeCompare(String(b.production_date)) || String(a.batch_id).localeCompare(String(b.batch_id)));
+
+  const points = ordered.map((batch, index) => {
+    const baseline = ordered.slice(Math.max(0, index - settings.baseline_batches), index).map(prior => prior.yield_percentage);
+    const limits = baseline.length >= Math.max(2, settings.minimum_baseline_batches) ? controlLimits(baseline) : null;
+
+    return {
+      batch_id: batch.batch_id,
+      date: String(batch.production_date).slice(0, 10),
+      value: batch.yield_percentage,
+      centre: limits?.centre ?? null,
+      sigma: limits?.sigma ?? null,
+      ucl: limits?.ucl ?? null,
+      lcl: limits?.lcl ?? null,
+      rules: [],
+    };
+  });
+
+  // Rules look back over consecutive evaluated batches only
+  const evaluated = points.filter(point => point.sigma > 0);
+  const signals = [];
+  evaluated.forEach((point, index) => {
+    rulesBrokenAt(evaluated, index).forEach(({ rule, direction }) => {
+      point.rules.push(rule);
+      const span = evaluated.slice(Math.max(0, index + 1 - SPC_RULES[rule].points), index + 1);
+      signals.push({
+        rule,
+        direction,
+        batch_id: point.batch_id,
+        date: point.date,
+        value: point.value,
+        centre: point.centre,
+        batches: span.map(spanPoint => spanPoint.batch_id),
+        explanation: SPC_RULES[rule].explanation,
+      });
+    });
+  });
+
+  return { points, signals };
+}
+
+/**
+ * Control charts for every product type
+ * Only signals on batches produced from firstDay onwards are returned, so an
+ * old signal isn't raised again every day
+ * @param {Array} yields - From ApteanClient.getYieldData, covering the baseline history
+ * @param {string} firstDay - yyyy-MM-dd start of the reporting window
+ * @param {Object} settings - thresholds.operations.yield_spc
+ * @returns {Object} Product type → { batches, centre, sigma, ucl, lcl, latest, points, signals }
+ */
+export function analyzeYieldSpc(yields, firstDay, settings) {
+  const byType = new Map();
+  yields
+    .filter(record => Number.isFinite(record.yield_percentage))
+    .forEach(record => {
+      if (!byType.has(record.product_type)) byType.set(record.product_type, []);
+      byType.get(record.product_type).push(record);
+    });
+
+  const result = {};
+  byType.forEach((batches, productType) => {
+    const { points, signals } = controlChart(batches, settings);
+    const last = points[points.length - 1];
+
+    // Limits for the next batch: the latest baseline, including the last batch
+    const next = points.slice(-settings.baseline_batches).map(point => point.value);
+    const limits = next.length >= Math.max(2, settings.minimum_baseline_batches) ? controlLimits(next) : null;
+
+    result[productType] = {
+      batches: points.length,
+      centre: limits?.centre ?? null,
+      sigma: limits?.sigma ?? null,
+      ucl: limits?.ucl ?? null,
+      lcl: limits?.lcl ?? null,
+      latest: last.value,
+      points,
+      signals: signals.filter(signal => signal.date >= firstDay),
+    };
+  });
+
+  return result;
+}
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render a control chart as an SVG image
+ * @param {string} title
+ * @param {Array} points - From controlChart / analyzeYieldSpc
+ * @returns {string} SVG document
+ */
+export function renderControlChartSvg(title, points) {
+  const width = 900;
+  const height = 360;
+  const margin = { top: 40, right: 30, bottom: 50, left: 60 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+
+  const values = points.flatMap(point => [point.value, point.ucl, point.lcl]).filter(value => value !== null);
+  const padding = Math.max(1, (Math.max(...values) - Math.min(...values)) * 0.1);
+  const yMin = Math.floor(Math.min(...values) - padding);
+  const yMax = Math.ceil(Math.max(...values) + padding);
+
+  const x = index => margin.left + (points.length > 1 ? (index / (points.length - 1)) * plotWidth : plotWidth / 2);
+  const y = value => margin.top + plotHeight - ((value - yMin) / (yMax - yMin)) * plotHeight;
+  const format = value => value.toFixed(1);
+
+  // Limits move with the rolling baseline, so draw them as steps between batches
+  const stepPath = field => {
+    let path = '';
+    let drawing = false;
+    points.forEach((point, index) => {
+      if (point[field] === null) {
+        drawing = false;
+        return;
+      }
+      const left = index === 0 ? x(0) : (x(index - 1) + x(index)) / 2;
+      const right = index === points.length - 1 ? x(index) : (x(index) + x(index + 1)) / 2;
+      path += `${drawing ? 'L' : 'M'}${format(left)},${format(y(point[field]))} L${format(right)},${format(y(point[field]))} `;
+      drawing = true;
+    });
+    return path.trim();
+  };
+
+  const ticks = Array.from({ length: 6 }, (_, i) => yMin + ((yMax - yMin) * i) / 5);
+  const labelEvery = Math.max(1, Math.ceil(points.length / 8));
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" font-size="11">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<text x="${width / 2}" y="22" text-anchor="middle" font-size="15" font-weight="bold">${escapeXml(title)}</text>`,
+    ...ticks.map(tick => `<line x1="${margin.left}" x2="${width - margin.right}" y1="${format(y(tick))}" y2="${format(y(tick))}" stroke="#eeeeee"/>`
+      + `<text x="${margin.left - 8}" y="${format(y(tick) + 4)}" text-anchor="end">${format(tick)}%</text>`),
+    `<line x1="${margin.left}" x2="${margin.left}" y1="${margin.top}" y2="${margin.top + plotHeight}" stroke="#999999"/>`,
+    `<path d="${stepPath('ucl')}" fill="none" stroke="#d62728" stroke-dasharray="6 4"/>`,
+    `<path d="${stepPath('lcl')}" fill="none" stroke="#d62728" stroke-dasharray="6 4"/>`,
+    `<path d="${stepPath('centre')}" fill="none" stroke="#2ca02c"/>`,
+    `<polyline points="${points.map((point, index) => `${format(x(index))},${format(y(point.value))}`).join(' ')}" fill="none" stroke="#1f77b4"/>`,
+    ...points.map((point, index) => {
+      const flagged = point.rules.length > 0;
+      return `<circle cx="${format(x(index))}" cy="${format(y(point.value))}" r="${flagged ? 5 : 3}" fill="${flagged ? '#d62728' : '#1f77b4'}">`
+        + `<title>${escapeXml(`${point.batch_id} ${point.date}: ${format(point.value)}%${flagged ? ` (${point.rules.join(', ')})` : ''}`)}</title></circle>`;
+    }),
+    ...points
+      .map((point, index) => ({ point, index }))
+      .filter(({ index }) => index % labelEvery === 0 || index === points.length - 1)
+      .map(({ point, index }) => `<text x="${format(x(index))}" y="${margin.top + plotHeight + 18}" text-anchor="middle">${escapeXml(point.date.slice(5))}</text>`),
+    `<text x="${width - margin.right}" y="${height - 10}" text-anchor="end" fill="#555555">Centre line (green) and 3σ limits (red) from the preceding batches; red points broke a rule</text>`,
+    '</svg>',
+  ];
+
+  return svg.join('\n') + '\n';
+}
+
+/**
+ * Where a product type's control chart is saved
+ * @param {string} date - Report date (yyyy-MM-dd)
+ * @param {string} productType
+ * @returns {string} Path relative to the project root
+ */
+export function controlChartPath(date, productType) {
+  const slug = String(productType).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `outputs/spc/${date}_${slug || 'unknown'}_yield.svg`;
+}
@@ -0,0 +1,68 @@
+/**
+ * Yield and waste targets per product type
+ * A whole bird and a boned, rolled joint yield very differently, so each
+ * product type is judged against its own limits from
+ * thresholds.operations.yield_targets, falling back to "default"
+ */
+
+/**
+ * Limits for a product type, with any the type doesn't set taken from "default"
+ * Product types match case-insensitively
+ * @param {string} productType
+ * @param {Object} targets - thresholds.operations.yield_targets
+ * @returns {{yield_warning_percentage: number, yield_critical_percentage: number, waste_warning_percentage: number, waste_critical_percentage: number}}
+ */
+export function targetsFor(productType, targets = {}) {
+  const key = Object.keys(targets).find(name => name.toLowerCase() === String(productType).toLowerCase());
+  return { ...targets.default, ...(key && key !== 'default' ? targets[key] : {}) };
+}
+
+/**
+ * How far yield and waste are from their targets
+ * Yield fails by falling below its limits, waste by rising above them
+ * @param {number} yieldPercentage
+ * @param {number} wastePercentage
+ * @param {Object} limits - From targetsFor
+ * @returns {{yield_variance: number|null, waste_variance: number|null, yield_status: string, waste_status: string, status: string}}
+ *   variances are percentage points (negative yield variance and positive waste variance are bad);
+ *   statuses are "ok", "warning" or "critical"
+ */
+export function assessAgainstTargets(yieldPercentage, wastePercentage, limits) {
+  const below = (value, warning, critical) => {
+    if (value < critical) return 'critical';
+    if (value < warning) return 'warning';
+    return 'ok';
+  };
+  const above = (value, warning, critical) => {
+    if (value > critical) return 'critical';
+    if (value > warning) return 'warning';
+    return 'ok';
+  };
+
+  const yieldStatus = below(yieldPercentage, limits.yield_warning_percentage, limits.yield_critical_percentage);
+  const wasteStatus = above(wastePercentage, limits.waste_warning_percentage, limits.waste_critical_percentage);
+  const statuses = [yieldStatus, wasteStatus];
+
+  return {
+    yield_variance: limits.yield_warning_percentage === undefined ? null : yieldPercentage - limits.yield_warning_percentage,
+    waste_variance: limits.waste_warning_percentage === undefined ? null : wastePercentage - limits.waste_warning_percentage,
+    yield_status: yieldStatus,
+    waste_status: wasteStatus,
+    status: statuses.includes('critical') ? 'critical' : statuses.includes('warning') ? 'warning' : 'ok',
+  };
+}
+
+/**
+ * Overall target for a mix of product types, weighted by input weight
+ * e.g. a week that is mostly whole birds should expect a higher overall yield
+ * @param {Object} byProductType - Product type → { input } plus the target field
+ * @param {string} field - e.g. "yield_target"
+ * @returns {number|null}
+ */
+export function mixWeightedTarget(byProductType, field) {
+  const types = Object.values(byProductType).filter(data => data[field] !== null && data[field] !== undefined);
+  const input = types.reduce((sum, data) => sum + data.input, 0);
+  if (input <= 0) return null;
+
+  return types.reduce((sum, data) => sum + data[field] * data.input, 0) / input;
+}
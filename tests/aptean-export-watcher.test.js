@@ -0,0 +1,139 @@
+/**
+ * Aptean export watcher tests against a temporary export folder
+ * Run with: npm test
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ApteanExportWatcher from '../src/integrations/aptean/export-watcher.js';
+import ApteanExportStore from '../src/utils/aptean-export-store.js';
+import { exportFileType } from '../src/utils/aptean-exports.js';
+
+const YIELD_HEADER = 'batch_id,product_type,input_weight_kg,output_weight_kg,waste_weight_kg,production_date';
+const WRITTEN_AT = new Date('2026-10-20T05:00:00Z');
+// Tuesday 20 October, 06:30 London
+const AFTER_DUE = new Date('2026-10-20T05:30:00Z');
+
+let workDir;
+let exportDir;
+let alerts;
+
+const writeExport = async (name, lines, modifiedAt = WRITTEN_AT) => {
+  const filePath = path.join(exportDir, name);
+  await fs.writeFile(filePath, lines.join('\n'));
+  await fs.utimes(filePath, modifiedAt, modifiedAt);
+};
+
+const createWatcher = (settings = {}) => new ApteanExportWatcher({
+  directory: exportDir,
+  store: new ApteanExportStore(path.join(workDir, 'store')),
+  settings: { expected: ['yields'], ...settings },
+  onAlert: alert => alerts.push(alert),
+});
+
+beforeEach(async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aptean-watch-'));
+  exportDir = path.join(workDir, 'exports');
+  await fs.mkdir(exportDir);
+  alerts = [];
+});
+
+afterEach(async () => {
+  await fs.rm(workDir, { recursive: true, force: true });
+});
+
+test('export type and date are read from the file name', () => {
+  assert.deepEqual(exportFileType('batches_2026-10-18.csv'), { type: 'batch', prefix: 'batches', date: '2026-10-18' });
+  assert.deepEqual(exportFileType('Yields_Export.csv'), { type: 'yield', prefix: 'yields', date: null });
+  assert.equal(exportFileType('stock_2026-10-18.csv'), null);
+});
+
+test('new exports are stored once, and again when re-exported', async () => {
+  await writeExport('yields_2026-10-19.csv', [YIELD_HEADER, 'B1,Beef,100,80,20,2026-10-19', 'B2,Lamb,50,40,10,2026-10-19']);
+  await writeExport('notes.csv', ['not an export']);
+  const watcher = createWatcher();
+
+  const first = await watcher.poll(AFTER_DUE);
+  assert.deepEqual(first.ingested, [{ name: 'yields_2026-10-19.csv', rows: 2 }]);
+  assert.deepEqual(first.alerts, []);
+
+  const records = await watcher.store.readExport('yields_2026-10-19.csv');
+  assert.deepEqual(records.map(record => [record.batch_id, record.output_weight, record.source_file]),
+    [['B1', 80, 'yields_2026-10-19.csv'], ['B2', 40, 'yields_2026-10-19.csv']]);
+
+  // A restarted watcher reads the manifest and skips what it has done
+  const restarted = createWatcher();
+  assert.deepEqual((await restarted.poll(AFTER_DUE)).ingested, []);
+
+  await writeExport('yields_2026-10-19.csv', [YIELD_HEADER, 'B1,Beef,100,82,18,2026-10-19'], new Date('2026-10-20T05:10:00Z'));
+  assert.deepEqual((await restarted.poll(AFTER_DUE)).ingested, [{ name: 'yields_2026-10-19.csv', rows: 1 }]);
+  assert.equal((await restarted.store.readExport('yields_2026-10-19.csv')).length, 1);
+});
+
+test('unreadable exports are quarantined with a reason and files still being written are left', async () => {
+  await writeExport('yields_2026-10-19.csv', ['batch_id,product_type,production_date', 'B1,Beef,2026-10-19']);
+  await writeExport('batches_2026-10-19.csv', []);
+  await writeExport('outputs_2026-10-19.csv', ['batch_id'], new Date('2026-10-20T05:29:50Z'));
+  const watcher = createWatcher();
+
+  const result = await watcher.poll(AFTER_DUE);
+
+  assert.deepEqual(result.quarantined.map(file => file.name), ['batches_2026-10-19.csv', 'yields_2026-10-19.csv']);
+  assert.equal(result.quarantined[0].reason, 'file is empty');
+  assert.match(result.quarantined[1].reason, /^no column for input_weight, output_weight/);
+
+  assert.deepEqual((await fs.readdir(exportDir)).sort(), ['outputs_2026-10-19.csv', 'quarantine']);
+  const reason = await fs.readFile(path.join(exportDir, 'quarantine', 'yields_2026-10-19.csv.reason.txt'), 'utf-8');
+  assert.match(reason, /^2026-10-20T05:30:00\.000Z no column for input_weight/);
+
+  // The quarantined yields export is still due, so it is reported late as well
+  assert.deepEqual(alerts.map(alert => alert.type), ['aptean_export_quarantined', 'aptean_export_quarantined', 'aptean_export_missing']);
+  assert.equal(alerts[2].message, 'Aptean yields export for 2026-10-19 was quarantined and no readable one has arrived (due by 06:00)');
+  assert.equal((await watcher.store.entryFor('batches_2026-10-19.csv')).status, 'quarantined');
+});
+
+test('a late export is alerted on once, after the due time on the day after production', async () => {
+  const watcher = createWatcher({ expected: ['yields', 'batches'] });
+  await writeExport('batches_2026-10-19.csv', ['Batch ID,Product,Production Date', 'B1,Beef,2026-10-19']);
+
+  // 05:59 London
+  assert.deepEqual((await watcher.poll(new Date('2026-10-20T04:59:00Z'))).alerts, []);
+
+  const late = await watcher.poll(AFTER_DUE);
+  assert.deepEqual(late.alerts.map(alert => alert.message), ['Aptean yields export for 2026-10-19 hasn\'t arrived (due by 06:00)']);
+  assert.deepEqual((await watcher.poll(new Date('2026-10-20T09:00:00Z'))).alerts, []);
+
+  // Sunday is not a production day, so nothing is due on Monday morning
+  assert.deepEqual((await watcher.poll(new Date('2026-10-19T06:00:00Z'))).alerts, []);
+  assert.equal(alerts.length, 1);
+});
+
+test('polling carries on after a failed first poll, and ticks are skipped while a poll is still running', async (t) => {
+  const error = t.mock.method(console, 'error', () => {});
+  const warn = t.mock.method(console, 'warn', () => {});
+  const watcher = new ApteanExportWatcher({
+    directory: path.join(workDir, 'not-mounted'),
+    store: new ApteanExportStore(path.join(workDir, 'store')),
+    settings: { poll_interval_seconds: 0.01 },
+  });
+
+  assert.equal(await watcher.start(), null);
+  assert.match(error.mock.calls[0].arguments[1], /^Aptean export folder not found: .*not-mounted/);
+
+  let finish;
+  const slowPoll = t.mock.method(watcher, '_poll', () => new Promise(resolve => {
+    finish = resolve;
+  }));
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.equal(slowPoll.mock.callCount(), 1);
+  assert.ok(warn.mock.calls.some(call => /poll still running after 0.01s, skipping this one/.test(call.arguments[0])));
+
+  finish({ ingested: [], quarantined: [], alerts: [] });
+  await watcher.stop();
+});
@@ -0,0 +1,182 @@
+/**
+ * Aptean CSV export tests against a temporary export folder
+ * Run with: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { exportFileDate, findExportFiles, latestByBatch, productionDay, exportFingerprint } from '../src/utils/aptean-exports.js';
+import ApteanExportStore from '../src/utils/aptean-export-store.js';
+import { parseReportDate, dayRange } from '../src/utils/reporting-calendar.js';
+
+const YIELD_HEADER = 'batch_id,product_type,input_weight_kg,output_weight_kg,waste_weight_kg,production_date';
+
+let exportDir;
+let ApteanClient;
+
+const writeExport = (name, lines) => fs.writeFile(path.join(exportDir, name), lines.join('\n'));
+
+before(async () => {
+  exportDir = await fs.mkdtemp(path.join(os.tmpdir(), 'aptean-exports-'));
+
+  await writeExport('yields_2026-10-16.csv', [
+    YIELD_HEADER,
+    'B1,Beef,100,80,20,2026-10-16',
+    'B2,Lamb,50,40,10,2026-10-16',
+  ]);
+  // Re-export corrects B2 and adds a batch finished after midnight
+  await writeExport('yields_2026-10-17.csv', [
+    YIELD_HEADER,
+    'B2,Lamb,50,42,8,2026-10-16',
+    'B3,Pork,60,48,12,2026-10-17',
+    'B4,Pork,,48,12,2026-10-17',
+  ]);
+  // Column headers as the Aptean report designer names them
+  await writeExport('yields_2026-10-18.csv', [
+    'Batch ID,Product,Input Weight (kg),Output Weight (kg),Production Date',
+    'B5,Chicken,30,21,2026-10-18',
+  ]);
+  await writeExport('yields_2026-10-19.csv', [
+    'batch_id,product_type,production_date',
+    'B6,Beef,2026-10-19',
+  ]);
+  await writeExport('batches_2026-10-18.csv', [
+    'Batch ID,Product,Production Date,Status,Lot Number',
+    'B5,Chicken,2026-10-18,complete,L-5501',
+  ]);
+  await writeExport('notes.txt', ['not an export']);
+
+  process.env.APTEAN_INTEGRATION_METHOD = 'CSV';
+  process.env.APTEAN_CSV_EXPORT_PATH = exportDir;
+  ({ default: ApteanClient } = await import('../src/integrations/aptean/client.js'));
+});
+
+after(async () => {
+  await fs.rm(exportDir, { recursive: true, force: true });
+});
+
+test('export dates are read from yields_YYYY-MM-DD.csv names', () => {
+  assert.equal(exportFileDate('yields_2026-10-18.csv', 'yields'), '2026-10-18');
+  assert.equal(exportFileDate('batches_2026-10-18.csv', 'yields'), null);
+  assert.equal(exportFileDate('yields_export.csv', 'yields'), null);
+});
+
+test('exports are found for the range plus one day and missing days are listed', async () => {
+  const { files, missingDays } = await findExportFiles(exportDir, 'yields', '2026-10-14', '2026-10-16');
+
+  assert.deepEqual(files.map(file => file.name), ['yields_2026-10-16.csv', 'yields_2026-10-17.csv']);
+  assert.deepEqual(missingDays, ['2026-10-14', '2026-10-15']);
+});
+
+test('a missing export folder is reported by path', async () => {
+  await assert.rejects(findExportFiles(path.join(exportDir, 'nope'), 'yields', '2026-10-16', '2026-10-16'),
+    /Aptean export folder not found: .*nope/);
+});
+
+test('the latest copy of a batch wins', () => {
+  const { records, duplicates } = latestByBatch([
+    [{ batch_id: 'B1', output_weight: 80 }, { batch_id: 'B2', output_weight: 40 }],
+    [{ batch_id: 'B2', output_weight: 42 }],
+  ]);
+
+  assert.equal(duplicates, 1);
+  assert.deepEqual(records, [{ batch_id: 'B1', output_weight: 80 }, { batch_id: 'B2', output_weight: 42 }]);
+});
+
+test('yield data merges dated exports and skips incomplete rows and bad files', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const error = t.mock.method(console, 'error', () => {});
+  const client = new ApteanClient();
+
+  const yields = await client.getYieldData(parseReportDate('2026-10-16'), dayRange(parseReportDate('2026-10-19')).end);
+
+  assert.deepEqual(yields.map(record => [record.batch_id, record.output_weight]), [
+    ['B1', 80], ['B2', 42], ['B3', 48], ['B5', 21],
+  ]);
+  assert.equal(yields.find(record => record.batch_id === 'B5').waste_weight, 0);
+  assert.equal(yields.find(record => record.batch_id === 'B1').yield_percentage, 80);
+
+  assert.ok(warn.mock.calls.some(call => /yields_2026-10-17\.csv: skipped 1 incomplete rows \(lines 4\)/.test(call.arguments[0])));
+  assert.ok(error.mock.calls.some(call =>
+    /Skipping Aptean export yields_2026-10-19\.csv: no column for input_weight, output_weight/.test(call.arguments[0])));
+});
+
+test('a range with no exports fails with the expected file name', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const client = new ApteanClient();
+
+  await assert.rejects(client.getYieldData(parseReportDate('2026-09-01'), dayRange(parseReportDate('2026-09-02')).end),
+    /No Aptean yields exports for 2026-09-01 to 2026-09-02 .*yields_YYYY-MM-DD\.csv/);
+});
+
+test('production batches are read from batches exports', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const client = new ApteanClient();
+
+  const batches = await client.getProductionBatches(parseReportDate('2026-10-18'));
+
+  assert.equal(batches.length, 1);
+  assert.equal(batches[0].batch_id, 'B5');
+  assert.equal(batches[0].lot_number, 'L-5501');
+  assert.equal(batches[0].status, 'complete');
+});
+
+test('for output lines the latest export supplies all of a batch\'s lines', () => {
+  const { records, duplicates } = latestByBatch([
+    [{ batch_id: 'B1', cut: 'Sirloin' }, { batch_id: 'B1', cut: 'Mince' }, { batch_id: 'B2', cut: 'Leg' }],
+    [{ batch_id: 'B1', cut: 'Sirloin' }, { batch_id: 'B1', cut: 'Rump' }, { batch_id: 'B1', cut: 'Mince' }],
+  ], { linesPerBatch: true });
+
+  assert.equal(duplicates, 1);
+  assert.deepEqual(records.map(record => `${record.batch_id} ${record.cut}`), ['B1 Sirloin', 'B1 Rump', 'B1 Mince', 'B2 Leg']);
+});
+
+test('production dates are read as London days from ISO, timestamps and UK day-first dates', () => {
+  assert.equal(productionDay('2026-10-19'), '2026-10-19');
+  assert.equal(productionDay('2026-10-19T23:30:00Z'), '2026-10-20');
+  assert.equal(productionDay('19/10/2026 06:15'), '2026-10-19');
+  assert.equal(productionDay('01.02.2026'), '2026-02-01');
+  assert.equal(productionDay('31/02/2026'), null);
+  assert.equal(productionDay('19/10/26'), null);
+  assert.equal(productionDay('yesterday'), null);
+});
+
+test('rows with UK dates are kept, unreadable dates are skipped with a warning and zero input has no yield', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  await writeExport('yields_2026-11-02.csv', [
+    YIELD_HEADER,
+    'B7,Beef,100,78,22,02/11/2026',
+    'B8,Lamb,0,0,0,2026-11-02',
+    'B9,Pork,60,48,12,2/13/2026',
+  ]);
+  const client = new ApteanClient();
+
+  const yields = await client.getYieldData(parseReportDate('2026-11-02'), dayRange(parseReportDate('2026-11-02')).end);
+
+  assert.deepEqual(yields.map(record => [record.batch_id, record.production_date, record.yield_percentage]), [
+    ['B7', '2026-11-02', 78],
+    ['B8', '2026-11-02', null],
+  ]);
+  assert.ok(warn.mock.calls.some(call =>
+    /yields_2026-11-02\.csv: skipped 1 rows with an unreadable production date such as "2\/13\/2026" \(lines 4\)/.test(call.arguments[0])));
+  assert.deepEqual(client.summarizeYields(yields, { default: { yield_warning_percentage: 70, yield_critical_percentage: 60 } }).alerts, []);
+});
+
+test('exports the watcher has ingested are read from its store until they change', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const exportPath = path.join(exportDir, 'yields_2026-11-09.csv');
+  await writeExport('yields_2026-11-09.csv', [YIELD_HEADER, 'B10,Beef,100,80,20,2026-11-09']);
+  const client = new ApteanClient();
+  client.store = new ApteanExportStore(path.join(exportDir, 'store'));
+  const file = { name: 'yields_2026-11-09.csv', type: 'yield', date: '2026-11-09', fingerprint: exportFingerprint(await fs.stat(exportPath)) };
+  await client.store.saveExport(file, [{ batch_id: 'B10', product_type: 'Beef', input_weight: 100, output_weight: 81, waste_weight: 19, production_date: '2026-11-09' }]);
+  const range = [parseReportDate('2026-11-09'), dayRange(parseReportDate('2026-11-09')).end];
+
+  assert.deepEqual((await client.getYieldData(...range)).map(record => record.output_weight), [81]);
+
+  await fs.utimes(exportPath, new Date('2026-11-10T06:00:00Z'), new Date('2026-11-10T06:00:00Z'));
+  assert.deepEqual((await client.getYieldData(...range)).map(record => record.output_weight), [80]);
+});
@@ -0,0 +1,108 @@
+/**
+ * Carcass balance tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { carcassBalance, pricesPerKgBySku } from '../src/utils/carcass-balance.js';
+
+const SETTINGS = {
+  trim_value_per_kg: 0.5,
+  prices_per_kg: { 'beef mince': 10 },
+  expected_mix: {
+    Beef: { Sirloin: 10, Mince: 50 },
+  },
+};
+
+const line = (batch_id, cut, weight, output_type = 'cut', sku = null) => ({
+  batch_id, species: 'Beef', cut, weight, output_type, sku, production_date: '2026-10-18',
+});
+
+const yields = [{ batch_id: 'B1', product_type: 'Beef', input_weight: 100, production_date: '2026-10-18' }];
+
+const shopifyProducts = [{
+  id: 1,
+  title: 'Sirloin Steak',
+  variants: [
+    { sku: 'BF-SIR', price: 10, grams: 250 },
+    { sku: 'BF-NOWEIGHT', price: 5, grams: 0 },
+  ],
+}];
+
+test('selling prices per kg come from Shopify variant price and weight', () => {
+  const prices = pricesPerKgBySku(shopifyProducts);
+
+  assert.equal(prices.get('BF-SIR'), 40);
+  assert.equal(prices.has('BF-NOWEIGHT'), false);
+});
+
+test('a batch balances cuts, trim, waste and unaccounted weight against input', () => {
+  const balance = carcassBalance(yields, [
+    line('B1', 'Sirloin', 8, 'cut', 'BF-SIR'),
+    line('B1', 'Beef Mince', 52),
+    line('B1', 'Bone', 20, 'trim'),
+    line('B1', 'Condemned', 5, 'waste'),
+  ], pricesPerKgBySku(shopifyProducts), { ...SETTINGS, expected_mix: { Beef: { Sirloin: 10, 'Beef Mince': 50 } } });
+
+  const [batch] = balance.batches;
+  assert.equal(batch.cut_weight, 60);
+  assert.equal(batch.trim_weight, 20);
+  assert.equal(batch.waste_weight, 5);
+  assert.equal(batch.unaccounted_weight, 15);
+  assert.equal(batch.saleable_value, 8 * 40 + 52 * 10);
+
+  // 40kg not sold as cuts at the average £14/kg, less £0.50/kg recovered on trim
+  assert.equal(batch.value_per_kg, 840 / 60);
+  assert.equal(batch.value_lost, 40 * 14 - 20 * 0.5);
+
+  const sirloin = batch.cuts.find(cut => cut.cut === 'Sirloin');
+  assert.equal(sirloin.mix_variance, -2);
+  assert.equal(sirloin.value_variance, -80);
+});
+
+test('only loss beyond what the spec leaves for trim and bone is a leak', () => {
+  const balance = carcassBalance(yields, [
+    line('B1', 'Sirloin', 10, 'cut', 'BF-SIR'),
+    line('B1', 'Mince', 45),
+    line('B1', 'Bone', 45, 'trim'),
+  ], pricesPerKgBySku(shopifyProducts), SETTINGS);
+
+  const beef = balance.by_species.Beef;
+  assert.equal(beef.expected_loss_percentage, 40);
+  assert.equal(beef.loss_percentage, 45);
+  // Mince is unpriced (its config price is for "Beef Mince"), so cuts average £40/kg
+  assert.equal(beef.excess_loss_value, 0.05 * 100 * 40);
+  assert.deepEqual(balance.unpriced_cuts, ['Mince']);
+  assert.deepEqual(balance.leaks.map(leak => [leak.source, leak.cut]), [['trim_and_waste', null]]);
+});
+
+test('cuts in the spec that were not produced count against the mix', () => {
+  const balance = carcassBalance(yields, [line('B1', 'beef mince', 60)], new Map(), {
+    ...SETTINGS,
+    expected_mix: { Beef: { Sirloin: 10, 'Beef Mince': 50 } },
+  });
+
+  const cuts = balance.by_species.Beef.cuts;
+  assert.deepEqual(cuts.map(cut => [cut.cut, cut.weight, cut.mix_variance]), [
+    ['beef mince', 60, 10],
+    ['Sirloin', 0, -10],
+  ]);
+  assert.equal(cuts[0].price_per_kg, 10);
+});
+
+test('species falls back to the yield product type and batches without a yield record use output weight', () => {
+  const balance = carcassBalance([], [
+    { ...line('B9', 'Leg', 12), species: null },
+  ], new Map(), SETTINGS);
+
+  assert.equal(balance.batches[0].species, 'Unknown');
+  assert.equal(balance.batches[0].has_input_weight, false);
+  assert.equal(balance.batches[0].input_weight, 12);
+
+  const withYield = carcassBalance([{ batch_id: 'B9', product_type: 'Lamb', input_weight: 20 }], [
+    { ...line('B9', 'Leg', 12), species: null },
+  ], new Map(), SETTINGS);
+  assert.equal(withYield.batches[0].species, 'Lamb');
+  assert.equal(withYield.batches[0].unaccounted_weight, 8);
+});
@@ -0,0 +1,120 @@
+/**
+ * Customer analytics and cached customer history tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  summarizeOrder,
+  buildCustomerIndex,
+  splitNewReturning,
+  buildCohortAnalysis,
+} from '../src/utils/customer-analytics.js';
+import FinanceAgent from '../src/agents/finance-agent.js';
+import CustomerHistoryCache from '../src/utils/customer-history-cache.js';
+
+const order = (id, createdAt, customer = {}) => ({
+  id,
+  created_at: createdAt,
+  taxes_included: false,
+  financial_status: 'paid',
+  total_line_items_price: '50.00',
+  total_discounts: '0.00',
+  total_tax: '0.00',
+  line_items: [{ name: 'Sirloin Steak', quantity: 1, price: '50.00', tax_lines: [] }],
+  ...customer,
+});
+
+test('summarizeOrder skips orders that can\'t be tied to a customer', () => {
+  assert.deepEqual(summarizeOrder(order(1, '2026-10-01T09:00:00Z', { email: ' Ann@Example.com ' })), {
+    id: 1,
+    created_at: '2026-10-01T09:00:00.000Z',
+    customer_key: 'email:ann@example.com',
+    net_sales: 50,
+  });
+  assert.equal(summarizeOrder(order(2, '2026-10-01T09:00:00Z')), null);
+  assert.equal(summarizeOrder(order(3, '2026-10-01T09:00:00Z', { email: 'a@b.c', test: true })), null);
+});
+
+test('splitNewReturning keeps orders without a customer out of new and returning', () => {
+  const history = [
+    order(1, '2026-09-01T09:00:00Z', { customer: { id: 7 } }),
+    order(2, '2026-10-14T09:00:00Z', { customer: { id: 7 } }),
+    order(3, '2026-10-15T09:00:00Z', { customer: { id: 8 } }),
+    order(4, '2026-10-16T09:00:00Z'),
+  ];
+  const split = splitNewReturning(history.slice(1), buildCustomerIndex(history));
+
+  assert.deepEqual(split.new.map(o => o.id), [3]);
+  assert.deepEqual(split.returning.map(o => o.id), [2]);
+  assert.deepEqual(split.unattributed.map(o => o.id), [4]);
+});
+
+test('cohort repeat rates count only months that have elapsed', () => {
+  const index = buildCustomerIndex([
+    order(1, '2026-06-03T09:00:00Z', { customer: { id: 1 } }),
+    order(2, '2026-06-20T09:00:00Z', { customer: { id: 1 } }),
+    order(3, '2026-06-10T09:00:00Z', { customer: { id: 2 } }),
+  ]);
+  const { cohorts, overall } = buildCohortAnalysis(index, new Date('2026-07-15T00:00:00Z'));
+
+  const june = cohorts.find(cohort => cohort.cohort === '2026-06');
+  assert.equal(june.customers, 2);
+  assert.equal(june.repeat_rate_curve.month_1, 50);
+  assert.equal(june.repeat_rate_curve.month_2, null);
+  assert.equal(overall.customers, 2);
+});
+
+test('customer split counts each new customer once and reports unattributed orders', () => {
+  const agent = new FinanceAgent();
+  const orders = [
+    order(1, '2026-10-13T09:00:00Z', { customer: { id: 7 } }),
+    order(2, '2026-10-14T09:00:00Z', { customer: { id: 7 } }),
+    order(3, '2026-10-15T09:00:00Z', { customer: { id: 8 } }),
+    order(4, '2026-10-16T09:00:00Z'),
+  ];
+  const split = agent.buildCustomerSplit(orders, buildCustomerIndex(orders));
+
+  assert.equal(split.new.customers, 2);
+  assert.equal(split.new.orders, 2);
+  assert.equal(split.returning.customers, 1);
+  assert.equal(split.returning.orders, 1);
+  assert.equal(split.unattributed.orders, 1);
+  assert.equal(split.unattributed.net_sales, 50);
+  assert.equal(split.unattributed.share_of_orders_percentage, 25);
+});
+
+test('customer history is cached and later runs only fetch recent orders', async (t) => {
+  const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'customer-cache-'));
+  t.after(() => fs.rm(cacheDir, { recursive: true, force: true }));
+
+  const shopOrders = [
+    order(1, '2025-03-01T09:00:00Z', { customer: { id: 7 } }),
+    order(2, '2026-10-10T09:00:00Z', { customer: { id: 8 } }),
+    order(3, '2026-10-17T09:00:00Z', { customer: { id: 7 } }),
+  ];
+  const fetches = [];
+  const createAgent = () => {
+    const agent = new FinanceAgent();
+    agent.customerCache = new CustomerHistoryCache(cacheDir);
+    t.mock.method(agent.shopify, 'getOrders', async (startDate, endDate) => {
+      fetches.push([startDate.toISOString(), endDate.toISOString()]);
+      return shopOrders.filter(o => new Date(o.created_at) >= startDate && new Date(o.created_at) <= endDate);
+    });
+    return agent;
+  };
+
+  const first = await createAgent().loadCustomerHistory(new Date('2026-10-12T00:00:00Z'));
+  assert.deepEqual(fetches, [['2024-10-12T00:00:00.000Z', '2026-10-12T00:00:00.000Z']]);
+  assert.equal(first.get('customer:7').orders.length, 1);
+
+  const second = await createAgent().loadCustomerHistory(new Date('2026-10-19T00:00:00Z'));
+  assert.deepEqual(fetches[1], ['2026-10-05T00:00:00.000Z', '2026-10-19T00:00:00.000Z']);
+  assert.equal(fetches.length, 2);
+  assert.deepEqual(second.get('customer:7').orders.map(o => o.id), [1, 3]);
+  assert.equal(second.get('customer:8').first_order_id, 2);
+});
@@ -0,0 +1,109 @@
+/**
+ * Dispatch SLA tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cutoffFor, cutoffOn, analyzeDispatches, checkCutoffCapacity } from '../src/utils/dispatch-sla.js';
+import { parseReportDate } from '../src/utils/reporting-calendar.js';
+
+const cutoffs = {
+  default: '15:00',
+  DPD: { default: '15:30', 'Pre 12': '14:30' },
+  'Royal Mail': '16:00',
+};
+
+const day = parseReportDate('2026-10-19');
+
+const dispatch = (overrides) => ({
+  dispatch_id: 'D1',
+  status: 'completed',
+  courier: 'DPD',
+  service: 'Next Day',
+  items_count: 3,
+  order_date: '2026-10-18T20:00:00Z',
+  dispatched_at: '2026-10-19T13:00:00Z',
+  ...overrides,
+});
+
+test('cut-off is chosen by courier service, courier, then global default', () => {
+  assert.equal(cutoffFor({ courier: 'DPD', service: 'Pre 12' }, cutoffs), '14:30');
+  assert.equal(cutoffFor({ courier: 'DPD', service: 'Next Day' }, cutoffs), '15:30');
+  assert.equal(cutoffFor({ courier: 'Royal Mail', service: 'Tracked 24' }, cutoffs), '16:00');
+  assert.equal(cutoffFor({ courier: 'Parcelforce', service: 'Standard' }, cutoffs), '15:00');
+});
+
+test('cut-off times are London wall-clock times', () => {
+  assert.equal(cutoffOn(day, '15:30').toISOString(), '2026-10-19T14:30:00.000Z'); // BST
+  assert.equal(cutoffOn(parseReportDate('2026-11-02'), '15:30').toISOString(), '2026-11-02T15:30:00.000Z'); // GMT
+});
+
+test('dispatches after the cut-off and late pending orders count as missed', () => {
+  const metrics = analyzeDispatches([
+    dispatch({ dispatch_id: 'on-time' }),
+    dispatch({ dispatch_id: 'late', dispatched_at: '2026-10-19T15:00:00Z' }),
+    dispatch({ dispatch_id: 'pending', status: 'pending', dispatched_at: null }),
+    dispatch({ dispatch_id: 'after-cutoff-order', status: 'pending', order_date: '2026-10-19T15:00:00Z', dispatched_at: null }),
+  ], day, { cutoffs, asOf: new Date('2026-10-19T17:00:00Z') });
+
+  assert.equal(metrics.total_dispatches, 4);
+  assert.equal(metrics.completed, 2);
+  assert.equal(metrics.missed_cutoff, 2);
+  assert.equal(metrics.missed_cutoff_percentage, 50);
+  assert.equal(metrics.completion_rate, 50);
+});
+
+test('pending orders are not missed before the cut-off has passed', () => {
+  const metrics = analyzeDispatches([
+    dispatch({ status: 'pending', dispatched_at: null }),
+  ], day, { cutoffs, asOf: new Date('2026-10-19T11:00:00Z') });
+
+  assert.equal(metrics.missed_cutoff, 0);
+});
+
+test('lead time average, p90 and per-courier breakdown', () => {
+  const metrics = analyzeDispatches([
+    dispatch({ order_date: '2026-10-19T03:00:00Z', dispatched_at: '2026-10-19T13:00:00Z' }), // 10h
+    dispatch({ order_date: '2026-10-18T13:00:00Z', dispatched_at: '2026-10-19T13:00:00Z' }), // 24h
+    dispatch({ courier: 'Royal Mail', service: 'Tracked 24', order_date: '2026-10-19T11:00:00Z', dispatched_at: '2026-10-19T13:00:00Z' }), // 2h
+  ], day, { cutoffs, asOf: new Date('2026-10-19T18:00:00Z') });
+
+  assert.equal(metrics.average_lead_time_hours, 12);
+  assert.equal(metrics.p90_lead_time_hours, 24);
+  assert.deepEqual(
+    metrics.by_courier.map(group => [group.courier, group.service, group.total, group.average_lead_time_hours]),
+    [['DPD', 'Next Day', 2, 17], ['Royal Mail', 'Tracked 24', 1, 2]]
+  );
+});
+
+test('no completed dispatches gives no lead time', () => {
+  const metrics = analyzeDispatches([], day, { cutoffs });
+  assert.equal(metrics.average_lead_time_hours, null);
+  assert.equal(metrics.completion_rate, 0);
+});
+
+test('capacity check carries earlier cut-offs into later ones', () => {
+  const pending = (courier, service, count) => Array.from({ length: count }, () => dispatch({ courier, service, status: 'pending', dispatched_at: null }));
+  // 13:30 London: 1h to the DPD Pre 12 cut-off, 2h to DPD Next Day, 2.5h to Royal Mail
+  const now = new Date('2026-10-19T12:30:00Z');
+
+  const check = checkCutoffCapacity([
+    ...pending('DPD', 'Pre 12', 30),
+    ...pending('DPD', 'Next Day', 100),
+    ...pending('Royal Mail', 'Tracked 24', 20),
+  ], now, { cutoffs, pickingCapacityPerHour: 60 });
+
+  assert.deepEqual(
+    check.map(cutoff => [cutoff.cutoff, cutoff.pending_including_earlier, cutoff.capacity_remaining, cutoff.shortfall]),
+    [['14:30', 30, 60, 0], ['15:30', 130, 120, 10], ['16:00', 150, 150, 0]]
+  );
+});
+
+test('cut-offs already passed are left out of the capacity check', () => {
+  const check = checkCutoffCapacity([
+    dispatch({ service: 'Pre 12', status: 'pending', dispatched_at: null }),
+  ], new Date('2026-10-19T14:00:00Z'), { cutoffs, pickingCapacityPerHour: 60 });
+
+  assert.deepEqual(check, []);
+});
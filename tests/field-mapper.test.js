@@ -0,0 +1,100 @@
+/**
+ * Field mapper tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import FieldMapper, { resolveField } from '../src/utils/field-mapper.js';
+
+const STOCK_MAPPINGS = {
+  stock: {
+    product_code: ['product_code', 'sku'],
+    quantity_available: { paths: ['quantity_available', 'free_stock'], type: 'float' },
+    supplier: ['supplier.name', 'supplier_name'],
+    category: { paths: ['category'], optional: true },
+  },
+};
+
+const mapperFor = mappings => {
+  const mapper = new FieldMapper('orderwise');
+  mapper.mappings = mappings;
+  return mapper;
+};
+
+test('paths are tried in order and dotted paths read nested fields', () => {
+  assert.deepEqual(resolveField({ sku: 'A', product_code: 'B' }, ['product_code', 'sku']),
+    { value: 'B', path: 'product_code', status: 'primary' });
+  assert.deepEqual(resolveField({ sku: 'A', product_code: '' }, ['product_code', 'sku']),
+    { value: 'A', path: 'sku', status: 'fallback' });
+  assert.deepEqual(resolveField({ attributes: { name: 'Oct' } }, ['attributes.name', 'name']),
+    { value: 'Oct', path: 'attributes.name', status: 'primary' });
+  assert.deepEqual(resolveField({}, ['product_code']), { value: null, path: null, status: 'missing' });
+});
+
+test('types are coerced and unparseable values become null', () => {
+  assert.equal(resolveField({ qty: '12.5' }, { paths: ['qty'], type: 'float' }).value, 12.5);
+  assert.equal(resolveField({ qty: '12.5' }, { paths: ['qty'], type: 'int' }).value, 12);
+  assert.equal(resolveField({ qty: 'n/a' }, { paths: ['qty'], type: 'float' }).value, null);
+  assert.equal(resolveField({ preferred: 'Yes' }, { paths: ['preferred'], type: 'boolean' }).value, true);
+  assert.equal(resolveField({ preferred: 0 }, { paths: ['preferred'], type: 'boolean' }).value, false);
+});
+
+test('records map to canonical fields only', () => {
+  const mapper = mapperFor(STOCK_MAPPINGS);
+  const mapped = mapper.map({ product_code: 'A', quantity_available: '4', supplier: { name: 'Hill Farm' }, colour: 'red' }, 'stock');
+
+  assert.deepEqual(mapped, { product_code: 'A', quantity_available: 4, supplier: 'Hill Farm', category: null });
+  assert.deepEqual(mapper.getDrift(), []);
+});
+
+test('fallbacks and missing required fields are reported as drift', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const mapper = mapperFor(STOCK_MAPPINGS);
+
+  mapper.mapAll([
+    { sku: 'A', free_stock: 4, supplier_name: 'Hill Farm' },
+    { sku: 'B', quantity_available: 2 },
+    { product_code: 'C', quantity_available: 1, supplier: { name: 'Hill Farm' } },
+  ], 'stock');
+
+  assert.deepEqual(mapper.getDrift(), [
+    { system: 'orderwise', type: 'stock', field: 'product_code', status: 'fallback', path: 'sku', records: 2, of: 3 },
+    { system: 'orderwise', type: 'stock', field: 'quantity_available', status: 'fallback', path: 'free_stock', records: 1, of: 3 },
+    { system: 'orderwise', type: 'stock', field: 'supplier', status: 'fallback', path: 'supplier_name', records: 1, of: 3 },
+    { system: 'orderwise', type: 'stock', field: 'supplier', status: 'missing', path: null, records: 1, of: 3 },
+  ]);
+
+  // Optional category is never reported; one warning per batch
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /orderwise stock schema drift: product_code read from "sku" \(2\/3\)/);
+  assert.match(warn.mock.calls[0].arguments[0], /supplier missing \(1\/3\)/);
+});
+
+test('drift accumulates across batches', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const mapper = mapperFor(STOCK_MAPPINGS);
+
+  mapper.mapAll([{ sku: 'A', quantity_available: 1, supplier_name: 'X' }], 'stock');
+  mapper.mapAll([{ sku: 'B', quantity_available: 1, supplier_name: 'X' }], 'stock');
+
+  const productCode = mapper.getDrift().find(entry => entry.field === 'product_code');
+  assert.equal(productCode.records, 2);
+  assert.equal(productCode.of, 2);
+});
+
+test('unknown systems and record types are rejected', async () => {
+  await assert.rejects(new FieldMapper('sage').load(), /No field mappings for "sage"/);
+
+  const mapper = new FieldMapper('orderwise');
+  await mapper.load();
+  assert.throws(() => mapper.map({}, 'invoice'), /No "invoice" field mappings for orderwise/);
+});
+
+test('a CSV header is checked against the required fields', () => {
+  const mapper = mapperFor(STOCK_MAPPINGS);
+
+  assert.deepEqual(mapper.requiredFields('stock'), ['product_code', 'quantity_available', 'supplier']);
+  assert.deepEqual(mapper.missingColumns(['sku', 'free_stock', 'supplier_name'], 'stock'), []);
+  assert.deepEqual(mapper.missingColumns(['sku', 'category'], 'stock'), ['quantity_available', 'supplier']);
+});
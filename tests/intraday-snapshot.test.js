@@ -0,0 +1,70 @@
+/**
+ * Intraday sales snapshot tests against a temporary event log
+ * Run with: npm test
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import FinanceAgent from '../src/agents/finance-agent.js';
+import EventLog from '../src/utils/event-log.js';
+
+// Monday 19 October, 15:00 London
+const NOW = new Date('2026-10-19T14:00:00Z');
+
+let logDir;
+let agent;
+
+const order = (id, createdAt, taxesIncluded = true) => ({
+  id,
+  created_at: createdAt,
+  updated_at: NOW.toISOString(),
+  taxes_included: taxesIncluded,
+  financial_status: 'paid',
+  total_line_items_price: '60.00',
+  total_discounts: '0.00',
+  total_tax: '10.00',
+  line_items: [{ name: 'Ribeye Steak', quantity: 1, price: '60.00', tax_lines: [{ price: '10.00' }] }],
+});
+
+const refund = (orderId) => ({
+  id: orderId * 10,
+  order_id: orderId,
+  created_at: '2026-10-19T11:00:00Z',
+  refund_line_items: [{ subtotal: '12.00', total_tax: '2.00' }],
+});
+
+beforeEach(async () => {
+  logDir = await fs.mkdtemp(path.join(os.tmpdir(), 'intraday-events-'));
+  agent = new FinanceAgent();
+  agent.eventLog = new EventLog(logDir);
+});
+
+afterEach(async () => {
+  await fs.rm(logDir, { recursive: true, force: true });
+});
+
+test('refunds on earlier orders use that order\'s tax setting from its update event', async (t) => {
+  const shopSetting = t.mock.method(agent.shopify, 'getTaxesIncluded', async () => false);
+  await agent.eventLog.append({ id: 'e1', topic: 'orders/create', payload: order(1, '2026-10-19T09:00:00Z') }, NOW);
+  await agent.eventLog.append({ id: 'e2', topic: 'orders/updated', payload: order(2, '2026-10-12T09:00:00Z') }, NOW);
+  await agent.eventLog.append({ id: 'e3', topic: 'refunds/create', payload: refund(2) }, NOW);
+
+  const snapshot = await agent.generateIntradaySnapshot(NOW);
+
+  assert.equal(snapshot.sales.total_orders, 1);
+  // £12 refunded including £2 VAT
+  assert.equal(snapshot.sales.refunds, 10);
+  assert.equal(shopSetting.mock.callCount(), 0);
+});
+
+test('refunds with no order event fall back to the shop\'s tax setting', async (t) => {
+  t.mock.method(agent.shopify, 'getTaxesIncluded', async () => true);
+  await agent.eventLog.append({ id: 'e1', topic: 'refunds/create', payload: refund(3) }, NOW);
+
+  const snapshot = await agent.generateIntradaySnapshot(NOW);
+
+  assert.equal(snapshot.sales.refunds, 10);
+});
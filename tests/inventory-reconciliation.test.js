@@ -0,0 +1,99 @@
+/**
+ * Shopify vs Orderwise inventory reconciliation tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileInventory } from '../src/utils/inventory-reconciliation.js';
+
+const settings = { tolerance_units: 2, tolerance_percentage: 5, large_mismatch_units: 20, oversell_risk_days: 3 };
+
+const product = (title, variants) => ({
+  id: 1,
+  title,
+  variants: variants.map(([sku, quantity, price = '10.00', variantTitle = 'Default Title']) => ({
+    sku,
+    inventory_quantity: quantity,
+    price,
+    title: variantTitle,
+  })),
+});
+
+const stock = (productCode, quantity, overrides = {}) => ({
+  product_code: productCode,
+  product_name: productCode,
+  quantity_available: quantity,
+  category: 'chilled',
+  ...overrides,
+});
+
+test('differences within the unit or percentage tolerance are not mismatches', () => {
+  const result = reconcileInventory(
+    [product('Mince', [['MINCE', 102]]), product('Steak', [['STEAK', 12]])],
+    [stock('MINCE', 100), stock('STEAK', 9)],
+    new Map(),
+    settings
+  );
+
+  assert.equal(result.matched, 2);
+  assert.deepEqual(result.mismatches.map(mismatch => [mismatch.sku, mismatch.difference, mismatch.direction]), [
+    ['STEAK', 3, 'website_higher'],
+  ]);
+});
+
+test('percentage tolerance applies to large stock holdings', () => {
+  // 5% of 1000 allows up to 50 units of drift
+  const result = reconcileInventory([product('Sausages', [['SAUSAGE', 960]])], [stock('SAUSAGE', 1000)], new Map(), settings);
+  assert.equal(result.mismatches.length, 0);
+});
+
+test('large mismatches are flagged and sorted biggest first', () => {
+  const result = reconcileInventory(
+    [product('Lamb', [['LAMB', 10]]), product('Pork', [['PORK', 5]])],
+    [stock('LAMB', 40), stock('PORK', 10)],
+    new Map(),
+    settings
+  );
+
+  assert.deepEqual(result.mismatches.map(mismatch => [mismatch.sku, mismatch.large, mismatch.direction]), [
+    ['LAMB', true, 'warehouse_higher'],
+    ['PORK', false, 'warehouse_higher'],
+  ]);
+  assert.equal(result.large_mismatches, 1);
+});
+
+test('website stock with none in the warehouse is revenue at risk at current velocity', () => {
+  const result = reconcileInventory(
+    [product('Turkey', [['TURKEY', 30, '45.00']]), product('Ham', [['HAM', 2, '20.00']])],
+    [stock('TURKEY', 0), stock('HAM', -1)],
+    new Map([['TURKEY', 4], ['HAM', 5]]),
+    settings
+  );
+
+  // Turkey sells 12 in 3 days; Ham can only oversell the 2 listed
+  assert.deepEqual(result.oversell_risks.map(risk => [risk.sku, risk.revenue_at_risk]), [['TURKEY', 540], ['HAM', 40]]);
+  assert.equal(result.revenue_at_risk, 580);
+});
+
+test('SKUs in only one system are listed; variants sharing a SKU are summed', () => {
+  const result = reconcileInventory(
+    [
+      product('Gift Box', [['GIFT-BOX', 4], ['', 3]]),
+      product('Chicken', [['CHICKEN', 6, '9.00', 'Small'], ['CHICKEN', 4, '9.00', 'Large']]),
+    ],
+    [
+      stock('CHICKEN', 10),
+      stock('BONES', 8),
+      stock('OLD-LINE', 0),
+      stock('BOX-LARGE', 500, { category: 'packaging' }),
+    ],
+    new Map(),
+    settings
+  );
+
+  assert.equal(result.mismatches.length, 0);
+  assert.deepEqual(result.shopify_only, [{ sku: 'GIFT-BOX', product: 'Gift Box', shopify_quantity: 4 }]);
+  assert.deepEqual(result.orderwise_only.map(item => item.sku), ['BONES']);
+  assert.equal(result.variants_without_sku, 1);
+});
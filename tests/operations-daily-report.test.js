@@ -0,0 +1,84 @@
+/**
+ * Daily operations report tests: sources the report can go out without
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import OperationsAgent from '../src/agents/operations-agent.js';
+
+const DATE = new Date('2026-10-19T12:00:00Z');
+
+/**
+ * Agent whose clients return nothing, with the named methods failing
+ */
+function createAgent(t, failing = []) {
+  const agent = new OperationsAgent();
+  t.mock.method(console, 'warn', () => {});
+  [
+    [agent.orderwise, ['getStockLevels', 'getStockLots', 'getDispatches', 'getOpenPurchaseOrders', 'getSupplierProducts']],
+    [agent.aptean, ['getYieldData', 'getBatchOutputs']],
+    [agent.shopify, ['getInventoryLevels', 'getOrders']],
+  ].forEach(([client, methods]) => methods.forEach(method => t.mock.method(client, method, async () => {
+    if (failing.includes(method)) throw new Error(`${method} failed`);
+    return [];
+  })));
+  return agent;
+}
+
+const warnings = report => report.alerts.filter(alert => alert.type === 'data_unavailable').map(alert => alert.message);
+
+test('the daily report still goes out when batch outputs can\'t be read', async (t) => {
+  const agent = createAgent(t, ['getBatchOutputs']);
+
+  const report = await agent.generateDailyReport(DATE);
+
+  assert.equal(report.carcass_balance.outputs_error, 'getBatchOutputs failed');
+  assert.deepEqual(report.carcass_balance.by_species, {});
+  assert.equal(warnings(report).length, 1);
+  assert.match(agent.formatAsMarkdown(report), /No output lines - Aptean batch outputs could not be read/);
+});
+
+test('the daily report still goes out when stock lots can\'t be read', async (t) => {
+  const agent = createAgent(t, ['getStockLots']);
+
+  const report = await agent.generateDailyReport(DATE);
+
+  assert.equal(report.expiry.lots_error, 'getStockLots failed');
+  assert.deepEqual(report.expiry.sell_through_risks, []);
+  assert.deepEqual(warnings(report), ['Orderwise stock lots could not be read (getStockLots failed) - use-by and best-before dates were not checked']);
+  const markdown = agent.formatAsMarkdown(report);
+  assert.match(markdown, /Expiry data unavailable/);
+  assert.doesNotMatch(markdown, /\*\*Today\*\*/);
+});
+
+test('the daily report still goes out without its dispatch section when dispatches can\'t be read', async (t) => {
+  const agent = createAgent(t, ['getDispatches']);
+
+  const report = await agent.generateDailyReport(DATE);
+
+  assert.deepEqual(report.warehouse, { dispatches_error: 'getDispatches failed' });
+  assert.deepEqual(warnings(report), ['Orderwise dispatches could not be read (getDispatches failed) - dispatch SLA was not checked']);
+  assert.ok(!report.alerts.some(alert => alert.type.startsWith('dispatch_')));
+  const markdown = agent.formatAsMarkdown(report);
+  assert.match(markdown, /Dispatch data unavailable/);
+  assert.doesNotMatch(markdown, /Total Dispatches/);
+});
+
+test('without supplier products the report keeps its days-of-cover list but suggests no draft POs', async (t) => {
+  const agent = createAgent(t, ['getSupplierProducts']);
+  t.mock.method(agent.orderwise, 'getStockLevels', async () => [
+    { product_code: 'RIBEYE', product_name: 'Ribeye', quantity_available: 2, quantity_on_order: 0, reorder_level: 10, value: 40 },
+  ]);
+  t.mock.method(agent.shopify, 'getOrders', async () => [
+    { financial_status: 'paid', line_items: [{ sku: 'RIBEYE', quantity: 28 }] },
+  ]);
+
+  const report = await agent.generateDailyReport(DATE);
+
+  assert.equal(report.reorder_plan.supplier_products_error, 'getSupplierProducts failed');
+  assert.deepEqual(report.reorder_plan.draft_purchase_orders, []);
+  assert.deepEqual(report.stock.cover_alerts.map(alert => alert.product_code), ['RIBEYE']);
+  assert.deepEqual(warnings(report), ['Orderwise supplier products could not be read (getSupplierProducts failed) - no draft purchase orders were suggested']);
+  assert.match(agent.formatAsMarkdown(report), /Draft POs unavailable/);
+});
@@ -0,0 +1,141 @@
+/**
+ * OrderwiseClient token lifecycle tests against a local stand-in for the Orderwise API
+ * Run with: npm test
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import OrderwiseClient from '../src/integrations/orderwise/client.js';
+
+let server;
+let baseURL;
+let logins;
+let validTokens;
+let tokenLifetime;
+let acceptNewTokens;
+let seenTokens;
+
+const STOCK = [{
+  product_code: 'BEEF-MINCE-500',
+  product_name: 'Beef Mince 500g',
+  quantity_available: 40,
+  quantity_allocated: 5,
+  reorder_level: 20,
+  unit_cost: 3.1,
+  location: 'Chiller 1',
+}];
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.method === 'POST' && req.url === '/auth/token') {
+      logins++;
+      const token = `token-${logins}`;
+      if (acceptNewTokens) validTokens.add(token);
+      // Slow logins so parallel requests overlap
+      setTimeout(() => send(res, 200, { access_token: token, expires_in: tokenLifetime }), 20);
+      return;
+    }
+
+    const token = (req.headers.authorization || '').replace('Bearer ', '');
+    seenTokens.push(token);
+    if (!validTokens.has(token)) {
+      send(res, 401, { error: 'invalid_token' });
+      return;
+    }
+
+    send(res, 200, STOCK);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  logins = 0;
+  validTokens = new Set();
+  tokenLifetime = 3600;
+  acceptNewTokens = true;
+  seenTokens = [];
+});
+
+const newClient = () => new OrderwiseClient({ baseURL, username: 'ops', password: 'secret', apiKey: 'static-key' });
+
+test('logs in on first use and reuses the token', async () => {
+  const client = newClient();
+
+  await client.getStockLevels();
+  await client.getStockLevels();
+
+  assert.equal(logins, 1);
+  assert.deepEqual(seenTokens, ['token-1', 'token-1']);
+});
+
+test('parallel first calls share a single login', async () => {
+  const client = newClient();
+
+  await Promise.all([client.getStockLevels(), client.getStockLevels(), client.getStockLevels()]);
+
+  assert.equal(logins, 1);
+});
+
+test('refreshes the token before it lapses', async () => {
+  tokenLifetime = 30; // inside the refresh margin, so every call logs in again
+  const client = newClient();
+
+  await client.getStockLevels();
+  await client.getStockLevels();
+
+  assert.equal(logins, 2);
+  assert.deepEqual(seenTokens, ['token-1', 'token-2']);
+});
+
+test('re-authenticates once on 401 and retries the request', async () => {
+  const client = newClient();
+  await client.getStockLevels();
+
+  validTokens.clear(); // token revoked server-side
+  const stock = await client.getStockLevels();
+
+  assert.equal(stock[0].product_code, 'BEEF-MINCE-500');
+  assert.equal(logins, 2);
+  assert.deepEqual(seenTokens, ['token-1', 'token-1', 'token-2']);
+});
+
+test('parallel 401s on the same revoked token trigger one new login', async () => {
+  const client = newClient();
+  await client.getStockLevels();
+
+  validTokens.clear();
+  await Promise.all([client.getStockLevels(), client.getStockLevels()]);
+
+  assert.equal(logins, 2);
+});
+
+test('gives up after one retry if the new token is also rejected', async () => {
+  const client = newClient();
+  await client.getStockLevels();
+
+  validTokens.clear();
+  acceptNewTokens = false;
+
+  await assert.rejects(client.getStockLevels(), error => error.response?.status === 401);
+  assert.equal(logins, 2);
+});
+
+test('falls back to the static API key without login credentials', async () => {
+  validTokens.add('static-key');
+  const client = new OrderwiseClient({ baseURL, username: '', password: '', apiKey: 'static-key' });
+
+  await client.getStockLevels();
+
+  assert.equal(logins, 0);
+  assert.deepEqual(seenTokens, ['static-key']);
+});
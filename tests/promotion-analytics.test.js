@@ -0,0 +1,81 @@
+/**
+ * Discount code performance tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { orderDiscounts, promotionShares, buildPromotionReport } from '../src/utils/promotion-analytics.js';
+import { buildCustomerIndex } from '../src/utils/customer-analytics.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+const costResolver = { resolve: () => ({ unit_cost: 20 }) };
+
+// £100 of goods ex VAT, £10 off with EARLYBIRD and £30 off with an automatic discount
+const MULTI_CODE = {
+  id: 1,
+  created_at: '2026-10-14T09:00:00Z',
+  customer: { id: 7 },
+  taxes_included: false,
+  financial_status: 'paid',
+  total_line_items_price: '100.00',
+  total_discounts: '40.00',
+  total_tax: '0.00',
+  discount_applications: [
+    { type: 'discount_code', code: 'EARLYBIRD' },
+    { type: 'automatic', title: 'Bundle' },
+  ],
+  line_items: [{
+    name: 'Ribeye Steak',
+    quantity: 2,
+    price: '50.00',
+    tax_lines: [],
+    discount_allocations: [
+      { amount: '10.00', discount_application_index: 0 },
+      { amount: '30.00', discount_application_index: 1 },
+    ],
+  }],
+};
+
+test('orderDiscounts totals allocations per promotion and falls back to discount codes', () => {
+  assert.deepEqual([...orderDiscounts(MULTI_CODE)], [['EARLYBIRD', 10], ['Bundle (automatic)', 30]]);
+  assert.deepEqual(
+    [...orderDiscounts({ discount_codes: [{ code: 'WELCOME', amount: '5.00' }] })],
+    [['WELCOME', 5]]
+  );
+});
+
+test('promotionShares splits by discount given, or evenly when nothing was taken off', () => {
+  assert.deepEqual([...promotionShares(new Map([['A', 10], ['B', 30]]))], [['A', 0.25], ['B', 0.75]]);
+  assert.deepEqual([...promotionShares(new Map([['A', 0], ['B', 0]]))], [['A', 0.5], ['B', 0.5]]);
+});
+
+test('orders with several codes have their revenue and cost split between them', () => {
+  const report = buildPromotionReport([MULTI_CODE], {
+    costResolver,
+    customerIndex: buildCustomerIndex([MULTI_CODE]),
+  });
+  const byCode = Object.fromEntries(report.map(promotion => [promotion.code, promotion]));
+
+  assert.deepEqual(report.map(promotion => promotion.code), ['Bundle (automatic)', 'EARLYBIRD']);
+  assert.equal(byCode.EARLYBIRD.orders, 1);
+  close(byCode.EARLYBIRD.gross_revenue, 25);
+  close(byCode.EARLYBIRD.discount_given, 10);
+  // £60 net, £40 cost: a quarter each to EARLYBIRD
+  close(byCode.EARLYBIRD.margin_after_discount, 5);
+  close(byCode['Bundle (automatic)'].margin_after_discount, 15);
+  close(report.reduce((sum, promotion) => sum + promotion.gross_revenue, 0), 100);
+  assert.equal(byCode.EARLYBIRD.first_time_customer_percentage, 100);
+});
+
+test('only orders confirmed as a customer\'s first count as first-time', () => {
+  const repeat = { ...MULTI_CODE, id: 2, created_at: '2026-10-15T09:00:00Z' };
+  const guest = { ...MULTI_CODE, id: 3, customer: null };
+  const report = buildPromotionReport([repeat, guest], {
+    customerIndex: buildCustomerIndex([MULTI_CODE, repeat, guest]),
+  });
+
+  assert.equal(report[0].orders, 2);
+  assert.equal(report[0].first_time_customer_percentage, 0);
+});
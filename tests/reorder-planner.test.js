@@ -0,0 +1,142 @@
+/**
+ * Reorder planner tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  preferredSuppliers,
+  suggestOrderQuantity,
+  planReorders,
+  groupDraftPurchaseOrders,
+  draftPurchaseOrdersToCsv,
+} from '../src/utils/reorder-planner.js';
+import ExecutiveAgent from '../src/agents/executive-agent.js';
+
+const settings = { review_period_days: 7, safety_stock_days: 3, default_lead_time_days: 5 };
+
+const stock = (overrides) => ({
+  product_code: 'TURKEY-CROWN',
+  product_name: 'Turkey Crown',
+  quantity_available: 20,
+  quantity_on_order: 0,
+  reorder_level: 0,
+  unit_cost: 12,
+  ...overrides,
+});
+
+test('order covers lead time plus review and safety days, net of stock and on order', () => {
+  // 10 a day for 4 + 10 days = 140, less 20 free and 30 on order
+  const suggestion = suggestOrderQuantity({ available: 20, onOrder: 30, dailyVelocity: 10, leadTimeDays: 4, coverDays: 10 });
+  assert.equal(suggestion.target_stock, 140);
+  assert.equal(suggestion.quantity, 90);
+});
+
+test('quantity is raised to the MOQ and rounded up to whole packs', () => {
+  assert.equal(suggestOrderQuantity({ available: 0, onOrder: 0, dailyVelocity: 1, leadTimeDays: 2, coverDays: 3, packSize: 6 }).quantity, 6);
+  assert.equal(suggestOrderQuantity({ available: 0, onOrder: 0, dailyVelocity: 1, leadTimeDays: 2, coverDays: 3, packSize: 6, minimumOrderQuantity: 20 }).quantity, 24);
+});
+
+test('nothing is ordered when stock and on order already cover the target', () => {
+  assert.equal(suggestOrderQuantity({ available: 100, onOrder: 50, dailyVelocity: 10, leadTimeDays: 4, coverDays: 10 }).quantity, 0);
+});
+
+test('reorder level is the floor for slow sellers', () => {
+  assert.equal(suggestOrderQuantity({ available: 2, onOrder: 0, dailyVelocity: 0, leadTimeDays: 4, coverDays: 10, reorderLevel: 10 }).quantity, 8);
+});
+
+test('preferred supplier wins, otherwise the shortest lead time', () => {
+  const suppliers = preferredSuppliers([
+    { product_code: 'A', supplier: 'Slow', lead_time_days: 7, preferred: false },
+    { product_code: 'A', supplier: 'Fast', lead_time_days: 2, preferred: false },
+    { product_code: 'B', supplier: 'Usual', lead_time_days: 7, preferred: true },
+    { product_code: 'B', supplier: 'Fast', lead_time_days: 2, preferred: false },
+  ]);
+
+  assert.equal(suppliers.get('A').supplier, 'Fast');
+  assert.equal(suppliers.get('B').supplier, 'Usual');
+});
+
+test('a supplier with no lead time is not picked over one with a known lead time', () => {
+  const suppliers = preferredSuppliers([
+    { product_code: 'A', supplier: 'Known', lead_time_days: 4, preferred: false },
+    { product_code: 'A', supplier: 'Unknown', lead_time_days: null },
+    { product_code: 'B', supplier: 'Unknown', lead_time_days: null },
+    { product_code: 'B', supplier: 'Known', lead_time_days: 9 },
+  ]);
+
+  assert.equal(suppliers.get('A').supplier, 'Known');
+  assert.equal(suppliers.get('B').supplier, 'Known');
+});
+
+test('plan uses supplier terms and falls back to the default lead time', () => {
+  const lines = planReorders(
+    [stock({}), stock({ product_code: 'LAMB-LEG', product_name: 'Lamb Leg', quantity_available: 5, unit_cost: 9 })],
+    new Map([['TURKEY-CROWN', 10], ['LAMB-LEG', 1]]),
+    [{ product_code: 'TURKEY-CROWN', supplier: 'Fenland Poultry', lead_time_days: 3, pack_size: 8, minimum_order_quantity: 0, unit_cost: 11, preferred: true }],
+    settings
+  );
+
+  assert.deepEqual(lines.map(line => line.product_code), ['TURKEY-CROWN', 'LAMB-LEG']);
+  // 10 a day x 13 days = 130, less 20 = 110, rounded to 14 packs of 8
+  assert.equal(lines[0].suggested_quantity, 112);
+  assert.equal(lines[0].packs, 14);
+  assert.equal(lines[0].line_value, 112 * 11);
+  // 1 a day x (5 default + 10) days = 15, less 5
+  assert.equal(lines[1].supplier, 'No supplier set');
+  assert.equal(lines[1].lead_time_days, 5);
+  assert.equal(lines[1].suggested_quantity, 10);
+});
+
+test('lines are grouped into one draft PO per supplier and written as CSV', () => {
+  const drafts = groupDraftPurchaseOrders([
+    { supplier: 'Dairy Co', product_code: 'MILK', product: 'Milk, 2L', suggested_quantity: 12, line_value: 10 },
+    { supplier: 'Fenland Poultry', product_code: 'TURKEY-CROWN', product: 'Turkey Crown', suggested_quantity: 112, line_value: 1232 },
+    { supplier: 'Dairy Co', product_code: 'CREAM', product: 'Cream', suggested_quantity: 6, line_value: 7.5 },
+  ]);
+
+  assert.deepEqual(drafts.map(draft => [draft.supplier, draft.line_count, draft.total_value]), [
+    ['Fenland Poultry', 1, 1232],
+    ['Dairy Co', 2, 17.5],
+  ]);
+
+  const csv = draftPurchaseOrdersToCsv(drafts).trim().split('\n');
+  assert.equal(csv.length, 4);
+  assert.match(csv[0], /^supplier,product_code,/);
+  assert.match(csv[2], /^Dairy Co,MILK,,"Milk, 2L",12,/);
+});
+
+test('the reorder action links to the draft CSV only once it has been written', async (t) => {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'draft-pos-'));
+  t.after(() => fs.rm(workDir, { recursive: true, force: true }));
+  t.mock.method(process, 'cwd', () => workDir);
+
+  const agent = new ExecutiveAgent();
+  const draft = groupDraftPurchaseOrders([
+    { supplier: 'Fenland Poultry', product_code: 'TURKEY-CROWN', product: 'Turkey Crown', suggested_quantity: 112, line_value: 1232 },
+  ]);
+  const operationsReport = {
+    date: '2026-10-19',
+    stock: { cover_alerts: [{ product_code: 'TURKEY-CROWN', product: 'Turkey Crown', days_of_cover: 2 }] },
+    reorder_plan: { lines: 1, total_value: 1232, draft_purchase_orders: draft, files: null },
+    expiry: { promote: [], sell_through_risks: [] },
+    purchase_orders: [],
+    purchase_order_status: { late_critical_supplies: [] },
+    production: { yield_by_product: {} },
+  };
+  const financeReport = { margins: { margin_percentage: 30 } };
+  const reorderAction = () => agent.generateActionItems(financeReport, operationsReport)[0];
+
+  assert.equal(reorderAction().link, null);
+  assert.doesNotMatch(reorderAction().action, /Draft POs/);
+
+  await agent.operationsAgent.saveDraftPurchaseOrders(operationsReport);
+
+  const csv = 'outputs/reorders/2026-10-19_draft_purchase_orders.csv';
+  assert.equal(reorderAction().link, csv);
+  assert.match(await fs.readFile(path.join(workDir, csv), 'utf-8'), /^supplier,/);
+});
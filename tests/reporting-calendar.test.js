@@ -0,0 +1,127 @@
+/**
+ * Reporting calendar tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  dayRange,
+  weekRange,
+  monthRange,
+  startOfReportDay,
+  parseReportDate,
+  formatReportDate,
+  formatReportMonth,
+  reportYesterday,
+  lastCompleteWeek,
+  londonParts,
+  isReportWeekend,
+} from '../src/utils/reporting-calendar.js';
+
+const HOUR = 60 * 60 * 1000;
+
+test('a winter day runs midnight to midnight GMT', () => {
+  const { start, end } = dayRange(parseReportDate('2026-01-15'));
+
+  assert.equal(start.toISOString(), '2026-01-15T00:00:00.000Z');
+  assert.equal(end.toISOString(), '2026-01-15T23:59:59.999Z');
+});
+
+test('a summer day runs midnight to midnight BST', () => {
+  const { start, end } = dayRange(parseReportDate('2026-07-01'));
+
+  assert.equal(start.toISOString(), '2026-06-30T23:00:00.000Z');
+  assert.equal(end.toISOString(), '2026-07-01T22:59:59.999Z');
+});
+
+test('the spring-forward day is 23 hours long', () => {
+  const { start, end } = dayRange(parseReportDate('2026-03-29'));
+
+  assert.equal(start.toISOString(), '2026-03-29T00:00:00.000Z');
+  assert.equal(end.toISOString(), '2026-03-29T22:59:59.999Z');
+  assert.equal(end - start + 1, 23 * HOUR);
+});
+
+test('the fall-back day is 25 hours long', () => {
+  const { start, end } = dayRange(parseReportDate('2026-10-25'));
+
+  assert.equal(start.toISOString(), '2026-10-24T23:00:00.000Z');
+  assert.equal(end.toISOString(), '2026-10-25T23:59:59.999Z');
+  assert.equal(end - start + 1, 25 * HOUR);
+});
+
+test('day offsets step across a changeover by calendar day, not 24 hours', () => {
+  const sunday = parseReportDate('2026-03-29');
+
+  assert.equal(startOfReportDay(sunday, 1).toISOString(), '2026-03-29T23:00:00.000Z');
+  assert.equal(startOfReportDay(sunday, -1).toISOString(), '2026-03-28T00:00:00.000Z');
+  assert.equal(formatReportDate(dayRange(sunday, -1).start), '2026-03-28');
+});
+
+test('late-evening BST instants belong to the London day', () => {
+  const instant = new Date('2026-06-30T23:30:00Z');
+
+  assert.equal(formatReportDate(instant), '2026-07-01');
+  assert.equal(formatReportMonth(instant), '2026-07');
+  assert.equal(londonParts(instant).hour, 0);
+});
+
+test('an instant during the repeated hour on fall-back day', () => {
+  const firstPass = new Date('2026-10-25T00:30:00Z'); // 01:30 BST
+  const secondPass = new Date('2026-10-25T01:30:00Z'); // 01:30 GMT
+
+  assert.equal(londonParts(firstPass).hour, 1);
+  assert.equal(londonParts(secondPass).hour, 1);
+  assert.equal(formatReportDate(secondPass), '2026-10-25');
+  assert.equal(reportYesterday(secondPass).toISOString(), '2026-10-23T23:00:00.000Z');
+});
+
+test('weeks start on Monday', () => {
+  // Sunday 25 October 2026 is the last day of its week
+  const { start, end } = weekRange(parseReportDate('2026-10-25'));
+
+  assert.equal(formatReportDate(start), '2026-10-19');
+  assert.equal(start.toISOString(), '2026-10-18T23:00:00.000Z');
+  assert.equal(end.toISOString(), '2026-10-25T23:59:59.999Z');
+});
+
+test('week offsets give the previous and following weeks', () => {
+  const wednesday = parseReportDate('2026-10-21');
+
+  assert.equal(formatReportDate(weekRange(wednesday, -1).start), '2026-10-12');
+  assert.equal(formatReportDate(weekRange(wednesday, -1).end), '2026-10-18');
+  assert.equal(formatReportDate(weekRange(wednesday, 1).start), '2026-10-26');
+  assert.equal(weekRange(wednesday, 1).start.toISOString(), '2026-10-26T00:00:00.000Z');
+});
+
+test('the last complete week ends on the most recent Sunday', () => {
+  const fridayAfternoon = new Date('2026-10-23T14:00:00Z');
+
+  assert.equal(formatReportDate(lastCompleteWeek(fridayAfternoon).start), '2026-10-12');
+  assert.equal(formatReportDate(lastCompleteWeek(fridayAfternoon).end), '2026-10-18');
+});
+
+test('months cover every London day in the month', () => {
+  const march = monthRange(parseReportDate('2026-03-15'));
+  assert.equal(march.start.toISOString(), '2026-03-01T00:00:00.000Z');
+  assert.equal(march.end.toISOString(), '2026-03-31T22:59:59.999Z');
+
+  const january = monthRange(parseReportDate('2026-03-15'), -2);
+  assert.equal(january.start.toISOString(), '2026-01-01T00:00:00.000Z');
+
+  const december = monthRange(parseReportDate('2026-01-10'), -1);
+  assert.equal(december.start.toISOString(), '2025-12-01T00:00:00.000Z');
+  assert.equal(december.end.toISOString(), '2025-12-31T23:59:59.999Z');
+});
+
+test('weekends are judged in London time', () => {
+  // 23:30 UTC on Friday is already Saturday in BST
+  assert.equal(isReportWeekend(new Date('2026-07-03T23:30:00Z')), true);
+  assert.equal(isReportWeekend(new Date('2026-07-03T22:30:00Z')), false);
+});
+
+test('parseReportDate rejects malformed and impossible dates', () => {
+  assert.throws(() => parseReportDate('19/10/2026'), /expected YYYY-MM-DD/);
+  assert.throws(() => parseReportDate('2026-02-30'), /Invalid report date/);
+});
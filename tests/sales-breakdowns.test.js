@@ -0,0 +1,56 @@
+/**
+ * Sales breakdown classification tests (channel, postcode area, delivery day)
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  salesChannel,
+  postcodeArea,
+  requestedDeliveryDate,
+  deliveryDay,
+  breakdownKey,
+} from '../src/utils/sales-breakdowns.js';
+
+test('salesChannel labels known sources and passes others through', () => {
+  assert.equal(salesChannel({ source_name: 'web' }), 'Web');
+  assert.equal(salesChannel({ source_name: 'android' }), 'Mobile App');
+  assert.equal(salesChannel({ source_name: 'farm-shop-till' }), 'farm-shop-till');
+  assert.equal(salesChannel({}), 'Unknown');
+});
+
+test('postcodeArea takes the leading letters of UK postcodes', () => {
+  assert.equal(postcodeArea({ shipping_address: { zip: 'ex5 1aa', country_code: 'GB' } }), 'EX');
+  assert.equal(postcodeArea({ shipping_address: { zip: 'B1 1AA' } }), 'B');
+  assert.equal(postcodeArea({ shipping_address: { zip: 'D02 X285', country_code: 'IE' } }), 'Non-UK');
+  assert.equal(postcodeArea({ shipping_address: { zip: '12345', country_code: 'GB' } }), 'Unknown');
+  assert.equal(postcodeArea({}), 'Unknown');
+});
+
+test('requested delivery date is read from note attributes in several formats', () => {
+  const date = value => requestedDeliveryDate({ note_attributes: [{ name: 'Delivery Date', value }] });
+
+  assert.equal(date('2025-12-22').getDate(), 22);
+  assert.equal(date('22/12/2025').getMonth(), 11);
+  assert.equal(date('Monday 22 December 2025').getFullYear(), 2025);
+  assert.equal(date('whenever'), null);
+});
+
+test('delivery day falls back to tags and reports orders without one', () => {
+  assert.equal(deliveryDay({ tags: 'christmas, delivery:2025-12-23' }), 'Tuesday');
+  assert.equal(deliveryDay({ note_attributes: [{ name: 'Delivery Date', value: 'soon' }], tags: 'deliver-24/12/2025' }), 'Wednesday');
+  assert.equal(deliveryDay({ tags: 'christmas' }), 'Not specified');
+});
+
+test('breakdownKey dispatches on the dimension', () => {
+  const order = {
+    source_name: 'pos',
+    shipping_address: { zip: 'TQ1 2AB' },
+    note_attributes: [{ name: 'Delivery', value: '2025-12-22' }],
+  };
+
+  assert.equal(breakdownKey(order, 'channel'), 'POS');
+  assert.equal(breakdownKey(order, 'postcode_area'), 'TQ');
+  assert.equal(breakdownKey(order, 'delivery_day'), 'Monday');
+});
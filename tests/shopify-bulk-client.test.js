@@ -0,0 +1,214 @@
+/**
+ * ShopifyBulkClient tests against a local stand-in for the GraphQL Admin API
+ * Run with: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import ShopifyBulkClient, { legacyId } from '../src/integrations/shopify/bulk-client.js';
+
+const BULK_ID = 'gid://shopify/BulkOperation/1';
+
+const JSONL = [
+  {
+    id: 'gid://shopify/Order/1001',
+    name: '#1001',
+    createdAt: '2025-11-20T10:30:00Z',
+    test: false,
+    taxesIncluded: true,
+    displayFinancialStatus: 'PARTIALLY_REFUNDED',
+    sourceName: 'web',
+    tags: ['christmas'],
+    customAttributes: [{ key: 'Delivery Date', value: '2025-12-22' }],
+    customer: { id: 'gid://shopify/Customer/55' },
+    shippingAddress: { zip: 'EX5 1AA', countryCodeV2: 'GB' },
+    discountCodes: ['EARLYBIRD'],
+    totalPriceSet: { shopMoney: { amount: '120.00' } },
+    totalDiscountsSet: { shopMoney: { amount: '10.00' } },
+    totalTaxSet: { shopMoney: { amount: '20.00' } },
+    refunds: [{
+      id: 'gid://shopify/Refund/9',
+      createdAt: '2025-11-25T09:00:00Z',
+      totalRefundedSet: { shopMoney: { amount: '12.00' } },
+    }],
+  },
+  {
+    id: 'gid://shopify/LineItem/1',
+    name: 'Christmas Turkey Box',
+    sku: 'TURKEY-XMAS-001',
+    quantity: 1,
+    originalUnitPriceSet: { shopMoney: { amount: '120.00' } },
+    variant: { id: 'gid://shopify/ProductVariant/77' },
+    taxLines: [],
+    discountAllocations: [{ allocatedAmountSet: { shopMoney: { amount: '10.00' } }, discountApplication: { index: 0 } }],
+    __parentId: 'gid://shopify/Order/1001',
+  },
+  {
+    __typename: 'DiscountCodeApplication',
+    index: 0,
+    allocationMethod: 'ACROSS',
+    targetType: 'LINE_ITEM',
+    value: { amount: '10.00' },
+    code: 'EARLYBIRD',
+    __parentId: 'gid://shopify/Order/1001',
+  },
+  {
+    id: 'gid://shopify/ShippingLine/3',
+    originalPriceSet: { shopMoney: { amount: '6.00' } },
+    taxLines: [{ priceSet: { shopMoney: { amount: '1.00' } } }],
+    __parentId: 'gid://shopify/Order/1001',
+  },
+  {
+    id: 'gid://shopify/Order/1002',
+    name: '#1002',
+    createdAt: '2025-11-21T08:00:00Z',
+    test: false,
+    taxesIncluded: true,
+    displayFinancialStatus: 'PAID',
+    totalPriceSet: { shopMoney: { amount: '45.00' } },
+    totalDiscountsSet: { shopMoney: { amount: '0.00' } },
+    totalTaxSet: { shopMoney: { amount: '0.00' } },
+    refunds: [],
+  },
+].map(row => JSON.stringify(row)).join('\n');
+
+let server;
+let baseURL;
+let polls;
+let finalStatus;
+let lastBulkQuery;
+let running;
+let overlapped;
+
+function handleGraphql(body, res) {
+  const { query, variables } = JSON.parse(body);
+  res.setHeader('Content-Type', 'application/json');
+
+  if (query.includes('bulkOperationRunQuery')) {
+    // Shopify rejects a second bulk query while one is running
+    if (running) overlapped = true;
+    running = true;
+    lastBulkQuery = variables.query;
+    res.end(JSON.stringify({
+      data: { bulkOperationRunQuery: { bulkOperation: { id: BULK_ID, status: 'CREATED' }, userErrors: [] } },
+    }));
+    return;
+  }
+
+  // Report RUNNING on the first poll so the client has to wait
+  polls++;
+  const status = polls < 2 ? 'RUNNING' : finalStatus;
+  if (status !== 'RUNNING') running = false;
+  res.end(JSON.stringify({
+    data: {
+      node: {
+        id: variables.id,
+        status,
+        errorCode: status === 'FAILED' ? 'ACCESS_DENIED' : null,
+        objectCount: '4',
+        url: status === 'COMPLETED' ? `${baseURL}/results.jsonl` : null,
+      },
+    },
+  }));
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method === 'POST' && req.url === '/graphql.json') {
+        handleGraphql(body, res);
+      } else if (req.method === 'GET' && req.url === '/results.jsonl') {
+        res.end(JSONL);
+      } else {
+        res.statusCode = 404;
+        res.end();
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function createClient() {
+  polls = 0;
+  running = false;
+  overlapped = false;
+  finalStatus = 'COMPLETED';
+  return new ShopifyBulkClient({ baseURL, accessToken: 'test', pollIntervalMs: 1 });
+}
+
+test('legacyId extracts the numeric REST id from a global id', () => {
+  assert.equal(legacyId('gid://shopify/Order/1001'), 1001);
+  assert.equal(legacyId(null), null);
+});
+
+test('getOrders polls until complete and assembles REST-shaped orders', async () => {
+  const client = createClient();
+  const orders = await client.getOrders(new Date('2025-11-01T00:00:00Z'), new Date('2025-11-30T23:59:59Z'));
+
+  assert.equal(polls, 2);
+  assert.match(lastBulkQuery, /created_at:>='2025-11-01T00:00:00.000Z'/);
+  assert.equal(orders.length, 2);
+
+  const [order] = orders;
+  assert.equal(order.id, 1001);
+  assert.equal(order.financial_status, 'partially_refunded');
+  assert.equal(order.customer.id, 55);
+  assert.equal(order.shipping_address.zip, 'EX5 1AA');
+  assert.deepEqual(order.discount_codes, [{ code: 'EARLYBIRD', amount: '10.00' }]);
+  assert.equal(order.total_line_items_price, '120.00');
+  assert.deepEqual(order.discount_applications, [{
+    type: 'discount_code',
+    code: 'EARLYBIRD',
+    title: 'EARLYBIRD',
+    value: '10.00',
+    value_type: 'fixed_amount',
+    allocation_method: 'across',
+    target_type: 'line_item',
+  }]);
+  assert.deepEqual(order.line_items[0].discount_allocations, [{ amount: '10.00', discount_application_index: 0 }]);
+  assert.deepEqual(order.note_attributes, [{ name: 'Delivery Date', value: '2025-12-22' }]);
+
+  assert.equal(order.line_items.length, 1);
+  assert.equal(order.line_items[0].variant_id, 77);
+  assert.equal(order.line_items[0].price, '120.00');
+  assert.deepEqual(order.shipping_lines[0].tax_lines, [{ price: '1.00' }]);
+
+  // £12 refunded on a tax-inclusive order with a 1/6 tax rate
+  const [refundLine] = order.refunds[0].refund_line_items;
+  assert.equal(refundLine.subtotal, 12);
+  assert.equal(refundLine.total_tax, 2);
+
+  assert.deepEqual(orders[1].line_items, []);
+});
+
+test('waitForCompletion surfaces failed operations', async () => {
+  const client = createClient();
+  finalStatus = 'FAILED';
+
+  await assert.rejects(
+    client.getOrders(new Date('2025-11-01'), new Date('2025-11-30')),
+    /failed \(ACCESS_DENIED\)/
+  );
+});
+
+test('bulk queries from the same shop run one at a time', async () => {
+  const client = createClient();
+  const other = new ShopifyBulkClient({ baseURL, accessToken: 'test', pollIntervalMs: 1 });
+
+  const [orders, updated] = await Promise.all([
+    client.getOrders(new Date('2025-11-01'), new Date('2025-11-30')),
+    other.getOrdersUpdatedSince(new Date('2025-11-01')),
+  ]);
+
+  assert.equal(overlapped, false);
+  assert.equal(orders.length, 2);
+  assert.equal(updated.length, 2);
+  assert.match(lastBulkQuery, /updated_at:>='2025-11-01T00:00:00.000Z'/);
+});
@@ -0,0 +1,77 @@
+/**
+ * Shopify gross-to-net sales metrics tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ShopifyClient, { splitOrderTotals } from '../src/integrations/shopify/client.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+// £120 of goods inc 20% VAT, £12 off, so VAT of £18 is charged on the £108 paid
+const TAX_INCLUSIVE = {
+  id: 1,
+  taxes_included: true,
+  financial_status: 'paid',
+  total_line_items_price: '120.00',
+  total_discounts: '12.00',
+  total_tax: '19.00',
+  line_items: [{ name: 'Ribeye Steak', quantity: 2, price: '60.00', tax_lines: [{ price: '18.00' }] }],
+  shipping_lines: [{ price: '6.00', tax_lines: [{ price: '1.00' }] }],
+};
+
+test('gross, discounts and net are all ex VAT on a tax-inclusive shop', () => {
+  const totals = splitOrderTotals(TAX_INCLUSIVE);
+
+  close(totals.gross_sales, 100);
+  close(totals.discounts, 10);
+  close(totals.net_sales, 90);
+  close(totals.shipping, 5);
+  close(totals.vat, 19);
+});
+
+test('prices are already ex VAT when the shop adds tax', () => {
+  const totals = splitOrderTotals({ ...TAX_INCLUSIVE, taxes_included: false });
+
+  close(totals.gross_sales, 120);
+  close(totals.discounts, 12);
+  close(totals.net_sales, 108);
+  close(totals.shipping, 6);
+});
+
+test('cancelled orders are offset by their refund and not counted as orders', () => {
+  const client = new ShopifyClient();
+  const metrics = client.calculateSalesMetrics([
+    { ...TAX_INCLUSIVE, shipping_address: { zip: 'EX1 1AA' } },
+    { ...TAX_INCLUSIVE, id: 2, cancelled_at: '2026-10-18T12:00:00Z', shipping_address: { zip: 'EX1 1AA' } },
+    { ...TAX_INCLUSIVE, id: 3, financial_status: 'voided' },
+  ], [
+    { order_id: 2, taxes_included: true, refund_line_items: [{ subtotal: '108.00', total_tax: '18.00' }] },
+  ]);
+
+  assert.equal(metrics.total_orders, 1);
+  close(metrics.net_sales, 90);
+  close(metrics.average_order_value, 90);
+  assert.equal(metrics.breakdowns.postcode_area.EX.orders, 1);
+});
+
+test('refunds in the period are found on orders edited again after it', async (t) => {
+  const client = new ShopifyClient();
+  t.mock.method(client, '_useBulk', () => false);
+  const pages = t.mock.method(client, '_getAllPages', async () => [{
+    id: 4,
+    taxes_included: true,
+    updated_at: '2026-10-25T10:00:00Z',
+    refunds: [
+      { id: 41, created_at: '2026-10-14T10:00:00Z', refund_line_items: [] },
+      { id: 42, created_at: '2026-10-25T10:00:00Z', refund_line_items: [] },
+    ],
+  }]);
+
+  const refunds = await client.getRefunds(new Date('2026-10-12T00:00:00Z'), new Date('2026-10-18T23:59:59Z'));
+
+  assert.deepEqual(refunds.map(refund => refund.id), [41]);
+  assert.equal(refunds[0].order_id, 4);
+  assert.equal(pages.mock.calls[0].arguments[2].updated_at_max, undefined);
+});
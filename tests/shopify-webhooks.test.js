@@ -0,0 +1,95 @@
+/**
+ * Shopify webhook receiver tests
+ * Run with: npm test
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import ShopifyWebhookServer, { verifyWebhookSignature, WEBHOOK_PATH } from '../src/integrations/shopify/webhooks.js';
+import EventLog from '../src/utils/event-log.js';
+
+const SECRET = 'test-secret';
+
+let webhookServer;
+let eventLog;
+let url;
+let logDir;
+
+const sign = body => crypto.createHmac('sha256', SECRET).update(body).digest('base64');
+
+function deliver(body, headers = {}) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+  });
+}
+
+before(async () => {
+  logDir = await fs.mkdtemp(path.join(os.tmpdir(), 'webhook-events-'));
+  eventLog = new EventLog(logDir);
+  webhookServer = new ShopifyWebhookServer({ secret: SECRET, eventLog });
+
+  const server = await webhookServer.listen(0);
+  url = `http://127.0.0.1:${server.address().port}${WEBHOOK_PATH}`;
+});
+
+after(async () => {
+  await webhookServer.close();
+  await fs.rm(logDir, { recursive: true, force: true });
+});
+
+test('verifyWebhookSignature accepts only the matching HMAC', () => {
+  const body = '{"id":1}';
+  assert.equal(verifyWebhookSignature(body, sign(body), SECRET), true);
+  assert.equal(verifyWebhookSignature(body, sign('{"id":2}'), SECRET), false);
+  assert.equal(verifyWebhookSignature(body, undefined, SECRET), false);
+  assert.equal(verifyWebhookSignature(body, 'short', SECRET), false);
+});
+
+test('verified order webhooks are logged once per webhook id', async () => {
+  const body = JSON.stringify({ id: 1001, created_at: new Date().toISOString(), total_price: '50.00' });
+  const headers = {
+    'X-Shopify-Hmac-Sha256': sign(body),
+    'X-Shopify-Topic': 'orders/create',
+    'X-Shopify-Webhook-Id': 'wh-1',
+  };
+
+  assert.equal((await deliver(body, headers)).status, 200);
+  assert.equal((await deliver(body, headers)).status, 200); // Shopify retry
+
+  const events = await eventLog.readDay(new Date());
+  assert.equal(events.length, 1);
+  assert.equal(events[0].topic, 'orders/create');
+  assert.equal(events[0].payload.id, 1001);
+});
+
+test('webhooks with a bad signature are rejected and not logged', async () => {
+  const body = JSON.stringify({ id: 2002 });
+  const response = await deliver(body, {
+    'X-Shopify-Hmac-Sha256': sign('tampered'),
+    'X-Shopify-Topic': 'orders/create',
+    'X-Shopify-Webhook-Id': 'wh-2',
+  });
+
+  assert.equal(response.status, 401);
+  const events = await eventLog.readDay(new Date());
+  assert.ok(events.every(event => event.id !== 'wh-2'));
+});
+
+test('untracked topics are acknowledged but not logged', async () => {
+  const body = JSON.stringify({ id: 3003 });
+  const response = await deliver(body, {
+    'X-Shopify-Hmac-Sha256': sign(body),
+    'X-Shopify-Topic': 'products/update',
+    'X-Shopify-Webhook-Id': 'wh-3',
+  });
+
+  assert.equal(response.status, 200);
+  const events = await eventLog.readDay(new Date());
+  assert.ok(events.every(event => event.id !== 'wh-3'));
+});
@@ -0,0 +1,79 @@
+/**
+ * Days-of-cover and stock-out risk tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateSalesVelocity, nextDeliveries, findStockOutRisks } from '../src/utils/stock-cover.js';
+
+const AS_OF = new Date('2026-10-19T08:00:00Z');
+const THRESHOLDS = { days_of_cover_warning: 7, days_of_cover_critical: 3 };
+
+const stock = (productCode, available) => ({
+  product_code: productCode,
+  product_name: productCode,
+  quantity_available: available,
+});
+
+const po = (poNumber, expectedDate, productCode, quantity = 50) => ({
+  po_number: poNumber,
+  supplier: 'Hill Farm',
+  expected_date: expectedDate,
+  line_items: [{ product_code: productCode, quantity }],
+});
+
+test('sales velocity averages units per day over the window, skipping voided orders', () => {
+  const velocity = calculateSalesVelocity([
+    { financial_status: 'paid', line_items: [{ sku: 'RIBEYE', quantity: 10 }, { quantity: 3 }] },
+    { financial_status: 'paid', line_items: [{ sku: 'RIBEYE', quantity: 4 }] },
+    { financial_status: 'voided', line_items: [{ sku: 'RIBEYE', quantity: 100 }] },
+  ], 7);
+
+  assert.deepEqual([...velocity], [['RIBEYE', 2]]);
+});
+
+test('nextDeliveries keeps the earliest dated PO per product', () => {
+  const deliveries = nextDeliveries([
+    po('PO-2', '2026-10-25', 'RIBEYE'),
+    po('PO-1', '2026-10-22', 'RIBEYE'),
+    po('PO-3', null, 'RIBEYE'),
+  ]);
+
+  assert.equal(deliveries.get('RIBEYE').po_number, 'PO-1');
+});
+
+test('flags SKUs that run out before their PO lands', () => {
+  const velocity = new Map([['RIBEYE', 2]]);
+  const [risk] = findStockOutRisks([stock('RIBEYE', 8)], velocity, [po('PO-1', '2026-10-30', 'RIBEYE')], AS_OF, THRESHOLDS);
+
+  assert.equal(risk.days_of_cover, 4);
+  assert.equal(risk.stock_out_date, '2026-10-23');
+  assert.equal(risk.next_po.po_number, 'PO-1');
+  assert.equal(risk.next_po.overdue, false);
+  assert.equal(risk.days_short, 7);
+  assert.equal(risk.severity, 'warning');
+});
+
+test('SKUs covered until their PO lands are not at risk', () => {
+  const velocity = new Map([['RIBEYE', 2]]);
+  const risks = findStockOutRisks([stock('RIBEYE', 8)], velocity, [po('PO-1', '2026-10-21', 'RIBEYE')], AS_OF, THRESHOLDS);
+
+  assert.deepEqual(risks, []);
+});
+
+test('overdue POs are ignored and low cover without a PO is flagged, soonest first', () => {
+  const velocity = new Map([['RIBEYE', 2], ['BRISKET', 1], ['MINCE', 1], ['UNSOLD', 0]]);
+  const risks = findStockOutRisks(
+    [stock('RIBEYE', 4), stock('BRISKET', 5), stock('MINCE', 30), stock('UNSOLD', 0)],
+    velocity,
+    [po('PO-9', '2026-10-10', 'BRISKET')],
+    AS_OF,
+    THRESHOLDS
+  );
+
+  assert.deepEqual(risks.map(risk => risk.product_code), ['RIBEYE', 'BRISKET']);
+  assert.equal(risks[0].severity, 'critical');
+  assert.equal(risks[0].next_po, null);
+  assert.equal(risks[1].next_po.overdue, true);
+});
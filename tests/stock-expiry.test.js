@@ -0,0 +1,101 @@
+/**
+ * Use-by / best-before analysis tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { daysToExpiry, summarizeExpiringStock, findSellThroughRisks, suggestPromotions } from '../src/utils/stock-expiry.js';
+import { parseReportDate } from '../src/utils/reporting-calendar.js';
+
+const asOf = parseReportDate('2026-10-19');
+
+const lot = (overrides) => ({
+  product_code: 'BEEF-MINCE-500',
+  product_name: 'Beef Mince 500g',
+  lot_number: 'L1',
+  quantity: 10,
+  unit_cost: 2,
+  value: 20,
+  category: 'chilled',
+  expiry_type: 'use_by',
+  ...overrides,
+});
+
+test('daysToExpiry counts London calendar days', () => {
+  assert.equal(daysToExpiry('2026-10-19', asOf), 0);
+  assert.equal(daysToExpiry('2026-10-26', asOf), 7); // across the clocks going back
+  assert.equal(daysToExpiry('2026-10-18', asOf), -1);
+});
+
+test('lots with unreadable dates are set aside rather than failing the report', () => {
+  const lots = [
+    lot({ lot_number: 'L1', expiry_date: '20/10/2026' }),
+    lot({ lot_number: 'L2', expiry_date: '2026-10-20' }),
+  ];
+  const summary = summarizeExpiringStock(lots, asOf);
+  const risks = findSellThroughRisks(lots, new Map(), asOf);
+
+  assert.equal(daysToExpiry('20/10/2026', asOf), null);
+  assert.deepEqual(summary.unreadable_date, { quantity: 10, value: 20, lots: 1 });
+  assert.equal(summary.windows.next_3_days.lots, 1);
+  assert.deepEqual(risks.map(risk => risk.lot_number), ['L2']);
+});
+
+test('expiring stock is bucketed into 1, 3 and 7 day windows', () => {
+  const summary = summarizeExpiringStock([
+    lot({ lot_number: 'today', expiry_date: '2026-10-19' }),
+    lot({ lot_number: 'in-2', expiry_date: '2026-10-21' }),
+    lot({ lot_number: 'in-6', expiry_date: '2026-10-25' }),
+    lot({ lot_number: 'in-9', expiry_date: '2026-10-28' }),
+    lot({ lot_number: 'gone', expiry_date: '2026-10-17' }),
+  ], asOf);
+
+  assert.equal(summary.windows.next_1_days.lots, 1);
+  assert.equal(summary.windows.next_3_days.lots, 2);
+  assert.equal(summary.windows.next_7_days.lots, 3);
+  assert.equal(summary.windows.next_7_days.value, 60);
+  assert.equal(summary.expired.quantity, 10);
+});
+
+test('lots sell oldest expiry first and only the leftover is at risk', () => {
+  const lots = [
+    lot({ lot_number: 'L2', expiry_date: '2026-10-22', quantity: 10, value: 20 }),
+    lot({ lot_number: 'L1', expiry_date: '2026-10-20', quantity: 10, value: 20 }),
+  ];
+  // 4 a day: L1 has 2 days (8 units) so 2 left over; L2 gets days 3-4 (8 units) so 2 left over
+  const risks = findSellThroughRisks(lots, new Map([['BEEF-MINCE-500', 4]]), asOf);
+
+  assert.deepEqual(risks.map(risk => risk.lot_number), ['L1', 'L2']);
+  assert.deepEqual(risks.map(risk => risk.projected_unsold), [2, 2]);
+  assert.equal(risks[0].value_at_risk, 4);
+  assert.equal(risks[0].severity, 'critical');
+});
+
+test('frozen stock at risk is a warning and unsold stock with no sales is all at risk', () => {
+  const risks = findSellThroughRisks([
+    lot({ product_code: 'LAMB-FROZEN', category: 'frozen', expiry_date: '2026-10-23', expiry_type: 'best_before' }),
+  ], new Map(), asOf);
+
+  assert.equal(risks.length, 1);
+  assert.equal(risks[0].projected_unsold, 10);
+  assert.equal(risks[0].severity, 'warning');
+  assert.equal(risks[0].sell_through_days, null);
+});
+
+test('stock that sells through in time is not flagged', () => {
+  const risks = findSellThroughRisks([lot({ expiry_date: '2026-10-25' })], new Map([['BEEF-MINCE-500', 5]]), asOf);
+  assert.equal(risks.length, 0);
+});
+
+test('promotion suggestions group lots by product, most value first', () => {
+  const suggestions = suggestPromotions([
+    { product_code: 'A', product: 'Mince', projected_unsold: 2, value_at_risk: 4, expiry_date: '2026-10-21' },
+    { product_code: 'B', product: 'Steak', projected_unsold: 1, value_at_risk: 9, expiry_date: '2026-10-20' },
+    { product_code: 'A', product: 'Mince', projected_unsold: 3, value_at_risk: 6, expiry_date: '2026-10-20' },
+  ]);
+
+  assert.deepEqual(suggestions.map(item => item.product_code), ['A', 'B']);
+  assert.equal(suggestions[0].quantity_to_clear, 5);
+  assert.equal(suggestions[0].earliest_expiry, '2026-10-20');
+});
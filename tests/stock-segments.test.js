@@ -0,0 +1,86 @@
+/**
+ * Stock by location and category: segment totals, per-segment thresholds and stock value alerts
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import OrderwiseClient from '../src/integrations/orderwise/client.js';
+import OperationsAgent from '../src/agents/operations-agent.js';
+
+const item = (category, location, value, belowReorder = false) => ({
+  product_name: `${category} item`,
+  category,
+  location,
+  value,
+  quantity_available: belowReorder ? 1 : 50,
+  reorder_level: 10,
+  quantity_on_order: 0,
+});
+
+const THRESHOLDS = {
+  stock_value_warning: 1000,
+  stock_value_critical: 500,
+  stock_categories: {
+    chilled: { stock_value_warning: 600, stock_value_critical: 400, below_reorder_warning: 2 },
+  },
+  stock_locations: {
+    Exeter: { stock_value_critical: 300 },
+    default: { below_reorder_warning: 5 },
+  },
+};
+
+function createAgent() {
+  const agent = new OperationsAgent();
+  agent.thresholds = THRESHOLDS;
+  return agent;
+}
+
+test('stock summary totals value, items and reorder counts per category and location', async () => {
+  const client = new OrderwiseClient({ baseURL: 'http://127.0.0.1:1', apiKey: 'test' });
+  const summary = await client.getStockSummary([
+    item('chilled', 'Exeter', 200, true),
+    item('chilled', 'Taunton', 150),
+    item('frozen', 'Taunton', 900),
+    item(null, null, 10, true),
+  ]);
+
+  assert.deepEqual(summary.stock_by_category.chilled, { stock_value: 350, items: 2, items_below_reorder: 1 });
+  assert.deepEqual(summary.stock_by_category.other, { stock_value: 10, items: 1, items_below_reorder: 1 });
+  assert.deepEqual(summary.stock_by_location.Taunton, { stock_value: 1050, items: 2, items_below_reorder: 0 });
+  assert.equal(summary.stock_by_location.Unassigned.items, 1);
+});
+
+test('segments use their own thresholds, falling back to the default entry', () => {
+  const agent = createAgent();
+  const byLocation = agent.assessStockSegments({
+    Taunton: { stock_value: 1050, items: 2, items_below_reorder: 0 },
+    Exeter: { stock_value: 200, items: 1, items_below_reorder: 1 },
+  }, THRESHOLDS.stock_locations);
+
+  assert.deepEqual(Object.keys(byLocation), ['Taunton', 'Exeter']);
+  assert.equal(byLocation.Exeter.status, 'critical');
+  assert.equal(byLocation.Exeter.stock_value_target, null);
+  assert.equal(byLocation.Taunton.status, 'ok');
+  assert.equal(byLocation.Taunton.below_reorder_warning, 5);
+});
+
+test('stock value alerts name the segments below target, including ones with only a critical limit', () => {
+  const agent = createAgent();
+  const stock = {
+    total_value: 450,
+    by_category: agent.assessStockSegments({ chilled: { stock_value: 350, items: 2, items_below_reorder: 1 } }, THRESHOLDS.stock_categories),
+    by_location: agent.assessStockSegments({ Exeter: { stock_value: 200, items: 1, items_below_reorder: 1 } }, THRESHOLDS.stock_locations),
+  };
+  stock.value_drivers = agent.findStockValueDrivers(stock);
+  const report = { stock, alerts: [] };
+
+  agent.generateStockValueAlerts(report);
+
+  assert.deepEqual(stock.value_drivers.map(driver => [driver.key, driver.shortfall]), [['chilled', 250], ['Exeter', null]]);
+  assert.deepEqual(report.alerts.map(alert => alert.message), [
+    'Stock value critically low at £450 - driven by Chilled £250 under target, Exeter site below its critical limit',
+    'Chilled stock critically low at £350 (target £600)',
+    'Exeter stock critically low at £200',
+  ]);
+});
@@ -0,0 +1,106 @@
+/**
+ * Purchase order tracking and supplier scorecard tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { trackOpenPurchaseOrders, findLateCriticalSupplies, buildSupplierScorecard } from '../src/utils/supplier-performance.js';
+import { parseReportDate } from '../src/utils/reporting-calendar.js';
+
+// Wednesday; the reporting week runs to Sunday 25 October
+const asOf = parseReportDate('2026-10-21');
+
+const openPOs = [
+  { po_number: 'PO-later', supplier: 'Dairy Co', expected_date: '2026-10-27', line_items: [] },
+  { po_number: 'PO-week', supplier: 'Dairy Co', expected_date: '2026-10-25', line_items: [] },
+  { po_number: 'PO-late', supplier: 'Fenland Poultry', expected_date: '2026-10-18', line_items: [{ product_code: 'TURKEY-CROWN', quantity: 40 }] },
+  { po_number: 'PO-today', supplier: 'Fenland Poultry', expected_date: '2026-10-21', line_items: [] },
+  { po_number: 'PO-nodate', supplier: 'Packaging Ltd', expected_date: null, line_items: [] },
+];
+
+test('open POs are classed overdue, due this week or later', () => {
+  const tracked = trackOpenPurchaseOrders(openPOs, asOf);
+
+  assert.deepEqual(
+    tracked.map(po => [po.po_number, po.status, po.days_overdue]),
+    [
+      ['PO-late', 'overdue', 3],
+      ['PO-today', 'due_this_week', 0],
+      ['PO-week', 'due_this_week', 0],
+      ['PO-later', 'later', 0],
+      ['PO-nodate', 'no_date', 0],
+    ]
+  );
+});
+
+test('open POs with an unreadable expected date are flagged, not fatal', () => {
+  const tracked = trackOpenPurchaseOrders([
+    { po_number: 'PO-typo', supplier: 'Dairy Co', expected_date: '21/10/2026', line_items: [] },
+    ...openPOs,
+  ], asOf);
+
+  assert.deepEqual(tracked.at(-1), {
+    po_number: 'PO-typo',
+    supplier: 'Dairy Co',
+    expected_date: '21/10/2026',
+    line_items: [],
+    status: 'invalid_date',
+    days_overdue: 0,
+  });
+  assert.equal(tracked[0].po_number, 'PO-late');
+});
+
+test('late POs carrying at-risk SKUs are picked out', () => {
+  const tracked = trackOpenPurchaseOrders(openPOs, asOf);
+  const late = findLateCriticalSupplies(tracked, [
+    { product_code: 'TURKEY-CROWN', product: 'Turkey Crown', days_of_cover: 1.5 },
+    { product_code: 'MILK-2L', product: 'Milk 2L', days_of_cover: 4 },
+  ]);
+
+  assert.equal(late.length, 1);
+  assert.equal(late[0].po_number, 'PO-late');
+  assert.deepEqual(late[0].products, [{ product_code: 'TURKEY-CROWN', product: 'Turkey Crown', days_of_cover: 1.5 }]);
+});
+
+test('supplier scorecard covers on-time rate, days late and fill rate', () => {
+  const scorecard = buildSupplierScorecard([
+    {
+      supplier: 'Fenland Poultry',
+      expected_date: '2026-10-01',
+      received_date: '2026-10-04T09:15:00Z',
+      line_items: [{ quantity_ordered: 100, quantity_received: 90 }],
+    },
+    {
+      supplier: 'Fenland Poultry',
+      expected_date: '2026-10-08',
+      received_date: '2026-10-07',
+      line_items: [{ quantity_ordered: 50, quantity_received: 50 }],
+    },
+    {
+      supplier: 'Dairy Co',
+      expected_date: '2026-10-08',
+      received_date: '2026-10-08',
+      line_items: [{ quantity_ordered: 20, quantity_received: 20 }],
+    },
+  ]);
+
+  assert.deepEqual(scorecard.map(supplier => supplier.supplier), ['Fenland Poultry', 'Dairy Co']);
+  assert.equal(scorecard[0].on_time_rate, 50);
+  assert.equal(scorecard[0].average_days_late, 3);
+  assert.equal(scorecard[0].quantity_received, 140);
+  assert.ok(Math.abs(scorecard[0].fill_rate - 93.33) < 0.01);
+  assert.equal(scorecard[1].on_time_rate, 100);
+});
+
+test('received POs with unreadable dates are left out of the scorecard', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const scorecard = buildSupplierScorecard([
+    { po_number: 'PO-1', supplier: 'Dairy Co', expected_date: '2026-10-08', received_date: '2026-10-08', line_items: [] },
+    { po_number: 'PO-2', supplier: 'Dairy Co', expected_date: '2026-10-08', received_date: '09/10/2026', line_items: [] },
+  ]);
+
+  assert.equal(scorecard[0].purchase_orders, 1);
+  assert.equal(scorecard[0].on_time_rate, 100);
+  assert.match(warn.mock.calls[0].arguments[0], /PO-2/);
+});
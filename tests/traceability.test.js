@@ -0,0 +1,110 @@
+/**
+ * Batch traceability tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { shopifyOrderName, matchBatches, lotNumbersFor, buildRecallReport, buildOrderTrace } from '../src/utils/traceability.js';
+
+const BATCHES = [
+  { batch_id: 'B2026-1014-02', product_type: 'Beef', production_date: '2026-10-14', lot_number: 'L-5501' },
+  { batch_id: 'B2026-1014-03', product_type: 'Beef', production_date: '2026-10-14', lot_number: null },
+  { batch_id: 'B2026-1015-01', product_type: 'Lamb', production_date: '2026-10-15', lot_number: 'L-5502' },
+];
+
+const line = (order_number, product_code, lot_number, quantity, dispatched_at, extra = {}) => ({
+  dispatch_id: `D-${order_number}`,
+  order_number,
+  product_code,
+  product_name: product_code === 'BEEF-MINCE' ? 'Beef Mince 500g' : 'Ribeye Steak',
+  lot_number,
+  quantity,
+  dispatched_at,
+  ...extra,
+});
+
+const DISPATCH_LINES = [
+  line('SO-1001', 'BEEF-MINCE', 'L-5501', 2, '2026-10-15T14:00:00Z', { channel_order_ref: '1042', delivery_date: '2026-10-16' }),
+  line('SO-1001', 'BEEF-RIBEYE', 'L-5501', 1, '2026-10-15T14:00:00Z', { channel_order_ref: '1042', delivery_date: '2026-10-16' }),
+  line('SO-1002', 'BEEF-MINCE', 'L-5501', 4, '2026-10-16T10:00:00Z', { channel_order_ref: '#1043' }),
+  line('SO-1003', 'BEEF-MINCE', 'L-9999', 1, '2026-10-16T10:00:00Z'),
+];
+
+const ORDERS = [
+  { name: '#1042', email: 'ann@example.com', first_name: 'Ann', last_name: 'Hill', shipping_postcode: 'EX1 1AA' },
+];
+
+test('batches match on batch_id or lot number, case-insensitively', () => {
+  assert.deepEqual(matchBatches(BATCHES, 'b2026-1014-02').map(batch => batch.batch_id), ['B2026-1014-02']);
+  assert.deepEqual(matchBatches(BATCHES, ' L-5502 ').map(batch => batch.batch_id), ['B2026-1015-01']);
+  assert.deepEqual(matchBatches(BATCHES, 'L-0000'), []);
+
+  // Batches without an output lot are stocked under their batch_id
+  assert.deepEqual(lotNumbersFor(BATCHES.slice(0, 2)), ['L-5501', 'B2026-1014-03']);
+  assert.equal(shopifyOrderName('1042'), '#1042');
+  assert.equal(shopifyOrderName('#1042'), '#1042');
+});
+
+test('a batch is traced forward to the orders and customers it shipped to', () => {
+  const batches = matchBatches(BATCHES, 'B2026-1014-02');
+  const report = buildRecallReport({
+    reference: 'B2026-1014-02',
+    batches,
+    lotNumbers: lotNumbersFor(batches),
+    stockLots: [
+      { lot_number: 'L-5501', product_code: 'BEEF-MINCE', product_name: 'Beef Mince 500g', quantity: 12, location: 'Chiller 1', expiry_date: '2026-10-24' },
+      { lot_number: 'L-5501', product_code: 'BEEF-RIBEYE', product_name: 'Ribeye Steak', quantity: 0, location: 'Chiller 1' },
+      { lot_number: 'L-5502', product_code: 'LAMB-LEG', product_name: 'Lamb Leg', quantity: 5, location: 'Chiller 2' },
+    ],
+    dispatchLines: DISPATCH_LINES,
+    orders: ORDERS,
+  });
+
+  assert.deepEqual(report.lot_numbers, ['L-5501']);
+  assert.equal(report.affected_orders.length, 2);
+
+  const [first, second] = report.affected_orders;
+  assert.equal(first.order_number, 'SO-1001');
+  assert.equal(first.shopify_order, '#1042');
+  assert.equal(first.customer, 'Ann Hill');
+  assert.equal(first.postcode, 'EX1 1AA');
+  assert.equal(first.delivery_date, '2026-10-16');
+  assert.equal(first.quantity, 3);
+  assert.equal(first.items.length, 2);
+
+  // No delivery date recorded: the dispatch date is used
+  assert.equal(second.delivery_date, '2026-10-16');
+  assert.equal(second.customer, null);
+
+  assert.deepEqual(report.stock_on_hand.map(lot => [lot.product_code, lot.quantity]), [['BEEF-MINCE', 12]]);
+  assert.deepEqual(report.totals, {
+    customers: 2,
+    orders: 2,
+    dispatched_quantity: 7,
+    on_hand_quantity: 12,
+    first_delivery: '2026-10-16',
+    last_delivery: '2026-10-16',
+  });
+  assert.deepEqual(report.orders_not_found_in_shopify, ['SO-1002']);
+});
+
+test('an order is traced back to its source batches', () => {
+  const trace = buildOrderTrace({
+    reference: '1042',
+    dispatchLines: [
+      ...DISPATCH_LINES.slice(0, 2),
+      line('SO-1001', 'LAMB-LEG', 'L-5502', 1, '2026-10-15T14:00:00Z'),
+      line('SO-1001', 'CHICKEN-THIGHS', 'SUP-771', 2, '2026-10-15T14:00:00Z'),
+    ],
+    batches: BATCHES,
+    order: ORDERS[0],
+  });
+
+  assert.equal(trace.order_number, 'SO-1001');
+  assert.equal(trace.shopify_order, '#1042');
+  assert.equal(trace.email, 'ann@example.com');
+  assert.deepEqual(trace.source_batches, ['B2026-1014-02', 'B2026-1015-01']);
+  assert.deepEqual(trace.items.map(item => item.batch_id), ['B2026-1014-02', 'B2026-1014-02', 'B2026-1015-01', null]);
+  assert.deepEqual(trace.lots_without_batch, ['SUP-771']);
+});
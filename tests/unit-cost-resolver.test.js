@@ -0,0 +1,64 @@
+/**
+ * Unit cost resolver tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import UnitCostResolver from '../src/utils/unit-cost-resolver.js';
+
+const shopify = {
+  getVariantCosts: async () => [
+    { variant_id: 77, sku: 'BEEF-MINCE', unit_cost: 3.1 },
+    { variant_id: 78, sku: null, unit_cost: 9 },
+  ],
+};
+
+const orderwise = {
+  getStockLevels: async () => [
+    { product_code: 'BEEF-MINCE', unit_cost: '2.90' },
+    { product_code: 'LAMB-LEG', unit_cost: '11.40' },
+    { product_code: 'FREEBIE', unit_cost: '0' },
+    { product_code: 'NO-COST', unit_cost: null },
+  ],
+};
+
+const createResolver = (sources, overrides = {}) => {
+  const resolver = new UnitCostResolver(sources);
+  resolver.loadOverrides = async () => new Map(Object.entries(overrides));
+  return resolver;
+};
+
+test('costs come from Shopify, then Orderwise, then overrides', async () => {
+  const resolver = createResolver({ shopify, orderwise }, { 'LAMB-LEG': 12, 'TURKEY-XMAS-001': 68.5 });
+  await resolver.load();
+
+  assert.deepEqual(resolver.resolve({ variant_id: 77, sku: 'BEEF-MINCE' }), { unit_cost: 3.1, source: 'shopify' });
+  // A variant without a SKU is still found by its ID
+  assert.deepEqual(resolver.resolve({ variant_id: '78', sku: null }), { unit_cost: 9, source: 'shopify' });
+  // A deleted variant is matched on SKU
+  assert.deepEqual(resolver.resolve({ variant_id: null, sku: 'BEEF-MINCE' }), { unit_cost: 3.1, source: 'shopify' });
+  assert.deepEqual(resolver.resolve({ variant_id: 90, sku: 'LAMB-LEG' }), { unit_cost: 11.4, source: 'orderwise' });
+  assert.deepEqual(resolver.resolve({ variant_id: 91, sku: 'TURKEY-XMAS-001' }), { unit_cost: 68.5, source: 'override' });
+});
+
+test('zero or missing Orderwise costs are not used', async () => {
+  const resolver = createResolver({ orderwise });
+  await resolver.load();
+
+  assert.deepEqual(resolver.resolve({ sku: 'FREEBIE' }), { unit_cost: 0, source: 'missing' });
+  assert.deepEqual(resolver.resolve({ sku: 'NO-COST' }), { unit_cost: 0, source: 'missing' });
+  assert.deepEqual(resolver.resolve({}), { unit_cost: 0, source: 'missing' });
+});
+
+test('a source that fails is skipped so the next one fills in', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const resolver = createResolver({
+    shopify: { getVariantCosts: async () => { throw new Error('403 Forbidden'); } },
+    orderwise,
+  });
+  await resolver.load();
+
+  assert.deepEqual(resolver.resolve({ variant_id: 77, sku: 'BEEF-MINCE' }), { unit_cost: 2.9, source: 'orderwise' });
+  assert.match(warn.mock.calls[0].arguments.join(' '), /Shopify unit costs unavailable: 403 Forbidden/);
+});
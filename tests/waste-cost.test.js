@@ -0,0 +1,132 @@
+/**
+ * Waste cost tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { wasteReason, rawMaterialCost, wasteByReason, wasteCost } from '../src/utils/waste-cost.js';
+import OperationsAgent from '../src/agents/operations-agent.js';
+
+const SETTINGS = {
+  raw_material_skus: { Beef: 'RM-BEEF-SIDE', Lamb: 'RM-LAMB-CARCASS' },
+  cost_per_kg: { default: 4, Lamb: 6.5 },
+};
+
+const STOCK = [
+  { product_code: 'RM-BEEF-SIDE', unit_cost: 7.5 },
+  { product_code: 'BEEF-RIBEYE', unit_cost: 18 },
+];
+
+const batch = (batch_id, product_type, waste_weight, waste_reason, production_date) => ({
+  batch_id,
+  product_type,
+  input_weight: 100,
+  output_weight: 100 - waste_weight,
+  waste_weight,
+  waste_reason,
+  production_date,
+});
+
+test('reason codes are grouped into the standard reasons', () => {
+  assert.equal(wasteReason('Trim'), 'trim');
+  assert.equal(wasteReason('DMG'), 'damage');
+  assert.equal(wasteReason('Out of Date'), 'out_of_date');
+  assert.equal(wasteReason('OOD'), 'out_of_date');
+  assert.equal(wasteReason('re-work'), 'rework');
+  assert.equal(wasteReason('Contamination'), 'contamination');
+  assert.equal(wasteReason(''), 'unspecified');
+  assert.equal(wasteReason(undefined), 'unspecified');
+});
+
+test('raw material cost comes from Orderwise, then the configured cost', () => {
+  const orderwiseCosts = new Map(STOCK.map(item => [item.product_code, item.unit_cost]));
+
+  assert.deepEqual(rawMaterialCost('beef', orderwiseCosts, SETTINGS), { cost_per_kg: 7.5, source: 'orderwise', sku: 'RM-BEEF-SIDE' });
+  // Lamb's SKU isn't stocked, so its configured cost is used
+  assert.deepEqual(rawMaterialCost('Lamb', orderwiseCosts, SETTINGS), { cost_per_kg: 6.5, source: 'configured', sku: 'RM-LAMB-CARCASS' });
+  assert.deepEqual(rawMaterialCost('Pork', orderwiseCosts, SETTINGS), { cost_per_kg: 4, source: 'configured', sku: null });
+  assert.deepEqual(rawMaterialCost('Pork', orderwiseCosts, { cost_per_kg: {} }), { cost_per_kg: null, source: null, sku: null });
+});
+
+test('waste is costed by reason, product type and week', () => {
+  const yields = [
+    batch('B1', 'Beef', 10, 'trim', '2026-10-11'), // Sunday
+    batch('B2', 'Beef', 4, 'Damaged', '2026-10-12'), // Monday
+    batch('B3', 'Lamb', 2, 'trim', '2026-10-13'),
+    batch('B4', 'Lamb', 0, 'trim', '2026-10-13'),
+    batch('B5', 'Pork', 5, null, '2026-10-14'),
+  ];
+  const result = wasteCost(yields, STOCK, SETTINGS);
+
+  assert.equal(result.total_weight, 21);
+  assert.equal(result.total_cost, 75 + 30 + 13 + 20);
+
+  assert.deepEqual(result.by_reason.trim, { weight: 12, cost: 88, batches: 2 });
+  assert.deepEqual(result.by_reason.damage, { weight: 4, cost: 30, batches: 1 });
+  assert.deepEqual(result.by_reason.unspecified, { weight: 5, cost: 20, batches: 1 });
+
+  assert.equal(result.by_product_type.Beef.cost, 105);
+  assert.equal(result.by_product_type.Beef.cost_source, 'orderwise');
+  assert.equal(result.by_product_type.Beef.by_reason.trim.cost, 75);
+  assert.equal(result.by_product_type.Lamb.batches, 1);
+
+  assert.deepEqual(result.by_week.map(week => [week.week_start, week.cost]), [['2026-10-05', 75], ['2026-10-12', 63]]);
+  assert.equal(result.by_week[1].by_product_type.Beef.cost, 30);
+  assert.deepEqual(result.unpriced_product_types, []);
+});
+
+test('waste output lines give the reasons, falling back to the yield record', () => {
+  const wasteLine = (batch_id, weight, waste_reason) => ({ batch_id, output_type: 'waste', cut: 'Offcuts', weight, waste_reason });
+  const outputs = [
+    wasteLine('B1', 3, 'DMG'),
+    wasteLine('B1', 1, null),
+    { batch_id: 'B1', output_type: 'trim', cut: 'Fat', weight: 20, waste_reason: 'trim' },
+  ];
+
+  // B1's 8kg is shared 3:1 between damage and the record's own reason
+  assert.deepEqual(wasteByReason(batch('B1', 'Beef', 8, 'trim', '2026-10-12'), outputs.slice(0, 2)), [
+    { reason: 'damage', weight: 6 },
+    { reason: 'trim', weight: 2 },
+  ]);
+
+  const result = wasteCost([
+    batch('B1', 'Beef', 8, 'trim', '2026-10-12'),
+    batch('B2', 'Beef', 2, 'OOD', '2026-10-12'),
+  ], STOCK, SETTINGS, outputs);
+
+  assert.equal(result.total_weight, 10);
+  assert.deepEqual(result.by_reason.damage, { weight: 6, cost: 45, batches: 1 });
+  assert.deepEqual(result.by_reason.trim, { weight: 2, cost: 15, batches: 1 });
+  assert.deepEqual(result.by_reason.out_of_date, { weight: 2, cost: 15, batches: 1 });
+  assert.equal(result.by_product_type.Beef.batches, 2);
+  assert.equal(result.by_week[0].by_product_type.Beef.batches, 2);
+});
+
+test('unpriced waste counts towards weight but not cost', () => {
+  const result = wasteCost([batch('B1', 'Venison', 3, 'trim', '2026-10-12')], [], { cost_per_kg: {} });
+
+  assert.equal(result.total_weight, 3);
+  assert.equal(result.total_cost, 0);
+  assert.deepEqual(result.unpriced_product_types, ['Venison']);
+});
+
+test('waste cost alerts use each product type\'s £ per week limits', () => {
+  const agent = new OperationsAgent();
+  agent.thresholds = {
+    yield_targets: {
+      default: { waste_cost_warning_per_week: 100, waste_cost_critical_per_week: 200 },
+      Lamb: { waste_cost_warning_per_week: 300, waste_cost_critical_per_week: 400 },
+    },
+  };
+
+  const alerts = agent.wasteCostAlerts({
+    Beef: { cost: 250, weight: 33, by_reason: { trim: { cost: 150 }, damage: { cost: 100 } } },
+    Pork: { cost: 120, weight: 30, by_reason: { unspecified: { cost: 120 } } },
+    Lamb: { cost: 250, weight: 38, by_reason: {} },
+  }, 'over the last 7 days');
+
+  assert.deepEqual(alerts.map(alert => alert.severity), ['critical', 'warning']);
+  assert.match(alerts[0].message, /^Beef waste cost £250 over the last 7 days \(33kg, limit £200 a week, biggest reason trim £150\)$/);
+  assert.match(alerts[1].message, /^Pork .*limit £100 a week\)$/);
+});
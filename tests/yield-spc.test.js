@@ -0,0 +1,104 @@
+/**
+ * Yield control chart tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { controlLimits, controlChart, analyzeYieldSpc, renderControlChartSvg, controlChartPath } from '../src/utils/yield-spc.js';
+
+const SETTINGS = { history_days: 90, baseline_batches: 25, minimum_baseline_batches: 10 };
+
+// A steady process: 80%, 82%, 80%, 82%... (centre 81%)
+const STEADY = Array.from({ length: 12 }, (_, i) => (i % 2 === 0 ? 80 : 82));
+
+const batches = (values, productType = 'Beef') => values.map((value, i) => ({
+  batch_id: `B${String(i + 1).padStart(2, '0')}`,
+  product_type: productType,
+  yield_percentage: value,
+  production_date: `2026-10-${String(i + 1).padStart(2, '0')}`,
+}));
+
+const signalsOf = values => controlChart(batches(values), SETTINGS).signals;
+
+test('limits come from the average moving range', () => {
+  const limits = controlLimits([80, 82, 80, 82]);
+
+  assert.equal(limits.centre, 81);
+  assert.ok(Math.abs(limits.sigma - 2 / 1.128) < 1e-9);
+  assert.ok(Math.abs(limits.ucl - (81 + 3 * limits.sigma)) < 1e-9);
+  assert.ok(Math.abs(limits.lcl - (81 - 3 * limits.sigma)) < 1e-9);
+});
+
+test('a steady process raises no signals and has no limits until there is a baseline', () => {
+  const { points, signals } = controlChart(batches([...STEADY, ...STEADY]), SETTINGS);
+
+  assert.deepEqual(signals, []);
+  assert.equal(points.filter(point => point.centre === null).length, 10);
+  assert.equal(points[10].centre, 81);
+});
+
+test('a batch outside the 3σ limits is flagged on its own', () => {
+  const signals = signalsOf([...STEADY, 70, 81]);
+
+  assert.equal(signals.length, 1);
+  assert.equal(signals[0].rule, 'beyond_3_sigma');
+  assert.equal(signals[0].direction, 'below');
+  assert.equal(signals[0].batch_id, 'B13');
+  assert.match(signals[0].explanation, /3σ/);
+});
+
+test('eight batches in a row below the centre line are a shift', () => {
+  const signals = signalsOf([...STEADY, ...Array(8).fill(80.5)]);
+
+  assert.deepEqual(signals.map(signal => signal.rule), ['run_of_eight']);
+  assert.equal(signals[0].direction, 'below');
+  assert.equal(signals[0].batch_id, 'B20');
+  assert.deepEqual(signals[0].batches, ['B13', 'B14', 'B15', 'B16', 'B17', 'B18', 'B19', 'B20']);
+});
+
+test('six batches steadily rising are a trend', () => {
+  const signals = signalsOf([...STEADY, 80.2, 80.4, 80.6, 80.8, 81.0, 81.2]);
+
+  assert.deepEqual(signals.map(signal => signal.rule), ['trend_of_six']);
+  assert.equal(signals[0].direction, 'above');
+  assert.equal(signals[0].batch_id, 'B18');
+});
+
+test('two of three batches beyond 2σ on the same side', () => {
+  // 76% is between 2σ and 3σ below the centre line, even once the first one widens the limits
+  const signals = signalsOf([...STEADY, 76, 76]);
+
+  assert.deepEqual(signals.map(signal => signal.rule), ['two_of_three_beyond_2_sigma']);
+  assert.equal(signals[0].batch_id, 'B14');
+  assert.deepEqual(signals[0].batches, ['B12', 'B13', 'B14']);
+});
+
+test('each product type gets its own chart and only recent signals are kept', () => {
+  const yields = [
+    ...batches([...STEADY, 70, ...STEADY], 'Beef'),
+    ...batches([...STEADY, 70], 'Lamb'),
+  ];
+  const result = analyzeYieldSpc(yields, '2026-10-13', SETTINGS);
+
+  assert.deepEqual(Object.keys(result).sort(), ['Beef', 'Lamb']);
+  assert.equal(result.Beef.batches, 25);
+  assert.equal(result.Lamb.latest, 70);
+  assert.equal(result.Lamb.signals.length, 1);
+
+  // The same drop before firstDay isn't raised again
+  const later = analyzeYieldSpc(yields, '2026-10-14', SETTINGS);
+  assert.equal(later.Lamb.signals.length, 0);
+  assert.equal(later.Lamb.points[12].rules[0], 'beyond_3_sigma');
+});
+
+test('charts render as SVG with a point per batch', () => {
+  const { points } = controlChart(batches([...STEADY, 70]), SETTINGS);
+  const svg = renderControlChartSvg('Beef & Lamb yield', points);
+
+  assert.match(svg, /^<svg /);
+  assert.match(svg, /Beef &amp; Lamb yield/);
+  assert.equal((svg.match(/<circle /g) || []).length, 13);
+  assert.equal((svg.match(/fill="#d62728"><title>/g) || []).length, 1);
+  assert.equal(controlChartPath('2026-10-18', 'Whole Bird'), 'outputs/spc/2026-10-18_whole-bird_yield.svg');
+});
@@ -0,0 +1,94 @@
+/**
+ * Yield target tests
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { targetsFor, assessAgainstTargets, mixWeightedTarget } from '../src/utils/yield-targets.js';
+import ApteanClient from '../src/integrations/aptean/client.js';
+
+const TARGETS = {
+  default: { yield_warning_percentage: 82, yield_critical_percentage: 78, waste_warning_percentage: 12, waste_critical_percentage: 18 },
+  'Whole Bird': { yield_warning_percentage: 92, yield_critical_percentage: 88, waste_warning_percentage: 6, waste_critical_percentage: 10 },
+  'Rolled Joint': { yield_warning_percentage: 68, yield_critical_percentage: 63 },
+};
+
+const batch = (batch_id, product_type, output_weight, waste_weight) => ({
+  batch_id,
+  product_type,
+  input_weight: 100,
+  output_weight,
+  waste_weight,
+  yield_percentage: output_weight,
+  production_date: '2026-10-18',
+});
+
+test('product types take their own limits and fall back to default', () => {
+  assert.equal(targetsFor('Whole Bird', TARGETS).yield_warning_percentage, 92);
+  assert.equal(targetsFor('whole bird', TARGETS).yield_warning_percentage, 92);
+  assert.equal(targetsFor('Beef', TARGETS).yield_warning_percentage, 82);
+
+  // Only yield is overridden for rolled joints
+  assert.deepEqual(targetsFor('Rolled Joint', TARGETS), {
+    yield_warning_percentage: 68,
+    yield_critical_percentage: 63,
+    waste_warning_percentage: 12,
+    waste_critical_percentage: 18,
+  });
+});
+
+test('yield fails low and waste fails high', () => {
+  const limits = targetsFor('Beef', TARGETS);
+
+  assert.equal(assessAgainstTargets(84, 10, limits).status, 'ok');
+  assert.equal(assessAgainstTargets(80, 10, limits).yield_status, 'warning');
+  assert.equal(assessAgainstTargets(77, 10, limits).yield_status, 'critical');
+  assert.equal(assessAgainstTargets(84, 19, limits).waste_status, 'critical');
+  assert.equal(assessAgainstTargets(80, 19, limits).status, 'critical');
+
+  const { yield_variance, waste_variance } = assessAgainstTargets(80, 14, limits);
+  assert.equal(yield_variance, -2);
+  assert.equal(waste_variance, 2);
+});
+
+test('no targets means no variance and no alert', () => {
+  const assessment = assessAgainstTargets(50, 50, targetsFor('Beef', {}));
+  assert.equal(assessment.status, 'ok');
+  assert.equal(assessment.yield_variance, null);
+});
+
+test('the overall target is weighted by input', () => {
+  const target = mixWeightedTarget({
+    'Whole Bird': { input: 300, yield_target: 92 },
+    Beef: { input: 100, yield_target: 82 },
+  }, 'yield_target');
+
+  assert.equal(target, 89.5);
+  assert.equal(mixWeightedTarget({}, 'yield_target'), null);
+});
+
+test('yield summary judges each batch and product type against its own target', async () => {
+  const client = new ApteanClient();
+  client.getYieldData = async () => [
+    batch('B1', 'Whole Bird', 90, 8),   // 82% would pass; 92% target doesn't
+    batch('B2', 'Whole Bird', 94, 4),
+    batch('B3', 'Rolled Joint', 70, 10), // Would fail an 80% rule
+    batch('B4', 'Beef', 76, 20),
+  ];
+
+  const summary = await client.getYieldSummary(new Date(), new Date(), TARGETS);
+
+  assert.deepEqual(summary.alerts.map(alert => [alert.batch_id, alert.severity, alert.issues]), [
+    ['B4', 'critical', ['yield', 'waste']],
+    ['B1', 'warning', ['yield', 'waste']],
+  ]);
+
+  const wholeBird = summary.by_product_type['Whole Bird'];
+  assert.equal(wholeBird.yield_target, 92);
+  assert.equal(wholeBird.yield_variance, 0);
+  assert.equal(wholeBird.waste_status, 'ok');
+  assert.equal(summary.by_product_type['Rolled Joint'].status, 'ok');
+  assert.equal(summary.by_product_type.Beef.yield_status, 'critical');
+  assert.equal(summary.yield_target_percentage, (92 * 200 + 68 * 100 + 82 * 100) / 400);
+});